@@ -2,17 +2,22 @@ import { ethers } from "ethers";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import {
+  loadDeploymentRegistry,
+  getRegisteredNetwork,
+  getDeployment,
+} from "./deployments.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Load contract ABI
-const loadContractABI = () => {
+const loadContractABI = (contractName = "MusicStore") => {
   try {
-    const abiPath = path.join(__dirname, "../contracts/MusicStore.json");
+    const abiPath = path.join(__dirname, `../contracts/${contractName}.json`);
     const contractData = JSON.parse(fs.readFileSync(abiPath, "utf8"));
 
-    console.log("✅ MusicStore ABI loaded successfully");
+    console.log(`✅ ${contractName} ABI loaded successfully`);
     console.log(`📄 ABI contains ${contractData.abi.length} items`);
 
     const functions = contractData.abi.filter(
@@ -26,13 +31,62 @@ const loadContractABI = () => {
 
     return contractData.abi;
   } catch (error) {
-    console.error("❌ Failed to load MusicStore ABI:", error.message);
+    console.error(`❌ Failed to load ${contractName} ABI:`, error.message);
     return null;
   }
 };
 
+// Deployed contracts by chain ID (deployments.json, written by scripts/deploy.js)
+const registry = loadDeploymentRegistry();
+
+// Network listings, purchases and governance transactions are sent to
+const primaryChainId = process.env.NETWORK_ID || null;
+
+// ETH and the ERC-20s tracks can be priced in (PAYMENT_TOKENS=USDC:0x...:6,DAI:0x...:18),
+// else the tokens registered for the primary network
+const ETH_CURRENCY = { symbol: "ETH", address: null, decimals: 18 };
+
+const loadPaymentTokens = () => {
+  const tokens = [ETH_CURRENCY];
+
+  const entries = process.env.PAYMENT_TOKENS
+    ? process.env.PAYMENT_TOKENS.split(",").map((entry) =>
+        entry.trim().split(":")
+      )
+    : (getRegisteredNetwork(primaryChainId, registry)?.paymentTokens || []).map(
+        (token) => [token.symbol, token.address, token.decimals]
+      );
+
+  for (const [symbol, address, decimals] of entries) {
+    if (!symbol || !ethers.isAddress(address)) continue;
+
+    tokens.push({
+      symbol: symbol.toUpperCase(),
+      address: address.toLowerCase(),
+      decimals: parseInt(decimals) || 18,
+    });
+  }
+
+  return tokens;
+};
+
+// Address from the environment, else the primary network's registry entry
+const resolveAddress = (envAddress, contractName) =>
+  envAddress || getDeployment(primaryChainId, contractName, registry)?.address;
+
+const paymentTokens = loadPaymentTokens();
+
 // Initialize provider and wallet
-let provider, wallet, contract;
+let provider,
+  wallet,
+  contract,
+  editionsContract,
+  forwarderContract,
+  relayerWallet;
+
+// Primary network, then networks only indexed (INDEXED_NETWORKS), by chain ID
+let primaryNetwork = null;
+const indexedNetworks = new Map();
 
 const initializeBlockchain = () => {
   try {
@@ -81,7 +135,7 @@ const initializeBlockchain = () => {
 
     // Initialize contract
     const contractAddress =
-      process.env.CONTRACT_ADDRESS ||
+      resolveAddress(process.env.CONTRACT_ADDRESS, "MusicStore") ||
       "0x1234567890123456789012345678901234567890";
 
     try {
@@ -96,6 +150,71 @@ const initializeBlockchain = () => {
       console.log("🔄 Continuing without contract");
     }
 
+    // Edition NFTs are optional and only enabled once deployed
+    const editionsAddress = resolveAddress(
+      process.env.EDITIONS_CONTRACT_ADDRESS,
+      "MusicEditions"
+    );
+    if (editionsAddress) {
+      const editionsAbi = loadContractABI("MusicEditions");
+
+      try {
+        editionsContract = new ethers.Contract(
+          editionsAddress,
+          editionsAbi,
+          wallet || provider
+        );
+        console.log("✅ MusicEditions contract initialized");
+        console.log(`📄 Editions address: ${editionsAddress}`);
+      } catch (contractError) {
+        console.error(
+          "❌ Editions contract initialization failed:",
+          contractError.message
+        );
+      }
+    }
+
+    // Gasless purchases: the ERC-2771 forwarder and the wallet paying relayed gas
+    const forwarderAddress = resolveAddress(
+      process.env.FORWARDER_ADDRESS,
+      "MusicForwarder"
+    );
+    if (forwarderAddress && process.env.RELAYER_PRIVATE_KEY) {
+      try {
+        relayerWallet = new ethers.Wallet(
+          process.env.RELAYER_PRIVATE_KEY,
+          provider
+        );
+        forwarderContract = new ethers.Contract(
+          forwarderAddress,
+          loadContractABI("MusicForwarder"),
+          relayerWallet
+        );
+        console.log("✅ MusicForwarder initialized");
+        console.log(`📨 Relayer address: ${relayerWallet.address}`);
+      } catch (relayerError) {
+        console.error(
+          "❌ Relayer initialization failed:",
+          relayerError.message
+        );
+      }
+    }
+
+    primaryNetwork = {
+      chainId: primaryChainId, // Learned from the provider when NETWORK_ID is not set
+      name:
+        getRegisteredNetwork(primaryChainId, registry)?.name ||
+        process.env.BLOCKCHAIN_NETWORK ||
+        null,
+      primary: true,
+      provider,
+      wallet,
+      contract,
+      editionsContract,
+    };
+
+    initializeIndexedNetworks(abi);
+
     // Don't test network connection during initialization
     // We'll test it later when actually needed
     console.log("✅ Blockchain initialization complete");
@@ -107,21 +226,120 @@ const initializeBlockchain = () => {
   }
 };
 
+// Networks indexed alongside the primary one (INDEXED_NETWORKS=84532,...), read
+// through RPC_URL_<chainId> with their contracts from the registry. Listings and
+// purchases are not sent there; their events are indexed and tagged by chain.
+const initializeIndexedNetworks = (abi) => {
+  const chainIds = (process.env.INDEXED_NETWORKS || "")
+    .split(",")
+    .map((chainId) => chainId.trim())
+    .filter((chainId) => chainId && chainId !== primaryChainId);
+
+  for (const chainId of chainIds) {
+    const rpcUrl = process.env[`RPC_URL_${chainId}`];
+    const registered = getRegisteredNetwork(chainId, registry);
+    const deployment = registered?.contracts?.MusicStore;
+
+    if (!rpcUrl || !deployment?.address) {
+      console.warn(
+        `⚠️ Network ${chainId} not indexed: needs RPC_URL_${chainId} and a MusicStore deployment in the registry`
+      );
+      continue;
+    }
+
+    try {
+      const networkProvider = new ethers.JsonRpcProvider(
+        rpcUrl,
+        Number(chainId)
+      );
+      indexedNetworks.set(chainId, {
+        chainId,
+        name: registered.name || null,
+        primary: false,
+        provider: networkProvider,
+        wallet: null,
+        contract: new ethers.Contract(deployment.address, abi, networkProvider),
+        editionsContract: null,
+      });
+      console.log(
+        `✅ Indexing ${registered.name || "network"} (Chain ID: ${chainId}): ${deployment.address}`
+      );
+    } catch (networkError) {
+      console.error(
+        `❌ Network ${chainId} initialization failed:`,
+        networkError.message
+      );
+    }
+  }
+};
+
 // Initialize on import
 const isInitialized = initializeBlockchain();
 
 // Export functions
 export const getMusicStoreContract = () => contract;
+export const getEditionsContract = () => editionsContract;
 export const getProvider = () => provider;
 export const getWallet = () => wallet;
+export const getForwarderContract = () => forwarderContract;
+export const getRelayerWallet = () => relayerWallet;
+export const getPaymentTokens = () => paymentTokens;
+
+// Chain ID of the primary network, null until known when NETWORK_ID is not set
+export const getPrimaryChainId = () => primaryNetwork?.chainId ?? null;
+
+/**
+ * Provider, wallet and contracts of a network
+ * @param {string|null} chainId - Chain ID, or null for the primary network
+ * @returns {Object|null} { chainId, name, primary, provider, wallet, contract, editionsContract }
+ */
+export const getNetworkConfig = (chainId = null) => {
+  if (chainId === null || chainId === undefined) {
+    return primaryNetwork;
+  }
+  const key = String(chainId);
+  if (primaryNetwork?.chainId === key) {
+    return primaryNetwork;
+  }
+  return indexedNetworks.get(key) || null;
+};
+
+// Record the chain ID the primary provider reported, when NETWORK_ID is not set
+export const setPrimaryChainId = (chainId) => {
+  if (primaryNetwork && !primaryNetwork.chainId) {
+    primaryNetwork.chainId = String(chainId);
+  }
+};
+
+// Every network the backend indexes, the primary one first
+export const getNetworks = () =>
+  [primaryNetwork, ...indexedNetworks.values()].filter(Boolean);
+
+// Blocks a transaction must be buried under before its purchase or listing is confirmed
+export const getConfirmationDepth = () =>
+  parseInt(process.env.CONFIRMATION_DEPTH) || 6;
+
+// Currency by symbol or token address (null/zero address is ETH)
+export const getPaymentToken = (symbolOrAddress) => {
+  if (!symbolOrAddress || symbolOrAddress === ethers.ZeroAddress) {
+    return ETH_CURRENCY;
+  }
+
+  const key = symbolOrAddress.toLowerCase();
+  return (
+    paymentTokens.find(
+      (token) => token.address === key || token.symbol.toLowerCase() === key
+    ) || null
+  );
+};
 export const isWalletAvailable = () => wallet !== null && wallet !== undefined;
 export const isBlockchainAvailable = () =>
   isInitialized && contract !== null && provider !== null;
 
 // Test connection function (only call when needed)
-export const testBlockchainConnection = async () => {
+export const testBlockchainConnection = async (networkProvider = provider) => {
   try {
-    if (!provider) {
+    if (!networkProvider) {
       return { connected: false, error: "Provider not initialized" };
     }
 
@@ -132,10 +350,13 @@ export const testBlockchainConnection = async () => {
       setTimeout(() => reject(new Error("Connection timeout")), 5000)
     );
 
-    const connectionTest = Promise.race([provider.getBlockNumber(), timeout]);
+    const connectionTest = Promise.race([
+      networkProvider.getBlockNumber(),
+      timeout,
+    ]);
 
     const blockNumber = await connectionTest;
-    const network = await provider.getNetwork();
+    const network = await networkProvider.getNetwork();
 
     console.log(`✅ Blockchain connection successful`);
     console.log(`🔗 Network: ${network.name} (Chain ID: ${network.chainId})`);
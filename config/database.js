@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import Purchase from "../models/Purchase.js";
 
 /**
  * Database Configuration and Connection
@@ -39,6 +40,12 @@ export const connectDB = async () => {
     console.log(`Database: ${conn.connection.name}`);
     console.log(`Host: ${conn.connection.host}`);
 
+    // Indexes replaced in a schema are not dropped by autoIndex
+    const dropped = await Purchase.dropLegacyIndexes();
+    if (dropped.length > 0) {
+      console.log(`🧹 Dropped legacy purchase indexes: ${dropped.join(", ")}`);
+    }
+
     // Connection event listeners
     mongoose.connection.on("connected", () => {
       console.log("📡 Mongoose connected to MongoDB");
@@ -0,0 +1,92 @@
+import { ethers } from "ethers";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Deployment registry: contracts deployed by scripts/deploy.js, keyed by
+ * chain ID. Each contract records its address, deployment transaction and
+ * block (where the indexer backfills from) and the version of the ABI it was
+ * deployed with.
+ *
+ * {
+ *   "networks": {
+ *     "11155111": {
+ *       "name": "sepolia",
+ *       "explorer": "https://sepolia.etherscan.io",
+ *       "contracts": {
+ *         "MusicStore": { "address", "transactionHash", "blockNumber", "abiVersion", "deployer", "deployedAt" }
+ *       },
+ *       "paymentTokens": [{ "symbol", "address", "decimals" }]
+ *     }
+ *   }
+ * }
+ */
+
+export const getRegistryPath = () =>
+  process.env.DEPLOYMENT_REGISTRY ||
+  path.join(__dirname, "../deployments.json");
+
+export const loadDeploymentRegistry = () => {
+  const registryPath = getRegistryPath();
+  if (!fs.existsSync(registryPath)) {
+    return { networks: {} };
+  }
+
+  try {
+    const registry = JSON.parse(fs.readFileSync(registryPath, "utf8"));
+    return { networks: {}, ...registry };
+  } catch (error) {
+    console.error("❌ Failed to read deployment registry:", error.message);
+    return { networks: {} };
+  }
+};
+
+// Registry entry of a network, or null when nothing is deployed there
+export const getRegisteredNetwork = (chainId, registry = null) => {
+  if (chainId === undefined || chainId === null) {
+    return null;
+  }
+  const { networks } = registry || loadDeploymentRegistry();
+  return networks[String(chainId)] || null;
+};
+
+// Deployment of one contract on a network
+export const getDeployment = (
+  chainId,
+  contractName = "MusicStore",
+  registry = null
+) => getRegisteredNetwork(chainId, registry)?.contracts?.[contractName] || null;
+
+// Short hash of an ABI, stable across formatting: differs as soon as a
+// function or event signature does
+export const getAbiVersion = (abi) =>
+  ethers.id(new ethers.Interface(abi).formatJson()).slice(0, 10);
+
+/**
+ * Record contracts deployed on a network, replacing earlier deployments of
+ * the same contracts there
+ * @param {string|number|bigint} chainId - Chain the contracts were deployed on
+ * @param {Object} network - { name, explorer, paymentTokens }
+ * @param {Object} contracts - Contract name => { address, transactionHash, blockNumber, abiVersion, deployer, deployedAt }
+ * @returns {Object} The network's registry entry
+ */
+export const recordDeployment = (chainId, network, contracts) => {
+  const registry = loadDeploymentRegistry();
+  const key = String(chainId);
+  const existing = registry.networks[key] || {};
+
+  registry.networks[key] = {
+    ...existing,
+    name: network.name || existing.name,
+    explorer: network.explorer ?? existing.explorer ?? null,
+    contracts: { ...existing.contracts, ...contracts },
+    paymentTokens: network.paymentTokens ?? existing.paymentTokens ?? [],
+  };
+
+  fs.writeFileSync(getRegistryPath(), JSON.stringify(registry, null, 2) + "\n");
+  return registry.networks[key];
+};
@@ -53,17 +53,27 @@ const envSchema = joi
         .optional(),
     }),
 
+    // Primary network; its contract addresses come from deployments.json
+    // unless set below
+    NETWORK_ID: joi.string().pattern(/^\d+$/).optional().messages({
+      "string.pattern.base": "NETWORK_ID must be a chain ID",
+    }),
+
     CONTRACT_ADDRESS: joi.when("BLOCKCHAIN_ENABLED", {
       is: "true",
       then: joi
         .string()
         .pattern(/^0x[a-fA-F0-9]{40}$/)
-        .required()
+        .when("NETWORK_ID", {
+          is: joi.exist(),
+          then: joi.optional(),
+          otherwise: joi.required(),
+        })
         .messages({
           "string.pattern.base":
             "CONTRACT_ADDRESS must be a valid 40-character hex string starting with 0x",
           "any.required":
-            "CONTRACT_ADDRESS is required when blockchain is enabled",
+            "CONTRACT_ADDRESS or NETWORK_ID is required when blockchain is enabled",
         }),
       otherwise: joi
         .string()
@@ -71,6 +81,25 @@ const envSchema = joi
         .optional(),
     }),
 
+    // ERC-1155 edition NFTs (optional, set after deploying MusicEditions)
+    EDITIONS_CONTRACT_ADDRESS: joi
+      .string()
+      .pattern(/^0x[a-fA-F0-9]{40}$/)
+      .optional()
+      .messages({
+        "string.pattern.base":
+          "EDITIONS_CONTRACT_ADDRESS must be a valid 40-character hex string starting with 0x",
+      }),
+
+    FORWARDER_ADDRESS: joi
+      .string()
+      .pattern(/^0x[a-fA-F0-9]{40}$/)
+      .optional()
+      .messages({
+        "string.pattern.base":
+          "FORWARDER_ADDRESS must be a valid 40-character hex string starting with 0x",
+      }),
+
     RPC_URL: joi.when("BLOCKCHAIN_ENABLED", {
       is: "true",
       then: joi.string().uri().required().messages({
@@ -79,6 +108,23 @@ const envSchema = joi
       otherwise: joi.string().uri().optional(),
     }),
 
+    // Further networks to index, each with RPC_URL_<chainId> and a registry entry
+    INDEXED_NETWORKS: joi
+      .string()
+      .pattern(/^\d+(,\s*\d+)*$/)
+      .optional()
+      .messages({
+        "string.pattern.base":
+          "INDEXED_NETWORKS must be a comma-separated list of chain IDs",
+      }),
+
+    DEPLOYMENT_REGISTRY: joi
+      .string()
+      .optional()
+      .description(
+        "Path of the deployment registry (default: deployments.json)"
+      ),
+
     // Storage
     STORAGE_PROVIDER: joi
       .string()
@@ -148,6 +194,263 @@ const envSchema = joi
           "JWT_EXPIRES_IN must be a valid time string (e.g., 24h, 30m)",
       }),
 
+    // Wallet Authentication (Sign-In with Ethereum)
+    SIWE_DOMAIN: joi
+      .string()
+      .optional()
+      .description(
+        "Comma-separated domains SIWE messages may be bound to (defaults to BASE_URL and ALLOWED_ORIGINS hosts)"
+      ),
+
+    SIWE_NONCE_TTL: joi
+      .number()
+      .integer()
+      .min(30)
+      .max(3600)
+      .default(300)
+      .description("Lifetime of a SIWE nonce in seconds"),
+
+    // Purchase-gated streaming
+    STREAM_URL_SECRET: joi
+      .string()
+      .min(32)
+      .optional()
+      .description("Secret for signing stream URLs (defaults to JWT_SECRET)"),
+
+    STREAM_URL_TTL: joi
+      .number()
+      .integer()
+      .min(30)
+      .max(86400)
+      .default(300)
+      .description("Lifetime of a signed stream URL in seconds"),
+
+    // Uploads
+    UPLOAD_QUARANTINE_DIR: joi
+      .string()
+      .optional()
+      .description(
+        "Directory for uploads whose content does not match their declared type (deleted when unset)"
+      ),
+
+    RESUMABLE_UPLOAD_DIR: joi
+      .string()
+      .optional()
+      .description(
+        "Directory where resumable upload chunks are assembled (defaults to ./data/resumable-uploads)"
+      ),
+
+    RESUMABLE_UPLOAD_MAX_SIZE: joi
+      .number()
+      .integer()
+      .min(1)
+      .default(2 * 1024 * 1024 * 1024)
+      .description("Largest file accepted through resumable uploads, in bytes"),
+
+    RESUMABLE_UPLOAD_TTL_HOURS: joi
+      .number()
+      .integer()
+      .min(1)
+      .max(168)
+      .default(24)
+      .description("Hours before an unfinished resumable upload is discarded"),
+
+    // Preview clips
+    PREVIEW_START_SECONDS: joi
+      .number()
+      .min(0)
+      .default(0)
+      .description("Offset into the track where previews start, in seconds"),
+
+    PREVIEW_LENGTH_SECONDS: joi
+      .number()
+      .min(5)
+      .max(120)
+      .default(30)
+      .description("Length of preview clips in seconds"),
+
+    PREVIEW_MAX_NATIVE_SIZE: joi
+      .number()
+      .integer()
+      .min(1)
+      .default(100 * 1024 * 1024)
+      .description(
+        "Largest MP3/WAV file cut in-process, in bytes; larger files need FFMPEG_PATH"
+      ),
+
+    FFMPEG_PATH: joi
+      .string()
+      .optional()
+      .description(
+        "ffmpeg binary used for previews and waveforms of formats not handled in-process"
+      ),
+
+    // Waveforms
+    WAVEFORM_RESOLUTIONS: joi
+      .string()
+      .pattern(/^\d+(,\d+)*$/)
+      .default("800,1600")
+      .description("Comma-separated peak bucket counts generated per track"),
+
+    WAVEFORM_MAX_DECODE_SIZE: joi
+      .number()
+      .integer()
+      .min(1)
+      .default(20 * 1024 * 1024)
+      .description(
+        "Largest file decoded in-process for waveforms, in bytes; larger files need FFMPEG_PATH"
+      ),
+
+    // Artist self-listing
+    LISTING_VOUCHER_TTL_HOURS: joi
+      .number()
+      .integer()
+      .min(1)
+      .max(720)
+      .default(72)
+      .description("Default lifetime of signed listing vouchers, in hours"),
+
+    LAZY_LISTING_ENABLED: joi
+      .string()
+      .valid("true", "false")
+      .default("false")
+      .description(
+        "List uploads as signed vouchers, added on-chain by their first purchase"
+      ),
+
+    // Promo coupons
+    COUPON_TTL_MINUTES: joi
+      .number()
+      .integer()
+      .min(1)
+      .max(1440)
+      .default(30)
+      .description("Minutes a buyer has to redeem an issued coupon"),
+
+    // ERC-20 payment tokens (must also be allow-listed on MusicStore)
+    PAYMENT_TOKENS: joi
+      .string()
+      .pattern(
+        /^[A-Za-z0-9]{1,11}:0x[a-fA-F0-9]{40}:\d{1,2}(,[A-Za-z0-9]{1,11}:0x[a-fA-F0-9]{40}:\d{1,2})*$/
+      )
+      .optional()
+      .messages({
+        "string.pattern.base":
+          "PAYMENT_TOKENS must be a comma-separated list of SYMBOL:address:decimals",
+      })
+      .description("Tokens tracks can be priced in, e.g. USDC:0x...:6"),
+
+    // Event indexer
+    INDEXER_POLL_INTERVAL_MS: joi
+      .number()
+      .integer()
+      .min(1000)
+      .default(15000)
+      .description("How often the event indexer polls for new blocks"),
+
+    INDEXER_BLOCK_RANGE: joi
+      .number()
+      .integer()
+      .min(1)
+      .max(100000)
+      .default(2000)
+      .description("Blocks per eth_getLogs query (keep within the RPC limit)"),
+
+    INDEXER_START_BLOCK: joi
+      .number()
+      .integer()
+      .min(0)
+      .optional()
+      .description(
+        "First block to backfill when no checkpoint exists (default: the deployment block)"
+      ),
+
+    INDEXER_ALLOW_ABI_MISMATCH: joi
+      .boolean()
+      .default(false)
+      .description(
+        "Index a registered deployment whose abiVersion differs from the local ABI"
+      ),
+
+    // Confirmations and chain reorganizations
+    CONFIRMATION_DEPTH: joi
+      .number()
+      .integer()
+      .min(1)
+      .max(256)
+      .default(6)
+      .description(
+        "Blocks deep a purchase or listing must be before it is confirmed"
+      ),
+
+    REORG_CHECK_INTERVAL_MS: joi
+      .number()
+      .integer()
+      .min(1000)
+      .default(30000)
+      .description("How often recent block hashes are re-checked"),
+
+    REORG_CHECK_WINDOW_BLOCKS: joi
+      .number()
+      .integer()
+      .min(1)
+      .max(10000)
+      .default(128)
+      .description("How far back confirmed records are re-checked for reorgs"),
+
+    EARNINGS_RECONCILIATION_INTERVAL_MS: joi
+      .number()
+      .integer()
+      .min(0)
+      .default(21600000)
+      .description(
+        "How often artist earnings are compared with the chain (0 disables)"
+      ),
+
+    // Gasless purchases relayed through the ERC-2771 forwarder
+    RELAYER_PRIVATE_KEY: joi
+      .string()
+      .pattern(/^0x[a-fA-F0-9]{64}$/)
+      .optional()
+      .messages({
+        "string.pattern.base":
+          "RELAYER_PRIVATE_KEY must be a valid 64-character hex string starting with 0x",
+      }),
+
+    RELAYER_DAILY_QUOTA: joi
+      .number()
+      .integer()
+      .min(0)
+      .default(5)
+      .description(
+        "Relayed purchases per wallet in 24 hours (0 disables relaying)"
+      ),
+
+    RELAYER_REQUEST_TTL_SECONDS: joi
+      .number()
+      .integer()
+      .min(60)
+      .max(86400)
+      .default(600)
+      .description("Longest deadline accepted on a signed relay request"),
+
+    RELAYER_MIN_BALANCE: joi
+      .string()
+      .pattern(/^\d+(\.\d+)?$/)
+      .default("0.05")
+      .description(
+        "ETH the relayer keeps in reserve; requests are refused below it"
+      ),
+
+    // Contract governance from the admin API
+    GOVERNANCE_DRY_RUN: joi
+      .string()
+      .valid("true", "false")
+      .default("false")
+      .description(
+        "Only simulate governance transactions, even when a request asks to send"
+      ),
+
     // Admin Authentication
     ADMIN_USERNAME: joi.string().min(3).required(),
     ADMIN_PASSWORD: joi.string().min(12).required().messages({
@@ -230,7 +533,35 @@ export const getConfig = () => {
       enabled: config.BLOCKCHAIN_ENABLED === "true",
       privateKey: config.PRIVATE_KEY,
       contractAddress: config.CONTRACT_ADDRESS,
+      editionsContractAddress: config.EDITIONS_CONTRACT_ADDRESS,
+      paymentTokens: config.PAYMENT_TOKENS,
       rpcUrl: config.RPC_URL,
+      networkId: config.NETWORK_ID,
+      indexedNetworks: config.INDEXED_NETWORKS
+        ? config.INDEXED_NETWORKS.split(",").map((chainId) => chainId.trim())
+        : [],
+      deploymentRegistry: config.DEPLOYMENT_REGISTRY,
+      indexer: {
+        pollIntervalMs: config.INDEXER_POLL_INTERVAL_MS,
+        blockRange: config.INDEXER_BLOCK_RANGE,
+        startBlock: config.INDEXER_START_BLOCK,
+        allowAbiMismatch: config.INDEXER_ALLOW_ABI_MISMATCH,
+      },
+      confirmations: {
+        depth: config.CONFIRMATION_DEPTH,
+        checkIntervalMs: config.REORG_CHECK_INTERVAL_MS,
+        windowBlocks: config.REORG_CHECK_WINDOW_BLOCKS,
+      },
+      earningsReconciliationIntervalMs:
+        config.EARNINGS_RECONCILIATION_INTERVAL_MS,
+      governanceDryRun: config.GOVERNANCE_DRY_RUN === "true",
+      relayer: {
+        forwarderAddress: config.FORWARDER_ADDRESS,
+        privateKey: config.RELAYER_PRIVATE_KEY,
+        dailyQuota: config.RELAYER_DAILY_QUOTA,
+        requestTtlSeconds: config.RELAYER_REQUEST_TTL_SECONDS,
+        minBalance: config.RELAYER_MIN_BALANCE,
+      },
     },
 
     // Storage
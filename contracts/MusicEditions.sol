@@ -0,0 +1,270 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+
+/**
+ * @title MusicEditions
+ * @dev Limited-edition ERC-1155 collectibles, one token ID per track edition
+ */
+contract MusicEditions is ERC1155, Ownable, ReentrancyGuard, Pausable {
+
+    // ===== STRUCTS =====
+
+    struct Edition {
+        uint256 trackId; // MusicStore track ID
+        address artist;
+        uint256 price; // Per token
+        uint256 maxSupply;
+        uint256 minted;
+        bool isActive;
+        string metadataHash; // IPFS hash of the edition metadata
+    }
+
+    // ===== STATE VARIABLES =====
+
+    mapping(uint256 => Edition) public editions;
+    mapping(address => uint256) public artistBalances;
+
+    uint256 public platformFee = 250; // 2.5% (out of 10000)
+    uint256 public constant MAX_PLATFORM_FEE = 1000; // 10% maximum
+    uint256 public constant MAX_EDITION_SUPPLY = 100000;
+    uint256 public nextEditionId = 1;
+    uint256 public totalPlatformFees;
+
+    // ===== EVENTS =====
+
+    event EditionCreated(
+        uint256 indexed editionId,
+        uint256 indexed trackId,
+        address indexed artist,
+        uint256 price,
+        uint256 maxSupply,
+        string metadataHash,
+        uint256 timestamp
+    );
+
+    event EditionMinted(
+        uint256 indexed editionId,
+        address indexed buyer,
+        address indexed artist,
+        uint256 amount,
+        uint256 totalPaid,
+        uint256 artistPayment,
+        uint256 platformFee,
+        uint256 timestamp
+    );
+
+    event EditionUpdated(
+        uint256 indexed editionId,
+        uint256 price,
+        bool isActive,
+        uint256 timestamp
+    );
+
+    event Withdrawal(address indexed artist, uint256 amount, uint256 timestamp);
+    event PlatformFeesWithdrawn(address indexed owner, uint256 amount, uint256 timestamp);
+
+    // ===== MODIFIERS =====
+
+    modifier validEditionId(uint256 editionId) {
+        require(editionId > 0 && editionId < nextEditionId, "Invalid edition ID");
+        _;
+    }
+
+    // ===== CONSTRUCTOR =====
+
+    constructor(address initialOwner) ERC1155("") Ownable(initialOwner) {}
+
+    // ===== EDITION MANAGEMENT =====
+
+    /**
+     * @dev Create a limited edition for a track
+     */
+    function createEdition(
+        uint256 trackId,
+        address artist,
+        uint256 price,
+        uint256 maxSupply,
+        string calldata metadataHash
+    )
+        external
+        onlyOwner
+        whenNotPaused
+        returns (uint256)
+    {
+        require(artist != address(0), "Invalid artist address");
+        require(maxSupply > 0 && maxSupply <= MAX_EDITION_SUPPLY, "Invalid max supply");
+        require(bytes(metadataHash).length > 0, "Metadata hash required");
+
+        uint256 editionId = nextEditionId;
+        nextEditionId += 1;
+
+        editions[editionId] = Edition({
+            trackId: trackId,
+            artist: artist,
+            price: price,
+            maxSupply: maxSupply,
+            minted: 0,
+            isActive: true,
+            metadataHash: metadataHash
+        });
+
+        emit EditionCreated(editionId, trackId, artist, price, maxSupply, metadataHash, block.timestamp);
+        return editionId;
+    }
+
+    /**
+     * @dev Update edition price and availability
+     */
+    function updateEdition(uint256 editionId, uint256 price, bool isActive)
+        external
+        validEditionId(editionId)
+    {
+        Edition storage edition = editions[editionId];
+        require(msg.sender == edition.artist || msg.sender == owner(), "Not authorized");
+
+        edition.price = price;
+        edition.isActive = isActive;
+
+        emit EditionUpdated(editionId, price, isActive, block.timestamp);
+    }
+
+    /**
+     * @dev Mint copies of an edition to the caller
+     */
+    function mint(uint256 editionId, uint256 amount)
+        external
+        payable
+        nonReentrant
+        validEditionId(editionId)
+        whenNotPaused
+    {
+        Edition storage edition = editions[editionId];
+        require(edition.isActive, "Edition not available");
+        require(amount > 0, "Amount must be positive");
+        require(edition.minted + amount <= edition.maxSupply, "Exceeds max supply");
+
+        uint256 totalPrice = edition.price * amount;
+        require(msg.value >= totalPrice, "Insufficient payment");
+
+        uint256 refundAmount = msg.value - totalPrice;
+        uint256 platformFeeAmount = (totalPrice * platformFee) / 10000;
+        uint256 artistPayment = totalPrice - platformFeeAmount;
+
+        edition.minted += amount;
+        artistBalances[edition.artist] += artistPayment;
+        totalPlatformFees += platformFeeAmount;
+
+        emit EditionMinted(
+            editionId,
+            msg.sender,
+            edition.artist,
+            amount,
+            totalPrice,
+            artistPayment,
+            platformFeeAmount,
+            block.timestamp
+        );
+
+        // Emits TransferSingle and calls onERC1155Received for contract buyers
+        _mint(msg.sender, editionId, amount, "");
+
+        if (refundAmount > 0) {
+            (bool refundSuccess, ) = payable(msg.sender).call{value: refundAmount}("");
+            require(refundSuccess, "Refund failed");
+        }
+    }
+
+    // ===== FINANCIAL OPERATIONS =====
+
+    /**
+     * @dev Withdraw artist earnings
+     */
+    function withdrawArtistBalance() external nonReentrant whenNotPaused {
+        uint256 balance = artistBalances[msg.sender];
+        require(balance > 0, "No balance to withdraw");
+
+        artistBalances[msg.sender] = 0;
+
+        (bool success, ) = payable(msg.sender).call{value: balance}("");
+        require(success, "Withdrawal failed");
+
+        emit Withdrawal(msg.sender, balance, block.timestamp);
+    }
+
+    /**
+     * @dev Withdraw platform fees (owner only)
+     */
+    function withdrawPlatformFees() external onlyOwner nonReentrant {
+        uint256 amount = totalPlatformFees;
+        require(amount > 0, "No fees to withdraw");
+
+        totalPlatformFees = 0;
+
+        (bool success, ) = payable(owner()).call{value: amount}("");
+        require(success, "Platform fee withdrawal failed");
+
+        emit PlatformFeesWithdrawn(owner(), amount, block.timestamp);
+    }
+
+    // ===== ADMIN FUNCTIONS =====
+
+    function updatePlatformFee(uint256 newFee) external onlyOwner {
+        require(newFee <= MAX_PLATFORM_FEE, "Fee exceeds maximum");
+        platformFee = newFee;
+    }
+
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    // ===== VIEW FUNCTIONS =====
+
+    /**
+     * @dev Metadata URI for an edition
+     */
+    function uri(uint256 editionId) public view override returns (string memory) {
+        return string.concat("ipfs://", editions[editionId].metadataHash);
+    }
+
+    /**
+     * @dev Copies still available to mint
+     */
+    function remainingSupply(uint256 editionId)
+        external
+        view
+        validEditionId(editionId)
+        returns (uint256)
+    {
+        Edition storage edition = editions[editionId];
+        return edition.maxSupply - edition.minted;
+    }
+
+    // ===== INTERNAL =====
+
+    /**
+     * @dev Block transfers while paused (minting is already guarded)
+     */
+    function _update(
+        address from,
+        address to,
+        uint256[] memory ids,
+        uint256[] memory values
+    ) internal override whenNotPaused {
+        super._update(from, to, ids, values);
+    }
+
+    // ===== FALLBACK =====
+
+    receive() external payable {
+        revert("Direct payments not accepted");
+    }
+}
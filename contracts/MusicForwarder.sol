@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title MusicForwarder
+ * @dev ERC-2771 trusted forwarder for MusicStore: executes requests signed by listeners,
+ * so the platform relayer pays the gas of their purchases
+ */
+contract MusicForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("MusicForwarder") {}
+}
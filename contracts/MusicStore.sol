@@ -3,13 +3,23 @@ pragma solidity ^0.8.20;  // Updated to match OpenZeppelin v5.x
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts/utils/introspection/ERC165.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 /**
  * @title MusicStore
- * @dev Secure decentralized music marketplace with comprehensive security measures
+ * @dev Secure decentralized music marketplace with comprehensive security measures.
+ * Calls relayed by the trusted ERC-2771 forwarder act for the wallet that signed them.
  */
-contract MusicStore is Ownable, ReentrancyGuard, Pausable {
+contract MusicStore is Ownable, ReentrancyGuard, Pausable, ERC165, IERC2981, EIP712, ERC2771Context {
+    using SafeERC20 for IERC20;
     
     // ===== STRUCTS =====
     
@@ -28,6 +38,42 @@ contract MusicStore is Ownable, ReentrancyGuard, Pausable {
         bool isVerified;
         uint256 joinedAt;
     }
+    
+    struct Bundle {
+        uint256 price;
+        bool isActive;
+        uint256 totalSales;
+        uint256[] trackIds; // In album order
+    }
+    
+    struct Split {
+        address payee;
+        uint256 shares; // Basis points (out of 10000)
+    }
+    
+    // Platform-signed permission for an artist to list a track themselves (EIP-712)
+    struct ListingVoucher {
+        uint256 price;
+        address artist;
+        string metadataHash;
+        uint256 expiry;
+        uint256 nonce;
+    }
+    
+    struct Coupon {
+        uint256 trackId;
+        address buyer;
+        uint256 price; // Discounted price
+        bytes32 campaignId;
+        uint256 expiry;
+        uint256 nonce;
+    }
+    
+    struct Listing {
+        uint256 price;
+        bool isActive;
+        uint256 listedAt;
+    }
 
     // ===== STATE VARIABLES =====
     
@@ -36,12 +82,42 @@ contract MusicStore is Ownable, ReentrancyGuard, Pausable {
     mapping(address => uint256) public artistBalances;
     mapping(address => ArtistInfo) public artists;
     mapping(address => bool) public authorizedOperators; // For platform operations
+    mapping(uint256 => uint256) public trackRoyalties; // Resale royalty per track (out of 10000)
+    mapping(uint256 => mapping(address => Listing)) public listings; // trackId => seller => listing
+    mapping(address => uint256) public sellerBalances; // Resale proceeds awaiting withdrawal
+    mapping(uint256 => Split[]) private trackSplits; // Collaborator splits (empty = 100% to artist)
+    
+    // ERC-20 pricing: a track is priced in ETH (address(0)) or one allow-listed token
+    mapping(address => bool) public allowedTokens;
+    mapping(uint256 => address) public trackTokens;
+    mapping(address => mapping(address => uint256)) public tokenBalances; // token => payee => earnings
+    mapping(address => uint256) public tokenPlatformFees; // token => fees
     
     uint256 public platformFee = 250; // 2.5% (out of 10000)
     uint256 public constant MAX_PLATFORM_FEE = 1000; // 10% maximum
     uint256 public constant MIN_TRACK_PRICE = 0.001 ether; // Minimum track price
     uint256 public constant MAX_TRACK_PRICE = 100 ether; // Maximum track price
+    uint256 public defaultRoyalty = 1000; // 10% (out of 10000), applied to new tracks
+    uint256 public constant MAX_ROYALTY = 2000; // 20% maximum
+    uint256 public constant MAX_SPLIT_PAYEES = 10;
+    uint256 public constant MAX_BUNDLE_TRACKS = 50;
+    mapping(uint256 => Bundle) private bundles;
+    uint256 public nextBundleId = 1;
     uint256 public nextTrackId = 1;
+    address public voucherSigner; // Signs listing vouchers (artist self-listing and lazy listing)
+    mapping(uint256 => bool) public usedVoucherNonces; // Listing voucher and coupon nonces
+    
+    bytes32 private constant LISTING_VOUCHER_TYPEHASH = keccak256(
+        "ListingVoucher(uint256 price,address artist,string metadataHash,uint256 expiry,uint256 nonce)"
+    );
+    // Lazy listings are signed as their own type, so an artist's self-listing
+    // voucher cannot be redeemed through purchaseWithVoucher (and vice versa)
+    bytes32 private constant LAZY_LISTING_VOUCHER_TYPEHASH = keccak256(
+        "LazyListingVoucher(uint256 price,address artist,string metadataHash,uint256 expiry,uint256 nonce)"
+    );
+    bytes32 private constant COUPON_TYPEHASH = keccak256(
+        "Coupon(uint256 trackId,address buyer,uint256 price,bytes32 campaignId,uint256 expiry,uint256 nonce)"
+    );
     uint256 public totalPlatformFees;
     
     // ===== EVENTS =====
@@ -61,6 +137,19 @@ contract MusicStore is Ownable, ReentrancyGuard, Pausable {
         uint256 price,
         uint256 artistPayment,
         uint256 platformFee,
+        uint256 timestamp,
+        address payer, // Differs from buyer for gifts
+        address token // address(0) for ETH
+    );
+    
+    event VoucherTrackPurchased(
+        uint256 indexed trackId,
+        uint256 indexed voucherNonce,
+        address indexed buyer,
+        address artist,
+        uint256 price,
+        uint256 artistPayment,
+        uint256 platformFee,
         uint256 timestamp
     );
     
@@ -85,6 +174,91 @@ contract MusicStore is Ownable, ReentrancyGuard, Pausable {
         uint256 timestamp
     );
     
+    event PurchaseListed(
+        uint256 indexed trackId,
+        address indexed seller,
+        uint256 price,
+        uint256 timestamp
+    );
+    
+    event ListingCancelled(
+        uint256 indexed trackId,
+        address indexed seller,
+        uint256 timestamp
+    );
+    
+    event PurchaseResold(
+        uint256 indexed trackId,
+        address indexed seller,
+        address indexed buyer,
+        uint256 price,
+        uint256 royaltyAmount,
+        uint256 platformFee,
+        uint256 sellerProceeds,
+        uint256 timestamp
+    );
+    
+    event BundleCreated(
+        uint256 indexed bundleId,
+        uint256 price,
+        uint256[] trackIds,
+        uint256 timestamp
+    );
+    
+    event BundleUpdated(
+        uint256 indexed bundleId,
+        uint256 price,
+        bool isActive,
+        uint256 timestamp
+    );
+    
+    event BundlePurchased(
+        uint256 indexed bundleId,
+        address indexed buyer,
+        uint256 price,
+        uint256 trackCount,
+        uint256 timestamp
+    );
+    
+    event TrackSplitsUpdated(
+        uint256 indexed trackId,
+        address[] payees,
+        uint256[] shares,
+        uint256 timestamp
+    );
+    
+    event EarningsCredited(
+        uint256 indexed trackId,
+        address indexed payee,
+        uint256 amount,
+        uint256 shares,
+        uint256 timestamp,
+        address token // address(0) for ETH
+    );
+    
+    event PaymentTokenUpdated(address indexed token, bool allowed, uint256 timestamp);
+    event TrackPaymentTokenSet(
+        uint256 indexed trackId,
+        address indexed token,
+        uint256 price,
+        uint256 timestamp
+    );
+    event TokenWithdrawal(address indexed payee, address indexed token, uint256 amount, uint256 timestamp);
+    event TokenPlatformFeesWithdrawn(address indexed owner, address indexed token, uint256 amount, uint256 timestamp);
+    
+    event SellerWithdrawal(address indexed seller, uint256 amount, uint256 timestamp);
+    event TrackRoyaltyUpdated(uint256 indexed trackId, uint256 royalty, uint256 timestamp);
+    event VoucherSignerUpdated(address indexed signer, uint256 timestamp);
+    event VoucherCancelled(uint256 indexed nonce, uint256 timestamp);
+    event CouponRedeemed(
+        uint256 indexed trackId,
+        address indexed buyer,
+        bytes32 indexed campaignId,
+        uint256 nonce,
+        uint256 originalPrice,
+        uint256 paidPrice,
+        uint256 timestamp
+    );
     event ArtistVerified(address indexed artist, uint256 timestamp);
     event OperatorAdded(address indexed operator, uint256 timestamp);
     event OperatorRemoved(address indexed operator, uint256 timestamp);
@@ -95,9 +269,9 @@ contract MusicStore is Ownable, ReentrancyGuard, Pausable {
     modifier onlyArtistOrOwner(uint256 trackId) {
         Track storage track = tracks[trackId];
         require(
-            track.artist == msg.sender || 
-            msg.sender == owner() || 
-            authorizedOperators[msg.sender],
+            track.artist == _msgSender() || 
+            _msgSender() == owner() || 
+            authorizedOperators[_msgSender()],
             "Not authorized"
         );
         _;
@@ -115,8 +289,13 @@ contract MusicStore is Ownable, ReentrancyGuard, Pausable {
 
     // ===== CONSTRUCTOR =====
     
-    constructor(address initialOwner) Ownable(initialOwner) {
+    constructor(address initialOwner, address trustedForwarder) 
+        Ownable(initialOwner) 
+        EIP712("MusicStore", "1") 
+        ERC2771Context(trustedForwarder) 
+    {
         // OpenZeppelin v5.x requires explicit owner in constructor
+        voucherSigner = initialOwner;
     }
 
     // ===== TRACK MANAGEMENT =====
@@ -134,6 +313,53 @@ contract MusicStore is Ownable, ReentrancyGuard, Pausable {
         validPrice(price) 
         whenNotPaused 
         returns (uint256) 
+    {
+        return _addTrack(price, artist, metadataHash);
+    }
+    
+    /**
+     * @dev Add a track priced in an allow-listed ERC-20 (price in token units)
+     */
+    function addTokenTrack(
+        uint256 price, 
+        address artist, 
+        string calldata metadataHash,
+        address token
+    ) 
+        external 
+        onlyOwner 
+        whenNotPaused 
+        returns (uint256) 
+    {
+        uint256 trackId = _addTrack(price, artist, metadataHash);
+        _setTrackToken(trackId, token, price);
+        return trackId;
+    }
+    
+    /**
+     * @dev Artist lists their own track with a platform-signed voucher, paying their own gas
+     */
+    function addTrackWithVoucher(ListingVoucher calldata voucher, bytes calldata signature) 
+        external 
+        validPrice(voucher.price) 
+        whenNotPaused 
+        returns (uint256) 
+    {
+        require(_msgSender() == voucher.artist, "Voucher issued to another artist");
+        require(block.timestamp <= voucher.expiry, "Voucher expired");
+        require(!usedVoucherNonces[voucher.nonce], "Voucher already used");
+        require(
+            _recoverVoucherSigner(LISTING_VOUCHER_TYPEHASH, voucher, signature) == voucherSigner,
+            "Invalid voucher signature"
+        );
+        
+        usedVoucherNonces[voucher.nonce] = true;
+        return _addTrack(voucher.price, voucher.artist, voucher.metadataHash);
+    }
+    
+    function _addTrack(uint256 price, address artist, string calldata metadataHash) 
+        internal 
+        returns (uint256) 
     {
         require(artist != address(0), "Invalid artist address");
         require(bytes(metadataHash).length > 0, "Metadata hash required");
@@ -149,6 +375,7 @@ contract MusicStore is Ownable, ReentrancyGuard, Pausable {
             createdAt: block.timestamp,
             metadataHash: metadataHash
         });
+        trackRoyalties[trackId] = defaultRoyalty;
         
         // Update artist info
         if (artists[artist].joinedAt == 0) {
@@ -169,40 +396,299 @@ contract MusicStore is Ownable, ReentrancyGuard, Pausable {
         nonReentrant 
         validTrackId(trackId) 
         whenNotPaused 
+    {
+        _purchaseTrack(trackId, tracks[trackId].price, _msgSender());
+    }
+    
+    /**
+     * @dev Gift a track: the caller pays, recipient gets the purchase
+     */
+    function purchaseTrackFor(uint256 trackId, address recipient) 
+        external 
+        payable 
+        nonReentrant 
+        validTrackId(trackId) 
+        whenNotPaused 
+    {
+        require(recipient != address(0), "Invalid recipient");
+        _purchaseTrack(trackId, tracks[trackId].price, recipient);
+    }
+    
+    /**
+     * @dev Purchase a token-priced track; the price is pulled with transferFrom (approve first)
+     */
+    function purchaseTrackWithToken(uint256 trackId) 
+        external 
+        nonReentrant 
+        validTrackId(trackId) 
+        whenNotPaused 
+    {
+        _purchaseTrackWithToken(trackId, _msgSender());
+    }
+    
+    /**
+     * @dev Gift a token-priced track: the caller pays, recipient gets the purchase
+     */
+    function purchaseTrackForWithToken(uint256 trackId, address recipient) 
+        external 
+        nonReentrant 
+        validTrackId(trackId) 
+        whenNotPaused 
+    {
+        require(recipient != address(0), "Invalid recipient");
+        _purchaseTrackWithToken(trackId, recipient);
+    }
+    
+    /**
+     * @dev Purchase a token-priced track with an EIP-2612 permit instead of a prior approve,
+     * so a purchase relayed through the forwarder needs no transaction from the buyer.
+     * `value` caps what the buyer agreed to pay; a higher price fails the transfer.
+     */
+    function purchaseTrackWithPermit(
+        uint256 trackId,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) 
+        external 
+        nonReentrant 
+        validTrackId(trackId) 
+        whenNotPaused 
+    {
+        address token = trackTokens[trackId];
+        require(token != address(0), "Track priced in ETH");
+        
+        // A permit front-run from the mempool has already set the allowance
+        try IERC20Permit(token).permit(_msgSender(), address(this), value, deadline, v, r, s) {} catch {}
+        _purchaseTrackWithToken(trackId, _msgSender());
+    }
+    
+    /**
+     * @dev Purchase a track at a discounted price with a platform-signed coupon
+     */
+    function purchaseWithCoupon(Coupon calldata coupon, bytes calldata signature) 
+        external 
+        payable 
+        nonReentrant 
+        validTrackId(coupon.trackId) 
+        whenNotPaused 
+    {
+        require(_msgSender() == coupon.buyer, "Coupon issued to another buyer");
+        require(block.timestamp <= coupon.expiry, "Coupon expired");
+        require(!usedVoucherNonces[coupon.nonce], "Coupon already used");
+        require(coupon.price <= tracks[coupon.trackId].price, "Coupon price above track price");
+        require(_recoverCouponSigner(coupon, signature) == voucherSigner, "Invalid coupon signature");
+        
+        usedVoucherNonces[coupon.nonce] = true;
+        
+        emit CouponRedeemed(
+            coupon.trackId,
+            _msgSender(),
+            coupon.campaignId,
+            coupon.nonce,
+            tracks[coupon.trackId].price,
+            coupon.price,
+            block.timestamp
+        );
+        _purchaseTrack(coupon.trackId, coupon.price, _msgSender());
+    }
+    
+    /**
+     * @dev Lazy listing: register a voucher track and buy it in one call (first buyer pays the gas)
+     */
+    function purchaseWithVoucher(ListingVoucher calldata voucher, bytes calldata signature) 
+        external 
+        payable 
+        nonReentrant 
+        validPrice(voucher.price) 
+        whenNotPaused 
+        returns (uint256) 
+    {
+        require(block.timestamp <= voucher.expiry, "Voucher expired");
+        require(!usedVoucherNonces[voucher.nonce], "Voucher already used");
+        require(
+            _recoverVoucherSigner(LAZY_LISTING_VOUCHER_TYPEHASH, voucher, signature) == voucherSigner,
+            "Invalid voucher signature"
+        );
+        
+        usedVoucherNonces[voucher.nonce] = true;
+        uint256 trackId = _addTrack(voucher.price, voucher.artist, voucher.metadataHash);
+        (uint256 artistPayment, uint256 platformFeeAmount) = _purchaseTrack(trackId, voucher.price, _msgSender());
+        
+        emit VoucherTrackPurchased(
+            trackId,
+            voucher.nonce,
+            _msgSender(),
+            voucher.artist,
+            voucher.price,
+            artistPayment,
+            platformFeeAmount,
+            block.timestamp
+        );
+        return trackId;
+    }
+    
+    function _purchaseTrack(uint256 trackId, uint256 trackPrice, address recipient) 
+        internal 
+        returns (uint256 artistPayment, uint256 platformFeeAmount) 
+    {
+        require(trackTokens[trackId] == address(0), "Track priced in a token");
+        require(msg.value >= trackPrice, "Insufficient payment");
+        
+        (artistPayment, platformFeeAmount) = _recordPurchase(trackId, trackPrice, recipient);
+        
+        // EXTERNAL INTERACTIONS LAST (refund excess payment)
+        uint256 refundAmount = msg.value - trackPrice;
+        if (refundAmount > 0) {
+            (bool refundSuccess, ) = payable(_msgSender()).call{value: refundAmount}("");
+            require(refundSuccess, "Refund failed");
+        }
+    }
+    
+    function _purchaseTrackWithToken(uint256 trackId, address recipient) internal {
+        address token = trackTokens[trackId];
+        require(token != address(0), "Track priced in ETH");
+        require(allowedTokens[token], "Payment token not allowed");
+        
+        uint256 trackPrice = tracks[trackId].price;
+        _recordPurchase(trackId, trackPrice, recipient);
+        
+        // EXTERNAL INTERACTION LAST
+        IERC20(token).safeTransferFrom(_msgSender(), address(this), trackPrice);
+    }
+    
+    /**
+     * @dev Grant recipient a track paid at trackPrice by the caller, in the track's currency;
+     * the caller collects the payment
+     */
+    function _recordPurchase(uint256 trackId, uint256 trackPrice, address recipient) 
+        internal 
+        returns (uint256 artistPayment, uint256 platformFeeAmount) 
     {
         Track storage track = tracks[trackId];
         require(track.isActive, "Track not available");
-        require(msg.value >= track.price, "Insufficient payment");
-        require(!purchases[msg.sender][trackId], "Already purchased");
-        require(msg.sender != track.artist, "Artists cannot purchase own tracks");
+        require(!purchases[recipient][trackId], "Already purchased");
+        require(recipient != track.artist, "Artists cannot purchase own tracks");
         
         // Calculate amounts FIRST (before state changes)
-        uint256 trackPrice = track.price;
-        uint256 refundAmount = msg.value - trackPrice;
-        uint256 platformFeeAmount = (trackPrice * platformFee) / 10000;
-        uint256 artistPayment = trackPrice - platformFeeAmount;
+        platformFeeAmount = (trackPrice * platformFee) / 10000;
+        artistPayment = trackPrice - platformFeeAmount;
         
         // UPDATE STATE (follow checks-effects-interactions pattern)
-        purchases[msg.sender][trackId] = true;
+        address token = trackTokens[trackId];
+        purchases[recipient][trackId] = true;
         track.totalSales += 1;
-        artistBalances[track.artist] += artistPayment;
-        artists[track.artist].totalEarnings += artistPayment;
-        totalPlatformFees += platformFeeAmount;
+        _creditArtistPayment(trackId, track.artist, artistPayment, token);
+        if (token == address(0)) {
+            totalPlatformFees += platformFeeAmount;
+        } else {
+            tokenPlatformFees[token] += platformFeeAmount;
+        }
         
         // EMIT EVENT
         emit TrackPurchased(
             trackId, 
-            msg.sender, 
+            recipient, 
             track.artist,
             trackPrice,
             artistPayment,
             platformFeeAmount,
-            block.timestamp
+            block.timestamp,
+            _msgSender(),
+            token
         );
+    }
+    
+    // ===== BUNDLES =====
+    
+    /**
+     * @dev Create an album or bundle sold at one price (owner only)
+     */
+    function createBundle(uint256[] calldata trackIds, uint256 price) 
+        external 
+        onlyOwner 
+        validPrice(price) 
+        whenNotPaused 
+        returns (uint256) 
+    {
+        require(trackIds.length >= 2 && trackIds.length <= MAX_BUNDLE_TRACKS, "Invalid bundle size");
+        for (uint256 i = 0; i < trackIds.length; i++) {
+            require(trackIds[i] > 0 && trackIds[i] < nextTrackId, "Invalid track ID");
+            require(trackTokens[trackIds[i]] == address(0), "Track priced in a token");
+            for (uint256 j = 0; j < i; j++) {
+                require(trackIds[j] != trackIds[i], "Duplicate track");
+            }
+        }
         
-        // EXTERNAL INTERACTIONS LAST (refund excess payment)
+        uint256 bundleId = nextBundleId;
+        nextBundleId += 1;
+        
+        Bundle storage bundle = bundles[bundleId];
+        bundle.price = price;
+        bundle.isActive = true;
+        bundle.trackIds = trackIds;
+        
+        emit BundleCreated(bundleId, price, trackIds, block.timestamp);
+        return bundleId;
+    }
+    
+    /**
+     * @dev Update bundle price and availability (owner only)
+     */
+    function updateBundle(uint256 bundleId, uint256 price, bool isActive) 
+        external 
+        onlyOwner 
+        validPrice(price) 
+    {
+        require(bundleId > 0 && bundleId < nextBundleId, "Invalid bundle ID");
+        Bundle storage bundle = bundles[bundleId];
+        bundle.price = price;
+        bundle.isActive = isActive;
+        
+        emit BundleUpdated(bundleId, price, isActive, block.timestamp);
+    }
+    
+    /**
+     * @dev Buy every track of a bundle at the bundle price.
+     * The price is shared across tracks in proportion to their own prices,
+     * and each track is credited like a single purchase (TrackPurchased).
+     */
+    function purchaseBundle(uint256 bundleId) 
+        external 
+        payable 
+        nonReentrant 
+        whenNotPaused 
+    {
+        require(bundleId > 0 && bundleId < nextBundleId, "Invalid bundle ID");
+        Bundle storage bundle = bundles[bundleId];
+        require(bundle.isActive, "Bundle not available");
+        require(msg.value >= bundle.price, "Insufficient payment");
+        
+        uint256[] storage trackIds = bundle.trackIds;
+        uint256 listTotal;
+        for (uint256 i = 0; i < trackIds.length; i++) {
+            require(trackTokens[trackIds[i]] == address(0), "Track priced in a token");
+            listTotal += tracks[trackIds[i]].price;
+        }
+        
+        // The last track takes the rounding remainder
+        uint256 allocated;
+        for (uint256 i = 0; i < trackIds.length; i++) {
+            uint256 share = i == trackIds.length - 1
+                ? bundle.price - allocated
+                : (bundle.price * tracks[trackIds[i]].price) / listTotal;
+            allocated += share;
+            _recordPurchase(trackIds[i], share, _msgSender());
+        }
+        bundle.totalSales += 1;
+        
+        emit BundlePurchased(bundleId, _msgSender(), bundle.price, trackIds.length, block.timestamp);
+        
+        uint256 refundAmount = msg.value - bundle.price;
         if (refundAmount > 0) {
-            (bool refundSuccess, ) = payable(msg.sender).call{value: refundAmount}("");
+            (bool refundSuccess, ) = payable(_msgSender()).call{value: refundAmount}("");
             require(refundSuccess, "Refund failed");
         }
     }
@@ -214,9 +700,9 @@ contract MusicStore is Ownable, ReentrancyGuard, Pausable {
         external 
         validTrackId(trackId) 
         onlyArtistOrOwner(trackId) 
-        validPrice(newPrice) 
         whenNotPaused 
     {
+        _checkTrackPrice(trackTokens[trackId], newPrice);
         Track storage track = tracks[trackId];
         uint256 oldPrice = track.price;
         track.price = newPrice;
@@ -254,23 +740,204 @@ contract MusicStore is Ownable, ReentrancyGuard, Pausable {
         );
     }
 
+    /**
+     * @dev Switch a track between ETH (address(0)) and an allow-listed token, with its new price
+     */
+    function setTrackPaymentToken(uint256 trackId, address token, uint256 price) 
+        external 
+        validTrackId(trackId) 
+        onlyArtistOrOwner(trackId) 
+        whenNotPaused 
+    {
+        tracks[trackId].price = price;
+        _setTrackToken(trackId, token, price);
+    }
+
+    /**
+     * @dev Update the resale royalty of a track (artist or owner only)
+     */
+    function setTrackRoyalty(uint256 trackId, uint256 royalty) 
+        external 
+        validTrackId(trackId) 
+        onlyArtistOrOwner(trackId) 
+    {
+        require(royalty <= MAX_ROYALTY, "Royalty exceeds maximum");
+        trackRoyalties[trackId] = royalty;
+        emit TrackRoyaltyUpdated(trackId, royalty, block.timestamp);
+    }
+
+    /**
+     * @dev Set collaborator revenue splits (artist or owner only)
+     * Shares are basis points summing to 10000; empty arrays pay 100% to the artist
+     */
+    function setTrackSplits(
+        uint256 trackId, 
+        address[] calldata payees, 
+        uint256[] calldata shares
+    ) 
+        external 
+        validTrackId(trackId) 
+        onlyArtistOrOwner(trackId) 
+        whenNotPaused 
+    {
+        require(payees.length == shares.length, "Length mismatch");
+        require(payees.length <= MAX_SPLIT_PAYEES, "Too many payees");
+        
+        delete trackSplits[trackId];
+        
+        uint256 totalShares;
+        for (uint256 i = 0; i < payees.length; i++) {
+            require(payees[i] != address(0), "Invalid payee address");
+            require(shares[i] > 0, "Shares must be positive");
+            totalShares += shares[i];
+            trackSplits[trackId].push(Split({payee: payees[i], shares: shares[i]}));
+        }
+        require(payees.length == 0 || totalShares == 10000, "Shares must sum to 10000");
+        
+        emit TrackSplitsUpdated(trackId, payees, shares, block.timestamp);
+    }
+
+    // ===== RESALE MARKETPLACE =====
+    
+    /**
+     * @dev List a purchased track for resale
+     */
+    function listPurchase(uint256 trackId, uint256 price) 
+        external 
+        validTrackId(trackId) 
+        validPrice(price) 
+        whenNotPaused 
+    {
+        require(purchases[_msgSender()][trackId], "Not purchased");
+        
+        listings[trackId][_msgSender()] = Listing({
+            price: price,
+            isActive: true,
+            listedAt: block.timestamp
+        });
+        
+        emit PurchaseListed(trackId, _msgSender(), price, block.timestamp);
+    }
+    
+    /**
+     * @dev Withdraw a resale listing
+     */
+    function cancelListing(uint256 trackId) external validTrackId(trackId) {
+        require(listings[trackId][_msgSender()].isActive, "Not listed");
+        
+        delete listings[trackId][_msgSender()];
+        
+        emit ListingCancelled(trackId, _msgSender(), block.timestamp);
+    }
+    
+    /**
+     * @dev Buy a listed purchase right; royalty goes to the artist, fee to the platform
+     */
+    function buyResale(uint256 trackId, address seller) 
+        external 
+        payable 
+        nonReentrant 
+        validTrackId(trackId) 
+        whenNotPaused 
+    {
+        Listing memory listing = listings[trackId][seller];
+        Track storage track = tracks[trackId];
+        require(listing.isActive, "Not listed");
+        require(purchases[seller][trackId], "Seller no longer owns track");
+        require(_msgSender() != seller, "Cannot buy own listing");
+        require(!purchases[_msgSender()][trackId], "Already purchased");
+        require(_msgSender() != track.artist, "Artists cannot purchase own tracks");
+        require(msg.value >= listing.price, "Insufficient payment");
+        
+        uint256 refundAmount = msg.value - listing.price;
+        (, uint256 royaltyAmount) = royaltyInfo(trackId, listing.price);
+        uint256 platformFeeAmount = (listing.price * platformFee) / 10000;
+        uint256 sellerProceeds = listing.price - royaltyAmount - platformFeeAmount;
+        
+        // Move the purchase right to the buyer
+        delete listings[trackId][seller];
+        purchases[seller][trackId] = false;
+        purchases[_msgSender()][trackId] = true;
+        
+        _creditArtistPayment(trackId, track.artist, royaltyAmount, address(0));
+        totalPlatformFees += platformFeeAmount;
+        sellerBalances[seller] += sellerProceeds;
+        
+        emit PurchaseResold(
+            trackId,
+            seller,
+            _msgSender(),
+            listing.price,
+            royaltyAmount,
+            platformFeeAmount,
+            sellerProceeds,
+            block.timestamp
+        );
+        
+        if (refundAmount > 0) {
+            (bool refundSuccess, ) = payable(_msgSender()).call{value: refundAmount}("");
+            require(refundSuccess, "Refund failed");
+        }
+    }
+
     // ===== FINANCIAL OPERATIONS =====
     
     /**
      * @dev Withdraw artist earnings (SECURE VERSION)
      */
     function withdrawArtistBalance() external nonReentrant whenNotPaused {
-        uint256 balance = artistBalances[msg.sender];
+        uint256 balance = artistBalances[_msgSender()];
         require(balance > 0, "No balance to withdraw");
         
         // UPDATE STATE FIRST
-        artistBalances[msg.sender] = 0;
+        artistBalances[_msgSender()] = 0;
         
         // EXTERNAL INTERACTION LAST
-        (bool success, ) = payable(msg.sender).call{value: balance}("");
+        (bool success, ) = payable(_msgSender()).call{value: balance}("");
         require(success, "Withdrawal failed");
         
-        emit Withdrawal(msg.sender, balance, block.timestamp);
+        emit Withdrawal(_msgSender(), balance, block.timestamp);
+    }
+    
+    /**
+     * @dev Withdraw resale proceeds
+     */
+    function withdrawSellerBalance() external nonReentrant whenNotPaused {
+        uint256 balance = sellerBalances[_msgSender()];
+        require(balance > 0, "No balance to withdraw");
+        
+        sellerBalances[_msgSender()] = 0;
+        
+        (bool success, ) = payable(_msgSender()).call{value: balance}("");
+        require(success, "Withdrawal failed");
+        
+        emit SellerWithdrawal(_msgSender(), balance, block.timestamp);
+    }
+    
+    /**
+     * @dev Withdraw earnings in an ERC-20 payment token
+     */
+    function withdrawTokenBalance(address token) external nonReentrant whenNotPaused {
+        uint256 balance = tokenBalances[token][_msgSender()];
+        require(balance > 0, "No balance to withdraw");
+        
+        tokenBalances[token][_msgSender()] = 0;
+        IERC20(token).safeTransfer(_msgSender(), balance);
+        
+        emit TokenWithdrawal(_msgSender(), token, balance, block.timestamp);
+    }
+    
+    /**
+     * @dev Withdraw platform fees collected in an ERC-20 payment token (owner only)
+     */
+    function withdrawTokenPlatformFees(address token) external onlyOwner nonReentrant {
+        uint256 amount = tokenPlatformFees[token];
+        require(amount > 0, "No fees to withdraw");
+        
+        tokenPlatformFees[token] = 0;
+        IERC20(token).safeTransfer(owner(), amount);
+        
+        emit TokenPlatformFeesWithdrawn(owner(), token, amount, block.timestamp);
     }
     
     /**
@@ -314,6 +981,42 @@ contract MusicStore is Ownable, ReentrancyGuard, Pausable {
         platformFee = newFee;
     }
     
+    /**
+     * @dev Allow or disallow an ERC-20 payment token (owner only)
+     * Disallowed tokens stop new purchases; earned balances stay withdrawable
+     */
+    function setPaymentToken(address token, bool allowed) external onlyOwner {
+        require(token != address(0), "Invalid token address");
+        allowedTokens[token] = allowed;
+        emit PaymentTokenUpdated(token, allowed, block.timestamp);
+    }
+    
+    /**
+     * @dev Change the listing voucher signer (owner only)
+     */
+    function setVoucherSigner(address signer) external onlyOwner {
+        require(signer != address(0), "Invalid signer address");
+        voucherSigner = signer;
+        emit VoucherSignerUpdated(signer, block.timestamp);
+    }
+    
+    /**
+     * @dev Revoke an unredeemed listing voucher (owner only)
+     */
+    function cancelVoucher(uint256 nonce) external onlyOwner {
+        require(!usedVoucherNonces[nonce], "Voucher already used");
+        usedVoucherNonces[nonce] = true;
+        emit VoucherCancelled(nonce, block.timestamp);
+    }
+    
+    /**
+     * @dev Update royalty applied to newly added tracks (owner only)
+     */
+    function updateDefaultRoyalty(uint256 newRoyalty) external onlyOwner {
+        require(newRoyalty <= MAX_ROYALTY, "Royalty exceeds maximum");
+        defaultRoyalty = newRoyalty;
+    }
+    
     /**
      * @dev Add authorized operator
      */
@@ -444,6 +1147,30 @@ contract MusicStore is Ownable, ReentrancyGuard, Pausable {
         );
     }
     
+    /**
+     * @dev EIP-2981 royalty for a resale of `trackId` at `salePrice`
+     */
+    function royaltyInfo(uint256 trackId, uint256 salePrice) 
+        public 
+        view 
+        override 
+        returns (address receiver, uint256 royaltyAmount) 
+    {
+        return (tracks[trackId].artist, (salePrice * trackRoyalties[trackId]) / 10000);
+    }
+    
+    /**
+     * @dev ERC-165 support (advertises EIP-2981)
+     */
+    function supportsInterface(bytes4 interfaceId) 
+        public 
+        view 
+        override(ERC165, IERC165) 
+        returns (bool) 
+    {
+        return interfaceId == type(IERC2981).interfaceId || super.supportsInterface(interfaceId);
+    }
+    
     /**
      * @dev Calculate purchase details
      */
@@ -463,6 +1190,139 @@ contract MusicStore is Ownable, ReentrancyGuard, Pausable {
         return (price, fee, price - fee);
     }
 
+    /**
+     * @dev Get a bundle and its tracks in order
+     */
+    function getBundle(uint256 bundleId) 
+        external 
+        view 
+        returns (uint256 price, bool isActive, uint256 totalSales, uint256[] memory trackIds) 
+    {
+        require(bundleId > 0 && bundleId < nextBundleId, "Invalid bundle ID");
+        Bundle storage bundle = bundles[bundleId];
+        return (bundle.price, bundle.isActive, bundle.totalSales, bundle.trackIds);
+    }
+    
+    /**
+     * @dev Get collaborator splits of a track
+     */
+    function getTrackSplits(uint256 trackId) 
+        external 
+        view 
+        validTrackId(trackId) 
+        returns (address[] memory payees, uint256[] memory shares) 
+    {
+        Split[] storage splits = trackSplits[trackId];
+        payees = new address[](splits.length);
+        shares = new uint256[](splits.length);
+        for (uint256 i = 0; i < splits.length; i++) {
+            payees[i] = splits[i].payee;
+            shares[i] = splits[i].shares;
+        }
+    }
+
+    // ===== INTERNAL =====
+    
+    function _recoverVoucherSigner(bytes32 typehash, ListingVoucher calldata voucher, bytes calldata signature) 
+        internal 
+        view 
+        returns (address) 
+    {
+        bytes32 structHash = keccak256(abi.encode(
+            typehash,
+            voucher.price,
+            voucher.artist,
+            keccak256(bytes(voucher.metadataHash)),
+            voucher.expiry,
+            voucher.nonce
+        ));
+        return ECDSA.recover(_hashTypedDataV4(structHash), signature);
+    }
+    
+    function _recoverCouponSigner(Coupon calldata coupon, bytes calldata signature) 
+        internal 
+        view 
+        returns (address) 
+    {
+        bytes32 structHash = keccak256(abi.encode(
+            COUPON_TYPEHASH,
+            coupon.trackId,
+            coupon.buyer,
+            coupon.price,
+            coupon.campaignId,
+            coupon.expiry,
+            coupon.nonce
+        ));
+        return ECDSA.recover(_hashTypedDataV4(structHash), signature);
+    }
+    
+    function _setTrackToken(uint256 trackId, address token, uint256 price) internal {
+        require(token == address(0) || allowedTokens[token], "Payment token not allowed");
+        _checkTrackPrice(token, price);
+        trackTokens[trackId] = token;
+        emit TrackPaymentTokenSet(trackId, token, price, block.timestamp);
+    }
+    
+    /**
+     * @dev ETH prices use the MIN/MAX_TRACK_PRICE range; token decimals vary, so token prices only need to be positive
+     */
+    function _checkTrackPrice(address token, uint256 price) internal pure {
+        if (token == address(0)) {
+            require(price >= MIN_TRACK_PRICE && price <= MAX_TRACK_PRICE, "Invalid price range");
+        } else {
+            require(price > 0, "Invalid price range");
+        }
+    }
+    
+    /**
+     * @dev Credit artist revenue in ETH (address(0)) or a token, honoring collaborator splits
+     * The last payee receives any rounding remainder
+     */
+    function _creditArtistPayment(uint256 trackId, address artist, uint256 amount, address token) internal {
+        Split[] storage splits = trackSplits[trackId];
+        
+        if (splits.length == 0) {
+            _creditPayee(artist, amount, token);
+            emit EarningsCredited(trackId, artist, amount, 10000, block.timestamp, token);
+            return;
+        }
+        
+        uint256 remaining = amount;
+        for (uint256 i = 0; i < splits.length; i++) {
+            uint256 share = i == splits.length - 1
+                ? remaining
+                : (amount * splits[i].shares) / 10000;
+            remaining -= share;
+            
+            _creditPayee(splits[i].payee, share, token);
+            emit EarningsCredited(trackId, splits[i].payee, share, splits[i].shares, block.timestamp, token);
+        }
+    }
+    
+    // artists[].totalEarnings stays an ETH total
+    function _creditPayee(address payee, uint256 amount, address token) internal {
+        if (token == address(0)) {
+            artistBalances[payee] += amount;
+            artists[payee].totalEarnings += amount;
+        } else {
+            tokenBalances[token][payee] += amount;
+        }
+    }
+
+    // ===== ERC-2771 =====
+    
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+    
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+    
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
+
     // ===== FALLBACK =====
     
     /**
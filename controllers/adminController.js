@@ -1,4 +1,12 @@
+import mongoose from "mongoose";
 import TrackService from "../services/TrackService.js";
+import LedgerService from "../services/LedgerService.js";
+import GovernanceService from "../services/GovernanceService.js";
+import EarningsReconciliationService from "../services/EarningsReconciliationService.js";
+import Withdrawal from "../models/Withdrawal.js";
+import FailedEvent from "../models/FailedEvent.js";
+import EarningsDiscrepancy from "../models/EarningsDiscrepancy.js";
+import { verifyUploadContent } from "../middleware/upload.js";
 
 /**
  * Admin Track Operations
@@ -9,6 +17,13 @@ import TrackService from "../services/TrackService.js";
  */
 
 const trackService = new TrackService();
+const ledgerService = new LedgerService();
+const governanceService = new GovernanceService();
+// On demand only; the scheduled runs belong to each network's BlockchainService
+const earningsReconciliation = new EarningsReconciliationService(
+  trackService.blockchainService,
+  { intervalMs: 0 }
+);
 
 // Upload new track
 export const uploadTrack = async (req, res) => {
@@ -27,31 +42,18 @@ export const uploadTrack = async (req, res) => {
         : "No file uploaded"
     );
 
-    const { title, artist, artistAddress, genre, album, price, description } =
-      req.body;
+    const {
+      title,
+      artist,
+      artistAddress,
+      genre,
+      album,
+      price,
+      currency,
+      description,
+    } = req.body;
     const file = req.file;
 
-    // Enhanced validation with better logging
-    if (!title || !artist) {
-      console.log("❌ Validation failed - missing required fields");
-      console.log("   Title:", title || "MISSING");
-      console.log("   Artist:", artist || "MISSING");
-      console.log("   All body fields:", req.body);
-
-      return res.status(400).json({
-        success: false,
-        error: "Title and artist are required",
-        received: {
-          title: title || null,
-          artist: artist || null,
-          artistAddress: artistAddress || null,
-          genre: genre || null,
-          album: album || null,
-          hasFile: !!file,
-        },
-      });
-    }
-
     if (!file) {
       console.log("❌ No file uploaded");
       return res.status(400).json({
@@ -61,16 +63,31 @@ export const uploadTrack = async (req, res) => {
       });
     }
 
+    // The declared MIME type and extension are client-controlled; check the bytes
+    const contentCheck = verifyUploadContent(file);
+    if (!contentCheck.valid) {
+      return res.status(415).json({
+        success: false,
+        error: "File content does not match its declared type",
+        code: "CONTENT_TYPE_MISMATCH",
+        declared: contentCheck.declared,
+        detected: contentCheck.detected,
+        action: contentCheck.action,
+      });
+    }
+
     console.log(`📁 Processing upload: "${title}" by "${artist}"`);
 
-    // Use TrackService to create track
+    // Use TrackService to create track; missing title, artist, album and
+    // genre are filled from the file's embedded tags
     const trackData = {
-      title: title.trim(),
-      artist: artist.trim(),
+      title: title?.trim(),
+      artist: artist?.trim(),
       artistAddress: artistAddress?.trim() || null,
-      genre: genre?.trim() || "other",
-      album: album?.trim() || "",
+      genre: genre?.trim() || undefined,
+      album: album?.trim() || undefined,
       price: price || "0.001",
+      currency: currency?.trim() || undefined,
       description: description?.trim() || "",
       isPublic: true,
       isActive: true,
@@ -83,13 +100,42 @@ export const uploadTrack = async (req, res) => {
 
     console.log(`✅ Track created successfully: ${track._id}`);
 
+    // Uploads never fail on previews; report tracks left without one
+    const warnings = [];
+    if (track.preview?.status === "unsupported") {
+      warnings.push(
+        "No preview clip: only MP3 and PCM WAV are cut without FFMPEG_PATH"
+      );
+    } else if (track.preview?.status === "failed") {
+      warnings.push(`Preview generation failed: ${track.preview.error}`);
+    }
+
     res.json({
       success: true,
       message: "Track uploaded successfully",
       data: track,
+      ...(warnings.length > 0 && { warnings }),
     });
   } catch (error) {
     console.error("❌ Upload track error:", error);
+    if (error.message === "Title and artist are required") {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Title and artist are required (not found in the file's embedded tags)",
+        received: {
+          title: req.body.title || null,
+          artist: req.body.artist || null,
+          hasFile: !!req.file,
+        },
+      });
+    }
+    if (error.message.startsWith("Unsupported currency")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
     res.status(500).json({
       success: false,
       message: "Failed to upload track",
@@ -115,6 +161,7 @@ export const updateTrack = async (req, res) => {
     delete updates.likes;
     delete updates.createdAt;
     delete updates.updatedAt;
+    delete updates.paymentToken; // Derived from currency
 
     // Use TrackService to update track
     const track = await trackService.updateTrack(id, updates);
@@ -131,6 +178,19 @@ export const updateTrack = async (req, res) => {
         success: false,
         message: "Track not found",
       });
+    } else if (
+      error.message.startsWith("Unsupported currency") ||
+      error.message === "Lazy-listed tracks must stay ETH-priced"
+    ) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    } else if (error.message === "Track listing is awaiting confirmations") {
+      res.status(409).json({
+        success: false,
+        message: error.message,
+      });
     } else {
       res.status(500).json({
         success: false,
@@ -171,6 +231,745 @@ export const deleteTrack = async (req, res) => {
   }
 };
 
+// Regenerate waveform peaks for one track
+export const regenerateWaveform = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const waveforms = await trackService.generateWaveform(id);
+
+    res.json({
+      success: true,
+      message: "Waveform regenerated",
+      data: waveforms,
+    });
+  } catch (error) {
+    console.error("Regenerate waveform error:", error);
+    if (error.message === "Track not found") {
+      res.status(404).json({
+        success: false,
+        message: "Track not found",
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: "Failed to regenerate waveform",
+        error: error.message,
+      });
+    }
+  }
+};
+
+// Set collaborator revenue splits (basis points summing to 10000)
+export const updateTrackSplits = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const splits = Array.isArray(req.body.splits)
+      ? req.body.splits.map((split) => ({
+          address: split.address,
+          shares: Number(split.shares),
+          role: split.role,
+          name: split.name,
+        }))
+      : null;
+
+    const track = await trackService.setSplits(id, splits);
+
+    res.json({
+      success: true,
+      message: "Splits updated",
+      data: {
+        splits: track.splits,
+        splitsUpdatedAt: track.splitsUpdatedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Update splits error:", error);
+    if (error.message === "Track not found") {
+      res.status(404).json({
+        success: false,
+        message: "Track not found",
+      });
+    } else if (error.message.startsWith("Invalid splits")) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: "Failed to update splits",
+        error: error.message,
+      });
+    }
+  }
+};
+
+// Approve an artist self-listing and issue the signed voucher
+export const approveTrackListing = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const expiresInHours =
+      req.body.expiresInHours !== undefined
+        ? parseInt(req.body.expiresInHours)
+        : undefined;
+
+    if (
+      expiresInHours !== undefined &&
+      (!Number.isInteger(expiresInHours) ||
+        expiresInHours < 1 ||
+        expiresInHours > 720)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "expiresInHours must be between 1 and 720",
+      });
+    }
+
+    const listing = await trackService.approveListing(id, {
+      expiresInHours,
+      approvedBy: req.admin?.adminId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Listing approved, voucher issued to the artist",
+      data: listing,
+    });
+  } catch (error) {
+    console.error("Approve listing error:", error);
+    if (error.message === "Track not found") {
+      res.status(404).json({
+        success: false,
+        message: "Track not found",
+      });
+    } else if (error.message === "Track is already on the blockchain") {
+      res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    } else if (
+      error.message.startsWith("Track has no") ||
+      error.message.startsWith("Track price")
+    ) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: "Failed to approve listing",
+        error: error.message,
+      });
+    }
+  }
+};
+
+// Lazy-list a track: signed voucher now, on-chain at its first purchase
+export const createLazyListing = async (req, res) => {
+  try {
+    const track = await trackService.createLazyListing(req.params.id, {
+      approvedBy: req.admin?.adminId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Track lazy-listed, it is added on-chain by its first purchase",
+      data: {
+        trackId: track._id,
+        blockchain: {
+          status: track.blockchain.status,
+          price: track.blockchain.voucher.price,
+          expiresAt: track.blockchain.voucher.expiresAt,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Create lazy listing error:", error);
+    if (error.message === "Track not found") {
+      res.status(404).json({
+        success: false,
+        message: "Track not found",
+      });
+    } else if (error.message === "Track is already on the blockchain") {
+      res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    } else if (
+      error.message.startsWith("Track has no") ||
+      error.message.startsWith("Track price")
+    ) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: "Failed to create lazy listing",
+        error: error.message,
+      });
+    }
+  }
+};
+
+// Create a limited ERC-1155 edition for a listed track
+export const createTrackEdition = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const maxSupply = parseInt(req.body.maxSupply);
+    const price =
+      req.body.price !== undefined ? parseFloat(req.body.price) : undefined;
+
+    if (!Number.isInteger(maxSupply) || maxSupply < 1 || maxSupply > 100000) {
+      return res.status(400).json({
+        success: false,
+        message: "maxSupply must be between 1 and 100000",
+      });
+    }
+
+    if (price !== undefined && (isNaN(price) || price < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "price must be a non-negative number",
+      });
+    }
+
+    const edition = await trackService.createEdition(id, { maxSupply, price });
+
+    res.status(201).json({
+      success: true,
+      message: "Edition created",
+      data: edition,
+    });
+  } catch (error) {
+    console.error("Create edition error:", error);
+    if (error.message === "Track not found") {
+      res.status(404).json({
+        success: false,
+        message: "Track not found",
+      });
+    } else if (error.message === "Track already has an edition") {
+      res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: "Failed to create edition",
+        error: error.message,
+      });
+    }
+  }
+};
+
+// Regenerate waveform peaks for existing tracks (missing ones unless force=true)
+export const regenerateAllWaveforms = async (req, res) => {
+  try {
+    const force = req.query.force === "true";
+
+    const queued = await trackService.regenerateWaveforms({ force });
+
+    res.status(202).json({
+      success: true,
+      message: `Waveform regeneration started for ${queued} tracks`,
+      queued,
+    });
+  } catch (error) {
+    console.error("Regenerate waveforms error:", error);
+    res
+      .status(
+        error.message === "Waveform regeneration already running" ? 409 : 500
+      )
+      .json({
+        success: false,
+        message: "Failed to start waveform regeneration",
+        error: error.message,
+      });
+  }
+};
+
+// Configured payment currencies with their on-chain allow-list status
+export const getPaymentTokens = async (req, res) => {
+  try {
+    const tokens = await trackService.blockchainService.getPaymentTokens();
+
+    res.json({
+      success: true,
+      data: tokens,
+    });
+  } catch (error) {
+    console.error("Get payment tokens error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get payment tokens",
+      error: error.message,
+    });
+  }
+};
+
+// Allow or disallow a configured ERC-20 on the contract
+export const setPaymentTokenAllowed = async (req, res) => {
+  try {
+    const { currency, allowed } = req.body;
+    if (typeof allowed !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "allowed must be true or false",
+      });
+    }
+
+    const token = trackService.blockchainService.getCurrency(currency);
+    if (!token.address) {
+      return res.status(400).json({
+        success: false,
+        message: "ETH is always accepted",
+      });
+    }
+
+    const result = await trackService.blockchainService.setPaymentTokenAllowed(
+      token.address,
+      allowed
+    );
+
+    res.json({
+      success: true,
+      message: `${token.symbol} ${allowed ? "allowed" : "disallowed"} for payments`,
+      data: { ...token, allowed, ...result },
+    });
+  } catch (error) {
+    console.error("Set payment token error:", error);
+    res
+      .status(error.message.startsWith("Unsupported currency") ? 400 : 500)
+      .json({
+        success: false,
+        message: "Failed to update payment token",
+        error: error.message,
+      });
+  }
+};
+
+// Indexed withdrawals, optionally by payee and kind (earnings, resale, platform_fees)
+export const getWithdrawals = async (req, res) => {
+  try {
+    const { payee, kind, limit = 100 } = req.query;
+
+    const filter = {};
+    if (payee) filter.payee = payee.toLowerCase();
+    if (kind) filter.kind = kind;
+
+    const withdrawals = await Withdrawal.find(filter)
+      .sort({ withdrawnAt: -1 })
+      .limit(Math.min(parseInt(limit) || 100, 1000));
+
+    res.json({
+      success: true,
+      data: withdrawals,
+      count: withdrawals.length,
+    });
+  } catch (error) {
+    console.error("Get withdrawals error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get withdrawals",
+      error: error.message,
+    });
+  }
+};
+
+// Check every artist's ledger against on-chain balances
+export const reconcileLedgers = async (req, res) => {
+  try {
+    const result = await ledgerService.reconcileAll();
+
+    res.json({
+      success: true,
+      message:
+        result.diverged.length > 0
+          ? `${result.diverged.length} ledgers diverge from the chain`
+          : "All ledgers match the chain",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Reconcile ledgers error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reconcile ledgers",
+      error: error.message,
+    });
+  }
+};
+
+// Artist earnings that diverge between Mongo and the chain
+export const getEarningsDiscrepancies = async (req, res) => {
+  try {
+    const { status, chainId, address, limit = 100 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (chainId) filter.chainId = String(chainId);
+    if (address) filter.address = address.toLowerCase();
+
+    const [discrepancies, counts] = await Promise.all([
+      EarningsDiscrepancy.find(filter, "-repairs")
+        .sort({ lastCheckedAt: -1 })
+        .limit(Math.min(parseInt(limit) || 100, 1000)),
+      EarningsDiscrepancy.getCounts(),
+    ]);
+
+    res.json({
+      success: true,
+      data: discrepancies,
+      count: discrepancies.length,
+      counts,
+    });
+  } catch (error) {
+    console.error("Get earnings discrepancies error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get earnings discrepancies",
+      error: error.message,
+    });
+  }
+};
+
+// One discrepancy with its affected purchases and repair history
+export const getEarningsDiscrepancy = async (req, res) => {
+  try {
+    const discrepancy = mongoose.isValidObjectId(req.params.id)
+      ? await EarningsDiscrepancy.findById(req.params.id)
+      : null;
+
+    if (!discrepancy) {
+      return res.status(404).json({
+        success: false,
+        message: "Discrepancy not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: discrepancy,
+    });
+  } catch (error) {
+    console.error("Get earnings discrepancy error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get earnings discrepancy",
+      error: error.message,
+    });
+  }
+};
+
+// Status code for earnings reconciliation errors
+const getReconciliationErrorStatus = (message) => {
+  if (message === "Discrepancy not found") return 404;
+  if (message.startsWith("Discrepancy is already")) return 409;
+  if (message === "Earnings reconciliation already running") return 409;
+  if (message.endsWith("is not configured")) return 400;
+  if (message === "Contract not available") return 503;
+  return 500;
+};
+
+// Reconcile every payee of a network now (the primary one by default)
+export const reconcileEarnings = async (req, res) => {
+  try {
+    const chainId = req.body.chainId || req.query.chainId;
+    const service = await trackService.blockchainService.getServiceForChain(
+      chainId ? String(chainId) : null
+    );
+    const reconciler =
+      service === trackService.blockchainService
+        ? earningsReconciliation
+        : new EarningsReconciliationService(service, { intervalMs: 0 });
+
+    const result = await reconciler.reconcile();
+
+    res.json({
+      success: true,
+      message:
+        result.diverged > 0
+          ? `${result.diverged} of ${result.checked} payees diverge from the chain`
+          : "All earnings match the chain",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Reconcile earnings error:", error);
+    res.status(getReconciliationErrorStatus(error.message)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Rewrite a payee's earnings records from the chain
+export const repairEarningsDiscrepancy = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      throw new Error("Discrepancy not found");
+    }
+
+    const { discrepancy, repair } =
+      await earningsReconciliation.repairFromChain(req.params.id, {
+        adminId: req.admin?.adminId,
+      });
+
+    res.json({
+      success: true,
+      message: repair.reconciled
+        ? "Earnings repaired from the chain"
+        : "Earnings repaired, but still diverge from the chain",
+      data: { discrepancy, repair },
+    });
+  } catch (error) {
+    console.error("Repair earnings discrepancy error:", error);
+    res.status(getReconciliationErrorStatus(error.message)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Dead-letter queue of failed contract events, optionally by status and type
+export const getFailedEvents = async (req, res) => {
+  try {
+    const { status, eventType, limit = 100 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (eventType) filter.eventType = eventType;
+
+    const [failedEvents, counts] = await Promise.all([
+      FailedEvent.find(filter, "-eventData -lastError.stack")
+        .sort({ createdAt: -1 })
+        .limit(Math.min(parseInt(limit) || 100, 1000)),
+      FailedEvent.getCounts(),
+    ]);
+
+    res.json({
+      success: true,
+      data: failedEvents,
+      count: failedEvents.length,
+      counts,
+    });
+  } catch (error) {
+    console.error("Get failed events error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get failed events",
+      error: error.message,
+    });
+  }
+};
+
+// One failed event with its payload and last error
+export const getFailedEvent = async (req, res) => {
+  try {
+    const failedEvent = mongoose.isValidObjectId(req.params.id)
+      ? await FailedEvent.findById(req.params.id)
+      : null;
+
+    if (!failedEvent) {
+      return res.status(404).json({
+        success: false,
+        message: "Failed event not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: failedEvent,
+    });
+  } catch (error) {
+    console.error("Get failed event error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get failed event",
+      error: error.message,
+    });
+  }
+};
+
+// Status code for dead-letter queue errors on a single event
+const getFailedEventErrorStatus = (message) => {
+  if (message === "Failed event not found") return 404;
+  if (message.startsWith("Failed event is not")) return 409;
+  return 500;
+};
+
+// Retry one failed event now
+export const retryFailedEvent = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      throw new Error("Failed event not found");
+    }
+
+    const failedEvent = await trackService.blockchainService.retryFailedEvent(
+      req.params.id
+    );
+
+    res.json({
+      success: true,
+      message:
+        failedEvent.status === "resolved"
+          ? "Failed event processed"
+          : "Failed event is still failing",
+      data: failedEvent,
+    });
+  } catch (error) {
+    console.error("Retry failed event error:", error);
+    res.status(getFailedEventErrorStatus(error.message)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Retry every pending and permanently failed event now
+export const retryFailedEvents = async (req, res) => {
+  try {
+    const result = await trackService.blockchainService.retryFailedEvents();
+
+    res.json({
+      success: true,
+      message: `${result.resolved} of ${result.retried} failed events processed`,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Retry failed events error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retry events",
+      error: error.message,
+    });
+  }
+};
+
+// Give up on a failed event without processing it
+export const discardFailedEvent = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      throw new Error("Failed event not found");
+    }
+
+    const failedEvent = await trackService.blockchainService.discardFailedEvent(
+      req.params.id
+    );
+
+    res.json({
+      success: true,
+      message: "Failed event discarded",
+      data: failedEvent,
+    });
+  } catch (error) {
+    console.error("Discard failed event error:", error);
+    res.status(getFailedEventErrorStatus(error.message)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Contract governance state and the actions admins can call
+export const getGovernance = async (req, res) => {
+  try {
+    const state = await governanceService.getState();
+
+    res.json({
+      success: true,
+      data: { ...state, actions: governanceService.getActions() },
+    });
+  } catch (error) {
+    console.error("Get governance error:", error);
+    res.status(error.message === "Contract not available" ? 503 : 500).json({
+      success: false,
+      message: "Failed to get governance state",
+      error: error.message,
+    });
+  }
+};
+
+// Status code for governance errors raised before anything was sent
+const getGovernanceErrorStatus = (message) => {
+  if (message.startsWith("Unknown governance action")) return 404;
+  if (message.startsWith("Invalid ")) return 400;
+  if (message.endsWith("not available for transactions")) return 503;
+  if (message === "Contract not available") return 503;
+  return 500;
+};
+
+// Simulate a governance transaction, and send it when dryRun is false
+export const executeGovernanceAction = async (req, res) => {
+  try {
+    const { dryRun, ...params } = req.body;
+    // ?dryRun=false works as well as the body flag
+    const sendRequested =
+      dryRun === false ||
+      (dryRun === undefined && req.query.dryRun === "false");
+
+    const entry = await governanceService.execute(req.params.action, params, {
+      dryRun: !sendRequested,
+      admin: {
+        adminId: req.admin?.adminId,
+        tokenId: req.admin?.tokenId,
+        ip: req.ip,
+      },
+    });
+
+    if (entry.status === "reverted") {
+      return res.status(422).json({
+        success: false,
+        message: `Simulation reverted: ${entry.simulation.revertReason}`,
+        data: entry,
+      });
+    }
+    if (entry.status === "failed") {
+      return res.status(502).json({
+        success: false,
+        message: "Transaction reverted on-chain",
+        data: entry,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: entry.dryRun
+        ? `${entry.action} simulated (dry run), nothing was sent`
+        : `${entry.action} confirmed`,
+      data: entry,
+    });
+  } catch (error) {
+    console.error("Governance action error:", error);
+    res.status(getGovernanceErrorStatus(error.message)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Governance audit log (?action, ?status, ?adminId, ?limit)
+export const getGovernanceAuditLog = async (req, res) => {
+  try {
+    const entries = await governanceService.getAuditLog(req.query);
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+    });
+  } catch (error) {
+    console.error("Get governance audit log error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get governance audit log",
+      error: error.message,
+    });
+  }
+};
+
 // Get all tracks (including inactive for admin)
 export const getAllTracksAdmin = async (req, res) => {
   try {
@@ -1,7 +1,9 @@
 import TrackService from "../services/TrackService.js";
 import blockchainService from "../services/BlockchainService.js";
+import Track from "../models/Track.js";
 import {
   getMusicStoreContract,
+  getPrimaryChainId,
   isBlockchainAvailable,
   getWallet,
 } from "../config/blockchain.js";
@@ -98,7 +100,7 @@ export const purchaseTrack = async (req, res) => {
     const { contractId } = req.params;
 
     const result = await trackService.getTracks(
-      { "blockchain.contractId": contractId },
+      Track.byContractId(contractId, getPrimaryChainId()),
       { limit: 1, includeInactive: false, includePrivate: false }
     );
 
@@ -0,0 +1,163 @@
+import mongoose from "mongoose";
+import BundleService from "../services/BundleService.js";
+
+/**
+ * Admin Album/Bundle Operations
+ * - Create, update and deactivate bundles
+ * - Create bundles on-chain
+ */
+
+const bundleService = new BundleService();
+
+// Bundle errors that are the caller's fault
+const BAD_REQUEST_MESSAGES = [
+  "Bundle tracks must be a list of track IDs",
+  "Bundle tracks must be unique",
+  "Bundle track not found",
+  "Tracks of an on-chain bundle cannot be changed",
+  "Bundle tracks must be ETH-priced",
+];
+
+// Map bundle errors to responses
+const handleBundleError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+
+  if (
+    error.message === "Bundle not found" ||
+    error instanceof mongoose.Error.CastError
+  ) {
+    return res.status(404).json({
+      success: false,
+      message: "Bundle not found",
+    });
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid bundle",
+      errors: Object.values(error.errors).map((err) => err.message),
+    });
+  }
+
+  if (
+    BAD_REQUEST_MESSAGES.includes(error.message) ||
+    error.message.startsWith("Bundle price must be")
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (
+    error.message === "Bundle is already on the blockchain" ||
+    error.message.startsWith("Tracks not listed on-chain")
+  ) {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+};
+
+// Create a bundle
+export const createBundle = async (req, res) => {
+  try {
+    const bundle = await bundleService.createBundle(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Bundle created",
+      data: bundle,
+    });
+  } catch (error) {
+    handleBundleError(res, error, "Failed to create bundle");
+  }
+};
+
+// List all bundles, including inactive and private ones
+export const getBundles = async (req, res) => {
+  try {
+    const bundles = await bundleService.getBundles({
+      includeInactive: true,
+      artist: req.query.artist,
+      type: req.query.type,
+    });
+
+    res.json({
+      success: true,
+      data: bundles,
+      count: bundles.length,
+    });
+  } catch (error) {
+    handleBundleError(res, error, "Failed to get bundles");
+  }
+};
+
+// Bundle details
+export const getBundle = async (req, res) => {
+  try {
+    const bundle = await bundleService.getBundle(req.params.id, {
+      includeInactive: true,
+    });
+
+    res.json({
+      success: true,
+      data: bundle,
+    });
+  } catch (error) {
+    handleBundleError(res, error, "Failed to get bundle");
+  }
+};
+
+// Update a bundle
+export const updateBundle = async (req, res) => {
+  try {
+    const bundle = await bundleService.updateBundle(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: "Bundle updated",
+      data: bundle,
+    });
+  } catch (error) {
+    handleBundleError(res, error, "Failed to update bundle");
+  }
+};
+
+// Deactivate a bundle
+export const deactivateBundle = async (req, res) => {
+  try {
+    const bundle = await bundleService.deactivateBundle(req.params.id);
+
+    res.json({
+      success: true,
+      message: "Bundle deactivated",
+      data: bundle,
+    });
+  } catch (error) {
+    handleBundleError(res, error, "Failed to deactivate bundle");
+  }
+};
+
+// Create the bundle on-chain
+export const addBundleToBlockchain = async (req, res) => {
+  try {
+    const bundle = await bundleService.addToBlockchain(req.params.id);
+
+    res.json({
+      success: true,
+      message: "Bundle added to blockchain",
+      data: bundle,
+    });
+  } catch (error) {
+    handleBundleError(res, error, "Failed to add bundle to blockchain");
+  }
+};
@@ -0,0 +1,126 @@
+import mongoose from "mongoose";
+import PromoService from "../services/PromoService.js";
+
+/**
+ * Admin Promo Campaign Operations
+ * - Create, update and deactivate campaigns
+ * - Review redemptions
+ */
+
+const promoService = new PromoService();
+
+// Map campaign errors to responses
+const handlePromoError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+
+  if (
+    error.message === "Campaign not found" ||
+    error instanceof mongoose.Error.CastError
+  ) {
+    return res.status(404).json({
+      success: false,
+      message: "Campaign not found",
+    });
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid campaign",
+      errors: Object.values(error.errors).map((err) => err.message),
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "Promo code already exists",
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+};
+
+// Create a promo campaign
+export const createCampaign = async (req, res) => {
+  try {
+    const campaign = await promoService.createCampaign(
+      req.body,
+      req.admin?.adminId
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Campaign created",
+      data: campaign,
+    });
+  } catch (error) {
+    handlePromoError(res, error, "Failed to create campaign");
+  }
+};
+
+// List campaigns (?active=true|false)
+export const getCampaigns = async (req, res) => {
+  try {
+    const { active } = req.query;
+    const campaigns = await promoService.getCampaigns({
+      active: active === undefined ? undefined : active === "true",
+    });
+
+    res.json({
+      success: true,
+      data: campaigns,
+      count: campaigns.length,
+    });
+  } catch (error) {
+    handlePromoError(res, error, "Failed to get campaigns");
+  }
+};
+
+// Campaign details with redemptions
+export const getCampaign = async (req, res) => {
+  try {
+    const result = await promoService.getCampaign(req.params.id);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    handlePromoError(res, error, "Failed to get campaign");
+  }
+};
+
+// Update a campaign
+export const updateCampaign = async (req, res) => {
+  try {
+    const campaign = await promoService.updateCampaign(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: "Campaign updated",
+      data: campaign,
+    });
+  } catch (error) {
+    handlePromoError(res, error, "Failed to update campaign");
+  }
+};
+
+// Deactivate a campaign; issued coupons stay valid until they expire
+export const deactivateCampaign = async (req, res) => {
+  try {
+    const campaign = await promoService.deactivateCampaign(req.params.id);
+
+    res.json({
+      success: true,
+      message: "Campaign deactivated",
+      data: campaign,
+    });
+  } catch (error) {
+    handlePromoError(res, error, "Failed to deactivate campaign");
+  }
+};
@@ -1,6 +1,12 @@
+import mongoose from "mongoose";
 import Purchase from "../models/Purchase.js";
 import Track from "../models/Track.js";
+import Coupon from "../models/Coupon.js";
+import PromoCampaign from "../models/PromoCampaign.js";
+import Bundle from "../models/Bundle.js";
+import BundlePurchase from "../models/BundlePurchase.js";
 import BlockchainService from "../services/BlockchainService.js";
+import { getConfirmationDepth } from "../config/blockchain.js";
 import { ethers } from "ethers";
 
 /**
@@ -39,7 +45,8 @@ export const verifyPurchase = async (req, res) => {
     // Check if purchase already exists
     let purchase = await Purchase.findByTransaction(txHash);
 
-    if (purchase) {
+    // A purchase rolled back by a reorg is verified again
+    if (purchase && purchase.status !== "reorged") {
       console.log(`📦 Purchase already exists: ${purchase.id}`);
 
       // Update buyer address if different (edge case)
@@ -60,6 +67,9 @@ export const verifyPurchase = async (req, res) => {
           buyerAddress: purchase.buyerAddress,
           amount: purchase.amount,
           verified: purchase.verified,
+          status: purchase.status,
+          confirmations: purchase.confirmations,
+          accessGranted: purchase.accessGranted,
           purchaseDate: purchase.purchaseDate,
           trackInfo: purchase.trackInfo,
         },
@@ -83,11 +93,12 @@ export const verifyPurchase = async (req, res) => {
     }
 
     const txData = verificationResult.data;
+    const chainId = await blockchainService.getChainId();
 
     // Find associated track
     const track = await Track.findOne({
       $or: [
-        { "blockchain.contractId": txData.trackId },
+        Track.byContractId(txData.trackId, chainId),
         { _id: txData.trackId }, // Fallback to MongoDB ID
       ],
     });
@@ -96,24 +107,32 @@ export const verifyPurchase = async (req, res) => {
       console.warn(`⚠️ Track not found for ID: ${txData.trackId}`);
     }
 
+    // Access waits until the transaction is deep enough to survive a reorg
+    const confirmed = txData.confirmations >= getConfirmationDepth();
+
     // Create purchase record
     const purchaseData = {
       txHash: txHash,
       blockNumber: txData.blockNumber,
       blockHash: txData.blockHash,
+      chainId,
       trackId: track ? track._id : null,
       contractTrackId: txData.trackId,
       buyerAddress: buyerAddress.toLowerCase(),
       artistAddress: txData.artistAddress
         ? txData.artistAddress.toLowerCase()
         : null,
+      payerAddress: txData.payer.toLowerCase(),
+      isGift: txData.payer.toLowerCase() !== buyerAddress.toLowerCase(),
+      currency: txData.currency,
+      paymentToken: txData.paymentToken,
       amount: txData.amount,
       platformFee: txData.platformFee,
       artistPayment: txData.artistPayment,
       verified: true,
-      status: "confirmed",
+      status: confirmed ? "confirmed" : "pending",
       confirmations: txData.confirmations || 0,
-      accessGranted: true,
+      accessGranted: confirmed,
       purchaseDate: txData.timestamp
         ? new Date(txData.timestamp * 1000)
         : new Date(),
@@ -128,7 +147,11 @@ export const verifyPurchase = async (req, res) => {
       eventData: txData.eventData || {},
     };
 
-    purchase = new Purchase(purchaseData);
+    if (purchase) {
+      purchase.set(purchaseData);
+    } else {
+      purchase = new Purchase(purchaseData);
+    }
     await purchase.save();
 
     // Update track statistics
@@ -148,6 +171,9 @@ export const verifyPurchase = async (req, res) => {
         buyerAddress: purchase.buyerAddress,
         amount: purchase.amount,
         verified: purchase.verified,
+        status: purchase.status,
+        confirmations: purchase.confirmations,
+        accessGranted: purchase.accessGranted,
         purchaseDate: purchase.purchaseDate,
         trackInfo: purchase.trackInfo,
       },
@@ -185,7 +211,9 @@ export const getUserPurchases = async (req, res) => {
         txHash: purchase.txHash,
         amount: purchase.amount,
         purchaseDate: purchase.purchaseDate,
+        status: purchase.status,
         downloadCount: purchase.downloadCount,
+        giftFrom: purchase.isGift ? purchase.payerAddress : null,
         track: purchase.trackId || purchase.trackInfo,
       })),
       count: purchases.length,
@@ -222,6 +250,8 @@ export const checkPurchaseStatus = async (req, res) => {
             txHash: purchase.txHash,
             amount: purchase.amount,
             purchaseDate: purchase.purchaseDate,
+            status: purchase.status,
+            accessGranted: purchase.accessGranted,
             downloadCount: purchase.downloadCount,
           }
         : null,
@@ -339,43 +369,117 @@ export const getArtistSales = async (req, res) => {
   }
 };
 
+// Find the track an event refers to (contract track ID on the event's network,
+// or Mongo ID for legacy events)
+const findTrackForEvent = (trackId, chainId = null) => {
+  const conditions = [Track.byContractId(trackId, chainId)];
+  if (mongoose.Types.ObjectId.isValid(trackId)) {
+    conditions.push({ _id: trackId });
+  }
+  return Track.findOne({ $or: conditions });
+};
+
+// Coupon details recorded on the purchase it discounted
+const getPurchaseCoupon = (coupon) => ({
+  campaign: coupon.campaign,
+  code: coupon.code,
+  nonce: coupon.nonce,
+  originalPrice: ethers.formatEther(coupon.originalPrice),
+  discount: ethers.formatEther(
+    BigInt(coupon.originalPrice) - BigInt(coupon.price)
+  ),
+});
+
+// A purchase rolled back by a reorg was mined again: pending in its new block
+const restoreReorgedPurchase = async (purchase, eventData) => {
+  purchase.set({
+    blockNumber: eventData.blockNumber,
+    blockHash: eventData.blockHash,
+    status: "pending",
+    verified: true,
+    confirmations: 0,
+  });
+  await purchase.save();
+
+  if (purchase.trackId && purchase.source !== "resale") {
+    await Track.updateOne(
+      { _id: purchase.trackId },
+      { $inc: { downloads: 1 } }
+    );
+  }
+
+  console.log(`♻️ Reorged purchase mined again: ${purchase.id}`);
+  return purchase;
+};
+
 // Sync purchase from blockchain event
 export const syncPurchaseFromEvent = async (eventData) => {
   try {
     console.log("🔄 Syncing purchase from blockchain event:", eventData);
 
-    // Check if purchase already exists
+    // Check if purchase already exists (bundles buy several tracks per transaction)
     const existingPurchase = await Purchase.findByTransaction(
-      eventData.transactionHash
+      eventData.transactionHash,
+      eventData.trackId
     );
+    if (existingPurchase?.status === "reorged") {
+      return await restoreReorgedPurchase(existingPurchase, eventData);
+    }
     if (existingPurchase) {
+      // A lazy listing's TrackPurchased can arrive before the track is linked
+      if (!existingPurchase.trackId) {
+        const track = await findTrackForEvent(
+          eventData.trackId,
+          eventData.chainId
+        );
+        if (track) {
+          existingPurchase.trackId = track._id;
+          existingPurchase.trackInfo = {
+            title: track.title,
+            artist: track.artist,
+            price: track.price,
+          };
+          await existingPurchase.save();
+
+          // Not counted when it was first synced without a track
+          track.downloads += 1;
+          await track.save();
+        }
+      }
+
       console.log(`📦 Purchase already synced: ${existingPurchase.id}`);
       return existingPurchase;
     }
 
-    // Find associated track
-    const track = await Track.findOne({
-      $or: [
-        { "blockchain.contractId": eventData.trackId },
-        { _id: eventData.trackId },
-      ],
-    });
+    // Find associated track, and the coupon or bundle if their event was indexed first
+    const [track, coupon, bundlePurchase] = await Promise.all([
+      findTrackForEvent(eventData.trackId, eventData.chainId),
+      Coupon.findOne({ txHash: eventData.transactionHash }),
+      BundlePurchase.findOne({ txHash: eventData.transactionHash }),
+    ]);
 
     // Create purchase record
     const purchaseData = {
       txHash: eventData.transactionHash,
       blockNumber: eventData.blockNumber,
       blockHash: eventData.blockHash,
+      chainId: eventData.chainId,
       trackId: track ? track._id : null,
       contractTrackId: eventData.trackId,
       buyerAddress: eventData.buyer.toLowerCase(),
+      payerAddress: (eventData.payer || eventData.buyer).toLowerCase(),
+      isGift:
+        !!eventData.payer &&
+        eventData.payer.toLowerCase() !== eventData.buyer.toLowerCase(),
       artistAddress: eventData.artist ? eventData.artist.toLowerCase() : null,
+      currency: eventData.currency || "ETH",
+      paymentToken: eventData.paymentToken || null,
       amount: eventData.price,
       platformFee: eventData.platformFee,
       artistPayment: eventData.artistPayment,
       verified: true,
-      status: "confirmed",
-      accessGranted: true,
+      status: "pending", // Confirmed with access by ReorgService once deep enough
+      accessGranted: false,
       purchaseDate: eventData.timestamp
         ? new Date(eventData.timestamp * 1000)
         : new Date(),
@@ -390,6 +494,13 @@ export const syncPurchaseFromEvent = async (eventData) => {
       eventData: eventData,
     };
 
+    if (coupon) {
+      purchaseData.coupon = getPurchaseCoupon(coupon);
+    }
+    if (bundlePurchase) {
+      purchaseData.bundlePurchase = bundlePurchase._id;
+    }
+
     const purchase = new Purchase(purchaseData);
     await purchase.save();
 
@@ -407,6 +518,309 @@ export const syncPurchaseFromEvent = async (eventData) => {
   }
 };
 
+// Sync a CouponRedeemed event: mark the coupon used, count it, and tag the purchase
+export const syncCouponFromEvent = async (eventData) => {
+  try {
+    // Only the first sync of a coupon counts against the campaign
+    let coupon = await Coupon.findOneAndUpdate(
+      { nonce: eventData.nonce, redeemedAt: null },
+      {
+        redeemedAt: new Date(eventData.timestamp * 1000),
+        txHash: eventData.transactionHash,
+      },
+      { new: true }
+    );
+
+    if (coupon) {
+      await PromoCampaign.updateOne(
+        { _id: coupon.campaign },
+        { $inc: { redemptions: 1 } }
+      );
+    } else {
+      coupon = await Coupon.findOne({ nonce: eventData.nonce });
+    }
+
+    if (!coupon) {
+      console.warn(`⚠️ Unknown coupon redeemed: ${eventData.nonce}`);
+      return null;
+    }
+
+    // The purchase may not be indexed yet; syncPurchaseFromEvent tags it then
+    await Purchase.updateOne(
+      { txHash: eventData.transactionHash },
+      { coupon: getPurchaseCoupon(coupon) }
+    );
+
+    console.log(`✅ Coupon ${coupon.code} redeemed by ${eventData.buyer}`);
+    return coupon;
+  } catch (error) {
+    console.error("❌ Sync coupon from event error:", error);
+    throw error;
+  }
+};
+
+// Sync a BundlePurchased event: parent record linked to the per-track purchases
+export const syncBundlePurchaseFromEvent = async (eventData) => {
+  try {
+    const bundle = await Bundle.findOne({
+      "blockchain.contractId": eventData.bundleId,
+    });
+
+    const bundlePurchase = await BundlePurchase.findOneAndUpdate(
+      { txHash: eventData.transactionHash },
+      {
+        $setOnInsert: {
+          blockNumber: eventData.blockNumber,
+          bundle: bundle?._id,
+          contractBundleId: eventData.bundleId,
+          buyerAddress: eventData.buyer.toLowerCase(),
+          amount: eventData.price,
+          trackCount: eventData.trackCount,
+          purchaseDate: new Date(eventData.timestamp * 1000),
+        },
+      },
+      { upsert: true, new: true }
+    );
+
+    // Track purchases not indexed yet are linked by syncPurchaseFromEvent
+    await Purchase.updateMany(
+      { txHash: eventData.transactionHash },
+      { bundlePurchase: bundlePurchase._id }
+    );
+
+    console.log(
+      `✅ Bundle purchase synced: ${eventData.bundleId} for ${eventData.buyer}`
+    );
+    return bundlePurchase;
+  } catch (error) {
+    console.error("❌ Sync bundle purchase from event error:", error);
+    throw error;
+  }
+};
+
+// Sync a resale listing (PurchaseListed / ListingCancelled) onto the seller's purchase
+export const syncListingFromEvent = async (eventData) => {
+  try {
+    const purchase = await Purchase.findCurrentOwnership(
+      eventData.seller,
+      eventData.trackId,
+      eventData.chainId ?? null
+    );
+
+    if (!purchase) {
+      throw new Error(
+        `Purchase not found for listing: ${eventData.seller} / ${eventData.trackId}`
+      );
+    }
+
+    const eventTime = eventData.timestamp
+      ? new Date(eventData.timestamp * 1000)
+      : new Date();
+
+    if (eventData.eventType === "PurchaseListed") {
+      purchase.listing = {
+        isActive: true,
+        price: eventData.price,
+        txHash: eventData.transactionHash,
+        listedAt: eventTime,
+      };
+    } else {
+      purchase.listing.isActive = false;
+      purchase.listing.cancelledAt = eventTime;
+    }
+
+    await purchase.save();
+
+    console.log(
+      `✅ Listing ${purchase.listing.isActive ? "synced" : "cancelled"}: ${
+        purchase.id
+      }`
+    );
+    return purchase;
+  } catch (error) {
+    console.error("❌ Sync listing from event error:", error);
+    throw error;
+  }
+};
+
+// Ownership moves with the purchase right
+const transferSellerPurchase = (sellerPurchase, eventData, eventTime) => {
+  sellerPurchase.status = "transferred";
+  sellerPurchase.accessGranted = false;
+  sellerPurchase.listing.isActive = false;
+  sellerPurchase.transfer = {
+    to: eventData.buyer.toLowerCase(),
+    txHash: eventData.transactionHash,
+    at: eventTime,
+  };
+  return sellerPurchase.save();
+};
+
+// Sync a resale: new purchase for the buyer, seller's purchase marked transferred
+export const syncResaleFromEvent = async (eventData) => {
+  try {
+    const existingPurchase = await Purchase.findByTransaction(
+      eventData.transactionHash
+    );
+    if (existingPurchase && existingPurchase.status !== "reorged") {
+      console.log(`📦 Resale already synced: ${existingPurchase.id}`);
+      return existingPurchase;
+    }
+
+    const [track, sellerPurchase] = await Promise.all([
+      findTrackForEvent(eventData.trackId, eventData.chainId),
+      Purchase.findCurrentOwnership(
+        eventData.seller,
+        eventData.trackId,
+        eventData.chainId ?? null
+      ),
+    ]);
+
+    const eventTime = eventData.timestamp
+      ? new Date(eventData.timestamp * 1000)
+      : new Date();
+
+    // Rolled back by a reorg and mined again: the seller loses access again
+    if (existingPurchase) {
+      await restoreReorgedPurchase(existingPurchase, eventData);
+      if (sellerPurchase) {
+        await transferSellerPurchase(sellerPurchase, eventData, eventTime);
+      }
+      return existingPurchase;
+    }
+
+    if (!sellerPurchase) {
+      console.warn(
+        `⚠️ Seller purchase not found for resale ${eventData.transactionHash}`
+      );
+    }
+
+    const purchase = new Purchase({
+      txHash: eventData.transactionHash,
+      blockNumber: eventData.blockNumber,
+      blockHash: eventData.blockHash,
+      chainId: eventData.chainId,
+      trackId: track ? track._id : sellerPurchase?.trackId,
+      contractTrackId: eventData.trackId,
+      buyerAddress: eventData.buyer.toLowerCase(),
+      artistAddress:
+        sellerPurchase?.artistAddress ||
+        track?.artistAddress?.toLowerCase() ||
+        null,
+      amount: eventData.price,
+      platformFee: eventData.platformFee,
+      artistPayment: eventData.royaltyAmount,
+      source: "resale",
+      sellerAddress: eventData.seller.toLowerCase(),
+      royaltyAmount: eventData.royaltyAmount,
+      sellerProceeds: eventData.sellerProceeds,
+      previousPurchase: sellerPurchase?._id,
+      verified: true,
+      status: "pending", // Confirmed with access by ReorgService once deep enough
+      accessGranted: false,
+      purchaseDate: eventTime,
+      verifiedAt: new Date(),
+      trackInfo: track
+        ? {
+            title: track.title,
+            artist: track.artist,
+            price: track.price,
+          }
+        : sellerPurchase?.trackInfo,
+      eventData: eventData,
+    });
+
+    await purchase.save();
+
+    if (sellerPurchase) {
+      await transferSellerPurchase(sellerPurchase, eventData, eventTime);
+    }
+
+    console.log(`✅ Resale synced from event: ${purchase.id}`);
+    return purchase;
+  } catch (error) {
+    console.error("❌ Sync resale from event error:", error);
+    throw error;
+  }
+};
+
+// Get active resale listings
+export const getResaleListings = async (req, res) => {
+  try {
+    const { trackId } = req.query;
+
+    const listings = await Purchase.findActiveListings(trackId ?? null)
+      .populate("trackId", "title artist price")
+      .limit(100);
+
+    res.json({
+      success: true,
+      listings: listings.map((purchase) => ({
+        id: purchase.id,
+        contractTrackId: purchase.contractTrackId,
+        seller: purchase.buyerAddress,
+        price: purchase.listing.price,
+        listedAt: purchase.listing.listedAt,
+        track: purchase.trackId || purchase.trackInfo,
+      })),
+      count: listings.length,
+    });
+  } catch (error) {
+    console.error("❌ Get resale listings error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to get resale listings",
+    });
+  }
+};
+
+// Gifts sent and received by a wallet
+export const getWalletGifts = async (req, res) => {
+  try {
+    const { userAddress } = req.params;
+
+    if (!ethers.isAddress(userAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid user address format",
+      });
+    }
+
+    const [sent, received] = await Promise.all([
+      Purchase.findGiftsSent(userAddress)
+        .populate("trackId", "title artist price")
+        .limit(100),
+      Purchase.findGiftsReceived(userAddress)
+        .populate("trackId", "title artist price")
+        .limit(100),
+    ]);
+
+    const toGift = (purchase) => ({
+      id: purchase.id,
+      txHash: purchase.txHash,
+      from: purchase.payerAddress,
+      to: purchase.buyerAddress,
+      amount: purchase.amount,
+      purchaseDate: purchase.purchaseDate,
+      status: purchase.status,
+      track: purchase.trackId || purchase.trackInfo,
+    });
+
+    res.json({
+      success: true,
+      sent: sent.map(toGift),
+      received: received.map(toGift),
+      count: { sent: sent.length, received: received.length },
+    });
+  } catch (error) {
+    console.error("❌ Get wallet gifts error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to get gifts",
+    });
+  }
+};
+
 export default {
   verifyPurchase,
   getUserPurchases,
@@ -414,4 +828,8 @@ export default {
   recordTrackAccess,
   getArtistSales,
   syncPurchaseFromEvent,
+  syncListingFromEvent,
+  syncResaleFromEvent,
+  getResaleListings,
+  getWalletGifts,
 };
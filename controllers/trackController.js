@@ -1,4 +1,9 @@
+import fs from "fs";
+import path from "path";
 import TrackService from "../services/TrackService.js";
+import Track from "../models/Track.js";
+import { getPrimaryChainId } from "../config/blockchain.js";
+import { signStreamToken, verifyStreamToken } from "../utils/security.js";
 
 /**
  * Public Track Operations
@@ -6,10 +11,114 @@ import TrackService from "../services/TrackService.js";
  * - Search tracks
  * - Get track details
  * - Stream track (with access control)
+ * - Stream preview clip
  */
 
 const trackService = new TrackService();
 
+// Lifetime of signed stream URLs in seconds
+const STREAM_URL_TTL = parseInt(process.env.STREAM_URL_TTL) || 300;
+
+// Resolve the audio file of a locally stored track
+const resolveLocalFile = (track) => {
+  if (!track.storage?.filename || track.storage.provider !== "local") {
+    return null;
+  }
+  return path.join(
+    process.cwd(),
+    "uploads",
+    path.basename(track.storage.filename)
+  );
+};
+
+// Path of a sibling route of the one serving this request (stream, preview, ...)
+const siblingRoutePath = (req, route) =>
+  req.originalUrl
+    .split("?")[0]
+    .replace(/\/(stream|stream-url|preview)\/?$/, `/${route}`);
+
+// Response body for listeners who have not purchased a priced track
+const purchaseRequiredBody = (req, track, reason) => ({
+  success: false,
+  message: "Purchase required to stream this track",
+  reason,
+  data: {
+    trackId: track._id,
+    title: track.title,
+    artist: track.artist,
+    price: track.price,
+    contractId: track.blockchain?.contractId ?? null,
+    preview:
+      track.preview?.status === "ready"
+        ? {
+            url: siblingRoutePath(req, "preview"),
+            startSeconds: track.preview.startSeconds,
+            durationSeconds: track.preview.durationSeconds,
+          }
+        : null,
+  },
+});
+
+// Resolve the preview clip of a locally stored track
+const resolvePreviewFile = (track) => {
+  if (!track.preview?.filename || track.preview.provider !== "local") {
+    return null;
+  }
+  return path.join(
+    process.cwd(),
+    "uploads",
+    path.basename(track.preview.filename)
+  );
+};
+
+// Send a local audio file with HTTP range support for seeking
+const sendAudioFile = (req, res, track, filePath, options) => {
+  const { size } = fs.statSync(filePath);
+
+  res.set({
+    "Content-Type": options.mimeType || "audio/mpeg",
+    "Accept-Ranges": "bytes",
+    "Cache-Control": options.cacheControl,
+    "Content-Disposition": `inline; filename="${encodeURIComponent(
+      track.title
+    )}${path.extname(filePath)}"`,
+    "X-Content-Type-Options": "nosniff",
+  });
+
+  const range = req.headers.range;
+  if (!range) {
+    res.set("Content-Length", size);
+    return fs.createReadStream(filePath).pipe(res);
+  }
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range);
+  let start = NaN;
+  let end = size - 1;
+
+  if (match && match[1] !== "") {
+    start = parseInt(match[1], 10);
+    if (match[2] !== "") {
+      end = Math.min(parseInt(match[2], 10), size - 1);
+    }
+  } else if (match && match[2] !== "") {
+    // Suffix range: the last N bytes
+    start = Math.max(size - parseInt(match[2], 10), 0);
+  }
+
+  if (isNaN(start) || start > end || start >= size) {
+    res.set("Content-Range", `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  res.status(206);
+  res.set({
+    "Content-Range": `bytes ${start}-${end}/${size}`,
+    "Content-Length": end - start + 1,
+  });
+
+  return fs.createReadStream(filePath, { start, end }).pipe(res);
+};
+
 // Get all tracks with filtering
 export const getAllTracks = async (req, res) => {
   try {
@@ -182,7 +291,7 @@ export const getTrackByBlockchainId = async (req, res) => {
     const { blockchainId } = req.params;
 
     const result = await trackService.getTracks(
-      { "blockchain.contractId": blockchainId },
+      Track.byContractId(blockchainId, getPrimaryChainId()),
       { limit: 1, includeInactive: false, includePrivate: false }
     );
 
@@ -234,3 +343,188 @@ export const incrementPlayCount = async (req, res) => {
     }
   }
 };
+
+// Issue a short-lived signed stream URL for the authenticated wallet
+export const getStreamUrl = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { address } = req.wallet;
+
+    const track = await trackService.getTrackById(id);
+    const access = await trackService.checkStreamAccess(track, address);
+
+    if (!access.granted) {
+      return res
+        .status(402)
+        .json(purchaseRequiredBody(req, track, access.reason));
+    }
+
+    const trackId = track._id.toString();
+    const expires = Math.floor(Date.now() / 1000) + STREAM_URL_TTL;
+    const signature = signStreamToken(trackId, address, expires);
+
+    // Point at the stream route of whichever router served this request
+    const streamPath = siblingRoutePath(req, "stream");
+    const query = new URLSearchParams({
+      address,
+      expires: String(expires),
+      signature,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        url: `${streamPath}?${query.toString()}`,
+        expiresAt: new Date(expires * 1000).toISOString(),
+        access: access.reason,
+      },
+    });
+  } catch (error) {
+    console.error("Get stream URL error:", error);
+    if (error.message === "Track not found") {
+      res.status(404).json({
+        success: false,
+        message: "Track not found",
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: "Failed to create stream URL",
+        error: error.message,
+      });
+    }
+  }
+};
+
+// Stream track audio (free tracks, signed stream URLs or wallet owners)
+export const streamTrack = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { address, expires, signature } = req.query;
+
+    const track = await trackService.getTrackById(id);
+
+    let access;
+    if (signature) {
+      if (
+        !verifyStreamToken(track._id.toString(), address, expires, signature)
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Stream URL is invalid or has expired",
+        });
+      }
+      access = { granted: true, reason: "signed_url" };
+    } else {
+      access = await trackService.checkStreamAccess(track, req.wallet?.address);
+    }
+
+    if (!access.granted) {
+      return res
+        .status(402)
+        .json(purchaseRequiredBody(req, track, access.reason));
+    }
+
+    const filePath = resolveLocalFile(track);
+
+    if (!filePath) {
+      // IPFS content is public by nature; hand the listener the gateway URL
+      const remoteUrl = track.storage?.url || track.ipfs?.url;
+      if (remoteUrl) {
+        return res.redirect(remoteUrl);
+      }
+      return res.status(404).json({
+        success: false,
+        message: "Track file not available",
+      });
+    }
+
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: "Track file not found on server",
+      });
+    }
+
+    // Count a play only when playback starts, not on seeks
+    const range = req.headers.range;
+    if (!range || /^bytes=0-/.test(range)) {
+      trackService.incrementPlays(id).catch(() => {});
+    }
+
+    sendAudioFile(req, res, track, filePath, {
+      mimeType: track.mimeType,
+      cacheControl:
+        access.reason === "free" ? "public, max-age=3600" : "private, no-store",
+    });
+  } catch (error) {
+    console.error("Stream track error:", error);
+    if (error.message === "Track not found") {
+      res.status(404).json({
+        success: false,
+        message: "Track not found",
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: "Failed to stream track",
+        error: error.message,
+      });
+    }
+  }
+};
+
+// Stream the preview clip of a track (never requires a purchase)
+export const streamPreview = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const track = await trackService.getTrackById(id);
+
+    if (track.preview?.status !== "ready") {
+      return res.status(404).json({
+        success: false,
+        message: "Preview not available for this track",
+        status: track.preview?.status || null,
+      });
+    }
+
+    const filePath = resolvePreviewFile(track);
+
+    if (!filePath) {
+      if (track.preview.url) {
+        return res.redirect(track.preview.url);
+      }
+      return res.status(404).json({
+        success: false,
+        message: "Preview file not available",
+      });
+    }
+
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: "Preview file not found on server",
+      });
+    }
+
+    sendAudioFile(req, res, track, filePath, {
+      mimeType: track.preview.mimeType,
+      cacheControl: "public, max-age=3600",
+    });
+  } catch (error) {
+    console.error("Stream preview error:", error);
+    if (error.message === "Track not found") {
+      res.status(404).json({
+        success: false,
+        message: "Track not found",
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: "Failed to stream preview",
+        error: error.message,
+      });
+    }
+  }
+};
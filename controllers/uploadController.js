@@ -0,0 +1,159 @@
+import ResumableUploadService from "../services/ResumableUploadService.js";
+import { uploadTrack } from "./adminController.js";
+
+/**
+ * Resumable Upload Operations (tus-style)
+ * - Create upload session
+ * - Append chunks at an offset
+ * - Report progress
+ * - Finalize into a track
+ * - Abort
+ */
+
+const resumableUploadService = new ResumableUploadService();
+
+// Shape of a session in API responses
+const serializeSession = (session) => ({
+  uploadId: session.uploadId,
+  filename: session.filename,
+  size: session.size,
+  offset: session.offset,
+  status: session.status,
+  expiresAt: session.expiresAt,
+});
+
+// Set the tus progress headers for a session
+const setUploadHeaders = (res, session) => {
+  res.set({
+    "Tus-Resumable": "1.0.0",
+    "Upload-Offset": String(session.offset),
+    "Upload-Length": String(session.size),
+    "Upload-Expires": session.expiresAt.toUTCString(),
+    "Cache-Control": "no-store",
+  });
+};
+
+// Map service errors to responses
+const handleUploadError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error.message);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : fallbackMessage,
+  });
+};
+
+// Create an upload session
+export const createUpload = async (req, res) => {
+  try {
+    const data = {
+      ...req.body,
+      size: req.body.size ?? req.get("Upload-Length"),
+    };
+
+    const session = await resumableUploadService.createSession(
+      data,
+      req.admin?.adminId
+    );
+
+    setUploadHeaders(res, session);
+    res
+      .status(201)
+      .location(`${req.baseUrl}${req.path}/${session.uploadId}`)
+      .json({
+        success: true,
+        message: "Upload session created",
+        data: serializeSession(session),
+      });
+  } catch (error) {
+    handleUploadError(res, error, "Failed to create upload session");
+  }
+};
+
+// Append a chunk (body: application/offset+octet-stream)
+export const appendUploadChunk = async (req, res) => {
+  try {
+    const offset = Number(req.get("Upload-Offset"));
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Upload-Offset header is required",
+      });
+    }
+
+    if (req.get("Content-Type") !== "application/offset+octet-stream") {
+      return res.status(415).json({
+        success: false,
+        error: "Content-Type must be application/offset+octet-stream",
+      });
+    }
+
+    const session = await resumableUploadService.appendChunk(
+      req.params.uploadId,
+      offset,
+      req
+    );
+
+    setUploadHeaders(res, session);
+    res.json({
+      success: true,
+      data: serializeSession(session),
+    });
+  } catch (error) {
+    handleUploadError(res, error, "Failed to store upload chunk");
+  }
+};
+
+// Report upload progress (HEAD)
+export const getUploadStatus = async (req, res) => {
+  try {
+    const session = await resumableUploadService.getSession(
+      req.params.uploadId
+    );
+
+    setUploadHeaders(res, session);
+    res.status(200).end();
+  } catch (error) {
+    res.status(error.status || 500).end();
+  }
+};
+
+// Verify the assembled file and create the track exactly like a multer upload
+export const finalizeUpload = async (req, res) => {
+  try {
+    const { session, file } = await resumableUploadService.completeSession(
+      req.params.uploadId,
+      req.body.checksum || req.get("Upload-Checksum")
+    );
+
+    // Fields sent now override those given when the session was created
+    req.body = { ...session.metadata, ...req.body };
+    delete req.body.checksum;
+    req.file = file;
+
+    // uploadTrack answers failures itself; the session only becomes final
+    // once the track exists, so failed attempts can be finalized again
+    await uploadTrack(req, res);
+    await resumableUploadService.settleSession(session, res.statusCode < 400);
+  } catch (error) {
+    if (res.headersSent) {
+      console.error("❌ Failed to settle upload session:", error.message);
+      return;
+    }
+    handleUploadError(res, error, "Failed to finalize upload");
+  }
+};
+
+// Abort an upload and delete received data
+export const abortUpload = async (req, res) => {
+  try {
+    await resumableUploadService.abortSession(req.params.uploadId);
+
+    res.json({
+      success: true,
+      message: "Upload aborted",
+    });
+  } catch (error) {
+    handleUploadError(res, error, "Failed to abort upload");
+  }
+};
@@ -7,6 +7,13 @@ import crypto from "crypto";
  * Enhanced Authentication Middleware with JWT and Security
  */
 
+const TOKEN_ISSUER = "decentra-music-api";
+const ADMIN_AUDIENCE = "decentra-music-admin";
+const WALLET_AUDIENCE = "decentra-music-wallet";
+
+// Roles a wallet (SIWE) session can hold
+export const WALLET_ROLES = ["listener", "artist"];
+
 // Admin login rate limiting
 export const adminLoginLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -33,6 +40,19 @@ export const adminRateLimiter = rateLimit({
   keyGenerator: (req) => generateRateLimitKey(req, "admin-api"),
 });
 
+// Wallet sign-in rate limiting (nonce + verify)
+export const walletAuthLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 attempts per window
+  message: {
+    success: false,
+    error: "Too many sign-in attempts, please try again later",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => generateRateLimitKey(req, "wallet-auth"),
+});
+
 // Generate JWT token for admin
 export const generateAdminToken = (
   adminId,
@@ -52,19 +72,48 @@ export const generateAdminToken = (
 
   return jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRES_IN || "24h",
-    issuer: "decentra-music-api",
-    audience: "decentra-music-admin",
+    issuer: TOKEN_ISSUER,
+    audience: ADMIN_AUDIENCE,
+  });
+};
+
+// Generate JWT token bound to a SIWE-authenticated wallet
+export const generateWalletToken = (address, role = "listener") => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET not configured");
+  }
+
+  if (!WALLET_ROLES.includes(role)) {
+    throw new Error(`Invalid wallet role: ${role}`);
+  }
+
+  const payload = {
+    address: address.toLowerCase(),
+    role,
+    iat: Math.floor(Date.now() / 1000),
+    jti: crypto.randomUUID(),
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || "24h",
+    issuer: TOKEN_ISSUER,
+    audience: WALLET_AUDIENCE,
+    subject: payload.address,
   });
 };
 
-// Generate refresh token
-export const generateRefreshToken = (adminId) => {
+// Generate refresh token (admin by default, wallet when options.role is set)
+export const generateRefreshToken = (subjectId, options = {}) => {
   if (!process.env.REFRESH_TOKEN_SECRET) {
     throw new Error("REFRESH_TOKEN_SECRET not configured");
   }
 
+  const isWallet = WALLET_ROLES.includes(options.role);
+
   const payload = {
-    adminId,
+    ...(isWallet
+      ? { address: subjectId.toLowerCase(), role: options.role }
+      : { adminId: subjectId }),
     type: "refresh",
     iat: Math.floor(Date.now() / 1000),
     jti: crypto.randomUUID(),
@@ -72,8 +121,8 @@ export const generateRefreshToken = (adminId) => {
 
   return jwt.sign(payload, process.env.REFRESH_TOKEN_SECRET, {
     expiresIn: "7d", // Refresh tokens last longer
-    issuer: "decentra-music-api",
-    audience: "decentra-music-admin",
+    issuer: TOKEN_ISSUER,
+    audience: isWallet ? WALLET_AUDIENCE : ADMIN_AUDIENCE,
   });
 };
 
@@ -118,8 +167,8 @@ export const validateAdmin = (req, res, next) => {
 
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET, {
-      issuer: "decentra-music-api",
-      audience: "decentra-music-admin",
+      issuer: TOKEN_ISSUER,
+      audience: ADMIN_AUDIENCE,
     });
 
     // Validate role
@@ -231,8 +280,8 @@ export const validateRefreshToken = (req, res, next) => {
     }
 
     const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET, {
-      issuer: "decentra-music-api",
-      audience: "decentra-music-admin",
+      issuer: TOKEN_ISSUER,
+      audience: ADMIN_AUDIENCE,
     });
 
     if (decoded.type !== "refresh") {
@@ -266,6 +315,179 @@ export const validateRefreshToken = (req, res, next) => {
   }
 };
 
+// Decode a wallet access token from the Authorization header (null if absent)
+const decodeWalletToken = (req) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return null;
+  }
+
+  const decoded = jwt.verify(
+    authHeader.replace("Bearer ", ""),
+    process.env.JWT_SECRET,
+    {
+      issuer: TOKEN_ISSUER,
+      audience: WALLET_AUDIENCE,
+    }
+  );
+
+  if (!WALLET_ROLES.includes(decoded.role)) {
+    const error = new Error("Invalid wallet role");
+    error.name = "JsonWebTokenError";
+    throw error;
+  }
+
+  return {
+    address: decoded.address,
+    role: decoded.role,
+    tokenId: decoded.jti,
+    issuedAt: decoded.iat,
+    expiresAt: decoded.exp,
+  };
+};
+
+// Map wallet token errors to responses
+const handleWalletTokenError = (error, req, res) => {
+  if (error.name === "TokenExpiredError") {
+    return res.status(401).json({
+      success: false,
+      error: "Token expired",
+      hint: "Refresh your session or sign in again",
+    });
+  }
+
+  if (error.name === "JsonWebTokenError" || error.name === "NotBeforeError") {
+    return res.status(401).json({
+      success: false,
+      error: "Invalid token",
+      hint: "Sign in with your wallet to obtain a token",
+    });
+  }
+
+  console.error("❌ Wallet token validation error:", error.message);
+  return res.status(500).json({
+    success: false,
+    error: "Authentication error",
+  });
+};
+
+// Validate JWT wallet token (SIWE session)
+export const validateWallet = (req, res, next) => {
+  try {
+    const wallet = decodeWalletToken(req);
+
+    if (!wallet) {
+      return res.status(401).json({
+        success: false,
+        error: "Wallet authentication required",
+        hint: "Sign in via POST /auth/wallet/verify and use Authorization: Bearer <token>",
+      });
+    }
+
+    req.wallet = wallet;
+    next();
+  } catch (error) {
+    return handleWalletTokenError(error, req, res);
+  }
+};
+
+// Attach wallet info when a valid token is present, otherwise continue anonymously
+export const optionalWallet = (req, res, next) => {
+  try {
+    req.wallet = decodeWalletToken(req);
+    next();
+  } catch (error) {
+    return handleWalletTokenError(error, req, res);
+  }
+};
+
+// Require one of the given wallet roles (use after validateWallet)
+export const requireWalletRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.wallet) {
+      return res.status(401).json({
+        success: false,
+        error: "Wallet authentication required",
+      });
+    }
+
+    if (!roles.includes(req.wallet.role)) {
+      return res.status(403).json({
+        success: false,
+        error: `Role '${roles.join("' or '")}' required`,
+        role: req.wallet.role,
+      });
+    }
+
+    next();
+  };
+};
+
+// Derive an address route param from the authenticated wallet
+export const bindWalletAddress = (paramName = "userAddress") => {
+  return (req, res, next) => {
+    if (!req.wallet) {
+      return res.status(401).json({
+        success: false,
+        error: "Wallet authentication required",
+      });
+    }
+
+    req.params[paramName] = req.wallet.address;
+    next();
+  };
+};
+
+// Wallet refresh token validation
+export const validateWalletRefreshToken = (req, res, next) => {
+  try {
+    const refreshToken = req.body.refreshToken;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: "Refresh token required",
+      });
+    }
+
+    const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET, {
+      issuer: TOKEN_ISSUER,
+      audience: WALLET_AUDIENCE,
+    });
+
+    if (decoded.type !== "refresh" || !WALLET_ROLES.includes(decoded.role)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid refresh token type",
+      });
+    }
+
+    req.refreshTokenData = {
+      address: decoded.address,
+      role: decoded.role,
+      tokenId: decoded.jti,
+    };
+
+    next();
+  } catch (error) {
+    console.error("❌ Wallet refresh token validation error:", error.message);
+
+    if (error.name === "TokenExpiredError") {
+      return res.status(401).json({
+        success: false,
+        error: "Refresh token expired",
+        hint: "Please sign in again",
+      });
+    }
+
+    res.status(401).json({
+      success: false,
+      error: "Invalid refresh token",
+    });
+  }
+};
+
 // API key validation for external services
 export const validateApiKey = (req, res, next) => {
   try {
@@ -36,6 +36,57 @@ const storage = multer.diskStorage({
   },
 });
 
+// Allowed audio file types (more restrictive for security)
+const allowedTypes = [
+  "audio/mpeg", // .mp3
+  "audio/mp3", // .mp3 (alternative)
+  "audio/wav", // .wav
+  "audio/wave", // .wav (alternative)
+  "audio/x-wav", // .wav (alternative)
+  "audio/flac", // .flac
+  "audio/x-flac", // .flac (alternative)
+  "audio/aac", // .aac
+  "audio/ogg", // .ogg
+  "audio/webm", // .webm
+];
+
+// Allowed file extensions (more secure than generic binary)
+const allowedExtensions = [".mp3", ".wav", ".flac", ".aac", ".ogg", ".webm"];
+
+// Extensions each MIME type may carry
+const mimeToExtMap = {
+  "audio/mpeg": [".mp3"],
+  "audio/mp3": [".mp3"],
+  "audio/wav": [".wav"],
+  "audio/wave": [".wav"],
+  "audio/x-wav": [".wav"],
+  "audio/flac": [".flac"],
+  "audio/x-flac": [".flac"],
+  "audio/aac": [".aac"],
+  "audio/ogg": [".ogg"],
+  "audio/webm": [".webm"],
+};
+
+/**
+ * Security checks on a declared file name and MIME type
+ * @param {string} originalname - Client file name
+ * @param {string} mimetype - Client MIME type
+ * @returns {Object} Result of each check
+ */
+export const checkAudioFileType = (originalname, mimetype) => {
+  const fileExt = path.extname(originalname).toLowerCase();
+
+  return {
+    mimeTypeValid: allowedTypes.includes(mimetype),
+    extensionValid: allowedExtensions.includes(fileExt),
+    filenameSecure: !originalname.match(/[<>:"/\\|?*\x00-\x1f]/), // No dangerous chars
+    // Additional security: Check if extension matches mime type
+    extensionMatches: mimeToExtMap[mimetype]
+      ? mimeToExtMap[mimetype].includes(fileExt)
+      : true,
+  };
+};
+
 // Enhanced file filter for audio files
 const fileFilter = (req, file, cb) => {
   console.log("📁 File filter check:", {
@@ -45,50 +96,10 @@ const fileFilter = (req, file, cb) => {
     size: file.size,
   });
 
-  // Allowed audio file types (more restrictive for security)
-  const allowedTypes = [
-    "audio/mpeg", // .mp3
-    "audio/mp3", // .mp3 (alternative)
-    "audio/wav", // .wav
-    "audio/wave", // .wav (alternative)
-    "audio/x-wav", // .wav (alternative)
-    "audio/flac", // .flac
-    "audio/x-flac", // .flac (alternative)
-    "audio/aac", // .aac
-    "audio/ogg", // .ogg
-    "audio/webm", // .webm
-  ];
-
-  // Allowed file extensions (more secure than generic binary)
-  const allowedExtensions = [".mp3", ".wav", ".flac", ".aac", ".ogg", ".webm"];
   const fileExt = path.extname(file.originalname).toLowerCase();
 
   // Security checks
-  const securityChecks = {
-    mimeTypeValid: allowedTypes.includes(file.mimetype),
-    extensionValid: allowedExtensions.includes(fileExt),
-    filenameSecure: !file.originalname.match(/[<>:"/\\|?*\x00-\x1f]/), // No dangerous chars
-    extensionMatches: true, // We'll implement this below
-  };
-
-  // Additional security: Check if extension matches mime type
-  const mimeToExtMap = {
-    "audio/mpeg": [".mp3"],
-    "audio/mp3": [".mp3"],
-    "audio/wav": [".wav"],
-    "audio/wave": [".wav"],
-    "audio/x-wav": [".wav"],
-    "audio/flac": [".flac"],
-    "audio/x-flac": [".flac"],
-    "audio/aac": [".aac"],
-    "audio/ogg": [".ogg"],
-    "audio/webm": [".webm"],
-  };
-
-  if (mimeToExtMap[file.mimetype]) {
-    securityChecks.extensionMatches =
-      mimeToExtMap[file.mimetype].includes(fileExt);
-  }
+  const securityChecks = checkAudioFileType(file.originalname, file.mimetype);
 
   // Check all security conditions
   const isSecure = Object.values(securityChecks).every(
@@ -191,6 +202,168 @@ export const uploadSingle = (req, res, next) => {
   });
 };
 
+// Real containers detected from file headers, with the extensions they may carry
+const CONTAINER_EXTENSIONS = {
+  mp3: [".mp3"],
+  wav: [".wav"],
+  flac: [".flac"],
+  ogg: [".ogg"],
+  aac: [".aac"],
+  webm: [".webm"],
+};
+
+// How far past an ID3v2 tag we look for the first audio frame
+const FRAME_SYNC_SEARCH_BYTES = 4096;
+
+// Read up to `length` bytes at `position` of an open file
+const readBytes = (fd, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+// Valid MPEG audio frame header (layer I-III, sane bitrate and sample rate)
+const isMpegFrameHeader = (buffer, offset) =>
+  buffer[offset] === 0xff &&
+  (buffer[offset + 1] & 0xe0) === 0xe0 &&
+  ((buffer[offset + 1] >> 3) & 0x03) !== 1 &&
+  ((buffer[offset + 1] >> 1) & 0x03) !== 0 &&
+  buffer[offset + 2] >> 4 !== 0x0f &&
+  buffer[offset + 2] >> 4 !== 0x00 &&
+  ((buffer[offset + 2] >> 2) & 0x03) !== 3;
+
+// AAC ADTS header (sync word with layer bits 00)
+const isAdtsHeader = (buffer, offset) =>
+  buffer[offset] === 0xff && (buffer[offset + 1] & 0xf6) === 0xf0;
+
+/**
+ * Detect the audio container of a file from its magic bytes
+ * @param {string} filePath - Path of the uploaded file
+ * @returns {string|null} mp3, wav, flac, ogg, aac, webm or null if unknown
+ */
+export const detectAudioContainer = (filePath) => {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    let header = readBytes(fd, 0, 64);
+    let offset = 0;
+
+    // Skip ID3v2 tags (syncsafe size), which may precede MP3, AAC or FLAC data
+    if (header.length >= 10 && header.toString("latin1", 0, 3) === "ID3") {
+      const tagSize =
+        (header[6] << 21) | (header[7] << 14) | (header[8] << 7) | header[9];
+      const hasFooter = (header[5] & 0x10) !== 0;
+      offset = 10 + tagSize + (hasFooter ? 10 : 0);
+      header = readBytes(fd, offset, FRAME_SYNC_SEARCH_BYTES);
+
+      if (header.toString("latin1", 0, 4) === "fLaC") {
+        return "flac";
+      }
+      // Encoders may pad between the tag and the first frame
+      for (let i = 0; i + 4 <= header.length; i++) {
+        if (isMpegFrameHeader(header, i)) return "mp3";
+        if (isAdtsHeader(header, i)) return "aac";
+        if (header[i] !== 0x00) break;
+      }
+      return null;
+    }
+
+    if (header.length < 12) {
+      return null;
+    }
+
+    if (
+      header.toString("latin1", 0, 4) === "RIFF" &&
+      header.toString("latin1", 8, 12) === "WAVE"
+    ) {
+      return "wav";
+    }
+    if (header.toString("latin1", 0, 4) === "fLaC") {
+      return "flac";
+    }
+    if (header.toString("latin1", 0, 4) === "OggS") {
+      return "ogg";
+    }
+    if (header.readUInt32BE(0) === 0x1a45dfa3) {
+      // EBML; only the WebM doctype is accepted (not generic Matroska)
+      return header.includes("webm", 0, "latin1") ? "webm" : null;
+    }
+    if (isMpegFrameHeader(header, 0)) {
+      return "mp3";
+    }
+    if (isAdtsHeader(header, 0)) {
+      return "aac";
+    }
+
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// Delete a rejected upload, or move it aside when UPLOAD_QUARANTINE_DIR is set
+const disposeOfRejectedFile = (file) => {
+  const quarantineDir = process.env.UPLOAD_QUARANTINE_DIR;
+
+  if (quarantineDir) {
+    fs.mkdirSync(quarantineDir, { recursive: true });
+    const target = path.join(
+      quarantineDir,
+      `${path.basename(file.path)}.quarantined`
+    );
+    try {
+      fs.renameSync(file.path, target);
+    } catch (error) {
+      // Quarantine may live on another device
+      fs.copyFileSync(file.path, target);
+      fs.unlinkSync(file.path);
+    }
+    console.log(`🚧 Upload quarantined: ${target}`);
+    return "quarantined";
+  }
+
+  fs.unlinkSync(file.path);
+  console.log(`🧹 Rejected upload deleted: ${file.path}`);
+  return "deleted";
+};
+
+/**
+ * Verify that an uploaded file's real container matches its declared type.
+ * Mismatching files are removed from ./uploads (or quarantined).
+ * @param {Object} file - Multer file (disk storage)
+ * @returns {Object} { valid, detected, declared, action }
+ */
+export const verifyUploadContent = (file) => {
+  const declared = {
+    mimetype: file.mimetype,
+    extension: path.extname(file.originalname).toLowerCase(),
+  };
+
+  let detected = null;
+  try {
+    detected = detectAudioContainer(file.path);
+  } catch (error) {
+    console.error("❌ Content sniffing failed:", error.message);
+  }
+
+  const valid =
+    detected !== null &&
+    CONTAINER_EXTENSIONS[detected].includes(declared.extension);
+
+  if (valid) {
+    console.log(`✅ Upload content verified: ${detected}`);
+    return { valid, detected, declared, action: null };
+  }
+
+  console.log("❌ Upload content mismatch:", { detected, declared });
+
+  let action = null;
+  if (fs.existsSync(file.path)) {
+    action = disposeOfRejectedFile(file);
+  }
+
+  return { valid, detected, declared, action };
+};
+
 // Export multer instance for custom configurations
 export { upload };
 
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+/**
+ * One-time nonces for Sign-In with Ethereum challenges.
+ * Documents expire automatically through the TTL index on expiresAt.
+ */
+const AuthNonceSchema = new mongoose.Schema(
+  {
+    nonce: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    address: {
+      type: String,
+      required: true,
+      lowercase: true,
+      index: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: "Address must be a valid Ethereum address",
+      },
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    consumedAt: {
+      type: Date,
+      default: null,
+    },
+    ip: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB purge expired challenges
+AuthNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issue a fresh nonce for an address
+AuthNonceSchema.statics.issue = function (address, ttlSeconds = 300, ip) {
+  return this.create({
+    nonce: crypto.randomBytes(16).toString("hex"),
+    address,
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+    ip,
+  });
+};
+
+// Atomically consume a nonce; resolves to null if unknown, expired or reused
+AuthNonceSchema.statics.consume = function (nonce, address) {
+  return this.findOneAndUpdate(
+    {
+      nonce,
+      address: address.toLowerCase(),
+      consumedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { consumedAt: new Date() },
+    { new: true }
+  );
+};
+
+export default mongoose.model("AuthNonce", AuthNonceSchema);
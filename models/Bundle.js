@@ -0,0 +1,117 @@
+import mongoose from "mongoose";
+
+/**
+ * Albums and bundles: an ordered set of tracks sold together at one price
+ * (MusicStore.purchaseBundle). Each track must already be listed on-chain.
+ */
+const BundleSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 200,
+    },
+    type: {
+      type: String,
+      enum: ["album", "bundle"],
+      default: "album",
+    },
+    artist: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 100,
+    },
+    artistAddress: {
+      type: String,
+      match: [
+        /^0x[a-fA-F0-9]{40}$/,
+        "artistAddress must be a valid Ethereum address",
+      ],
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+      maxLength: 1000,
+    },
+
+    // Tracks in play order
+    tracks: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Track",
+        },
+      ],
+      validate: {
+        validator: function (v) {
+          return v.length >= 2 && v.length <= 50;
+        },
+        message: "A bundle needs between 2 and 50 tracks",
+      },
+    },
+
+    coverArt: {
+      cid: String,
+      url: String,
+    },
+    releaseDate: Date,
+    price: {
+      type: String, // ETH for the whole bundle
+      required: true,
+    },
+
+    // Status
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    isPublic: {
+      type: Boolean,
+      default: true,
+    },
+
+    // MusicStore bundle
+    blockchain: {
+      contractId: String,
+      txHash: String,
+      blockNumber: Number,
+      addedAt: Date,
+      status: {
+        type: String,
+        enum: ["pending", "confirmed", "failed", "disabled"],
+        default: "disabled",
+      },
+      error: String,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+BundleSchema.index({ isActive: 1, isPublic: 1, releaseDate: -1 });
+BundleSchema.index(
+  { "blockchain.contractId": 1 },
+  { unique: true, sparse: true }
+);
+BundleSchema.index({ tracks: 1 });
+
+BundleSchema.virtual("trackCount").get(function () {
+  return this.tracks ? this.tracks.length : 0;
+});
+
+// Find public bundles
+BundleSchema.statics.findPublic = function (query = {}) {
+  return this.find({
+    isActive: true,
+    isPublic: true,
+    ...query,
+  });
+};
+
+export default mongoose.model("Bundle", BundleSchema);
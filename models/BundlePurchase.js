@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+/**
+ * Parent record of a bundle purchase (BundlePurchased event). The tracks it
+ * granted are regular Purchase rows pointing back here via bundlePurchase.
+ */
+const BundlePurchaseSchema = new mongoose.Schema(
+  {
+    txHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    blockNumber: Number,
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bundle",
+    },
+    contractBundleId: {
+      type: String,
+      required: true,
+    },
+    buyerAddress: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    amount: {
+      type: String, // ETH paid for the whole bundle
+      required: true,
+    },
+    trackCount: Number,
+    purchaseDate: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+BundlePurchaseSchema.index({ buyerAddress: 1, purchaseDate: -1 });
+BundlePurchaseSchema.index({ bundle: 1 });
+
+// Per-track purchases made in the same transaction
+BundlePurchaseSchema.virtual("purchases", {
+  ref: "Purchase",
+  localField: "_id",
+  foreignField: "bundlePurchase",
+});
+
+// Bundle purchases of a wallet, with their track purchases
+BundlePurchaseSchema.statics.findByBuyer = function (buyerAddress) {
+  return this.find({ buyerAddress: buyerAddress.toLowerCase() })
+    .populate("bundle", "title artist type coverArt")
+    .populate("purchases", "contractTrackId trackId amount trackInfo status")
+    .sort({ purchaseDate: -1 });
+};
+
+export default mongoose.model("BundlePurchase", BundlePurchaseSchema);
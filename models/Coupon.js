@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+/**
+ * Signed coupons issued from promo campaigns, one per buyer and track.
+ * Unexpired, unredeemed coupons hold a slot of the campaign's maxRedemptions.
+ */
+const CouponSchema = new mongoose.Schema(
+  {
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PromoCampaign",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    buyer: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    track: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Track",
+      required: true,
+    },
+    contractTrackId: {
+      type: String,
+      required: true,
+    },
+
+    // Prices in wei
+    originalPrice: {
+      type: String,
+      required: true,
+    },
+    price: {
+      type: String,
+      required: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    signature: {
+      type: String,
+      required: true,
+    },
+
+    // Set from the CouponRedeemed event
+    redeemedAt: {
+      type: Date,
+      default: null,
+    },
+    txHash: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CouponSchema.index({ campaign: 1, redeemedAt: 1, expiresAt: 1 });
+CouponSchema.index({ buyer: 1, track: 1, campaign: 1 });
+CouponSchema.index({ txHash: 1 }, { sparse: true });
+
+// Coupons still holding a redemption slot
+CouponSchema.statics.countOutstanding = function (campaignId) {
+  return this.countDocuments({
+    campaign: campaignId,
+    redeemedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+export default mongoose.model("Coupon", CouponSchema);
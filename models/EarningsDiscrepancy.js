@@ -0,0 +1,118 @@
+import mongoose from "mongoose";
+
+const DifferenceSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String, // totalEarnings, balance, track.totalEarnings or track.royalties
+      required: true,
+    },
+    trackId: String, // On-chain track ID, for track fields
+    mongo: String, // ETH
+    chain: String, // ETH
+    difference: String, // chain - mongo
+  },
+  { _id: false }
+);
+
+/**
+ * Artist earnings that disagree between Mongo and MusicStore, one document per
+ * payee and network. EarningsReconciliationService compares Purchase.artistPayment,
+ * Track.totalEarnings, Track.royalties and indexed withdrawals with
+ * getArtistInfo and the EarningsCredited logs, updating the document on every
+ * run; it is resolved once a later run finds the payee reconciled.
+ */
+const EarningsDiscrepancySchema = new mongoose.Schema(
+  {
+    chainId: {
+      type: String,
+      required: true,
+    },
+    address: {
+      type: String, // Artist or collaborator wallet
+      required: true,
+      lowercase: true,
+    },
+    status: {
+      type: String,
+      enum: [
+        "open", // Diverged at the last check
+        "repaired", // Rewritten from the chain by an admin
+        "resolved", // Reconciled at a later check
+      ],
+      default: "open",
+    },
+    // ETH totals at the last check
+    chain: {
+      totalEarnings: String, // artists[address].totalEarnings
+      balance: String, // artistBalances[address]
+      credited: String, // Sum of EarningsCredited logs
+    },
+    mongo: {
+      purchaseEarnings: String, // Payee's share of Purchase.artistPayment
+      withdrawn: String, // Indexed Withdrawal events
+      expectedBalance: String, // chain.totalEarnings - withdrawn
+    },
+    differences: [DifferenceSchema],
+    // Credits with no purchase record: their sale event was never processed
+    missingPurchases: [
+      {
+        _id: false,
+        txHash: String,
+        trackId: String,
+        blockNumber: Number,
+        amount: String,
+      },
+    ],
+    // Purchases MusicStore never credited the payee for
+    unbackedPurchases: [
+      {
+        _id: false,
+        purchase: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Purchase",
+        },
+        txHash: String,
+        trackId: String,
+        artistPayment: String,
+      },
+    ],
+    firstDetectedAt: Date,
+    lastCheckedAt: Date,
+    resolvedAt: Date,
+    repairs: [
+      {
+        _id: false,
+        at: Date,
+        adminId: String,
+        purchasesUpdated: Number,
+        tracksUpdated: Number,
+        eventsReplayed: Number,
+        reconciled: Boolean, // Whether the re-check after the repair matched
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+EarningsDiscrepancySchema.index({ chainId: 1, address: 1 }, { unique: true });
+EarningsDiscrepancySchema.index({ status: 1, lastCheckedAt: -1 });
+
+// Number of discrepancies per status
+EarningsDiscrepancySchema.statics.getCounts = async function () {
+  const counts = {
+    open: 0,
+    repaired: 0,
+    resolved: 0,
+  };
+  const groups = await this.aggregate([
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  for (const group of groups) {
+    counts[group._id] = group.count;
+  }
+  return counts;
+};
+
+export default mongoose.model("EarningsDiscrepancy", EarningsDiscrepancySchema);
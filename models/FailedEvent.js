@@ -0,0 +1,149 @@
+import mongoose from "mongoose";
+
+// Retry backoff: 1 minute, doubling per attempt, at most 6 hours
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// A "processing" claim older than this is assumed abandoned by a crashed worker
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Dead-letter queue of contract events whose processing failed, one document
+ * per event log. Pending events are retried with exponential backoff until
+ * maxAttempts, after which they are permanently failed and wait for an admin
+ * to retry or discard them.
+ */
+const FailedEventSchema = new mongoose.Schema(
+  {
+    eventType: {
+      type: String,
+      required: true,
+    },
+    txHash: String,
+    logIndex: Number,
+    blockNumber: Number,
+    blockHash: String,
+    chainId: String, // Network the event was emitted on, replayed there
+    // Serialized arguments the event's processor is replayed with
+    eventData: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "resolved", "failed", "discarded"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number, // Retries from the queue, not the in-process retries before it
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 8,
+    },
+    nextRetryAt: Date,
+    claimedAt: Date,
+    lastError: {
+      message: String,
+      stack: String,
+      at: Date,
+    },
+    resolvedAt: Date,
+    discardedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Events queued by earlier versions have no logIndex and are not deduplicated
+FailedEventSchema.index(
+  { eventType: 1, txHash: 1, logIndex: 1 },
+  { unique: true, partialFilterExpression: { logIndex: { $type: "number" } } }
+);
+FailedEventSchema.index({ chainId: 1, status: 1, nextRetryAt: 1 });
+
+// Delay before the retry that follows `attempts` failed ones
+FailedEventSchema.statics.getRetryDelay = function (attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** attempts, RETRY_MAX_DELAY_MS);
+};
+
+// Atomically claim one due event of a network, so concurrent workers never
+// replay it twice
+FailedEventSchema.statics.claimDue = function (chainId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      chainId,
+      $or: [
+        { status: "pending", nextRetryAt: { $lte: now } },
+        {
+          status: "processing",
+          claimedAt: { $lte: new Date(now.getTime() - CLAIM_TIMEOUT_MS) },
+        },
+      ],
+    },
+    { $set: { status: "processing", claimedAt: now } },
+    { new: true, sort: { nextRetryAt: 1 } }
+  );
+};
+
+// Claim a specific event for a manual retry, including permanently failed ones
+FailedEventSchema.statics.claim = function (id) {
+  return this.findOneAndUpdate(
+    { _id: id, status: { $in: ["pending", "failed"] } },
+    { $set: { status: "processing", claimedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Number of events per status
+FailedEventSchema.statics.getCounts = async function () {
+  const counts = {
+    pending: 0,
+    processing: 0,
+    resolved: 0,
+    failed: 0,
+    discarded: 0,
+  };
+  const groups = await this.aggregate([
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  for (const group of groups) {
+    counts[group._id] = group.count;
+  }
+  return counts;
+};
+
+FailedEventSchema.methods.markResolved = function () {
+  this.status = "resolved";
+  this.resolvedAt = new Date();
+  this.nextRetryAt = null;
+  this.claimedAt = null;
+  return this.save();
+};
+
+// Schedule the next retry, or fail permanently once out of attempts
+FailedEventSchema.methods.recordFailure = function (error) {
+  this.attempts += 1;
+  this.lastError = {
+    message: error.message,
+    stack: error.stack,
+    at: new Date(),
+  };
+  this.claimedAt = null;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = "failed";
+    this.nextRetryAt = null;
+  } else {
+    this.status = "pending";
+    this.nextRetryAt = new Date(
+      Date.now() + this.constructor.getRetryDelay(this.attempts)
+    );
+  }
+  return this.save();
+};
+
+export default mongoose.model("FailedEvent", FailedEventSchema);
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+/**
+ * Audit log of MusicStore governance calls made through the admin API, one
+ * document per call. Dry runs, rejected parameters and reverted simulations
+ * are recorded as well as sent transactions.
+ */
+const GovernanceAuditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String, // Governance action, e.g. updatePlatformFee
+      required: true,
+    },
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    dryRun: {
+      type: Boolean,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: [
+        "rejected", // Not simulated: invalid parameters, no wallet or RPC error
+        "simulated", // Dry run whose simulation succeeded
+        "reverted", // Simulation reverted, nothing was sent
+        "submitted", // Sent, waiting for the receipt
+        "confirmed",
+        "failed", // Sent but reverted on-chain or never mined
+      ],
+      required: true,
+    },
+    admin: {
+      adminId: String,
+      tokenId: String,
+      ip: String,
+    },
+    // Unsigned transaction as built for the platform wallet
+    transaction: {
+      from: String,
+      to: String,
+      data: String,
+      value: String,
+      chainId: String,
+    },
+    simulation: {
+      success: Boolean,
+      gasEstimate: String,
+      revertReason: String,
+    },
+    txHash: String,
+    blockNumber: Number,
+    gasUsed: String,
+    error: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+GovernanceAuditLogSchema.index({ createdAt: -1 });
+GovernanceAuditLogSchema.index({ action: 1, createdAt: -1 });
+
+export default mongoose.model("GovernanceAuditLog", GovernanceAuditLogSchema);
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+/**
+ * Event indexer progress, one document per indexed contract and chain.
+ * Blocks up to lastProcessedBlock have been fully processed; the indexer
+ * resumes from the next block after a restart.
+ */
+const IndexerCheckpointSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String, // `${name}:${chainId}:${contractAddress}`
+      required: true,
+      unique: true,
+    },
+    name: {
+      type: String, // Contract name, e.g. MusicStore
+      required: true,
+    },
+    chainId: {
+      type: String,
+      required: true,
+    },
+    contractAddress: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    startBlock: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    lastProcessedBlock: {
+      type: Number,
+      required: true,
+      min: -1,
+    },
+    headBlock: Number, // Chain head seen by the last poll
+    eventsProcessed: {
+      type: Number,
+      default: 0,
+    },
+    lastSyncedAt: Date,
+    lastError: {
+      message: String,
+      at: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Blocks between the chain head and the last processed block
+IndexerCheckpointSchema.virtual("lag").get(function () {
+  if (this.headBlock === undefined || this.headBlock === null) {
+    return null;
+  }
+  return Math.max(this.headBlock - this.lastProcessedBlock, 0);
+});
+
+IndexerCheckpointSchema.set("toJSON", { virtuals: true });
+
+export default mongoose.model("IndexerCheckpoint", IndexerCheckpointSchema);
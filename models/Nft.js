@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+
+/**
+ * Indexed ERC-1155 edition holdings (MusicEditions), one document per token and owner.
+ * Balances are re-read from the contract whenever a TransferSingle/TransferBatch
+ * touches the owner, so replaying an event is harmless.
+ */
+const NftSchema = new mongoose.Schema(
+  {
+    contractAddress: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    tokenId: {
+      type: String,
+      required: true,
+    },
+    owner: {
+      type: String,
+      required: true,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: "Owner must be a valid Ethereum address",
+      },
+    },
+    balance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Edition the token belongs to
+    track: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Track",
+    },
+    contractTrackId: String, // MusicStore track ID
+
+    // Most recent transfer that touched this holding
+    lastTransfer: {
+      txHash: String,
+      blockNumber: Number,
+      logIndex: Number,
+      from: String,
+      to: String,
+      at: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+NftSchema.index({ contractAddress: 1, tokenId: 1, owner: 1 }, { unique: true });
+NftSchema.index({ owner: 1, balance: 1 });
+
+// Tokens currently held by an address
+NftSchema.statics.findByOwner = function (owner) {
+  return this.find({ owner: owner.toLowerCase(), balance: { $gt: 0 } })
+    .populate("track", "title artist genre")
+    .sort({ updatedAt: -1 });
+};
+
+// Current holders of a token
+NftSchema.statics.findHolders = function (tokenId) {
+  return this.find({ tokenId: tokenId.toString(), balance: { $gt: 0 } }).sort({
+    balance: -1,
+  });
+};
+
+export default mongoose.model("Nft", NftSchema);
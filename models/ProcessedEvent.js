@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+/**
+ * Contract event logs the indexer has handled, keyed by txHash + logIndex.
+ * A log found here is skipped, so re-scanning a block range after a restart
+ * never processes an event twice.
+ */
+const ProcessedEventSchema = new mongoose.Schema(
+  {
+    txHash: {
+      type: String,
+      required: true,
+    },
+    logIndex: {
+      type: Number,
+      required: true,
+    },
+    blockNumber: {
+      type: Number,
+      required: true,
+    },
+    blockHash: String,
+    chainId: String,
+    contractAddress: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    eventName: {
+      type: String,
+      required: true,
+    },
+    // "failed" events were handed to the failed-event retry queue
+    status: {
+      type: String,
+      enum: ["processed", "failed"],
+      default: "processed",
+    },
+    processedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+ProcessedEventSchema.index({ txHash: 1, logIndex: 1 }, { unique: true });
+ProcessedEventSchema.index({ chainId: 1, contractAddress: 1, blockNumber: -1 });
+
+export default mongoose.model("ProcessedEvent", ProcessedEventSchema);
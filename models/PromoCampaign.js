@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+
+/**
+ * Promo campaigns: a discount code admins create for a sale.
+ * Buyers exchange the code for a signed Coupon (see Coupon model) that
+ * MusicStore.purchaseWithCoupon accepts in place of the full price.
+ */
+const PromoCampaignSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 100,
+    },
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [
+        /^[A-Z0-9_-]{3,32}$/,
+        "Code must be 3-32 letters, digits, dashes or underscores",
+      ],
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+      maxLength: 500,
+    },
+
+    // Discount
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      required: true,
+    },
+    discountValue: {
+      type: Number, // Percent off (0.01-100), or ETH off the track price
+      required: true,
+      min: 0,
+    },
+
+    // Eligible tracks, empty for catalog-wide campaigns
+    tracks: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Track",
+      },
+    ],
+
+    // Limits
+    maxRedemptions: {
+      type: Number, // Null for unlimited
+      default: null,
+      min: 1,
+    },
+    redemptions: {
+      type: Number, // Coupons redeemed on-chain (CouponRedeemed events)
+      default: 0,
+      min: 0,
+    },
+    startsAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    createdBy: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PromoCampaignSchema.pre("validate", function (next) {
+  if (this.discountType === "percentage" && this.discountValue > 100) {
+    this.invalidate("discountValue", "Percentage discount cannot exceed 100");
+  }
+  if (this.expiresAt && this.startsAt && this.expiresAt <= this.startsAt) {
+    this.invalidate("expiresAt", "expiresAt must be after startsAt");
+  }
+  next();
+});
+
+// Campaign ID as carried by coupons and CouponRedeemed (bytes32)
+PromoCampaignSchema.virtual("campaignId").get(function () {
+  return "0x" + this._id.toString().padStart(64, "0");
+});
+
+// Active campaign by code, regardless of dates
+PromoCampaignSchema.statics.findByCode = function (code) {
+  return this.findOne({ code: code.trim().toUpperCase(), isActive: true });
+};
+
+// Campaign from a bytes32 campaign ID
+PromoCampaignSchema.statics.findByCampaignId = function (campaignId) {
+  return this.findById(campaignId.slice(-24));
+};
+
+// Whether the campaign is running at `now`
+PromoCampaignSchema.methods.isRunning = function (now = new Date()) {
+  return this.isActive && this.startsAt <= now && this.expiresAt > now;
+};
+
+// Whether the campaign applies to a track
+PromoCampaignSchema.methods.appliesTo = function (trackId) {
+  return (
+    this.tracks.length === 0 ||
+    this.tracks.some((id) => id.toString() === trackId.toString())
+  );
+};
+
+export default mongoose.model("PromoCampaign", PromoCampaignSchema);
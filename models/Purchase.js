@@ -5,9 +5,7 @@ const PurchaseSchema = new mongoose.Schema(
     // Blockchain transaction info
     txHash: {
       type: String,
-      required: true,
-      unique: true,
-      index: true,
+      required: true, // Unique per track: a bundle purchase buys several tracks in one transaction
     },
     blockNumber: {
       type: Number,
@@ -16,6 +14,10 @@ const PurchaseSchema = new mongoose.Schema(
     blockHash: {
       type: String,
     },
+    chainId: {
+      type: String, // Network the purchase was made on
+      index: true,
+    },
     
     // Purchase details
     trackId: {
@@ -40,6 +42,14 @@ const PurchaseSchema = new mongoose.Schema(
         message: 'Buyer address must be a valid Ethereum address'
       }
     },
+    payerAddress: {
+      type: String, // Wallet that paid; differs from buyerAddress (the recipient) for gifts
+      lowercase: true,
+    },
+    isGift: {
+      type: Boolean,
+      default: false,
+    },
     artistAddress: {
       type: String,
       lowercase: true,
@@ -54,16 +64,81 @@ const PurchaseSchema = new mongoose.Schema(
     },
     
     // Financial details
+    currency: {
+      type: String, // ETH or the payment token symbol; amounts below are in this currency
+      default: 'ETH',
+      uppercase: true,
+    },
+    paymentToken: {
+      type: String, // ERC-20 address, null for ETH
+      lowercase: true,
+      default: null,
+    },
     amount: {
       type: String, // Store as string to avoid precision issues
       required: true,
     },
     platformFee: {
-      type: String, // In ETH
+      type: String,
     },
     artistPayment: {
+      type: String,
+    },
+    
+    // Resale marketplace
+    source: {
+      type: String,
+      enum: ['primary', 'resale'],
+      default: 'primary',
+      index: true,
+    },
+    sellerAddress: {
+      type: String, // Previous owner, for resales
+      lowercase: true,
+    },
+    royaltyAmount: {
+      type: String, // In ETH, paid to the artist on resale
+    },
+    sellerProceeds: {
       type: String, // In ETH
     },
+    previousPurchase: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Purchase",
+    },
+    listing: {
+      isActive: {
+        type: Boolean,
+        default: false,
+      },
+      price: String, // In ETH
+      txHash: String,
+      listedAt: Date,
+      cancelledAt: Date,
+    },
+    transfer: {
+      to: String, // Buyer the purchase right was resold to
+      txHash: String,
+      at: Date,
+    },
+    
+    // Album/bundle purchase this track was bought in
+    bundlePurchase: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BundlePurchase",
+    },
+    
+    // Promo coupon redeemed with this purchase
+    coupon: {
+      campaign: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PromoCampaign",
+      },
+      code: String,
+      nonce: String,
+      originalPrice: String, // In ETH
+      discount: String, // In ETH
+    },
     
     // Status and verification
     verified: {
@@ -71,9 +146,11 @@ const PurchaseSchema = new mongoose.Schema(
       default: false,
       index: true,
     },
+    // pending until CONFIRMATION_DEPTH blocks deep; reorged when a chain
+    // reorganization dropped the transaction
     status: {
       type: String,
-      enum: ['pending', 'confirmed', 'failed'],
+      enum: ['pending', 'confirmed', 'failed', 'transferred', 'reorged'],
       default: 'pending',
       index: true,
     },
@@ -81,6 +158,11 @@ const PurchaseSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    reorg: {
+      detectedAt: Date,
+      blockNumber: Number, // Block the transaction was dropped from
+      blockHash: String,
+    },
     
     // Access control
     accessGranted: {
@@ -133,12 +215,17 @@ const PurchaseSchema = new mongoose.Schema(
 );
 
 // Enhanced indexes for performance
-PurchaseSchema.index({ txHash: 1 }, { unique: true }); // Primary unique index
+PurchaseSchema.index({ txHash: 1, contractTrackId: 1 }, { unique: true }); // Primary unique index
 PurchaseSchema.index({ buyerAddress: 1, purchaseDate: -1 }); // User purchase history
 PurchaseSchema.index({ artistAddress: 1, purchaseDate: -1 }); // Artist sales
 PurchaseSchema.index({ status: 1, verified: 1 }); // Purchase status filtering
 PurchaseSchema.index({ buyerAddress: 1, contractTrackId: 1 }); // User-track purchase check
 PurchaseSchema.index({ trackId: 1 }); // Track purchase lookup
+PurchaseSchema.index({ 'listing.isActive': 1, contractTrackId: 1 }); // Resale listings
+PurchaseSchema.index({ 'coupon.campaign': 1 }, { sparse: true }); // Campaign redemptions
+PurchaseSchema.index({ payerAddress: 1, isGift: 1, purchaseDate: -1 }); // Gifts sent
+PurchaseSchema.index({ buyerAddress: 1, isGift: 1, purchaseDate: -1 }); // Gifts received
+PurchaseSchema.index({ currency: 1, status: 1 }); // Revenue per currency
 
 // Instance methods
 PurchaseSchema.methods.markAsVerified = function() {
@@ -153,6 +240,20 @@ PurchaseSchema.methods.grantAccess = function() {
   return this.save();
 };
 
+// Rolled back by a chain reorganization: no access until mined again
+PurchaseSchema.methods.markAsReorged = function() {
+  this.reorg = {
+    detectedAt: new Date(),
+    blockNumber: this.blockNumber,
+    blockHash: this.blockHash,
+  };
+  this.status = 'reorged';
+  this.verified = false;
+  this.accessGranted = false;
+  this.listing.isActive = false;
+  return this.save();
+};
+
 PurchaseSchema.methods.recordAccess = function() {
   this.lastAccessedAt = new Date();
   this.downloadCount += 1;
@@ -160,14 +261,19 @@ PurchaseSchema.methods.recordAccess = function() {
 };
 
 // Static methods
-PurchaseSchema.statics.findByTransaction = function(txHash) {
-  return this.findOne({ txHash: txHash });
+PurchaseSchema.statics.findByTransaction = function(txHash, contractTrackId = null) {
+  const query = { txHash: txHash };
+  if (contractTrackId !== null) {
+    query.contractTrackId = contractTrackId;
+  }
+  return this.findOne(query);
 };
 
 PurchaseSchema.statics.findUserPurchases = function(userAddress) {
   return this.find({ 
     buyerAddress: userAddress.toLowerCase(),
-    verified: true 
+    verified: true,
+    status: { $ne: 'transferred' }
   }).sort({ purchaseDate: -1 });
 };
 
@@ -179,14 +285,113 @@ PurchaseSchema.statics.findArtistSales = function(artistAddress) {
 };
 
 PurchaseSchema.statics.hasUserPurchased = function(userAddress, trackId) {
+  // trackId may be a MongoDB ID or a blockchain contract track ID
+  const trackMatch = [];
+  if (mongoose.Types.ObjectId.isValid(trackId)) {
+    trackMatch.push({ trackId: trackId });
+  }
+  if (/^\d+$/.test(String(trackId))) {
+    trackMatch.push({ contractTrackId: Number(trackId) });
+  }
+  if (trackMatch.length === 0) {
+    return Promise.resolve(null);
+  }
+
   return this.findOne({
     buyerAddress: userAddress.toLowerCase(),
-    $or: [
-      { trackId: trackId },
-      { contractTrackId: trackId }
-    ],
-    verified: true
+    $or: trackMatch,
+    verified: true,
+    status: { $ne: 'transferred' }
   });
 };
 
+// Purchase right currently held by an address (for resale indexing)
+PurchaseSchema.statics.findCurrentOwnership = function(userAddress, contractTrackId, chainId = null) {
+  const filter = {
+    buyerAddress: userAddress.toLowerCase(),
+    contractTrackId: Number(contractTrackId),
+    status: { $in: ['pending', 'confirmed'] }
+  };
+  if (chainId !== null) {
+    filter.chainId = String(chainId);
+  }
+  return this.findOne(filter).sort({ purchaseDate: -1 });
+};
+
+// Gifts paid for by an address
+PurchaseSchema.statics.findGiftsSent = function(payerAddress) {
+  return this.find({
+    payerAddress: payerAddress.toLowerCase(),
+    isGift: true
+  }).sort({ purchaseDate: -1 });
+};
+
+// Gifts received by an address
+PurchaseSchema.statics.findGiftsReceived = function(recipientAddress) {
+  return this.find({
+    buyerAddress: recipientAddress.toLowerCase(),
+    isGift: true
+  }).sort({ purchaseDate: -1 });
+};
+
+// Primary-sale revenue, platform fees and artist payments per currency
+PurchaseSchema.statics.getRevenueByCurrency = function(match = {}) {
+  return this.aggregate([
+    { $match: { status: { $in: ['confirmed', 'transferred'] }, source: { $ne: 'resale' }, ...match } },
+    {
+      $group: {
+        _id: '$currency',
+        sales: { $sum: 1 },
+        revenue: { $sum: { $toDecimal: '$amount' } },
+        platformFees: { $sum: { $toDecimal: { $ifNull: ['$platformFee', '0'] } } },
+        artistPayments: { $sum: { $toDecimal: { $ifNull: ['$artistPayment', '0'] } } },
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        currency: { $ifNull: ['$_id', 'ETH'] },
+        sales: 1,
+        revenue: { $toString: '$revenue' },
+        platformFees: { $toString: '$platformFees' },
+        artistPayments: { $toString: '$artistPayments' },
+      }
+    },
+    { $sort: { currency: 1 } }
+  ]);
+};
+
+// Unique txHash index of databases created before bundles, whose tracks share
+// one transaction; autoIndex adds the compound index but never drops this one
+const LEGACY_UNIQUE_INDEXES = ['txHash_1'];
+
+PurchaseSchema.statics.dropLegacyIndexes = async function(collection = this.collection) {
+  let indexes;
+  try {
+    indexes = await collection.indexes();
+  } catch (error) {
+    if (error.codeName === 'NamespaceNotFound') {
+      return []; // New database, nothing to drop
+    }
+    throw error;
+  }
+
+  const dropped = [];
+  for (const index of indexes) {
+    if (LEGACY_UNIQUE_INDEXES.includes(index.name) && index.unique) {
+      await collection.dropIndex(index.name);
+      dropped.push(index.name);
+    }
+  }
+  return dropped;
+};
+
+PurchaseSchema.statics.findActiveListings = function(contractTrackId = null) {
+  const filter = { 'listing.isActive': true, status: 'confirmed' };
+  if (contractTrackId !== null) {
+    filter.contractTrackId = Number(contractTrackId);
+  }
+  return this.find(filter).sort({ 'listing.listedAt': -1 });
+};
+
 export default mongoose.model("Purchase", PurchaseSchema);
@@ -0,0 +1,115 @@
+import mongoose from "mongoose";
+
+/**
+ * Purchases relayed through the ERC-2771 forwarder, one document per signed
+ * request. The relayer wallet pays the gas; BlockchainService follows the
+ * transaction until it is CONFIRMATION_DEPTH blocks deep.
+ */
+const RelayedTransactionSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String, // Wallet that signed the request (the buyer)
+      required: true,
+      lowercase: true,
+    },
+    track: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Track",
+    },
+    trackId: String, // On-chain track ID
+    method: {
+      type: String, // MusicStore function in request.data
+      required: true,
+    },
+    // ERC-2771 ForwardRequest as signed
+    request: {
+      to: String,
+      value: String,
+      gas: String,
+      nonce: String,
+      deadline: Number,
+      data: String,
+    },
+    // Cleared once failed or dropped: the forwarder did not use the nonce, so
+    // the same signed request may be relayed again
+    nonceLocked: {
+      type: Boolean,
+      default: true,
+    },
+    signature: {
+      type: String,
+      required: true,
+    },
+    relayer: {
+      type: String,
+      lowercase: true,
+    },
+    status: {
+      type: String,
+      enum: [
+        "queued", // Validated, being sent
+        "submitted", // Sent, not mined yet
+        "pending", // Mined, under the confirmation depth
+        "confirmed",
+        "failed", // Reverted, or could not be sent
+        "dropped", // Never mined
+      ],
+      default: "queued",
+    },
+    txHash: String,
+    blockNumber: Number,
+    blockHash: String,
+    confirmations: {
+      type: Number,
+      default: 0,
+    },
+    gasUsed: String,
+    gasCost: String, // Wei paid by the relayer
+    error: String,
+    submittedAt: Date,
+    confirmedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A signed request is relayed at most once at a time (forwarder nonces are per signer)
+RelayedTransactionSchema.index(
+  { from: 1, "request.nonce": 1 },
+  { unique: true, partialFilterExpression: { nonceLocked: true } }
+);
+RelayedTransactionSchema.index({ from: 1, createdAt: -1 });
+RelayedTransactionSchema.index({ status: 1 });
+RelayedTransactionSchema.index({ txHash: 1 }, { sparse: true });
+
+// Requests counted against a wallet's quota since `since`: everything the
+// relayer sent or is sending, reverted ones included
+RelayedTransactionSchema.statics.countForQuota = function (from, since) {
+  return this.countDocuments({
+    from: from.toLowerCase(),
+    createdAt: { $gte: since },
+    $or: [{ txHash: { $ne: null } }, { status: "queued" }],
+  });
+};
+
+// Number of relayed transactions per status
+RelayedTransactionSchema.statics.getCounts = async function () {
+  const counts = {
+    queued: 0,
+    submitted: 0,
+    pending: 0,
+    confirmed: 0,
+    failed: 0,
+    dropped: 0,
+  };
+  const groups = await this.aggregate([
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  for (const group of groups) {
+    counts[group._id] = group.count;
+  }
+  return counts;
+};
+
+export default mongoose.model("RelayedTransaction", RelayedTransactionSchema);
@@ -40,10 +40,21 @@ const TrackSchema = new mongoose.Schema(
       maxLength: 200,
     },
     price: {
-      type: String,
+      type: String, // In currency units
       default: "0.001",
       required: true,
     },
+    currency: {
+      type: String, // ETH or a PAYMENT_TOKENS symbol
+      default: "ETH",
+      uppercase: true,
+      trim: true,
+    },
+    paymentToken: {
+      type: String, // ERC-20 address, null for ETH
+      lowercase: true,
+      default: null,
+    },
     description: {
       type: String,
       default: "",
@@ -71,6 +82,49 @@ const TrackSchema = new mongoose.Schema(
       gateway: String,
     },
 
+    // Technical audio metadata extracted at upload time
+    audio: {
+      durationSeconds: Number,
+      bitrate: Number, // bits per second
+      sampleRate: Number,
+      channels: Number,
+      bitsPerSample: Number,
+      codec: String,
+      container: String,
+      lossless: Boolean,
+      tagTypes: [String],
+      extractedAt: Date,
+    },
+
+    // Waveform peaks (stored in the Waveform collection)
+    waveform: {
+      status: {
+        type: String,
+        enum: ["ready", "failed"],
+      },
+      resolutions: [Number],
+      error: String,
+      generatedAt: Date,
+    },
+
+    // Preview clip (freely streamable, no purchase required)
+    preview: {
+      status: {
+        type: String,
+        enum: ["ready", "failed", "unsupported"],
+      },
+      provider: String,
+      cid: String,
+      url: String,
+      filename: String,
+      path: String,
+      mimeType: String,
+      startSeconds: Number,
+      durationSeconds: Number,
+      error: String,
+      generatedAt: Date,
+    },
+
     // File metadata
     fileSize: {
       type: Number,
@@ -113,6 +167,7 @@ const TrackSchema = new mongoose.Schema(
 
     // Enhanced blockchain info
     blockchain: {
+      chainId: String, // Network the track is listed on (see deployments.json)
       contractId: {
         type: String,
         sparse: true, // Allow multiple null values
@@ -132,16 +187,72 @@ const TrackSchema = new mongoose.Schema(
       },
       txHash: String,
       blockNumber: Number,
+      blockHash: String, // Re-checked for chain reorganizations
       addedAt: Date,
       mintedAt: Date,
       price: String,
       status: {
         type: String,
-        enum: ["pending", "confirmed", "failed", "disabled"],
+        enum: ["pending", "voucher", "confirmed", "failed", "disabled"], // voucher: lazy-listed, on-chain at first sale; pending: also while mined but under CONFIRMATION_DEPTH
         default: "disabled", // Changed from "pending" to "disabled" since blockchain is optional
       },
       pendingTxHash: String,
       error: String, // Added to track blockchain errors
+      // EIP-712 listing voucher, redeemed by the artist (addTrackWithVoucher)
+      // or by the first buyer of a lazy listing (purchaseWithVoucher)
+      voucher: {
+        nonce: String,
+        artist: {
+          type: String,
+          lowercase: true,
+        },
+        price: String, // Wei
+        metadataHash: String,
+        expiresAt: Date,
+        signature: String,
+        signer: String,
+        approvedBy: String,
+        issuedAt: Date,
+        redeemedAt: Date,
+        lazy: Boolean, // Signed as a LazyListingVoucher (purchaseWithVoucher)
+      },
+    },
+
+    // Collaborator revenue splits (mirrors MusicStore.getTrackSplits)
+    splits: [
+      {
+        _id: false,
+        address: {
+          type: String,
+          required: true,
+          lowercase: true,
+          match: [/^0x[a-fA-F0-9]{40}$/, 'Split address must be a valid Ethereum address'],
+        },
+        shares: {
+          type: Number, // Basis points, all splits sum to 10000
+          required: true,
+          min: 1,
+          max: 10000,
+        },
+        role: {
+          type: String,
+          enum: ["artist", "producer", "featured", "label", "other"],
+          default: "other",
+        },
+        name: String,
+      },
+    ],
+    splitsUpdatedAt: Date,
+
+    // Limited ERC-1155 edition (MusicEditions contract)
+    edition: {
+      tokenId: String,
+      contractAddress: String,
+      price: String, // ETH per copy
+      maxSupply: Number,
+      metadataHash: String,
+      txHash: String,
+      createdAt: Date,
     },
 
     // Purchase history
@@ -164,7 +275,7 @@ const TrackSchema = new mongoose.Schema(
       },
     ],
 
-    // Royalty payments
+    // Resale royalties credited to the track's payees
     royalties: [
       {
         artist: {
@@ -204,7 +315,8 @@ const TrackSchema = new mongoose.Schema(
       },
     ],
 
-    // Financial tracking
+    // Financial tracking: ETH credited to the track's payees, sales and
+    // royalties, repaired from the chain by EarningsReconciliationService
     totalEarnings: {
       type: String,
       default: "0",
@@ -231,18 +343,21 @@ TrackSchema.index({ genre: 1, isActive: 1 }); // Optimized for genre filtering w
 TrackSchema.index({ createdAt: -1 });
 TrackSchema.index({ plays: -1 });
 
-// Blockchain indexes - single sparse unique index as recommended
+// Blockchain indexes - contract track IDs are unique per network
+// (scripts/clean-indexes.js drops the earlier single-network index)
 TrackSchema.index(
-  { "blockchain.contractId": 1 },
+  { "blockchain.chainId": 1, "blockchain.contractId": 1 },
   {
     unique: true,
-    sparse: true, // This is crucial - allows multiple null/undefined values
-    name: "blockchain_contractId_unique",
+    // Unlisted tracks have no contract ID
+    partialFilterExpression: { "blockchain.contractId": { $type: "string" } },
+    name: "blockchain_chainId_contractId_unique",
   }
 );
 
 // Additional blockchain status index for filtering
 TrackSchema.index({ "blockchain.status": 1 });
+TrackSchema.index({ "blockchain.voucher.nonce": 1 }, { sparse: true });
 
 // Storage provider index for performance
 TrackSchema.index({ "storage.provider": 1 });
@@ -314,6 +429,15 @@ TrackSchema.statics.findPublic = function (query = {}) {
 };
 
 // Find by genre
+// Track listed as contractId on a network; any network when chainId is unknown
+TrackSchema.statics.byContractId = function (contractId, chainId = null) {
+  const filter = { "blockchain.contractId": String(contractId) };
+  if (chainId !== null && chainId !== undefined) {
+    filter["blockchain.chainId"] = String(chainId);
+  }
+  return filter;
+};
+
 TrackSchema.statics.findByGenre = function (genre) {
   return this.findPublic({ genre: genre.toLowerCase() });
 };
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+/**
+ * Resumable upload sessions (tus-style: create, PATCH chunks, HEAD, finalize).
+ * Chunks are appended to tempPath; offset always mirrors the bytes on disk.
+ */
+const UploadSessionSchema = new mongoose.Schema(
+  {
+    uploadId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Declared file
+    filename: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    mimetype: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    checksum: {
+      algorithm: String,
+      value: String,
+    },
+
+    // Progress
+    offset: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    tempPath: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["uploading", "complete", "finalized", "aborted"],
+      default: "uploading",
+      index: true,
+    },
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Track fields passed to TrackService.createTrack on finalize
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    createdBy: String,
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Sessions that are past their expiry and still hold a temp file
+UploadSessionSchema.statics.findExpired = function () {
+  return this.find({
+    expiresAt: { $lt: new Date() },
+    status: { $in: ["uploading", "complete"] },
+  });
+};
+
+export default mongoose.model("UploadSession", UploadSessionSchema);
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+/**
+ * Downsampled waveform peaks for a track, one document per resolution.
+ * Field names mirror the audiowaveform JSON/.dat format.
+ */
+const WaveformSchema = new mongoose.Schema(
+  {
+    track: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Track",
+      required: true,
+    },
+    // Number of min/max pairs
+    length: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    sampleRate: {
+      type: Number,
+      required: true,
+    },
+    samplesPerPixel: {
+      type: Number,
+      required: true,
+    },
+    bits: {
+      type: Number,
+      enum: [8, 16],
+      default: 8,
+    },
+    channels: {
+      type: Number,
+      default: 1,
+    },
+    durationSeconds: Number,
+    // Interleaved min/max values
+    data: {
+      type: [Number],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WaveformSchema.index({ track: 1, length: 1 }, { unique: true });
+
+// Resolutions available for a track, smallest first
+WaveformSchema.statics.findForTrack = function (trackId) {
+  return this.find({ track: trackId }).select("-data").sort({ length: 1 });
+};
+
+export default mongoose.model("Waveform", WaveformSchema);
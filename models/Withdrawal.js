@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+/**
+ * Indexed MusicStore withdrawals, one document per event log.
+ * Withdrawal/TokenWithdrawal pay out credited earnings, SellerWithdrawal resale
+ * proceeds and (Token)PlatformFeesWithdrawn the platform's fees.
+ */
+const WithdrawalSchema = new mongoose.Schema(
+  {
+    txHash: {
+      type: String,
+      required: true,
+    },
+    logIndex: {
+      type: Number,
+      required: true,
+    },
+    blockNumber: Number,
+    blockHash: String,
+    chainId: String,
+    eventType: {
+      type: String,
+      required: true,
+      enum: [
+        "Withdrawal",
+        "TokenWithdrawal",
+        "SellerWithdrawal",
+        "PlatformFeesWithdrawn",
+        "TokenPlatformFeesWithdrawn",
+      ],
+    },
+    kind: {
+      type: String,
+      required: true,
+      enum: ["earnings", "resale", "platform_fees"],
+    },
+    payee: {
+      type: String,
+      required: true,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: "Payee must be a valid Ethereum address",
+      },
+    },
+    currency: {
+      type: String,
+      default: "ETH",
+      uppercase: true,
+    },
+    paymentToken: {
+      type: String, // ERC-20 address, null for ETH
+      lowercase: true,
+      default: null,
+    },
+    amount: {
+      type: String, // In currency units
+      required: true,
+    },
+    amountRaw: {
+      type: String, // Wei / token base units, for exact sums
+      required: true,
+    },
+    withdrawnAt: Date, // Block timestamp
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WithdrawalSchema.index({ txHash: 1, logIndex: 1 }, { unique: true });
+WithdrawalSchema.index({ payee: 1, kind: 1, withdrawnAt: -1 });
+
+// Withdrawals of a wallet, newest first
+WithdrawalSchema.statics.findByPayee = function (payee, kind = null) {
+  const filter = { payee: payee.toLowerCase() };
+  if (kind) {
+    filter.kind = kind;
+  }
+  return this.find(filter).sort({ withdrawnAt: -1 });
+};
+
+// Base-unit totals of a wallet's withdrawals per currency
+WithdrawalSchema.statics.getTotals = async function (payee, kind) {
+  const withdrawals = await this.find(
+    { payee: payee.toLowerCase(), kind },
+    "currency amountRaw"
+  );
+
+  const totals = {};
+  for (const withdrawal of withdrawals) {
+    totals[withdrawal.currency] =
+      (totals[withdrawal.currency] || 0n) + BigInt(withdrawal.amountRaw);
+  }
+  return totals;
+};
+
+export default mongoose.model("Withdrawal", WithdrawalSchema);
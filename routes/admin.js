@@ -2,7 +2,11 @@ import express from "express";
 import { validateAdmin } from "../middleware/auth.js";
 import { uploadSingle } from "../middleware/upload.js";
 import * as adminController from "../controllers/adminController.js";
+import * as uploadController from "../controllers/uploadController.js";
+import * as promoController from "../controllers/promoController.js";
+import * as bundleController from "../controllers/bundleController.js";
 import Track from "../models/Track.js";
+import Purchase from "../models/Purchase.js";
 
 const router = express.Router();
 
@@ -23,8 +27,18 @@ router.get("/", (req, res) => {
     endpoints: {
       tracks: "/api/admin/tracks",
       upload: "POST /api/admin/tracks (with file)",
+      resumableUpload:
+        "POST /api/admin/tracks/uploads (then PATCH/HEAD/finalize)",
       status: "/api/admin/status",
       stats: "/api/admin/stats",
+      promos: "/api/admin/promos",
+      bundles: "/api/admin/bundles",
+      paymentTokens: "/api/admin/payment-tokens",
+      withdrawals: "/api/admin/withdrawals",
+      reconciliation: "/api/admin/ledger/reconciliation",
+      earningsDiscrepancies: "/api/admin/ledger/discrepancies",
+      failedEvents: "/api/admin/blockchain/failed-events",
+      governance: "/api/admin/governance",
     },
   });
 });
@@ -33,6 +47,17 @@ router.get("/", (req, res) => {
 // IMPORTANT: Add upload middleware to the POST route
 router.post("/tracks", uploadSingle, adminController.uploadTrack);
 router.get("/tracks", adminController.getAllTracksAdmin);
+
+// Resumable uploads for large files (tus-style)
+router.post("/tracks/uploads", uploadController.createUpload);
+router.head("/tracks/uploads/:uploadId", uploadController.getUploadStatus);
+router.patch("/tracks/uploads/:uploadId", uploadController.appendUploadChunk);
+router.post(
+  "/tracks/uploads/:uploadId/finalize",
+  uploadController.finalizeUpload
+);
+router.delete("/tracks/uploads/:uploadId", uploadController.abortUpload);
+
 router.get("/tracks/:id", async (req, res) => {
   try {
     const track = await Track.findById(req.params.id).select("-__v");
@@ -57,8 +82,49 @@ router.get("/tracks/:id", async (req, res) => {
   }
 });
 router.put("/tracks/:id", adminController.updateTrack);
+router.post("/tracks/waveforms", adminController.regenerateAllWaveforms);
+router.post("/tracks/:id/waveform", adminController.regenerateWaveform);
+router.post("/tracks/:id/edition", adminController.createTrackEdition);
+router.put("/tracks/:id/splits", adminController.updateTrackSplits);
+router.post("/tracks/:id/listing-voucher", adminController.approveTrackListing);
+router.post("/tracks/:id/lazy-listing", adminController.createLazyListing);
 router.delete("/tracks/:id", adminController.deleteTrack);
 
+// Promo campaigns
+router.get("/promos", promoController.getCampaigns);
+router.post("/promos", promoController.createCampaign);
+router.get("/promos/:id", promoController.getCampaign);
+router.put("/promos/:id", promoController.updateCampaign);
+router.delete("/promos/:id", promoController.deactivateCampaign);
+
+// Album/bundle routes
+router.get("/bundles", bundleController.getBundles);
+router.post("/bundles", bundleController.createBundle);
+router.get("/bundles/:id", bundleController.getBundle);
+router.put("/bundles/:id", bundleController.updateBundle);
+router.delete("/bundles/:id", bundleController.deactivateBundle);
+router.post("/bundles/:id/blockchain", bundleController.addBundleToBlockchain);
+
+// Payment currencies (ERC-20 allow-list)
+router.get("/payment-tokens", adminController.getPaymentTokens);
+router.post("/payment-tokens", adminController.setPaymentTokenAllowed);
+
+// Withdrawals and earnings ledgers
+router.get("/withdrawals", adminController.getWithdrawals);
+router.get("/ledger/reconciliation", adminController.reconcileLedgers);
+
+// Artist earnings reconciliation between Mongo and the chain
+router.get("/ledger/discrepancies", adminController.getEarningsDiscrepancies);
+router.post(
+  "/ledger/discrepancies/reconcile",
+  adminController.reconcileEarnings
+);
+router.get("/ledger/discrepancies/:id", adminController.getEarningsDiscrepancy);
+router.post(
+  "/ledger/discrepancies/:id/repair",
+  adminController.repairEarningsDiscrepancy
+);
+
 // System status
 router.get("/status", async (req, res) => {
   try {
@@ -124,6 +190,7 @@ router.get("/stats", async (req, res) => {
       totalPlays,
       totalDownloads,
       recentTracks,
+      revenueByCurrency,
     ] = await Promise.all([
       Track.countDocuments(),
       Track.countDocuments({ isActive: true }),
@@ -135,6 +202,7 @@ router.get("/stats", async (req, res) => {
         .sort({ createdAt: -1 })
         .limit(5)
         .select("title artist createdAt plays downloads"),
+      Purchase.getRevenueByCurrency(),
     ]);
 
     const stats = {
@@ -151,6 +219,8 @@ router.get("/stats", async (req, res) => {
             ? Math.round((totalPlays[0]?.total || 0) / activeTracks)
             : 0,
       },
+      // Amounts of different currencies are never summed together
+      revenue: revenueByCurrency,
       recent: recentTracks,
     };
 
@@ -185,7 +255,7 @@ router.get("/blockchain/status", async (req, res) => {
       });
     }
 
-    const status = await blockchainService.default.getStatus();
+    const status = await new blockchainService.default().getStatus();
     res.json({
       success: true,
       status,
@@ -198,39 +268,26 @@ router.get("/blockchain/status", async (req, res) => {
   }
 });
 
-router.post("/blockchain/retry-failed-events", async (req, res) => {
-  try {
-    const blockchainService = await import("../services/BlockchainService.js");
-    await blockchainService.default.retryFailedEvents();
+// Dead-letter queue of failed contract events
+router.get("/blockchain/failed-events", adminController.getFailedEvents);
+router.post(
+  "/blockchain/failed-events/retry",
+  adminController.retryFailedEvents
+);
+router.get("/blockchain/failed-events/:id", adminController.getFailedEvent);
+router.post(
+  "/blockchain/failed-events/:id/retry",
+  adminController.retryFailedEvent
+);
+router.delete(
+  "/blockchain/failed-events/:id",
+  adminController.discardFailedEvent
+);
 
-    res.json({
-      success: true,
-      message: "Failed events retry initiated",
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: "Failed to retry events",
-    });
-  }
-});
-
-router.delete("/blockchain/failed-events", async (req, res) => {
-  try {
-    const blockchainService = await import("../services/BlockchainService.js");
-    await blockchainService.default.clearFailedEvents();
-
-    res.json({
-      success: true,
-      message: "Failed events cleared",
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: "Failed to clear events",
-    });
-  }
-});
+// MusicStore governance (owner-only calls from the platform wallet)
+router.get("/governance", adminController.getGovernance);
+router.get("/governance/audit", adminController.getGovernanceAuditLog);
+router.post("/governance/:action", adminController.executeGovernanceAction);
 
 console.log("✅ Admin routes loaded");
 
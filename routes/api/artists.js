@@ -1,10 +1,14 @@
 // routes/api/artists.js
 import express from "express";
 import BlockchainService from "../../services/BlockchainService.js";
+import LedgerService from "../../services/LedgerService.js";
+import Track from "../../models/Track.js";
+import Withdrawal from "../../models/Withdrawal.js";
 import { body, param, query, validationResult } from "express-validator";
 
 const router = express.Router();
 const blockchainService = new BlockchainService();
+const ledgerService = new LedgerService();
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -19,6 +23,59 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Group earnings credits by track and currency, with the payee's role and share on each
+const buildEarningsBreakdown = async (artistAddress, credits) => {
+  const address = artistAddress.toLowerCase();
+  const byTrackId = new Map();
+
+  for (const credit of credits) {
+    // A track repriced in another currency gets one entry per currency
+    const key = `${credit.trackId}:${credit.currency}`;
+    const entry = byTrackId.get(key) || {
+      trackId: credit.trackId,
+      currency: credit.currency,
+      shares: credit.shares,
+      amount: 0,
+      payments: 0,
+    };
+    entry.amount += parseFloat(credit.amount);
+    entry.payments += 1;
+    entry.shares = credit.shares; // Latest split wins
+    byTrackId.set(key, entry);
+  }
+
+  const tracks = await Track.find({
+    "blockchain.contractId": {
+      $in: [...new Set(credits.map((credit) => credit.trackId))],
+    },
+  }).select("title artist artistAddress splits blockchain.contractId");
+
+  const byTrack = [...byTrackId.values()].map((entry) => {
+    const track = tracks.find((t) => t.blockchain.contractId === entry.trackId);
+    const split = track?.splits?.find((s) => s.address === address);
+
+    return {
+      ...entry,
+      title: track?.title || null,
+      role:
+        split?.role ||
+        (track?.artistAddress?.toLowerCase() === address ? "artist" : null),
+    };
+  });
+
+  const totalsByCurrency = {};
+  for (const entry of byTrack) {
+    totalsByCurrency[entry.currency] =
+      (totalsByCurrency[entry.currency] || 0) + entry.amount;
+  }
+
+  return {
+    total: totalsByCurrency.ETH || 0, // ETH only; see totalsByCurrency
+    totalsByCurrency,
+    byTrack,
+  };
+};
+
 // Get artist profile and stats
 router.get(
   "/:artistAddress",
@@ -47,20 +104,25 @@ router.get(
         (event) => event.artist.toLowerCase() === artistAddress.toLowerCase()
       );
 
+      // Earnings per track, including collaborator splits and resale royalties
+      const credits = await blockchainService.getEarningsCredits(artistAddress);
+      const earnings = await buildEarningsBreakdown(artistAddress, credits);
+
       // Calculate stats
+      const ethTracks = artistTracks.filter(
+        (track) => !track.currency || track.currency === "ETH"
+      );
       const stats = {
         totalTracks: artistTracks.length,
         totalSales: artistSales.length,
-        totalRevenue: artistSales.reduce(
-          (sum, sale) => sum + parseFloat(sale.artistPayment),
-          0
-        ),
+        totalRevenue: earnings.total,
+        revenueByCurrency: earnings.totalsByCurrency,
         averageTrackPrice:
-          artistTracks.length > 0
-            ? artistTracks.reduce(
+          ethTracks.length > 0
+            ? ethTracks.reduce(
                 (sum, track) => sum + parseFloat(track.price),
                 0
-              ) / artistTracks.length
+              ) / ethTracks.length
             : 0,
       };
 
@@ -71,6 +133,7 @@ router.get(
           balance: balance,
           tracks: artistTracks,
           stats: stats,
+          earnings: earnings,
           recentSales: artistSales.slice(-10), // Last 10 sales
         },
       });
@@ -148,7 +211,7 @@ router.get(
       const { artistAddress } = req.params;
       const { limit = 50 } = req.query;
 
-      const purchaseEvents = await musicStoreService.getPurchaseEvents();
+      const purchaseEvents = await blockchainService.getPurchaseEvents();
       const artistSales = purchaseEvents
         .filter(
           (event) => event.artist.toLowerCase() === artistAddress.toLowerCase()
@@ -159,7 +222,7 @@ router.get(
       const salesWithTrackDetails = await Promise.all(
         artistSales.map(async (sale) => {
           try {
-            const track = await musicStoreService.getTrack(sale.trackId);
+            const track = await blockchainService.getTrack(sale.trackId);
             return {
               ...sale,
               trackDetails: track,
@@ -197,7 +260,7 @@ router.get(
   async (req, res) => {
     try {
       const { artistAddress } = req.params;
-      const balance = await musicStoreService.getArtistBalance(artistAddress);
+      const balance = await blockchainService.getArtistBalance(artistAddress);
 
       res.json({
         success: true,
@@ -216,38 +279,114 @@ router.get(
   }
 );
 
-// Withdrawal endpoint (for frontend integration)
+// Earnings ledger: sales, fees, credits, withdrawals and on-chain balance per
+// currency, with a check that credits minus withdrawals match the balance
+router.get(
+  "/:artistAddress/ledger",
+  [
+    param("artistAddress")
+      .isEthereumAddress()
+      .withMessage("Invalid Ethereum address"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const ledger = await ledgerService.getArtistLedger(
+        req.params.artistAddress
+      );
+
+      res.json({
+        success: true,
+        data: ledger,
+      });
+    } catch (error) {
+      console.error("❌ Error getting artist ledger:", error.message);
+      res.status(500).json({
+        success: false,
+        error: "Failed to get artist ledger",
+      });
+    }
+  }
+);
+
+// Indexed withdrawal history
+router.get(
+  "/:artistAddress/withdrawals",
+  [
+    param("artistAddress")
+      .isEthereumAddress()
+      .withMessage("Invalid Ethereum address"),
+    query("kind")
+      .optional()
+      .isIn(["earnings", "resale"])
+      .withMessage("Kind must be earnings or resale"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const withdrawals = await Withdrawal.findByPayee(
+        req.params.artistAddress,
+        req.query.kind
+      );
+
+      res.json({
+        success: true,
+        data: withdrawals,
+        count: withdrawals.length,
+      });
+    } catch (error) {
+      console.error("❌ Error getting artist withdrawals:", error.message);
+      res.status(500).json({
+        success: false,
+        error: "Failed to get artist withdrawals",
+      });
+    }
+  }
+);
+
+// Ready-to-sign withdrawal of earnings (any configured currency) or resale proceeds
 router.post(
   "/:artistAddress/withdraw",
   [
     param("artistAddress")
       .isEthereumAddress()
       .withMessage("Invalid Ethereum address"),
-    body("signature")
+    body("kind")
+      .optional()
+      .isIn(["earnings", "resale"])
+      .withMessage("Kind must be earnings or resale"),
+    body("currency")
       .optional()
-      .notEmpty()
-      .withMessage("Transaction signature required"),
+      .isString()
+      .withMessage("Currency must be a symbol or token address"),
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      // This endpoint is for frontend integration
-      // The actual withdrawal happens on the frontend with MetaMask
+      const withdrawal = await blockchainService.buildWithdrawalTransaction(
+        req.params.artistAddress,
+        { kind: req.body.kind, currency: req.body.currency }
+      );
+
       res.json({
-        success: false,
-        error:
-          "Withdrawal must be performed through Web3 wallet (MetaMask). Use frontend application.",
-        instructions: {
-          step1: "Connect your Web3 wallet",
-          step2: "Call withdrawArtistBalance() function on the smart contract",
-          step3: "Sign the transaction with your wallet",
-        },
+        success: true,
+        message: "Sign and send this transaction from the artist wallet",
+        data: withdrawal,
       });
     } catch (error) {
-      console.error("❌ Error processing withdrawal request:", error.message);
-      res.status(500).json({
+      console.error("❌ Error building withdrawal:", error.message);
+      const statusByMessage = {
+        "No balance to withdraw": 409,
+        "Withdrawals are paused": 503,
+        "Resale proceeds are paid in ETH": 400,
+      };
+      const status =
+        statusByMessage[error.message] ||
+        (error.message.startsWith("Unsupported currency") ? 400 : 500);
+
+      res.status(status).json({
         success: false,
-        error: "Failed to process withdrawal request",
+        error: status === 500 ? "Failed to build withdrawal" : error.message,
       });
     }
   }
@@ -259,7 +398,7 @@ router.get("/", async (req, res) => {
     const { limit = 50 } = req.query;
 
     // Get all tracks to extract unique artists
-    const allTracks = await musicStoreService.getAllTracks();
+    const allTracks = await blockchainService.getAllTracks();
     const uniqueArtists = [...new Set(allTracks.map((track) => track.artist))];
 
     // Get basic stats for each artist
@@ -271,7 +410,7 @@ router.get("/", async (req, res) => {
               track.artist.toLowerCase() === artistAddress.toLowerCase()
           );
 
-          const balance = await musicStoreService.getArtistBalance(
+          const balance = await blockchainService.getArtistBalance(
             artistAddress
           );
 
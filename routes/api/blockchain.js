@@ -1,5 +1,6 @@
 // routes/api/blockchain.js
 import express from "express";
+import { getPaymentTokens } from "../../config/blockchain.js";
 
 const router = express.Router();
 
@@ -42,4 +43,12 @@ router.get("/network", (req, res) => {
   });
 });
 
+// Currencies tracks can be priced in
+router.get("/payment-tokens", (req, res) => {
+  res.json({
+    success: true,
+    data: getPaymentTokens(),
+  });
+});
+
 export default router;
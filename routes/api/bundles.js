@@ -0,0 +1,161 @@
+import express from "express";
+import BundleService from "../../services/BundleService.js";
+import { param, query, validationResult } from "express-validator";
+import { validateWallet } from "../../middleware/auth.js";
+
+const router = express.Router();
+const bundleService = new BundleService();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: "Validation failed",
+      details: errors.array(),
+    });
+  }
+  next();
+};
+
+// List public albums and bundles
+router.get(
+  "/",
+  [
+    query("type")
+      .optional()
+      .isIn(["album", "bundle"])
+      .withMessage("Type must be album or bundle"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const bundles = await bundleService.getBundles({
+        artist: req.query.artist,
+        type: req.query.type,
+      });
+
+      res.json({
+        success: true,
+        data: bundles,
+        count: bundles.length,
+      });
+    } catch (error) {
+      console.error("Get bundles error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve bundles",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Bundle purchases of the signed-in wallet
+router.get("/purchases/me", validateWallet, async (req, res) => {
+  try {
+    const purchases = await bundleService.getBuyerPurchases(req.wallet.address);
+
+    res.json({
+      success: true,
+      data: purchases,
+      count: purchases.length,
+    });
+  } catch (error) {
+    console.error("Get bundle purchases error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve bundle purchases",
+      error: error.message,
+    });
+  }
+});
+
+// Get a bundle with its tracks in order
+router.get(
+  "/:bundleId",
+  [
+    param("bundleId")
+      .isMongoId()
+      .withMessage("Bundle ID must be a valid MongoDB ID"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const bundle = await bundleService.getBundle(req.params.bundleId);
+
+      res.json({
+        success: true,
+        data: bundle,
+      });
+    } catch (error) {
+      console.error("Get bundle error:", error);
+      if (error.message === "Bundle not found") {
+        res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          message: "Failed to retrieve bundle",
+          error: error.message,
+        });
+      }
+    }
+  }
+);
+
+// Get the transaction that buys every track of the bundle
+router.post(
+  "/:bundleId/purchase-transaction",
+  validateWallet,
+  [
+    param("bundleId")
+      .isMongoId()
+      .withMessage("Bundle ID must be a valid MongoDB ID"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await bundleService.buildPurchaseTransaction(
+        req.params.bundleId,
+        req.wallet.address
+      );
+
+      res.json({
+        success: true,
+        message: "Sign and send this transaction to purchase the bundle",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Build bundle purchase error:", error);
+      const statusByMessage = {
+        "Bundle not found": 404,
+        "Bundle not available": 409,
+        "Bundle is not listed on-chain": 409,
+        "Artists cannot purchase own tracks": 403,
+      };
+      let status = statusByMessage[error.message];
+      if (error.message.startsWith("Track already purchased")) {
+        status = 409;
+      }
+
+      if (status) {
+        res.status(status).json({
+          success: false,
+          message: error.message,
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          message: "Failed to build bundle purchase",
+          error: error.message,
+        });
+      }
+    }
+  }
+);
+
+export default router;
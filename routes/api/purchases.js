@@ -1,6 +1,14 @@
 import express from "express";
 import BlockchainService from "../../services/BlockchainService.js";
+import {
+  getUserPurchases,
+  checkPurchaseStatus,
+  recordTrackAccess,
+  getResaleListings,
+  getWalletGifts,
+} from "../../controllers/purchaseController.js";
 import { body, param, query, validationResult } from "express-validator";
+import { validateWallet, bindWalletAddress } from "../../middleware/auth.js";
 
 const router = express.Router();
 const blockchainService = new BlockchainService();
@@ -68,6 +76,63 @@ router.get(
   }
 );
 
+// Purchases of the signed-in wallet
+router.get("/me", validateWallet, bindWalletAddress(), getUserPurchases);
+
+// Check if the signed-in wallet has purchased a specific track
+router.get(
+  "/me/check/:trackId",
+  validateWallet,
+  bindWalletAddress(),
+  [param("trackId").notEmpty().withMessage("Track ID is required")],
+  handleValidationErrors,
+  checkPurchaseStatus
+);
+
+// Record track access (download/play) for the signed-in wallet
+router.post(
+  "/me/access/:trackId",
+  validateWallet,
+  bindWalletAddress(),
+  [
+    param("trackId").notEmpty().withMessage("Track ID is required"),
+    body("accessType")
+      .optional()
+      .isIn(["download", "stream", "play"])
+      .withMessage("Access type must be download, stream, or play"),
+  ],
+  handleValidationErrors,
+  recordTrackAccess
+);
+
+// Gifts sent and received by the signed-in wallet
+router.get("/gifts/me", validateWallet, bindWalletAddress(), getWalletGifts);
+
+// Gifts sent and received by a wallet
+router.get(
+  "/gifts/:userAddress",
+  [
+    param("userAddress")
+      .isEthereumAddress()
+      .withMessage("Invalid Ethereum address"),
+  ],
+  handleValidationErrors,
+  getWalletGifts
+);
+
+// Active resale listings (optionally for one contract track ID)
+router.get(
+  "/listings",
+  [
+    query("trackId")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Track ID must be a positive integer"),
+  ],
+  handleValidationErrors,
+  getResaleListings
+);
+
 // Verify purchase
 router.post(
   "/verify",
@@ -154,31 +219,45 @@ router.get("/stats", async (req, res) => {
   try {
     const purchaseEvents = await blockchainService.getPurchaseEvents();
 
-    const stats = {
-      totalPurchases: purchaseEvents.length,
-      totalRevenue: purchaseEvents.reduce(
-        (sum, event) => sum + parseFloat(event.price),
-        0
-      ),
-      totalPlatformFees: purchaseEvents.reduce(
+    // Revenue totals per currency; amounts in different currencies never mix
+    const summarize = (events) => ({
+      purchases: events.length,
+      revenue: events.reduce((sum, event) => sum + parseFloat(event.price), 0),
+      platformFees: events.reduce(
         (sum, event) => sum + parseFloat(event.platformFee),
         0
       ),
-      totalArtistPayments: purchaseEvents.reduce(
+      artistPayments: events.reduce(
         (sum, event) => sum + parseFloat(event.artistPayment),
         0
       ),
+      averageTrackPrice:
+        events.length > 0
+          ? events.reduce((sum, event) => sum + parseFloat(event.price), 0) /
+            events.length
+          : 0,
+    });
+
+    const byCurrency = {};
+    for (const currency of new Set(purchaseEvents.map((e) => e.currency))) {
+      byCurrency[currency] = summarize(
+        purchaseEvents.filter((event) => event.currency === currency)
+      );
+    }
+    const eth = byCurrency.ETH || summarize([]);
+
+    const stats = {
+      totalPurchases: purchaseEvents.length,
+      // ETH totals; see byCurrency for token payments
+      totalRevenue: eth.revenue,
+      totalPlatformFees: eth.platformFees,
+      totalArtistPayments: eth.artistPayments,
       uniqueBuyers: [...new Set(purchaseEvents.map((event) => event.buyer))]
         .length,
       uniqueArtists: [...new Set(purchaseEvents.map((event) => event.artist))]
         .length,
-      averageTrackPrice:
-        purchaseEvents.length > 0
-          ? purchaseEvents.reduce(
-              (sum, event) => sum + parseFloat(event.price),
-              0
-            ) / purchaseEvents.length
-          : 0,
+      averageTrackPrice: eth.averageTrackPrice,
+      byCurrency,
     };
 
     res.json({
@@ -0,0 +1,207 @@
+import express from "express";
+import { body, validationResult } from "express-validator";
+import RelayerService from "../../services/RelayerService.js";
+import { validateWallet } from "../../middleware/auth.js";
+
+const router = express.Router();
+const relayerService = new RelayerService();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: "Validation failed",
+      details: errors.array(),
+    });
+  }
+  next();
+};
+
+// Errors of the relayer shared by both purchase steps
+const relayStatusByMessage = {
+  "Relayer not available": 503,
+  "Relayer balance too low": 503,
+  "Relay quota exceeded": 429,
+  "Track not found": 404,
+  "Track not found on blockchain": 404,
+  "Track is not listed on-chain": 409,
+  "Track is listed on another network": 409,
+  "Track is not available for purchase": 409,
+  "Track already purchased": 409,
+  "Purchases are paused": 503,
+  "Artists cannot purchase own tracks": 403,
+  "Only token-priced tracks can be relayed": 400,
+  "Insufficient token balance": 402,
+  "Insufficient token allowance": 402,
+  "Payment token does not support permits; approve the store first": 400,
+  "Request signed for another wallet": 403,
+  "Only MusicStore token purchases can be relayed": 400,
+  "Relay request expired": 400,
+  "Relay request deadline is too far out": 400,
+  "Relay request gas is too high": 400,
+  "Invalid relay nonce": 409,
+  "Invalid relay signature": 400,
+  "Permit is below the track price": 400,
+  "Relay request already submitted": 409,
+};
+
+const getRelayErrorStatus = (error) =>
+  relayStatusByMessage[error.message] ||
+  (error.message.startsWith("Transaction would revert") ? 409 : null);
+
+// Relayer availability, forwarder and the caller's remaining daily quota
+router.get("/purchases/me", validateWallet, async (req, res) => {
+  try {
+    const [relayer, relays] = await Promise.all([
+      relayerService.getStatus(),
+      relayerService.getWalletRelays(req.wallet.address),
+    ]);
+
+    res.json({
+      success: true,
+      data: { relayer, ...relays },
+    });
+  } catch (error) {
+    console.error("Get relayed purchases error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get relayed purchases",
+      error: error.message,
+    });
+  }
+});
+
+// Typed data to sign for a gasless purchase: a permit first when the store
+// has no allowance, then the ForwardRequest
+router.post(
+  "/purchases/prepare",
+  validateWallet,
+  [
+    body("trackId")
+      .isMongoId()
+      .withMessage("Track ID must be a valid MongoDB ID"),
+    body("permit.signature")
+      .optional()
+      .matches(/^0x[0-9a-fA-F]{130}$/)
+      .withMessage("Invalid permit signature"),
+    body("permit.deadline")
+      .if(body("permit").exists())
+      .isInt({ min: 1 })
+      .withMessage("Permit deadline must be a timestamp"),
+    body("permit.value")
+      .optional()
+      .matches(/^\d+$/)
+      .withMessage("Permit value must be an integer amount"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await relayerService.preparePurchase(
+        req.body.trackId,
+        req.wallet.address,
+        req.body.permit?.signature ? req.body.permit : null
+      );
+
+      res.json({
+        success: true,
+        message:
+          result.step === "permit"
+            ? "Sign this permit, then prepare again with its signature"
+            : "Sign this request and submit it to /api/relay/purchases",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Prepare relayed purchase error:", error);
+      const status = getRelayErrorStatus(error);
+
+      if (status) {
+        res.status(status).json({
+          success: false,
+          message: error.message,
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          message: "Failed to prepare relayed purchase",
+          error: error.message,
+        });
+      }
+    }
+  }
+);
+
+// Submit a signed ForwardRequest; the relayer pays the gas
+router.post(
+  "/purchases",
+  validateWallet,
+  [
+    body("request.from")
+      .isEthereumAddress()
+      .withMessage("Invalid request signer"),
+    body("request.to")
+      .isEthereumAddress()
+      .withMessage("Invalid request target"),
+    body(["request.gas", "request.nonce"])
+      .matches(/^\d+$/)
+      .withMessage("Request gas and nonce must be integers"),
+    body("request.value")
+      .optional()
+      .matches(/^\d+$/)
+      .withMessage("Request value must be an integer"),
+    body("request.deadline")
+      .isInt({ min: 1 })
+      .withMessage("Request deadline must be a timestamp"),
+    body("request.data")
+      .matches(/^0x[0-9a-fA-F]*$/)
+      .withMessage("Request data must be hex"),
+    body("signature")
+      .matches(/^0x[0-9a-fA-F]{130}$/)
+      .withMessage("Invalid signature"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const relayed = await relayerService.relay(
+        {
+          ...req.body.request,
+          gas: String(req.body.request.gas),
+          nonce: String(req.body.request.nonce),
+        },
+        req.body.signature,
+        req.wallet.address
+      );
+
+      res.status(202).json({
+        success: true,
+        message: "Purchase relayed, waiting for confirmation",
+        data: {
+          id: relayed._id,
+          txHash: relayed.txHash,
+          status: relayed.status,
+          method: relayed.method,
+          trackId: relayed.trackId,
+        },
+      });
+    } catch (error) {
+      console.error("Relay purchase error:", error);
+      const status = getRelayErrorStatus(error);
+
+      if (status) {
+        res.status(status).json({
+          success: false,
+          message: error.message,
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          message: "Failed to relay purchase",
+          error: error.message,
+        });
+      }
+    }
+  }
+);
+
+export default router;
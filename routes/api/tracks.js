@@ -1,9 +1,19 @@
 import express from "express";
 import TrackService from "../../services/TrackService.js";
-import { body, param, validationResult } from "express-validator";
+import PromoService from "../../services/PromoService.js";
+import Track from "../../models/Track.js";
+import { getPrimaryChainId } from "../../config/blockchain.js";
+import { body, param, query, validationResult } from "express-validator";
+import { validateWallet, optionalWallet } from "../../middleware/auth.js";
+import {
+  getStreamUrl,
+  streamTrack,
+  streamPreview,
+} from "../../controllers/trackController.js";
 
 const router = express.Router();
 const trackService = new TrackService();
+const promoService = new PromoService();
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -205,7 +215,7 @@ router.get(
       const { contractId } = req.params;
 
       const result = await trackService.getTracks(
-        { "blockchain.contractId": contractId },
+        Track.byContractId(contractId, getPrimaryChainId()),
         { limit: 1, includeInactive: false, includePrivate: false }
       );
 
@@ -413,4 +423,467 @@ router.get(
   }
 );
 
+// Stream the preview clip (never requires a purchase)
+router.get(
+  "/:id/preview",
+  [param("id").isMongoId().withMessage("Track ID must be a valid MongoDB ID")],
+  handleValidationErrors,
+  streamPreview
+);
+
+// Issue a signed, short-lived stream URL for the authenticated wallet
+router.get(
+  "/:id/stream-url",
+  validateWallet,
+  [param("id").isMongoId().withMessage("Track ID must be a valid MongoDB ID")],
+  handleValidationErrors,
+  getStreamUrl
+);
+
+// Stream track (free, signed stream URL or purchased by the wallet)
+router.get(
+  "/:id/stream",
+  optionalWallet,
+  [param("id").isMongoId().withMessage("Track ID must be a valid MongoDB ID")],
+  handleValidationErrors,
+  streamTrack
+);
+
+// Get waveform peaks (audiowaveform JSON, or binary .dat with ?format=dat)
+router.get(
+  "/:trackId/waveform",
+  [
+    param("trackId")
+      .isMongoId()
+      .withMessage("Track ID must be a valid MongoDB ID"),
+    query("buckets")
+      .optional()
+      .isInt({ min: 1, max: 100000 })
+      .withMessage("Buckets must be a positive integer"),
+    query("format")
+      .optional()
+      .isIn(["json", "dat"])
+      .withMessage("Format must be json or dat"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { trackId } = req.params;
+      const { buckets, format = "json" } = req.query;
+
+      const waveform = await trackService.getWaveform(
+        trackId,
+        buckets ? parseInt(buckets) : null
+      );
+
+      // Peaks only change when regenerated by an admin
+      res.set("Cache-Control", "public, max-age=3600");
+
+      if (format === "dat") {
+        res.set({
+          "Content-Type": "application/octet-stream",
+          "Content-Disposition": `inline; filename="${trackId}-${waveform.length}.dat"`,
+        });
+        return res.send(trackService.waveformService.toDat(waveform));
+      }
+
+      res.json({
+        success: true,
+        data: trackService.waveformService.toJson(waveform),
+      });
+    } catch (error) {
+      console.error("Get track waveform error:", error);
+      if (
+        error.message === "Track not found" ||
+        error.message === "Waveform not available"
+      ) {
+        res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          message: "Failed to retrieve waveform",
+          error: error.message,
+        });
+      }
+    }
+  }
+);
+
+// Get the signed listing voucher for the artist to redeem on-chain
+router.get(
+  "/:trackId/listing-voucher",
+  validateWallet,
+  [
+    param("trackId")
+      .isMongoId()
+      .withMessage("Track ID must be a valid MongoDB ID"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const listing = await trackService.getListingVoucher(
+        req.params.trackId,
+        req.wallet.address
+      );
+
+      res.json({
+        success: true,
+        message: "Sign and send this transaction to list your track",
+        data: listing,
+      });
+    } catch (error) {
+      console.error("Get listing voucher error:", error);
+      const statusByMessage = {
+        "Track not found": 404,
+        "Listing voucher not found": 404,
+        "Listing voucher issued to another artist": 403,
+        "Listing voucher already redeemed": 409,
+        "Listing voucher expired": 410,
+      };
+      const status = statusByMessage[error.message];
+
+      if (status) {
+        res.status(status).json({
+          success: false,
+          message: error.message,
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          message: "Failed to retrieve listing voucher",
+          error: error.message,
+        });
+      }
+    }
+  }
+);
+
+// Get the voucher and transaction that buy a lazy-listed track (and list it on-chain)
+router.get(
+  "/:trackId/purchase-voucher",
+  validateWallet,
+  [
+    param("trackId")
+      .isMongoId()
+      .withMessage("Track ID must be a valid MongoDB ID"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const purchase = await trackService.getPurchaseVoucher(
+        req.params.trackId,
+        req.wallet.address
+      );
+
+      res.json({
+        success: true,
+        message: "Sign and send this transaction to purchase",
+        data: purchase,
+      });
+    } catch (error) {
+      console.error("Get purchase voucher error:", error);
+      const statusByMessage = {
+        "Track not found": 404,
+        "Track is not lazy-listed": 409,
+        "Artists cannot purchase own tracks": 403,
+      };
+      const status = statusByMessage[error.message];
+
+      if (status) {
+        res.status(status).json({
+          success: false,
+          message: error.message,
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          message: "Failed to retrieve purchase voucher",
+          error: error.message,
+        });
+      }
+    }
+  }
+);
+
+// Redeem a promo code: a coupon signed for this wallet and the purchase transaction
+router.post(
+  "/:trackId/coupon",
+  validateWallet,
+  [
+    param("trackId")
+      .isMongoId()
+      .withMessage("Track ID must be a valid MongoDB ID"),
+    body("code")
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 32 })
+      .withMessage("Promo code is required"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await promoService.issueCoupon(
+        req.body.code,
+        req.params.trackId,
+        req.wallet.address
+      );
+
+      res.json({
+        success: true,
+        message:
+          "Sign and send this transaction to purchase at the promo price",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Issue coupon error:", error);
+      const statusByMessage = {
+        "Track not found": 404,
+        "Invalid or expired promo code": 404,
+        "Promo code does not apply to this track": 400,
+        "Promo codes apply to ETH-priced tracks only": 400,
+        "Track is not listed on-chain": 409,
+        "Track is listed on another network": 409,
+        "Promo code redemption limit reached": 409,
+        "Artists cannot purchase own tracks": 403,
+      };
+      const status = statusByMessage[error.message];
+
+      if (status) {
+        res.status(status).json({
+          success: false,
+          message: error.message,
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          message: "Failed to issue coupon",
+          error: error.message,
+        });
+      }
+    }
+  }
+);
+
+// Get the transaction that buys this track as a gift for another wallet
+router.post(
+  "/:trackId/gift-transaction",
+  validateWallet,
+  [
+    param("trackId")
+      .isMongoId()
+      .withMessage("Track ID must be a valid MongoDB ID"),
+    body("recipientAddress")
+      .isEthereumAddress()
+      .withMessage("Invalid recipient address"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const gift = await trackService.getGiftTransaction(
+        req.params.trackId,
+        req.wallet.address,
+        req.body.recipientAddress
+      );
+
+      res.json({
+        success: true,
+        message: "Sign and send this transaction to send the gift",
+        data: gift,
+      });
+    } catch (error) {
+      console.error("Build gift transaction error:", error);
+      const statusByMessage = {
+        "Track not found": 404,
+        "Track is not listed on-chain": 409,
+        "Track is listed on another network": 409,
+        "Gift recipient must be another wallet": 400,
+        "Tracks cannot be gifted to their artist": 400,
+        "Recipient already owns this track": 409,
+      };
+      const status = statusByMessage[error.message];
+
+      if (status) {
+        res.status(status).json({
+          success: false,
+          message: error.message,
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          message: "Failed to build gift transaction",
+          error: error.message,
+        });
+      }
+    }
+  }
+);
+
+// Get the approve and purchase transactions for a token-priced track
+router.post(
+  "/:trackId/token-purchase-transaction",
+  validateWallet,
+  [
+    param("trackId")
+      .isMongoId()
+      .withMessage("Track ID must be a valid MongoDB ID"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await trackService.getTokenPurchaseTransaction(
+        req.params.trackId,
+        req.wallet.address
+      );
+
+      res.json({
+        success: true,
+        message: result.approval
+          ? "Sign and send the approval, then the purchase transaction"
+          : "Sign and send this transaction to purchase the track",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Build token purchase error:", error);
+      const statusByMessage = {
+        "Track not found": 404,
+        "Track is not listed on-chain": 409,
+        "Track is listed on another network": 409,
+        "Track is priced in ETH": 400,
+        "Track already purchased": 409,
+        "Artists cannot purchase own tracks": 403,
+      };
+      const status = statusByMessage[error.message];
+
+      if (status) {
+        res.status(status).json({
+          success: false,
+          message: error.message,
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          message: "Failed to build token purchase",
+          error: error.message,
+        });
+      }
+    }
+  }
+);
+
+// Get the ready-to-sign purchase transaction, with gas and fee suggestions
+router.post(
+  "/:trackId/purchase-transaction",
+  validateWallet,
+  [
+    param("trackId")
+      .isMongoId()
+      .withMessage("Track ID must be a valid MongoDB ID"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await trackService.getPurchaseTransaction(
+        req.params.trackId,
+        req.wallet.address
+      );
+
+      res.json({
+        success: true,
+        message: result.approval
+          ? "Sign and send the approval, then the purchase transaction"
+          : "Sign and send this transaction to purchase the track",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Build purchase transaction error:", error);
+      const statusByMessage = {
+        "Track not found": 404,
+        "Track not found on blockchain": 404,
+        "Track is not listed on-chain": 409,
+        "Track is listed on another network": 409,
+        "Track is not available for purchase": 409,
+        "Track already purchased": 409,
+        "Purchases are paused": 503,
+        "Artists cannot purchase own tracks": 403,
+      };
+      const status =
+        statusByMessage[error.message] ||
+        (error.message.startsWith("Transaction would revert") ? 409 : null);
+
+      if (status) {
+        res.status(status).json({
+          success: false,
+          message: error.message,
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          message: "Failed to build purchase transaction",
+          error: error.message,
+        });
+      }
+    }
+  }
+);
+
+// Get the ready-to-sign transaction changing a track's on-chain price (artist)
+router.post(
+  "/:trackId/price-transaction",
+  validateWallet,
+  [
+    param("trackId")
+      .isMongoId()
+      .withMessage("Track ID must be a valid MongoDB ID"),
+    body("price")
+      .isFloat({ gt: 0 })
+      .withMessage("Price must be a positive number"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await trackService.getPriceUpdateTransaction(
+        req.params.trackId,
+        req.wallet.address,
+        req.body.price
+      );
+
+      res.json({
+        success: true,
+        message: "Sign and send this transaction to update the price",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Build price update error:", error);
+      const statusByMessage = {
+        "Track not found": 404,
+        "Track not found on blockchain": 404,
+        "Track is not listed on-chain": 409,
+        "Track is listed on another network": 409,
+        "Only the track's artist can update its price": 403,
+        "Invalid price": 400,
+        "Track price must be between 0.001 and 100 ETH": 400,
+      };
+      const status =
+        statusByMessage[error.message] ||
+        (error.message.startsWith("Transaction would revert") ? 409 : null);
+
+      if (status) {
+        res.status(status).json({
+          success: false,
+          message: error.message,
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          message: "Failed to build price update",
+          error: error.message,
+        });
+      }
+    }
+  }
+);
+
 export default router;
@@ -1,11 +1,19 @@
 import express from "express";
+import { ethers } from "ethers";
 import {
   generateAdminToken,
   generateRefreshToken,
+  generateWalletToken,
   validateRefreshToken,
+  validateWalletRefreshToken,
+  validateWallet,
   adminLoginLimiter,
+  walletAuthLimiter,
 } from "../middleware/auth.js";
 import { hashPassword, verifyPassword } from "../middleware/auth.js";
+import { buildSiweMessage, verifySiweMessage } from "../utils/siwe.js";
+import AuthNonce from "../models/AuthNonce.js";
+import Track from "../models/Track.js";
 
 const router = express.Router();
 
@@ -144,6 +152,205 @@ router.post("/admin/validate", async (req, res) => {
   }
 });
 
+/**
+ * Wallet Authentication (Sign-In with Ethereum, EIP-4361)
+ */
+
+// Domains a SIWE message may be bound to
+const getSiweDomains = () => {
+  if (process.env.SIWE_DOMAIN) {
+    return process.env.SIWE_DOMAIN.split(",").map((d) => d.trim());
+  }
+
+  const origins = [
+    process.env.BASE_URL || "http://localhost:8000",
+    ...(process.env.ALLOWED_ORIGINS
+      ? process.env.ALLOWED_ORIGINS.split(",")
+      : ["http://localhost:3000"]),
+  ];
+
+  return origins
+    .map((origin) => {
+      try {
+        return new URL(origin.trim()).host;
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+// Chain a SIWE message must name; any chain is accepted when CHAIN_ID is unset
+const getSiweChainId = () => parseInt(process.env.CHAIN_ID) || null;
+
+// Wallets that own listed tracks sign in as artists
+const resolveWalletRole = async (address) => {
+  const addressPattern = new RegExp(`^${address}$`, "i");
+  const isArtist = await Track.exists({
+    $or: [
+      { artistAddress: addressPattern },
+      { "blockchain.artistAddress": addressPattern },
+    ],
+  });
+
+  return isArtist ? "artist" : "listener";
+};
+
+// Issue a SIWE challenge nonce
+router.post("/wallet/nonce", walletAuthLimiter, async (req, res) => {
+  try {
+    const { address, chainId } = req.body;
+
+    if (!address || !ethers.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: "Valid Ethereum address required",
+      });
+    }
+
+    // verify rejects messages for any other chain, so do not suggest one
+    const configuredChainId = getSiweChainId();
+    if (
+      configuredChainId &&
+      chainId !== undefined &&
+      chainId !== null &&
+      Number(chainId) !== configuredChainId
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported chain ID: sign in on chain ${configuredChainId}`,
+        chainId: configuredChainId,
+      });
+    }
+
+    const ttlSeconds = parseInt(process.env.SIWE_NONCE_TTL) || 300;
+    const challenge = await AuthNonce.issue(address, ttlSeconds, req.ip);
+    const domain = getSiweDomains()[0];
+
+    res.json({
+      success: true,
+      nonce: challenge.nonce,
+      expiresAt: challenge.expiresAt,
+      // Suggested message; clients may build their own with the same nonce
+      message: buildSiweMessage({
+        domain,
+        address: ethers.getAddress(address),
+        statement: "Sign in to Decentra Music",
+        uri: `${req.protocol}://${domain}`,
+        chainId: configuredChainId || parseInt(chainId) || 1,
+        nonce: challenge.nonce,
+        issuedAt: new Date().toISOString(),
+        expirationTime: challenge.expiresAt.toISOString(),
+      }),
+    });
+  } catch (error) {
+    console.error("❌ Wallet nonce error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to issue nonce",
+    });
+  }
+});
+
+// Verify a signed SIWE message and issue wallet tokens
+router.post("/wallet/verify", walletAuthLimiter, async (req, res) => {
+  try {
+    const { message, signature } = req.body;
+
+    if (!message || !signature) {
+      return res.status(400).json({
+        success: false,
+        error: "Message and signature are required",
+      });
+    }
+
+    let fields;
+    try {
+      fields = verifySiweMessage(message, signature, {
+        domains: getSiweDomains(),
+        chainId: getSiweChainId(),
+      });
+    } catch (error) {
+      console.warn(
+        `⚠️ SIWE verification failed from ${req.ip}:`,
+        error.message
+      );
+      return res.status(401).json({
+        success: false,
+        error: "Signature verification failed",
+        details: error.message,
+      });
+    }
+
+    // Nonce must have been issued to this address and never used
+    const challenge = await AuthNonce.consume(fields.nonce, fields.address);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired nonce",
+        hint: "Request a new nonce via POST /auth/wallet/nonce",
+      });
+    }
+
+    const role = await resolveWalletRole(fields.address);
+    const accessToken = generateWalletToken(fields.address, role);
+    const refreshToken = generateRefreshToken(fields.address, { role });
+
+    console.log(`✅ Wallet login successful: ${fields.address} (${role})`);
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      accessToken,
+      refreshToken,
+      expiresIn: process.env.JWT_EXPIRES_IN || "24h",
+      wallet: {
+        address: fields.address.toLowerCase(),
+        role,
+        chainId: fields.chainId,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Wallet login error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Login failed",
+    });
+  }
+});
+
+// Wallet token refresh endpoint
+router.post("/wallet/refresh", validateWalletRefreshToken, async (req, res) => {
+  try {
+    const { address } = req.refreshTokenData;
+
+    // Re-evaluate the role so newly listed artists get upgraded
+    const role = await resolveWalletRole(address);
+    const accessToken = generateWalletToken(address, role);
+
+    res.json({
+      success: true,
+      accessToken,
+      expiresIn: process.env.JWT_EXPIRES_IN || "24h",
+      wallet: { address, role },
+    });
+  } catch (error) {
+    console.error("❌ Wallet token refresh error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Token refresh failed",
+    });
+  }
+});
+
+// Current wallet session
+router.get("/wallet/me", validateWallet, (req, res) => {
+  res.json({
+    success: true,
+    wallet: req.wallet,
+  });
+});
+
 console.log("✅ Authentication routes loaded");
 
 export { router };
@@ -8,7 +8,7 @@ import express from "express";
 const router = express.Router();
 
 // Import route modules (with error handling)
-let tracksRoutes, purchasesRoutes, artistsRoutes, blockchainRoutes;
+let tracksRoutes, purchasesRoutes, artistsRoutes, blockchainRoutes, nftRoutes, bundlesRoutes, relayRoutes;
 
 try {
     tracksRoutes = (await import('./api/tracks.js')).default;
@@ -32,6 +32,8 @@ try {
 
 try {
     artistsRoutes = (await import('./api/artists.js')).default;
+    router.use('/artists', artistsRoutes);
+    console.log('✅ Artists routes loaded');
 } catch (error) {
     console.warn('⚠️ Artists routes not available:', error.message);
 }
@@ -44,6 +46,30 @@ try {
     console.error('❌ Failed to load blockchain routes:', error.message);
 }
 
+try {
+    nftRoutes = (await import('./nftRoutes.js')).default;
+    router.use('/nfts', nftRoutes);
+    console.log('✅ NFT routes loaded');
+} catch (error) {
+    console.error('❌ Failed to load NFT routes:', error.message);
+}
+
+try {
+    bundlesRoutes = (await import('./api/bundles.js')).default;
+    router.use('/bundles', bundlesRoutes);
+    console.log('✅ Bundles routes loaded');
+} catch (error) {
+    console.error('❌ Failed to load bundles routes:', error.message);
+}
+
+try {
+    relayRoutes = (await import('./api/relay.js')).default;
+    router.use('/relay', relayRoutes);
+    console.log('✅ Relay routes loaded');
+} catch (error) {
+    console.error('❌ Failed to load relay routes:', error.message);
+}
+
 // API Information
 router.get("/", (req, res) => {
     const availableEndpoints = {};
@@ -52,6 +78,9 @@ router.get("/", (req, res) => {
     if (purchasesRoutes) availableEndpoints.purchases = '/api/purchases';
     if (artistsRoutes) availableEndpoints.artists = '/api/artists';
     if (blockchainRoutes) availableEndpoints.blockchain = '/api/blockchain';
+    if (nftRoutes) availableEndpoints.nfts = '/api/nfts';
+    if (bundlesRoutes) availableEndpoints.bundles = '/api/bundles';
+    if (relayRoutes) availableEndpoints.relay = '/api/relay';
     
     res.json({
         success: true,
@@ -59,7 +88,11 @@ router.get("/", (req, res) => {
         version: '1.0.0',
         endpoints: {
             tracks: '/api/tracks',
+            artists: '/api/artists',
             blockchain: '/api/blockchain',
+            nfts: '/api/nfts',
+            bundles: '/api/bundles',
+            relay: '/api/relay',
             test: '/api/blockchain/test'
         },
         timestamp: new Date().toISOString()
@@ -1,38 +1,257 @@
 import express from "express";
+import { body, param, query, validationResult } from "express-validator";
+import BlockchainService from "../services/BlockchainService.js";
+import Nft from "../models/Nft.js";
+import { validateWallet } from "../middleware/auth.js";
+
+/**
+ * Edition NFT Routes (MusicEditions ERC-1155)
+ * Ownership comes from the TransferSingle/TransferBatch index; mint and
+ * transfer return unsigned transactions for the caller's wallet to sign.
+ */
 
 const router = express.Router();
+const blockchainService = new BlockchainService();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: "Validation failed",
+      details: errors.array(),
+    });
+  }
+  next();
+};
+
+// Map edition errors to responses
+const handleNftError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error.message);
+
+  const statusByMessage = {
+    "Edition not found": 404,
+    "Editions contract not available": 503,
+    "Edition not available": 409,
+    "Exceeds max supply": 409,
+    "Insufficient edition balance": 409,
+  };
+  const status = statusByMessage[error.message];
+
+  res.status(status || 500).json({
+    success: false,
+    error: status ? error.message : fallbackMessage,
+  });
+};
+
+// Build a mint transaction for the signed-in wallet
+router.post(
+  "/mint",
+  validateWallet,
+  [
+    body("tokenId")
+      .isInt({ min: 1 })
+      .withMessage("Token ID must be a positive integer"),
+    body("amount")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Amount must be between 1 and 100"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const tokenId = parseInt(req.body.tokenId);
+      const amount = parseInt(req.body.amount) || 1;
+
+      const { edition, transaction } =
+        await blockchainService.buildMintTransaction(
+          tokenId,
+          amount,
+          req.wallet.address
+        );
+
+      res.json({
+        success: true,
+        message: "Sign and send this transaction to mint",
+        data: { edition, amount, transaction },
+      });
+    } catch (error) {
+      handleNftError(res, error, "Failed to build mint transaction");
+    }
+  }
+);
+
+// List indexed holdings
+router.get(
+  "/",
+  [
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const filter = { balance: { $gt: 0 } };
+
+      const [nfts, total] = await Promise.all([
+        Nft.find(filter)
+          .populate("track", "title artist genre")
+          .sort({ updatedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Nft.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        data: nfts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      handleNftError(res, error, "Failed to get NFTs");
+    }
+  }
+);
+
+// Edition details and current holders
+router.get(
+  "/token/:tokenId",
+  [
+    param("tokenId")
+      .isInt({ min: 1 })
+      .withMessage("Token ID must be a positive integer"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { tokenId } = req.params;
+
+      const [edition, holders] = await Promise.all([
+        blockchainService.getEdition(tokenId),
+        Nft.findHolders(tokenId),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          ...edition,
+          holders: holders.map((holding) => ({
+            owner: holding.owner,
+            balance: holding.balance,
+          })),
+        },
+      });
+    } catch (error) {
+      handleNftError(res, error, "Failed to get edition");
+    }
+  }
+);
+
+// Editions held by an address
+router.get(
+  "/owner/:ownerAddress",
+  [
+    param("ownerAddress")
+      .isEthereumAddress()
+      .withMessage("Invalid Ethereum address"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const nfts = await Nft.findByOwner(req.params.ownerAddress);
 
-// Temporary simple handlers to avoid errors
-router.post("/mint", (req, res) => {
-  res.json({ message: "Mint NFT endpoint" });
-});
+      res.json({
+        success: true,
+        data: nfts,
+        count: nfts.length,
+      });
+    } catch (error) {
+      handleNftError(res, error, "Failed to get NFTs by owner");
+    }
+  }
+);
 
-router.get("/", (req, res) => {
-  res.json({ message: "Get all NFTs endpoint" });
-});
+// Build a transfer transaction from the signed-in wallet
+router.post(
+  "/transfer",
+  validateWallet,
+  [
+    body("tokenId")
+      .isInt({ min: 1 })
+      .withMessage("Token ID must be a positive integer"),
+    body("to").isEthereumAddress().withMessage("Invalid recipient address"),
+    body("amount")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Amount must be a positive integer"),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const tokenId = parseInt(req.body.tokenId);
+      const amount = parseInt(req.body.amount) || 1;
+      const { to } = req.body;
 
-router.get("/:id", (req, res) => {
-  res.json({ message: "Get NFT by ID endpoint" });
-});
+      if (to.toLowerCase() === req.wallet.address.toLowerCase()) {
+        return res.status(400).json({
+          success: false,
+          error: "Cannot transfer to yourself",
+        });
+      }
 
-router.get("/token/:tokenId", (req, res) => {
-  res.json({ message: "Get NFT by token ID endpoint" });
-});
+      const { transaction } = await blockchainService.buildTransferTransaction(
+        req.wallet.address,
+        to,
+        tokenId,
+        amount
+      );
 
-router.get("/owner/:ownerAddress", (req, res) => {
-  res.json({ message: "Get NFTs by owner endpoint" });
-});
+      res.json({
+        success: true,
+        message: "Sign and send this transaction to transfer",
+        data: { tokenId: tokenId.toString(), to, amount, transaction },
+      });
+    } catch (error) {
+      handleNftError(res, error, "Failed to build transfer transaction");
+    }
+  }
+);
 
-router.post("/transfer", (req, res) => {
-  res.json({ message: "Transfer NFT endpoint" });
-});
+// Single indexed holding
+router.get(
+  "/:id",
+  [param("id").isMongoId().withMessage("Invalid NFT ID")],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const nft = await Nft.findById(req.params.id).populate(
+        "track",
+        "title artist genre"
+      );
 
-router.put("/:id", (req, res) => {
-  res.json({ message: "Update NFT endpoint" });
-});
+      if (!nft) {
+        return res.status(404).json({
+          success: false,
+          error: "NFT not found",
+        });
+      }
 
-router.delete("/:id", (req, res) => {
-  res.json({ message: "Delete NFT endpoint" });
-});
+      res.json({
+        success: true,
+        data: nft,
+      });
+    } catch (error) {
+      handleNftError(res, error, "Failed to get NFT");
+    }
+  }
+);
 
 export default router;
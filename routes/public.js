@@ -1,5 +1,11 @@
 import express from "express";
 import Track from "../models/Track.js";
+import { validateWallet, optionalWallet } from "../middleware/auth.js";
+import {
+  getStreamUrl,
+  streamTrack,
+  streamPreview,
+} from "../controllers/trackController.js";
 
 const router = express.Router();
 
@@ -98,48 +104,14 @@ router.get("/tracks/:id", async (req, res) => {
   }
 });
 
-// Get track stream/download (with play count)
-router.get("/tracks/:id/stream", async (req, res) => {
-  try {
-    const track = await Track.findOne({
-      _id: req.params.id,
-      isActive: true,
-      isPublic: true,
-    });
-
-    if (!track) {
-      return res.status(404).json({
-        success: false,
-        error: "Track not found",
-      });
-    }
+// Stream the preview clip (no purchase required)
+router.get("/tracks/:id/preview", streamPreview);
 
-    // Increment play count
-    track.plays += 1;
-    await track.save();
+// Issue a signed, short-lived stream URL for the authenticated wallet
+router.get("/tracks/:id/stream-url", validateWallet, getStreamUrl);
 
-    // For local storage, redirect to file URL
-    if (track.storage && track.storage.url) {
-      return res.redirect(track.storage.url);
-    }
-
-    // Legacy IPFS support
-    if (track.ipfs && track.ipfs.url) {
-      return res.redirect(track.ipfs.url);
-    }
-
-    res.status(404).json({
-      success: false,
-      error: "Track file not available",
-    });
-  } catch (error) {
-    console.error("❌ Stream track error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to stream track",
-    });
-  }
-});
+// Stream track (free, signed stream URL or purchased by the wallet)
+router.get("/tracks/:id/stream", optionalWallet, streamTrack);
 
 // Get genres
 router.get("/genres", async (req, res) => {
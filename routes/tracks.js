@@ -1,5 +1,7 @@
 import express from "express";
+import fs from "fs";
 import Track from "../models/Track.js";
+import TrackService from "../services/TrackService.js";
 import {
   validateTrackInput,
   validateSearchInput,
@@ -7,8 +9,15 @@ import {
   validateFileUpload,
 } from "../middleware/sanitization.js";
 import { uploadSingle } from "../middleware/upload.js"; // Use the correct export name
+import { validateWallet, optionalWallet } from "../middleware/auth.js";
+import {
+  getStreamUrl,
+  streamTrack,
+  streamPreview,
+} from "../controllers/trackController.js";
 
 const router = express.Router();
+const trackService = new TrackService();
 
 /**
  * Public Track API Routes
@@ -121,95 +130,14 @@ router.get("/:id", validateObjectId, async (req, res) => {
   }
 });
 
-// Stream/download track
-router.get("/:id/stream", validateObjectId, async (req, res) => {
-  try {
-    const track = await Track.findOne({
-      _id: req.params.id,
-      isActive: true,
-      isPublic: true,
-    });
-
-    if (!track) {
-      return res.status(404).json({
-        success: false,
-        error: "Track not found",
-        timestamp: new Date().toISOString(),
-      });
-    }
+// Stream the preview clip (no purchase required)
+router.get("/:id/preview", validateObjectId, streamPreview);
 
-    // Determine file path based on storage system
-    let filePath;
+// Issue a signed, short-lived stream URL for the authenticated wallet
+router.get("/:id/stream-url", validateObjectId, validateWallet, getStreamUrl);
 
-    if (track.storage?.filename) {
-      // New storage system
-      filePath = path.join(process.cwd(), "uploads", track.storage.filename);
-    } else if (track.ipfs?.cid) {
-      // Legacy IPFS - redirect to gateway
-      return res.redirect(track.ipfs.url);
-    } else {
-      return res.status(404).json({
-        success: false,
-        error: "File not available",
-        timestamp: new Date().toISOString(),
-      });
-    }
-
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({
-        success: false,
-        error: "File not found on server",
-        timestamp: new Date().toISOString(),
-      });
-    }
-
-    // Increment play count (async, don't wait)
-    Track.findByIdAndUpdate(req.params.id, { $inc: { plays: 1 } }).exec();
-
-    // Get file stats
-    const stats = fs.statSync(filePath);
-
-    // Set headers for audio streaming
-    res.set({
-      "Content-Type": track.mimeType || track.storage?.mimeType || "audio/mpeg",
-      "Content-Length": stats.size,
-      "Accept-Ranges": "bytes",
-      "Cache-Control": "public, max-age=3600",
-      "Content-Disposition": `inline; filename="${track.title}.mp3"`,
-      "X-Content-Type-Options": "nosniff",
-    });
-
-    // Handle range requests for audio seeking
-    const range = req.headers.range;
-    if (range) {
-      const parts = range.replace(/bytes=/, "").split("-");
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : stats.size - 1;
-      const chunksize = end - start + 1;
-
-      res.status(206);
-      res.set({
-        "Content-Range": `bytes ${start}-${end}/${stats.size}`,
-        "Content-Length": chunksize,
-      });
-
-      const stream = fs.createReadStream(filePath, { start, end });
-      stream.pipe(res);
-    } else {
-      // Send entire file
-      const stream = fs.createReadStream(filePath);
-      stream.pipe(res);
-    }
-  } catch (error) {
-    console.error("❌ Stream track error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to stream track",
-      timestamp: new Date().toISOString(),
-    });
-  }
-});
+// Stream track (free, signed stream URL or purchased by the wallet)
+router.get("/:id/stream", validateObjectId, optionalWallet, streamTrack);
 
 // Upload track with comprehensive validation
 router.post(
@@ -236,6 +164,7 @@ router.post(
       };
 
       // File info (already validated)
+      let source = null;
       if (req.file) {
         trackData.storage = {
           filename: req.file.filename,
@@ -247,11 +176,36 @@ router.post(
         // Set additional metadata
         trackData.mimeType = req.file.mimetype;
         trackData.fileSize = req.file.size;
+
+        source = fs.readFileSync(req.file.path);
+
+        // Technical metadata (duration, bitrate, ...) and missing album from tags
+        const extracted = await trackService.extractAudioMetadata(source, {
+          mimetype: req.file.mimetype,
+          filename: req.file.originalname,
+        });
+        if (extracted) {
+          trackData.audio = extracted.audio;
+          trackData.album = trackData.album || extracted.tags.album || "";
+        }
+
+        // Generate the public preview clip
+        trackData.preview = await trackService.generatePreview(source, {
+          mimetype: req.file.mimetype,
+          filename: req.file.originalname,
+          title: trackData.title,
+          artist: trackData.artist,
+        });
       }
 
       const track = new Track(trackData);
       await track.save();
 
+      // Waveform peaks are computed in the background
+      if (source) {
+        trackService.generateWaveform(track._id, source).catch(() => {});
+      }
+
       console.log(`✅ Track uploaded: ${track.title} by ${track.artist}`);
 
       res.status(201).json({
@@ -9,24 +9,31 @@ async function cleanIndexes() {
         console.log('✅ Connected to MongoDB');
         
         const db = mongoose.connection.db;
-        const collection = db.collection('tracks');
         
-        // Get all current indexes
-        const indexes = await collection.indexes();
-        console.log('📋 Current indexes:', indexes.map(i => i.name));
+        // Drop any problematic indexes; purchases.txHash_1 blocks bundle purchases,
+        // whose tracks share one transaction
+        const problematicIndexes = {
+            tracks: ['blockchainId_1', 'blockchain.contractId_1', 'blockchain_contractId_unique'],
+            purchases: ['txHash_1']
+        };
         
-        // Drop any problematic indexes
-        const problematicIndexes = ['blockchainId_1', 'blockchain.contractId_1'];
-        
-        for (const indexName of problematicIndexes) {
-            try {
-                await collection.dropIndex(indexName);
-                console.log(`✅ Dropped index: ${indexName}`);
-            } catch (error) {
-                if (error.message.includes('index not found')) {
-                    console.log(`⚠️ Index ${indexName} not found (already removed)`);
-                } else {
-                    console.error(`❌ Error dropping ${indexName}:`, error.message);
+        for (const [collectionName, indexNames] of Object.entries(problematicIndexes)) {
+            const collection = db.collection(collectionName);
+            
+            // Get all current indexes
+            const indexes = await collection.indexes().catch(() => []);
+            console.log(`📋 Current ${collectionName} indexes:`, indexes.map(i => i.name));
+            
+            for (const indexName of indexNames) {
+                try {
+                    await collection.dropIndex(indexName);
+                    console.log(`✅ Dropped index: ${collectionName}.${indexName}`);
+                } catch (error) {
+                    if (error.message.includes('index not found') || error.codeName === 'NamespaceNotFound') {
+                        console.log(`⚠️ Index ${collectionName}.${indexName} not found (already removed)`);
+                    } else {
+                        console.error(`❌ Error dropping ${collectionName}.${indexName}:`, error.message);
+                    }
                 }
             }
         }
@@ -24,21 +24,23 @@ async function compileContracts() {
         console.log(stdout);
         
         // Verify artifacts were created
-        const artifactsPath = './artifacts/contracts/MusicStore.sol/MusicStore.json';
-        if (fs.existsSync(artifactsPath)) {
-            console.log('✅ Contract artifacts generated at:', artifactsPath);
-            
-            // Copy to contracts directory for deploy script compatibility
-            const contractsDir = './contracts';
-            if (!fs.existsSync(contractsDir)) {
-                fs.mkdirSync(contractsDir, { recursive: true });
+        for (const contractName of ['MusicStore', 'MusicEditions', 'MusicForwarder']) {
+            const artifactsPath = `./artifacts/contracts/${contractName}.sol/${contractName}.json`;
+            if (fs.existsSync(artifactsPath)) {
+                console.log('✅ Contract artifacts generated at:', artifactsPath);
+                
+                // Copy to contracts directory for deploy script compatibility
+                const contractsDir = './contracts';
+                if (!fs.existsSync(contractsDir)) {
+                    fs.mkdirSync(contractsDir, { recursive: true });
+                }
+                
+                fs.copyFileSync(artifactsPath, `./contracts/${contractName}.json`);
+                console.log(`✅ Artifacts copied to ./contracts/${contractName}.json`);
+                
+            } else {
+                throw new Error(`${contractName} artifacts not found after compilation`);
             }
-            
-            fs.copyFileSync(artifactsPath, './contracts/MusicStore.json');
-            console.log('✅ Artifacts copied to ./contracts/MusicStore.json');
-            
-        } else {
-            throw new Error('Contract artifacts not found after compilation');
         }
         
         console.log('🎉 Compilation completed successfully!');
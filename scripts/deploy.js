@@ -1,9 +1,19 @@
 import hre from "hardhat";
 const { ethers } = hre;
-import fs from "fs";
+import path from "path";
+import { recordDeployment, getAbiVersion, getRegistryPath } from "../config/deployments.js";
+
+// Block explorers of the networks deployed to so far
+const EXPLORERS = {
+    "1": "https://etherscan.io",
+    "11155111": "https://sepolia.etherscan.io",
+    "137": "https://polygonscan.com",
+    "8453": "https://basescan.org",
+    "84532": "https://sepolia.basescan.org"
+};
 
 async function main() {
-    console.log("🚀 Deploying MusicStore to Sepolia testnet...");
+    console.log(`🚀 Deploying MusicStore to ${hre.network.name}...`);
     
     // Get deployer
     const [deployer] = await ethers.getSigners();
@@ -22,7 +32,22 @@ async function main() {
     
     // Get network info
     const network = await ethers.provider.getNetwork();
-    console.log("🌐 Network:", network.name, "Chain ID:", network.chainId.toString());
+    const chainId = network.chainId.toString();
+    const explorer = EXPLORERS[chainId] || null;
+    console.log("🌐 Network:", hre.network.name, "Chain ID:", chainId);
+    
+    // Deploy the ERC-2771 forwarder that relayed (gasless) purchases go through
+    console.log("📨 Deploying MusicForwarder...");
+    const MusicForwarder = await ethers.getContractFactory("MusicForwarder");
+    const musicForwarder = await MusicForwarder.deploy({
+        gasLimit: 3000000,
+        gasPrice: ethers.parseUnits("20", "gwei")
+    });
+    await musicForwarder.waitForDeployment();
+    
+    const forwarderAddress = await musicForwarder.getAddress();
+    const forwarderReceipt = await musicForwarder.deploymentTransaction()?.wait();
+    console.log("✅ MusicForwarder deployed:", forwarderAddress);
     
     // Deploy contract
     console.log("🏭 Getting contract factory...");
@@ -31,8 +56,8 @@ async function main() {
     console.log("🚀 Deploying contract...");
     const startTime = Date.now();
     
-    const musicStore = await MusicStore.deploy(deployer.address, {
-        gasLimit: 3000000,
+    const musicStore = await MusicStore.deploy(deployer.address, forwarderAddress, {
+        gasLimit: 6000000,
         gasPrice: ethers.parseUnits("20", "gwei")
     });
     
@@ -42,13 +67,16 @@ async function main() {
     await musicStore.waitForDeployment();
     
     const contractAddress = await musicStore.getAddress();
+    const deployReceipt = await musicStore.deploymentTransaction()?.wait();
     const endTime = Date.now();
     const deployTime = (endTime - startTime) / 1000;
     
     console.log("✅ MusicStore deployed successfully!");
     console.log("📍 Contract address:", contractAddress);
     console.log("⏱️  Deployment time:", deployTime, "seconds");
-    console.log("🔗 Sepolia Etherscan:", `https://sepolia.etherscan.io/address/${contractAddress}`);
+    if (explorer) {
+        console.log("🔗 Explorer:", `${explorer}/address/${contractAddress}`);
+    }
     
     // Verify deployment
     console.log("🔍 Verifying deployment...");
@@ -66,51 +94,80 @@ async function main() {
         console.log("⚠️  Contract verification skipped:", error.message);
     }
     
-    // Save deployment info
-    const deploymentInfo = {
-        contractAddress,
-        network: {
-            name: "sepolia",
-            chainId: 11155111,
-            rpcUrl: process.env.RPC_URL
-        },
-        deployment: {
-            deployer: deployer.address,
-            deployedAt: new Date().toISOString(),
-            transactionHash: musicStore.deploymentTransaction()?.hash,
-            deploymentTime: deployTime,
-            gasUsed: musicStore.deploymentTransaction()?.gasLimit?.toString()
-        },
-        contract: {
-            name: "MusicStore",
-            version: "1.0.0",
-            compiler: "0.8.20"
-        },
-        links: {
-            etherscan: `https://sepolia.etherscan.io/address/${contractAddress}`,
-            transaction: `https://sepolia.etherscan.io/tx/${musicStore.deploymentTransaction()?.hash}`
-        }
-    };
+    // Deploy edition NFT contract
+    console.log("🎟️ Deploying MusicEditions...");
+    const MusicEditions = await ethers.getContractFactory("MusicEditions");
+    const musicEditions = await MusicEditions.deploy(deployer.address, {
+        gasLimit: 4000000,
+        gasPrice: ethers.parseUnits("20", "gwei")
+    });
     
-    // Save files
-    fs.writeFileSync("./deployment-sepolia.json", JSON.stringify(deploymentInfo, null, 2));
+    console.log("📝 Transaction hash:", musicEditions.deploymentTransaction()?.hash);
+    await musicEditions.waitForDeployment();
+    
+    const editionsAddress = await musicEditions.getAddress();
+    const editionsReceipt = await musicEditions.deploymentTransaction()?.wait();
+    console.log("✅ MusicEditions deployed successfully!");
+    console.log("📍 Editions address:", editionsAddress);
+    
+    // Allow-list ERC-20 payment tokens (PAYMENT_TOKENS=SYMBOL:address:decimals,...)
+    const paymentTokens = (process.env.PAYMENT_TOKENS || "")
+        .split(",")
+        .map((entry) => entry.trim().split(":"))
+        .filter(([symbol, address]) => symbol && ethers.isAddress(address))
+        .map(([symbol, address, decimals]) => ({
+            symbol: symbol.toUpperCase(),
+            address,
+            decimals: parseInt(decimals) || 18
+        }));
+    
+    // Local chains get a mintable mock stablecoin instead
+    if (paymentTokens.length === 0 && ["hardhat", "localhost"].includes(hre.network.name)) {
+        console.log("🪙 Deploying MockERC20 (mUSD)...");
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const mockToken = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        await mockToken.waitForDeployment();
+        paymentTokens.push({
+            symbol: "MUSD",
+            address: await mockToken.getAddress(),
+            decimals: 6
+        });
+    }
     
-    const envContent = `# MusicStore Sepolia Deployment
-CONTRACT_ADDRESS=${contractAddress}
-NETWORK=sepolia
-CHAIN_ID=11155111
-DEPLOYER_ADDRESS=${deployer.address}
-DEPLOYED_AT=${new Date().toISOString()}
-ETHERSCAN_URL=https://sepolia.etherscan.io/address/${contractAddress}`;
+    for (const token of paymentTokens) {
+        const tx = await musicStore.setPaymentToken(token.address, true);
+        await tx.wait();
+        console.log(`💱 Payment token allowed: ${token.symbol} (${token.address})`);
+    }
     
-    fs.writeFileSync("./contract-sepolia.env", envContent);
+    // Record the deployment in the registry the backend reads (deployments.json)
+    const deployedAt = new Date().toISOString();
+    const deployment = async (contract, factory, receipt) => ({
+        address: await contract.getAddress(),
+        transactionHash: contract.deploymentTransaction()?.hash,
+        blockNumber: receipt?.blockNumber ?? null,
+        abiVersion: getAbiVersion(factory.interface.fragments),
+        deployer: deployer.address,
+        deployedAt
+    });
+    
+    recordDeployment(
+        chainId,
+        { name: hre.network.name, explorer, paymentTokens },
+        {
+            MusicStore: await deployment(musicStore, MusicStore, deployReceipt),
+            MusicEditions: await deployment(musicEditions, MusicEditions, editionsReceipt),
+            MusicForwarder: await deployment(musicForwarder, MusicForwarder, forwarderReceipt)
+        }
+    );
     
-    console.log("💾 Deployment info saved to:");
-    console.log("   - deployment-sepolia.json");
-    console.log("   - contract-sepolia.env");
+    console.log(`💾 Deployment recorded in ${path.relative(process.cwd(), getRegistryPath())}; point the backend at it with:`);
+    console.log(`   NETWORK_ID=${chainId}`);
     
-    console.log("\n🎉 Sepolia deployment completed!");
+    console.log(`\n🎉 ${hre.network.name} deployment completed!`);
     console.log("📱 Add to MetaMask: Contract Address", contractAddress);
+    console.log("🎟️ Editions (ERC-1155) Address", editionsAddress);
+    console.log("📨 Forwarder (ERC-2771) Address", forwarderAddress);
     
     return contractAddress;
 }
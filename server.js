@@ -1,6 +1,7 @@
 import express from "express";
 import dotenv from "dotenv";
 import helmet from "helmet";
+import path from "path";
 import rateLimit from "express-rate-limit";
 import { connectDB } from "./config/database.js";
 import { getConfig } from "./config/env.js";
@@ -77,8 +78,16 @@ const strictLimiter = rateLimit({
   },
 });
 
+// Resumable upload chunks only count toward the general limit, so large
+// files are not throttled mid-upload
+const isUploadChunkRequest = (req) =>
+  (req.method === "PATCH" || req.method === "HEAD") &&
+  /^\/tracks\/uploads\/[^/]+$/.test(req.path);
+
 app.use("/api", generalLimiter);
-app.use("/api/admin", strictLimiter);
+app.use("/api/admin", (req, res, next) =>
+  isUploadChunkRequest(req) ? next() : strictLimiter(req, res, next)
+);
 app.use("/auth", strictLimiter);
 
 // MongoDB injection protection
@@ -106,11 +115,15 @@ app.use((req, res, next) => {
 
   res.setHeader(
     "Access-Control-Allow-Methods",
-    "GET, POST, PUT, DELETE, OPTIONS"
+    "GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS"
   );
   res.setHeader(
     "Access-Control-Allow-Headers",
-    "Content-Type, Authorization, X-API-Key, X-Admin-Key"
+    "Content-Type, Authorization, X-API-Key, X-Admin-Key, Tus-Resumable, Upload-Offset, Upload-Length, Upload-Checksum"
+  );
+  res.setHeader(
+    "Access-Control-Expose-Headers",
+    "Location, Tus-Resumable, Upload-Offset, Upload-Length, Upload-Expires"
   );
   res.setHeader("Access-Control-Allow-Credentials", "true");
   res.setHeader("Access-Control-Max-Age", "86400"); // 24 hours
@@ -141,10 +154,34 @@ app.use(sanitizeRequest);
 // Response sanitization
 app.use(sanitizeResponse);
 
+// Audio is only served through the access-controlled stream routes
+const PROTECTED_UPLOAD_EXTENSIONS = [
+  ".mp3",
+  ".wav",
+  ".flac",
+  ".aac",
+  ".ogg",
+  ".webm",
+  ".m4a",
+];
+
 // Serve static files with security headers
 app.use(
   "/uploads",
   (req, res, next) => {
+    let requestPath = req.path;
+    try {
+      requestPath = decodeURIComponent(req.path);
+    } catch (error) {
+      // Malformed paths are rejected by express.static
+    }
+    const ext = path.extname(requestPath).toLowerCase();
+    if (PROTECTED_UPLOAD_EXTENSIONS.includes(ext)) {
+      return res.status(403).json({
+        success: false,
+        error: "Audio files are only available through the stream endpoint",
+      });
+    }
     res.setHeader("X-Content-Type-Options", "nosniff");
     res.setHeader("Cache-Control", "public, max-age=3600");
     next();
@@ -223,6 +260,18 @@ try {
   process.exit(1);
 }
 
+// ===== ADMIN ROUTES =====
+
+console.log("Loading admin routes...");
+try {
+  const adminRoutes = await import("./routes/admin.js");
+  app.use("/api/admin", adminRoutes.router);
+  console.log("✅ Admin routes loaded at /api/admin");
+} catch (error) {
+  console.error("❌ Failed to load admin routes:", error.message);
+  process.exit(1);
+}
+
 // ===== AUTHENTICATION ROUTES =====
 
 console.log("Loading authentication routes...");
@@ -288,6 +337,23 @@ if (config.blockchain.enabled) {
         initResult?.error
       );
     }
+
+    // Read-only indexing of the other networks in INDEXED_NETWORKS
+    const { getNetworks } = await import("./config/blockchain.js");
+    for (const network of getNetworks().filter((n) => !n.primary)) {
+      const networkService = new BlockchainService.default({
+        chainId: network.chainId,
+      });
+      const networkResult = await networkService.initialize();
+      if (networkResult?.success) {
+        console.log(`✅ Indexing network ${network.name || network.chainId}`);
+      } else {
+        console.log(
+          `⚠️ Network ${network.chainId} not indexed:`,
+          networkResult?.error
+        );
+      }
+    }
   } catch (error) {
     console.error("❌ Blockchain service failed:", error.message);
     console.log("🔄 Server will continue without blockchain features");
@@ -0,0 +1,118 @@
+import { parseBuffer, parseFile } from "music-metadata";
+import path from "path";
+import { sanitizeHtml } from "../middleware/sanitization.js";
+
+// Track fields that embedded tags may pre-fill, with their schema length limits
+const TAG_FIELD_LIMITS = {
+  title: 200,
+  artist: 100,
+  album: 200,
+  genre: 50,
+};
+
+/**
+ * Audio Metadata Service
+ * Reads embedded tags (ID3v1/v2, Vorbis comments, RIFF INFO, ...) and
+ * technical stream info from uploaded audio.
+ */
+class AudioMetadataService {
+  /**
+   * Extract tags and technical metadata from audio
+   * @param {Buffer|string} source - Audio file contents, or the path of a file to stream it from
+   * @param {Object} options - { mimetype, filename }
+   * @returns {Promise<Object>} { tags, audio }
+   */
+  async extract(source, options = {}) {
+    const { mimetype, filename } = options;
+    const parseOptions = { duration: true, skipCovers: true };
+
+    const metadata =
+      typeof source === "string"
+        ? await parseFile(source, parseOptions)
+        : await parseBuffer(
+            source,
+            {
+              mimeType: mimetype,
+              size: source.length,
+              path: filename ? path.basename(filename) : undefined,
+            },
+            parseOptions
+          );
+
+    const { common, format } = metadata;
+
+    const tags = {
+      title: this.cleanTag(common.title, TAG_FIELD_LIMITS.title),
+      artist: this.cleanTag(
+        common.artist || common.albumartist,
+        TAG_FIELD_LIMITS.artist
+      ),
+      album: this.cleanTag(common.album, TAG_FIELD_LIMITS.album),
+      genre: this.cleanTag(common.genre?.[0], TAG_FIELD_LIMITS.genre),
+    };
+
+    const audio = {
+      durationSeconds: this.round(format.duration),
+      bitrate: format.bitrate ? Math.round(format.bitrate) : null,
+      sampleRate: format.sampleRate || null,
+      channels: format.numberOfChannels || null,
+      bitsPerSample: format.bitsPerSample || null,
+      codec: format.codec || null,
+      container: format.container || null,
+      lossless: format.lossless ?? null,
+      tagTypes: format.tagTypes || [],
+      extractedAt: new Date(),
+    };
+
+    console.log(
+      `🏷️ Extracted metadata: ${audio.codec || "unknown codec"}, ${
+        audio.durationSeconds ?? "?"
+      }s, tags: ${audio.tagTypes.join(", ") || "none"}`
+    );
+
+    return { tags, audio };
+  }
+
+  /**
+   * Fill missing track fields from extracted tags (client values always win)
+   * @param {Object} data - Track data from the request
+   * @param {Object} tags - Extracted tags
+   * @returns {Object} Track data with missing fields filled
+   */
+  applyTags(data, tags) {
+    const filled = { ...data };
+
+    for (const field of Object.keys(TAG_FIELD_LIMITS)) {
+      const current =
+        typeof filled[field] === "string"
+          ? filled[field].trim()
+          : filled[field];
+      if (!current && tags[field]) {
+        filled[field] = tags[field];
+      }
+    }
+
+    return filled;
+  }
+
+  // Strip markup and control characters, then cap a tag value
+  cleanTag(value, maxLength) {
+    if (typeof value !== "string") {
+      return null;
+    }
+    const cleaned = sanitizeHtml(value)
+      .replace(/[\x00-\x1f\x7f]/g, "")
+      .trim();
+    return cleaned ? cleaned.substring(0, maxLength) : null;
+  }
+
+  round(value) {
+    return typeof value === "number" && isFinite(value)
+      ? Math.round(value * 1000) / 1000
+      : null;
+  }
+}
+
+export default AudioMetadataService;
+
+console.log("✅ AudioMetadataService loaded");
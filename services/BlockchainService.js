@@ -1,33 +1,125 @@
 import { ethers } from "ethers";
 import {
   getMusicStoreContract,
+  getEditionsContract,
   getProvider,
   getWallet,
+  getPaymentToken,
+  getPaymentTokens,
+  getConfirmationDepth,
+  getNetworkConfig,
+  getNetworks,
+  setPrimaryChainId,
   isBlockchainAvailable,
   testBlockchainConnection,
 } from "../config/blockchain.js";
 import Track from "../models/Track.js";
+import Purchase from "../models/Purchase.js";
+import Nft from "../models/Nft.js";
+import Withdrawal from "../models/Withdrawal.js";
+import FailedEvent from "../models/FailedEvent.js";
+import RelayedTransaction from "../models/RelayedTransaction.js";
+import ProcessedEvent from "../models/ProcessedEvent.js";
+import IndexerCheckpoint from "../models/IndexerCheckpoint.js";
+import { getDeployment, getAbiVersion } from "../config/deployments.js";
+import EventIndexer from "./EventIndexer.js";
+import ReorgService from "./ReorgService.js";
+import EarningsReconciliationService from "./EarningsReconciliationService.js";
 import EventEmitter from "events";
 import fs from "fs";
 import path from "path";
 
+// EIP-712 fields of MusicStore listing vouchers
+const LISTING_VOUCHER_FIELDS = [
+  { name: "price", type: "uint256" },
+  { name: "artist", type: "address" },
+  { name: "metadataHash", type: "string" },
+  { name: "expiry", type: "uint256" },
+  { name: "nonce", type: "uint256" },
+];
+
+// EIP-712 type of MusicStore.addTrackWithVoucher (artist self-listing)
+const LISTING_VOUCHER_TYPES = {
+  ListingVoucher: LISTING_VOUCHER_FIELDS,
+};
+
+// EIP-712 type of MusicStore.purchaseWithVoucher (lazy listing)
+const LAZY_LISTING_VOUCHER_TYPES = {
+  LazyListingVoucher: LISTING_VOUCHER_FIELDS,
+};
+
+// EIP-712 type of MusicStore.purchaseWithCoupon
+const COUPON_TYPES = {
+  Coupon: [
+    { name: "trackId", type: "uint256" },
+    { name: "buyer", type: "address" },
+    { name: "price", type: "uint256" },
+    { name: "campaignId", type: "bytes32" },
+    { name: "expiry", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+// ERC-20 calls used for token payments
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+// MusicStore withdrawal events and what they pay out
+const WITHDRAWAL_EVENTS = {
+  Withdrawal: "earnings",
+  TokenWithdrawal: "earnings",
+  SellerWithdrawal: "resale",
+  PlatformFeesWithdrawn: "platform_fees",
+  TokenPlatformFeesWithdrawn: "platform_fees",
+};
+
+// Events of contracts whose records are not tagged by network (coupons,
+// bundles, lazy listings), indexed on the primary network only
+const PRIMARY_ONLY_EVENTS = new Set([
+  "VoucherTrackPurchased",
+  "CouponRedeemed",
+  "BundlePurchased",
+]);
+
 /**
  * Enhanced Blockchain Service with Error Recovery
+ * One instance per network: the primary one (NETWORK_ID) by default, or a
+ * network only indexed when constructed with { chainId }.
  */
 class BlockchainService extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} options - { chainId } of an indexed network
+   */
+  constructor(options = {}) {
     super();
+    this.requestedChainId = options.chainId ? String(options.chainId) : null;
+    this.chainId = this.requestedChainId; // Resolved from the provider when null
     this.contract = null;
+    this.editionsContract = null;
     this.provider = null;
     this.wallet = null;
     this.isListening = false;
-    this.blockConfirmations = 2;
+    this.indexer = null;
+    this.reorgService = null;
+    this.earningsReconciliation = null;
+    this.blockConfirmations = getConfirmationDepth();
     this.enabled = process.env.BLOCKCHAIN_ENABLED !== "false";
 
     // Error handling and retry configuration
     this.maxRetries = 3;
     this.retryDelay = 2000; // 2 seconds base delay
-    this.failedEventsFile = path.join(
+    this.failedEventRetryInterval = 60000; // Dead-letter queue poll
+    this.logBlockRange = parseInt(process.env.INDEXER_BLOCK_RANGE) || 2000; // Blocks per queryFilter call
+    this.failedEventTimer = null;
+    this.relayTrackingInterval = 15000; // Relayed transaction receipts poll
+    this.relayTrackingTimer = null;
+    this.relayDropTimeout = 10 * 60 * 1000; // Unmined relays are dropped after this
+    // Queue file of earlier versions, imported into FailedEvent once
+    this.legacyFailedEventsFile = path.join(
       process.cwd(),
       "data",
       "failed-events.json"
@@ -36,19 +128,8 @@ class BlockchainService extends EventEmitter {
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 10000; // 10 seconds
 
-    // Ensure data directory exists
-    this.ensureDataDirectory();
-
-    // Process failed events on startup
-    this.processPendingFailedEvents();
-  }
-
-  ensureDataDirectory() {
-    const dataDir = path.dirname(this.failedEventsFile);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-      console.log("📁 Created data directory for blockchain service");
-    }
+    // Token address => { symbol, address, decimals }, for tokens missing from PAYMENT_TOKENS
+    this.currencyCache = new Map();
   }
 
   async initialize() {
@@ -78,16 +159,21 @@ class BlockchainService extends EventEmitter {
 
   async initializeWithRetry(attempt = 1) {
     try {
-      this.contract = getMusicStoreContract();
-      this.provider = getProvider();
-      this.wallet = getWallet();
+      const network = this.getNetwork();
+      if (!network) {
+        throw new Error(`Network ${this.requestedChainId} is not configured`);
+      }
+      this.contract = network.contract;
+      this.editionsContract = network.editionsContract || null;
+      this.provider = network.provider;
+      this.wallet = network.wallet || null;
 
       if (!this.contract) {
         throw new Error("MusicStore contract not available");
       }
 
       // Test connection before proceeding
-      const connectionTest = await testBlockchainConnection();
+      const connectionTest = await testBlockchainConnection(this.provider);
       if (!connectionTest.connected) {
         if (attempt < this.maxReconnectAttempts) {
           console.log(
@@ -115,6 +201,19 @@ class BlockchainService extends EventEmitter {
       // Reset reconnect attempts on successful connection
       this.reconnectAttempts = 0;
 
+      // The RPC must serve the network its contracts were registered for
+      const chainId = connectionTest.network.chainId.toString();
+      if (network.chainId && network.chainId !== chainId) {
+        throw new Error(
+          `RPC for network ${network.chainId} is connected to chain ${chainId}`
+        );
+      }
+      this.chainId = chainId;
+      if (network.primary) {
+        setPrimaryChainId(chainId);
+        await this.backfillChainIds();
+      }
+
       // Setup event listeners with error handling
       await this.setupEventListeners();
 
@@ -150,60 +249,54 @@ class BlockchainService extends EventEmitter {
       return;
     }
 
+    // Events of a contract deployed with another ABI are decoded wrongly or dropped
+    const abiMismatch = this.getAbiMismatch();
+    if (abiMismatch) {
+      if (process.env.INDEXER_ALLOW_ABI_MISMATCH !== "true") {
+        console.error(`❌ Event indexer not started: ${abiMismatch}`);
+        return;
+      }
+      console.warn(`⚠️ ${abiMismatch}`);
+    }
+
     console.log(
-      "🎧 Setting up MusicStore event listeners with error handling..."
+      `🎧 Starting MusicStore event indexer on chain ${this.chainId}...`
     );
 
     try {
-      // TrackAdded Event with error handling
-      this.contract.on("TrackAdded", async (trackId, artist, price, event) => {
-        console.log("🎵 TrackAdded event:", {
-          trackId: trackId.toString(),
-          artist,
-          price: ethers.formatEther(price),
-          txHash: event.transactionHash,
+      // Events are polled with bounded queryFilter ranges from a checkpoint,
+      // so nothing emitted while the server was down is lost
+      const contracts = [{ name: "MusicStore", contract: this.contract }];
+      if (this.editionsContract) {
+        contracts.push({
+          name: "MusicEditions",
+          contract: this.editionsContract,
         });
+      }
 
-        try {
-          await this.processTrackAddedWithRetry(trackId, artist, price, event);
-        } catch (error) {
-          console.error("❌ Failed to process TrackAdded event:", error);
-          await this.storeFailedEvent(
-            "TrackAdded",
-            { trackId, artist, price, event },
-            error
-          );
-        }
+      this.indexer = new EventIndexer((event) =>
+        this.handleContractEvent(event)
+      );
+      await this.indexer.start(contracts);
+
+      // Confirms purchases and listings, and rolls back reorged ones
+      this.reorgService = new ReorgService(this, {
+        depth: this.blockConfirmations,
       });
+      this.reorgService.start();
 
-      // TrackPurchased Event with error handling
-      this.contract.on(
-        "TrackPurchased",
-        async (trackId, buyer, price, event) => {
-          console.log("💰 TrackPurchased event:", {
-            trackId: trackId.toString(),
-            buyer,
-            price: ethers.formatEther(price),
-            txHash: event.transactionHash,
-          });
+      // Compares artist earnings in Mongo with the chain on a schedule
+      this.earningsReconciliation = new EarningsReconciliationService(this);
+      this.earningsReconciliation.start();
 
-          try {
-            await this.processTrackPurchasedWithRetry(
-              trackId,
-              buyer,
-              price,
-              event
-            );
-          } catch (error) {
-            console.error("❌ Failed to process TrackPurchased event:", error);
-            await this.storeFailedEvent(
-              "TrackPurchased",
-              { trackId, buyer, price, event },
-              error
-            );
-          }
-        }
-      );
+      // Failed events are retried from the dead-letter queue with backoff
+      await this.startFailedEventRetries();
+
+      // Relayed (gasless) purchases, only sent on the primary network, are
+      // followed until confirmed
+      if (this.isPrimary()) {
+        this.startRelayTracking();
+      }
 
       // Provider error handler
       this.provider.on("error", async (error) => {
@@ -212,24 +305,251 @@ class BlockchainService extends EventEmitter {
         await this.handleProviderError(error);
       });
 
-      // Note: Contract error events are handled by provider error listener
-      // No need for separate contract error listener as "error" is not a contract event
-      // All contract events are properly defined and handled above
-      
       this.isListening = true;
-      console.log("✅ Event listeners setup complete with error handling");
+      console.log("✅ Event indexer setup complete with error handling");
     } catch (error) {
-      console.error("❌ Event listener setup failed:", error);
+      console.error("❌ Event indexer setup failed:", error);
       this.isListening = false;
+      this.indexer?.stop();
+      this.indexer = null;
+      this.reorgService?.stop();
+      this.reorgService = null;
+      this.earningsReconciliation?.stop();
+      this.earningsReconciliation = null;
+      this.stopFailedEventRetries();
+      this.stopRelayTracking();
 
       // Schedule retry
-      console.log("🔄 Scheduling event listener retry in 30s...");
+      console.log("🔄 Scheduling event indexer retry in 30s...");
       setTimeout(() => {
         this.setupEventListeners();
       }, 30000);
     }
   }
 
+  /**
+   * Why the registered deployment of this network's MusicStore cannot be
+   * indexed with the local ABI, or null when it can (or is not registered)
+   * @returns {string|null}
+   */
+  getAbiMismatch() {
+    const deployment = getDeployment(this.chainId);
+    const address = this.contract?.target;
+    if (!address || deployment?.address?.toLowerCase() !== address.toLowerCase()) {
+      return null;
+    }
+
+    const localVersion = getAbiVersion(this.contract.interface.fragments);
+    if (!deployment.abiVersion) {
+      return `MusicStore ${address} on chain ${this.chainId} has no abiVersion in the deployment registry, local ABI is ${localVersion}`;
+    }
+    if (deployment.abiVersion !== localVersion) {
+      return `MusicStore ${address} on chain ${this.chainId} was deployed with ABI ${deployment.abiVersion}, local ABI is ${localVersion}: redeploy it or set INDEXER_ALLOW_ABI_MISMATCH=true`;
+    }
+    return null;
+  }
+
+  /**
+   * Route an indexed MusicStore or MusicEditions event to its handler.
+   * Failures are stored for later retry rather than thrown.
+   * @param {Object} event - ethers EventLog
+   * @returns {Promise<boolean>} false when the event was stored as failed
+   */
+  async handleContractEvent(event) {
+    const { eventName, args } = event;
+
+    if (!this.isPrimary() && PRIMARY_ONLY_EVENTS.has(eventName)) {
+      console.warn(
+        `⚠️ ${eventName} on chain ${this.chainId} not indexed (primary network only): ${event.transactionHash}`
+      );
+      return true;
+    }
+
+    if (eventName === "TrackAdded") {
+      const { trackId, artist, price } = args;
+      console.log("🎵 TrackAdded event:", {
+        trackId: trackId.toString(),
+        artist,
+        price: ethers.formatEther(price),
+        txHash: event.transactionHash,
+      });
+
+      try {
+        await this.processTrackAddedWithRetry(trackId, artist, price, event);
+      } catch (error) {
+        console.error("❌ Failed to process TrackAdded event:", error);
+        await this.storeFailedEvent(
+          "TrackAdded",
+          { trackId, artist, price, event },
+          error
+        );
+        return false;
+      }
+      return true;
+    }
+
+    if (eventName === "TrackPurchased") {
+      const { trackId, buyer, price } = args;
+      console.log("💰 TrackPurchased event:", {
+        trackId: trackId.toString(),
+        buyer,
+        payer: args.payer,
+        token: args.token,
+        price: price.toString(),
+        txHash: event.transactionHash,
+      });
+
+      try {
+        await this.processTrackPurchasedWithRetry(trackId, buyer, price, event);
+      } catch (error) {
+        // processTrackPurchasedWithRetry already stored it for retry
+        console.error("❌ Failed to process TrackPurchased event:", error);
+        return false;
+      }
+      return true;
+    }
+
+    // Lazy listing: the first purchase registers the voucher track on-chain
+    if (eventName === "VoucherTrackPurchased") {
+      const { trackId, voucherNonce, buyer, price } = args;
+      console.log("🎟️ VoucherTrackPurchased event:", {
+        trackId: trackId.toString(),
+        voucherNonce: voucherNonce.toString(),
+        buyer,
+        txHash: event.transactionHash,
+      });
+
+      try {
+        await this.withRetry(
+          "processVoucherPurchase",
+          async () => {
+            return await this.processVoucherPurchase(
+              trackId,
+              voucherNonce,
+              buyer,
+              price,
+              event
+            );
+          },
+          { trackId, voucherNonce, buyer, price, event }
+        );
+      } catch (error) {
+        console.error(
+          "❌ Failed to process VoucherTrackPurchased event:",
+          error
+        );
+        await this.storeFailedEvent(
+          "VoucherTrackPurchased",
+          { trackId, voucherNonce, buyer, price, event },
+          error
+        );
+        return false;
+      }
+      return true;
+    }
+
+    // Promo coupons: mark the coupon redeemed and count it against its campaign
+    if (eventName === "CouponRedeemed") {
+      const eventData = this.parseCouponEvent(event);
+      console.log("🏷️ CouponRedeemed event:", eventData);
+
+      return await this.processParsedEvent(
+        eventName,
+        eventData,
+        event,
+        () => this.processCouponRedeemed(eventData)
+      );
+    }
+
+    // Bundle purchases: parent record for the per-track TrackPurchased events
+    if (eventName === "BundlePurchased") {
+      const eventData = this.parseBundleEvent(event);
+      console.log("💿 BundlePurchased event:", eventData);
+
+      return await this.processParsedEvent(
+        eventName,
+        eventData,
+        event,
+        () => this.processBundlePurchased(eventData)
+      );
+    }
+
+    // Resale marketplace: listings and resales update Purchase ownership
+    if (
+      ["PurchaseListed", "ListingCancelled", "PurchaseResold"].includes(
+        eventName
+      )
+    ) {
+      return await this.handleResaleEvent(eventName, event);
+    }
+
+    // Earnings, resale proceeds and platform fees leaving the contract.
+    // MusicEditions emits events of the same names for its own balances,
+    // which the MusicStore ledger must not subtract
+    if (eventName in WITHDRAWAL_EVENTS) {
+      if (!this.isStoreEvent(event)) {
+        console.log(
+          `⏭️ ${eventName} from ${event.address} is not a MusicStore withdrawal: ${event.transactionHash}`
+        );
+        return true;
+      }
+      return await this.handleWithdrawalEvent(eventName, event);
+    }
+
+    // Price changes signed by the artist keep the stored price current
+    if (eventName === "TrackUpdated") {
+      const eventData = this.parseTrackUpdatedEvent(event);
+      console.log("🏷️ TrackUpdated event:", eventData);
+
+      return await this.processParsedEvent(
+        eventName,
+        eventData,
+        event,
+        () => this.processTrackUpdated(eventData)
+      );
+    }
+
+    // Collaborator split changes made on-chain by the artist
+    if (eventName === "TrackSplitsUpdated") {
+      const { trackId, payees, shares } = args;
+      try {
+        await this.syncTrackSplits(trackId.toString(), payees, shares);
+      } catch (error) {
+        console.error("❌ Failed to sync track splits:", error.message);
+        return false;
+      }
+      return true;
+    }
+
+    // MusicEditions transfers (mints included) keep the Nft index current
+    if (eventName === "TransferSingle") {
+      return await this.handleNftTransfer([args.id], args.from, args.to, event);
+    }
+    if (eventName === "TransferBatch") {
+      return await this.handleNftTransfer(
+        [...args.ids],
+        args.from,
+        args.to,
+        event
+      );
+    }
+
+    // Admin and configuration events need no indexing
+    return true;
+  }
+
+  // Run a parsed event's processor with retries, storing it on failure
+  async processParsedEvent(eventName, eventData, event, processor) {
+    try {
+      await this.withRetry(`process${eventName}`, processor, eventData);
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to process ${eventName} event:`, error);
+      await this.storeFailedEvent(eventName, { eventData, event }, error);
+      return false;
+    }
+  }
+
   // Enhanced TrackAdded processing with retry logic
   async processTrackAddedWithRetry(trackId, artist, price, event) {
     return await this.withRetry(
@@ -246,33 +566,57 @@ class BlockchainService extends EventEmitter {
 
     console.log(`🔄 Processing TrackAdded: ${trackId}`);
 
-    // Find track by artist wallet address or by pending blockchain status
+    // Already linked by addTrack's receipt or a VoucherTrackPurchased event
+    const linkedTrack = await Track.findOne(
+      Track.byContractId(trackId, this.chainId)
+    );
+    if (linkedTrack) {
+      return { success: true, track: linkedTrack };
+    }
+
+    const metadataHash = event.args?.metadataHash ?? event.metadataHash;
+
+    // Find track by artist wallet address, pending transaction or redeemed voucher
     const track = await Track.findOne({
       $or: [
         { "blockchain.pendingTxHash": event.transactionHash },
+        {
+          // Rolled back by a reorg, now mined again
+          "blockchain.txHash": event.transactionHash,
+          "blockchain.status": "failed",
+        },
         {
           artist: artist, // If artist name matches wallet
           "blockchain.contractId": { $exists: false },
         },
+        {
+          // Artist listed it with a listing voucher
+          "blockchain.voucher.artist": artist.toLowerCase(),
+          "blockchain.voucher.metadataHash": metadataHash,
+          "blockchain.status": "pending",
+          "blockchain.contractId": { $in: [null, ""] },
+        },
       ],
     });
 
     if (track) {
       // Update track with blockchain info
-      track.blockchain = {
-        ...track.blockchain,
-        contractId: trackId.toString(),
-        artist: artist,
-        txHash: event.transactionHash,
-        blockNumber: event.blockNumber,
-        addedAt: new Date(),
-        price: ethers.formatEther(price),
-        status: "confirmed",
-      };
+      track.set({
+        "blockchain.chainId": this.chainId,
+        "blockchain.contractId": trackId.toString(),
+        "blockchain.artist": artist,
+        "blockchain.txHash": event.transactionHash,
+        "blockchain.blockNumber": event.blockNumber,
+        "blockchain.blockHash": event.blockHash,
+        "blockchain.addedAt": new Date(),
+        "blockchain.price": ethers.formatEther(price),
+        "blockchain.status": "pending", // Confirmed by ReorgService once deep enough
+        "blockchain.pendingTxHash": undefined,
+        "blockchain.error": undefined,
+      });
 
-      // Remove pending status
-      if (track.blockchain.pendingTxHash) {
-        delete track.blockchain.pendingTxHash;
+      if (track.blockchain.voucher?.nonce) {
+        track.blockchain.voucher.redeemedAt = new Date();
       }
 
       await track.save();
@@ -288,6 +632,19 @@ class BlockchainService extends EventEmitter {
 
       return { success: true, track };
     } else {
+      // Lazy listings are linked by VoucherTrackPurchased, which carries the nonce
+      const lazyTrack = await Track.exists({
+        "blockchain.status": "voucher",
+        "blockchain.voucher.artist": artist.toLowerCase(),
+        "blockchain.voucher.metadataHash": metadataHash,
+      });
+      if (lazyTrack) {
+        console.log(
+          `⏭️ TrackAdded ${trackId} belongs to a lazy listing, linked on purchase`
+        );
+        return { success: true, deferred: true };
+      }
+
       console.warn(
         `⚠️ Track not found for artist: ${artist}, txHash: ${event.transactionHash}`
       );
@@ -305,26 +662,7 @@ class BlockchainService extends EventEmitter {
         txHash: event.transactionHash,
       });
 
-      // Sync purchase to database
-      const { syncPurchaseFromEvent } = await import('../controllers/purchaseController.js');
-      
-      const eventData = {
-        transactionHash: event.transactionHash,
-        blockNumber: event.blockNumber,
-        blockHash: event.blockHash,
-        trackId: trackId.toString(),
-        buyer: buyer,
-        artist: event.args?.artist || null,
-        price: ethers.formatEther(price),
-        platformFee: event.args?.platformFee ? ethers.formatEther(event.args.platformFee) : null,
-        artistPayment: event.args?.artistPayment ? ethers.formatEther(event.args.artistPayment) : null,
-        timestamp: event.timestamp || Date.now() / 1000,
-      };
-
-      const purchase = await syncPurchaseFromEvent(eventData);
-      console.log(`✅ Purchase synced to database: ${purchase.id}`);
-
-      return { success: true, purchase };
+      return await this.processTrackPurchased(trackId, buyer, price, event);
 
     } catch (error) {
       console.error(`❌ Failed to process TrackPurchased event (attempt ${attempt}):`, error);
@@ -343,195 +681,1894 @@ class BlockchainService extends EventEmitter {
     }
   }
 
-  // Generic retry wrapper
-  async withRetry(operationName, operation, eventData) {
-    let lastError;
+  // Sync a purchase event to the database in a single attempt
+  async processTrackPurchased(trackId, buyer, price, event) {
+    // Sync purchase to database
+    const { syncPurchaseFromEvent } = await import('../controllers/purchaseController.js');
+    const currency = await this.resolveCurrency(event.args?.token);
+    
+    const eventData = {
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      chainId: this.chainId,
+      trackId: trackId.toString(),
+      buyer: buyer,
+      payer: event.args?.payer || buyer, // Differs from buyer (the recipient) for gifts
+      artist: event.args?.artist || null,
+      currency: currency.symbol,
+      paymentToken: currency.address,
+      price: ethers.formatUnits(price, currency.decimals),
+      platformFee: event.args?.platformFee ? ethers.formatUnits(event.args.platformFee, currency.decimals) : null,
+      artistPayment: event.args?.artistPayment ? ethers.formatUnits(event.args.artistPayment, currency.decimals) : null,
+      // Backfilled events are old; prefer the on-chain timestamp
+      timestamp: event.args?.timestamp
+        ? Number(event.args.timestamp)
+        : event.timestamp || Date.now() / 1000,
+    };
 
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-      try {
-        console.log(
-          `🔄 ${operationName} attempt ${attempt}/${this.maxRetries}`
-        );
-        const result = await operation();
+    const purchase = await syncPurchaseFromEvent(eventData);
+    console.log(`✅ Purchase synced to database: ${purchase.id}`);
 
-        if (attempt > 1) {
-          console.log(`✅ ${operationName} succeeded on attempt ${attempt}`);
-        }
+    return { success: true, purchase };
+  }
 
-        return result;
-      } catch (error) {
-        lastError = error;
-        console.error(
-          `❌ ${operationName} attempt ${attempt} failed:`,
-          error.message
-        );
+  // Link a lazy listing to its new contract ID, then record the first purchase
+  async processVoucherPurchase(trackId, voucherNonce, buyer, price, event) {
+    if (!this.enabled) return;
 
-        if (attempt < this.maxRetries) {
-          const delay = this.retryDelay * attempt; // Exponential backoff
-          console.log(`⏳ Retrying ${operationName} in ${delay / 1000}s...`);
-          await new Promise((resolve) => setTimeout(resolve, delay));
-        } else {
-          console.error(
-            `❌ ${operationName} failed after ${this.maxRetries} attempts`
-          );
-          throw lastError;
-        }
-      }
+    const contractId = trackId.toString();
+    const track = await Track.findOne({
+      "blockchain.voucher.nonce": voucherNonce.toString(),
+    });
+
+    if (!track) {
+      throw new Error(`Voucher track not found for nonce: ${voucherNonce}`);
     }
 
-    throw lastError;
+    if (track.blockchain.contractId !== contractId) {
+      track.set({
+        "blockchain.chainId": this.chainId,
+        "blockchain.contractId": contractId,
+        "blockchain.artist": track.blockchain.voucher.artist,
+        "blockchain.txHash": event.transactionHash,
+        "blockchain.blockNumber": event.blockNumber,
+        "blockchain.blockHash": event.blockHash,
+        "blockchain.addedAt": new Date(),
+        "blockchain.price": ethers.formatEther(price),
+        "blockchain.status": "pending", // Confirmed by ReorgService once deep enough
+        "blockchain.error": undefined,
+        "blockchain.voucher.redeemedAt": new Date(),
+      });
+      await track.save();
+
+      console.log(`✅ Lazy listing mined on first purchase: ${track.title}`);
+
+      this.emit("trackAdded", {
+        track,
+        contractId,
+        artist: track.blockchain.artistAddress,
+        txHash: event.transactionHash,
+      });
+    }
+
+    // The combined event carries the same purchase fields as TrackPurchased;
+    // handleContractEvent's withRetry covers both steps
+    return await this.processTrackPurchased(trackId, buyer, price, event);
   }
 
-  // Store failed events for later retry
-  async storeFailedEvent(eventType, eventData, error) {
-    try {
-      const failedEvent = {
-        eventType,
-        eventData: {
-          trackId: eventData.trackId?.toString(),
-          artist: eventData.artist,
-          buyer: eventData.buyer,
-          price: eventData.price?.toString(),
-          event: {
-            transactionHash: eventData.event?.transactionHash,
-            blockNumber: eventData.event?.blockNumber,
-            blockHash: eventData.event?.blockHash,
-          },
-        },
-        error: {
-          message: error.message,
-          stack: error.stack,
-        },
-        timestamp: new Date().toISOString(),
-        retryCount: 0,
-        maxRetries: 5,
+  // Mirror on-chain splits onto the Track, keeping known roles and names
+  async syncTrackSplits(contractTrackId, payees, shares) {
+    const track = await Track.findOne(
+      Track.byContractId(contractTrackId, this.chainId)
+    );
+    if (!track) {
+      console.warn(`⚠️ Track not found for splits update: ${contractTrackId}`);
+      return null;
+    }
+
+    const known = new Map(
+      (track.splits || []).map((split) => [split.address, split])
+    );
+
+    track.splits = payees.map((payee, index) => {
+      const existing = known.get(payee.toLowerCase());
+      return {
+        address: payee.toLowerCase(),
+        shares: Number(shares[index]),
+        role: existing?.role,
+        name: existing?.name,
       };
+    });
+    track.splitsUpdatedAt = new Date();
+    await track.save();
 
-      let failedEvents = [];
-      if (fs.existsSync(this.failedEventsFile)) {
-        const data = fs.readFileSync(this.failedEventsFile, "utf8");
-        failedEvents = JSON.parse(data);
-      }
+    console.log(`✅ Splits synced for track ${contractTrackId}`);
+    this.emit("splitsUpdated", { track, contractTrackId });
+    return track;
+  }
 
-      failedEvents.push(failedEvent);
-      fs.writeFileSync(
-        this.failedEventsFile,
-        JSON.stringify(failedEvents, null, 2)
-      );
+  // Plain, serializable form of a TrackUpdated event (prices in base units)
+  parseTrackUpdatedEvent(event) {
+    const { args } = event;
+
+    return {
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      trackId: args.trackId.toString(),
+      oldPrice: args.oldPrice.toString(),
+      newPrice: args.newPrice.toString(),
+      isActive: args.isActive,
+      timestamp: Number(args.timestamp),
+    };
+  }
+
+  // The price is read from the contract, so replaying an older event cannot roll it back
+  async processTrackUpdated(eventData) {
+    if (!this.enabled) return;
+
+    const track = await Track.findOne(
+      Track.byContractId(eventData.trackId, this.chainId)
+    );
+    if (!track) {
+      console.warn(`⚠️ Track not found for price update: ${eventData.trackId}`);
+      return null;
+    }
 
+    const onChainTrack = await this.getTrack(eventData.trackId);
+    if (parseFloat(track.price) !== parseFloat(onChainTrack.price)) {
+      track.price = onChainTrack.price;
+      await track.save();
       console.log(
-        `📝 Stored failed ${eventType} event for later retry:`,
-        eventData.event?.transactionHash
+        `✅ Price synced for track ${eventData.trackId}: ${onChainTrack.price} ${onChainTrack.currency}`
       );
-    } catch (storeError) {
-      console.error("❌ Failed to store failed event:", storeError);
     }
-  }
 
-  // Process failed events from storage
-  async processPendingFailedEvents() {
-    if (!fs.existsSync(this.failedEventsFile)) {
-      return;
+    this.emit("trackUpdated", { track, ...eventData });
+    return { success: true, track };
+  }
+
+  // Index a resale marketplace event, storing it for later retry on failure
+  async handleResaleEvent(eventName, event) {
+    const eventData = this.parseResaleEvent(eventName, event);
+    console.log(`🔁 ${eventName} event:`, eventData);
+
+    return await this.processParsedEvent(eventName, eventData, event, () =>
+      this.processResaleEvent(eventData)
+    );
+  }
+
+  // Plain, serializable form of a resale marketplace event
+  parseResaleEvent(eventName, event) {
+    const { args } = event;
+    const formatOptional = (value) =>
+      value !== undefined ? ethers.formatEther(value) : undefined;
+
+    return {
+      eventType: eventName,
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      chainId: this.chainId,
+      trackId: args.trackId.toString(),
+      seller: args.seller,
+      buyer: args.buyer,
+      price: formatOptional(args.price),
+      royaltyAmount: formatOptional(args.royaltyAmount),
+      platformFee: formatOptional(args.platformFee),
+      sellerProceeds: formatOptional(args.sellerProceeds),
+      timestamp: Number(args.timestamp),
+    };
+  }
+
+  async processResaleEvent(eventData) {
+    if (!this.enabled) return;
+
+    const { syncListingFromEvent, syncResaleFromEvent } = await import(
+      "../controllers/purchaseController.js"
+    );
+
+    if (eventData.eventType === "PurchaseResold") {
+      const purchase = await syncResaleFromEvent(eventData);
+      this.emit("purchaseResold", { purchase, ...eventData });
+      return { success: true, purchase };
+    }
+
+    const purchase = await syncListingFromEvent(eventData);
+    this.emit("listingUpdated", { purchase, ...eventData });
+    return { success: true, purchase };
+  }
+
+  // Plain, serializable form of a CouponRedeemed event
+  parseCouponEvent(event) {
+    const { args } = event;
+
+    return {
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      trackId: args.trackId.toString(),
+      buyer: args.buyer,
+      campaignId: args.campaignId,
+      nonce: args.nonce.toString(),
+      originalPrice: ethers.formatEther(args.originalPrice),
+      paidPrice: ethers.formatEther(args.paidPrice),
+      timestamp: Number(args.timestamp),
+    };
+  }
+
+  async processCouponRedeemed(eventData) {
+    if (!this.enabled) return;
+
+    const { syncCouponFromEvent } = await import(
+      "../controllers/purchaseController.js"
+    );
+
+    const coupon = await syncCouponFromEvent(eventData);
+    this.emit("couponRedeemed", { coupon, ...eventData });
+    return { success: true, coupon };
+  }
+
+  // Plain, serializable form of a BundlePurchased event
+  parseBundleEvent(event) {
+    const { args } = event;
+
+    return {
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      bundleId: args.bundleId.toString(),
+      buyer: args.buyer,
+      price: ethers.formatEther(args.price),
+      trackCount: Number(args.trackCount),
+      timestamp: Number(args.timestamp),
+    };
+  }
+
+  async processBundlePurchased(eventData) {
+    if (!this.enabled) return;
+
+    const { syncBundlePurchaseFromEvent } = await import(
+      "../controllers/purchaseController.js"
+    );
+
+    const bundlePurchase = await syncBundlePurchaseFromEvent(eventData);
+    this.emit("bundlePurchased", { bundlePurchase, ...eventData });
+    return { success: true, bundlePurchase };
+  }
+
+  // Whether a log was emitted by this network's MusicStore
+  isStoreEvent(event) {
+    return (
+      !!this.contract?.target &&
+      event.address?.toLowerCase() === this.contract.target.toLowerCase()
+    );
+  }
+
+  // Index a withdrawal event, storing it for later retry on failure
+  async handleWithdrawalEvent(eventName, event) {
+    const eventData = this.parseWithdrawalEvent(eventName, event);
+    console.log(`🏧 ${eventName} event:`, eventData);
+
+    return await this.processParsedEvent(eventName, eventData, event, () =>
+      this.processWithdrawal(eventData)
+    );
+  }
+
+  // Plain, serializable form of a withdrawal event (amount in base units)
+  parseWithdrawalEvent(eventName, event) {
+    const { args } = event;
+
+    return {
+      eventType: eventName,
+      transactionHash: event.transactionHash,
+      logIndex: event.index ?? event.logIndex,
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      payee: args.artist || args.seller || args.owner || args.payee,
+      token: args.token || null,
+      amount: args.amount.toString(),
+      timestamp: Number(args.timestamp),
+    };
+  }
+
+  // Upsert on txHash + logIndex, so replaying an event is harmless
+  async processWithdrawal(eventData) {
+    if (!this.enabled) return;
+
+    const currency = await this.resolveCurrency(eventData.token);
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      { txHash: eventData.transactionHash, logIndex: eventData.logIndex },
+      {
+        blockNumber: eventData.blockNumber,
+        blockHash: eventData.blockHash,
+        chainId: this.chainId,
+        eventType: eventData.eventType,
+        kind: WITHDRAWAL_EVENTS[eventData.eventType],
+        payee: eventData.payee,
+        currency: currency.symbol,
+        paymentToken: currency.address,
+        amount: ethers.formatUnits(eventData.amount, currency.decimals),
+        amountRaw: eventData.amount,
+        withdrawnAt: new Date(eventData.timestamp * 1000),
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    console.log(
+      `✅ ${eventData.eventType} indexed: ${withdrawal.amount} ${withdrawal.currency} to ${withdrawal.payee}`
+    );
+    this.emit("withdrawal", { withdrawal, ...eventData });
+    return { success: true, withdrawal };
+  }
+
+  // Index an edition transfer, storing it for later retry on failure
+  async handleNftTransfer(tokenIds, from, to, event) {
+    console.log("🎟️ Edition transfer event:", {
+      tokenIds: tokenIds.map((id) => id.toString()),
+      from,
+      to,
+      txHash: event.transactionHash,
+    });
+
+    try {
+      await this.withRetry(
+        "processNftTransfer",
+        async () => {
+          return await this.processNftTransfer(tokenIds, from, to, event);
+        },
+        { tokenIds, from, to, event }
+      );
+    } catch (error) {
+      console.error("❌ Failed to process edition transfer event:", error);
+      await this.storeFailedEvent(
+        "NftTransfer",
+        { tokenIds, from, to, event },
+        error
+      );
+      return false;
+    }
+    return true;
+  }
+
+  async processNftTransfer(tokenIds, from, to, event) {
+    if (!this.enabled) return;
+
+    // Mints come from and burns go to the zero address
+    const owners = [from, to].filter(
+      (address) => address && address !== ethers.ZeroAddress
+    );
+
+    const transfer = {
+      txHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      logIndex: event.index ?? event.logIndex,
+      from: from.toLowerCase(),
+      to: to.toLowerCase(),
+      at: new Date(),
+    };
+
+    const holdings = [];
+    for (const tokenId of tokenIds) {
+      for (const owner of owners) {
+        holdings.push(
+          await this.syncNftHolding(tokenId.toString(), owner, transfer)
+        );
+      }
+    }
+
+    this.emit("nftTransfer", {
+      tokenIds: tokenIds.map((id) => id.toString()),
+      from,
+      to,
+      txHash: event.transactionHash,
+    });
+
+    return { success: true, holdings };
+  }
+
+  // Store an owner's current on-chain balance of an edition
+  async syncNftHolding(tokenId, owner, transfer) {
+    const contract = this.getEditionsContract();
+    if (!contract) {
+      throw new Error("Editions contract not available");
+    }
+
+    const contractAddress = (await contract.getAddress()).toLowerCase();
+    const balance = await contract.balanceOf(owner, tokenId);
+
+    let holding = await Nft.findOne({
+      contractAddress,
+      tokenId,
+      owner: owner.toLowerCase(),
+    });
+
+    if (!holding) {
+      const edition = await this.getEdition(tokenId);
+      const track = await Track.findOne(
+        Track.byContractId(edition.trackId, this.chainId)
+      );
+
+      holding = new Nft({
+        contractAddress,
+        tokenId,
+        owner,
+        contractTrackId: edition.trackId,
+        track: track?._id,
+      });
+    }
+
+    holding.balance = Number(balance);
+
+    // Events can arrive out of order; keep the latest transfer
+    if (
+      !holding.lastTransfer?.blockNumber ||
+      transfer.blockNumber >= holding.lastTransfer.blockNumber
+    ) {
+      holding.lastTransfer = transfer;
+    }
+
+    await holding.save();
+
+    console.log(
+      `✅ Edition ${tokenId} holding synced: ${owner} x${holding.balance}`
+    );
+    return holding;
+  }
+
+  // Generic retry wrapper
+  async withRetry(operationName, operation, eventData) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      try {
+        console.log(
+          `🔄 ${operationName} attempt ${attempt}/${this.maxRetries}`
+        );
+        const result = await operation();
+
+        if (attempt > 1) {
+          console.log(`✅ ${operationName} succeeded on attempt ${attempt}`);
+        }
+
+        return result;
+      } catch (error) {
+        lastError = error;
+        console.error(
+          `❌ ${operationName} attempt ${attempt} failed:`,
+          error.message
+        );
+
+        if (attempt < this.maxRetries) {
+          const delay = this.retryDelay * attempt; // Exponential backoff
+          console.log(`⏳ Retrying ${operationName} in ${delay / 1000}s...`);
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        } else {
+          console.error(
+            `❌ ${operationName} failed after ${this.maxRetries} attempts`
+          );
+          throw lastError;
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Add a failed event to the dead-letter queue (FailedEvent), once per log
+  async storeFailedEvent(eventType, eventData, error) {
+    try {
+      const payload = {
+        trackId: eventData.trackId?.toString(),
+        artist: eventData.artist,
+        buyer: eventData.buyer,
+        price: eventData.price?.toString(),
+        voucherNonce: eventData.voucherNonce?.toString(),
+        tokenIds: eventData.tokenIds?.map((id) => id.toString()),
+        parsed: eventData.eventData, // Resale, coupon, bundle and withdrawal events, already serializable
+        from: eventData.from,
+        to: eventData.to,
+        event: {
+          metadataHash: eventData.event?.args?.metadataHash,
+          // Purchase events: fields processTrackPurchased reads
+          args:
+            eventData.event?.args?.artistPayment !== undefined
+              ? {
+                  artist: eventData.event.args.artist,
+                  payer: eventData.event.args.payer,
+                  token: eventData.event.args.token,
+                  platformFee: eventData.event.args.platformFee?.toString(),
+                  artistPayment: eventData.event.args.artistPayment.toString(),
+                  timestamp: eventData.event.args.timestamp?.toString(),
+                }
+              : undefined,
+          transactionHash: eventData.event?.transactionHash,
+          blockNumber: eventData.event?.blockNumber,
+          blockHash: eventData.event?.blockHash,
+        },
+      };
+      const txHash = eventData.event?.transactionHash;
+      const logIndex = eventData.event?.index ?? eventData.event?.logIndex;
+      payload.event.index = logIndex;
+
+      // A replay that fails again only updates the error; the queue tracks attempts
+      const failedEvent = await FailedEvent.findOneAndUpdate(
+        { eventType, txHash, logIndex },
+        {
+          $set: {
+            lastError: {
+              message: error.message,
+              stack: error.stack,
+              at: new Date(),
+            },
+          },
+          $setOnInsert: {
+            blockNumber: eventData.event?.blockNumber,
+            blockHash: eventData.event?.blockHash,
+            chainId: this.chainId,
+            eventData: payload,
+            status: "pending",
+            attempts: 0,
+            nextRetryAt: new Date(Date.now() + FailedEvent.getRetryDelay(0)),
+          },
+        },
+        { upsert: true, new: true }
+      );
+
+      // Settled before, failing again (e.g. re-read after a reorg)
+      if (["resolved", "discarded"].includes(failedEvent.status)) {
+        failedEvent.set({
+          status: "pending",
+          attempts: 0,
+          nextRetryAt: new Date(Date.now() + FailedEvent.getRetryDelay(0)),
+          resolvedAt: null,
+          discardedAt: null,
+        });
+        await failedEvent.save();
+      }
+
+      console.log(
+        `📝 Stored failed ${eventType} event for later retry:`,
+        txHash
+      );
+      return failedEvent;
+    } catch (storeError) {
+      console.error("❌ Failed to store failed event:", storeError);
+    }
+  }
+
+  // Re-run the processor of a queued event; throws if it fails again
+  async replayFailedEvent(failedEvent) {
+    const { eventType, eventData } = failedEvent;
+
+    if (eventType === "TrackAdded") {
+      return await this.processTrackAdded(
+        eventData.trackId,
+        eventData.artist,
+        eventData.price,
+        eventData.event
+      );
+    }
+    if (eventType === "TrackPurchased") {
+      // The queue schedules retries; a single attempt here
+      return await this.processTrackPurchased(
+        eventData.trackId,
+        eventData.buyer,
+        eventData.price,
+        eventData.event
+      );
+    }
+    if (
+      ["PurchaseListed", "ListingCancelled", "PurchaseResold"].includes(
+        eventType
+      )
+    ) {
+      return await this.processResaleEvent(eventData.parsed);
+    }
+    if (eventType === "CouponRedeemed") {
+      return await this.processCouponRedeemed(eventData.parsed);
+    }
+    if (eventType === "BundlePurchased") {
+      return await this.processBundlePurchased(eventData.parsed);
+    }
+    if (eventType === "TrackUpdated") {
+      return await this.processTrackUpdated(eventData.parsed);
+    }
+    if (eventType in WITHDRAWAL_EVENTS) {
+      return await this.processWithdrawal(eventData.parsed);
+    }
+    if (eventType === "VoucherTrackPurchased") {
+      return await this.processVoucherPurchase(
+        eventData.trackId,
+        eventData.voucherNonce,
+        eventData.buyer,
+        eventData.price,
+        eventData.event
+      );
+    }
+    if (eventType === "NftTransfer") {
+      return await this.processNftTransfer(
+        eventData.tokenIds,
+        eventData.from,
+        eventData.to,
+        eventData.event
+      );
+    }
+
+    throw new Error(`Unknown failed event type: ${eventType}`);
+  }
+
+  // Replay a claimed event, then resolve it or schedule its next retry
+  async processFailedEvent(failedEvent) {
+    try {
+      // Replayed against the contract of the network it was emitted on
+      const service = await this.getServiceForChain(failedEvent.chainId);
+      await service.replayFailedEvent(failedEvent);
+      await failedEvent.markResolved();
+
+      if (failedEvent.txHash) {
+        await ProcessedEvent.updateOne(
+          { txHash: failedEvent.txHash, logIndex: failedEvent.logIndex },
+          { status: "processed" }
+        );
+      }
+
+      console.log(
+        `✅ Successfully processed failed ${failedEvent.eventType} event`
+      );
+    } catch (error) {
+      await failedEvent.recordFailure(error);
+
+      if (failedEvent.status === "failed") {
+        console.error(
+          `❌ ${failedEvent.eventType} ${failedEvent.txHash} permanently failed after ${failedEvent.attempts} attempts:`,
+          error.message
+        );
+      } else {
+        console.error(
+          `❌ Failed event still failing, next retry at ${failedEvent.nextRetryAt.toISOString()}:`,
+          error.message
+        );
+      }
+    }
+    return failedEvent;
+  }
+
+  // Retry the queued events that are due
+  async processPendingFailedEvents(limit = 50) {
+    const results = { resolved: 0, pending: 0, failed: 0 };
+
+    try {
+      for (let i = 0; i < limit; i++) {
+        const failedEvent = await FailedEvent.claimDue(
+          await this.getChainId()
+        );
+        if (!failedEvent) {
+          break;
+        }
+
+        await this.processFailedEvent(failedEvent);
+        results[failedEvent.status]++;
+      }
+
+      if (results.resolved + results.pending + results.failed > 0) {
+        console.log(
+          `🔄 Failed events retried: ${results.resolved} resolved, ${results.pending} rescheduled, ${results.failed} permanently failed`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Error processing failed events:", error);
+    }
+    return results;
+  }
+
+  // This service, or one for another configured network
+  async getServiceForChain(chainId) {
+    if (!chainId || chainId === (await this.getChainId())) {
+      return this;
+    }
+    if (!getNetworkConfig(chainId)) {
+      throw new Error(`Network ${chainId} is not configured`);
+    }
+    return new BlockchainService({ chainId });
+  }
+
+  // Poll the dead-letter queue while this instance indexes events
+  async startFailedEventRetries() {
+    if (this.failedEventTimer) {
+      return;
+    }
+
+    if (this.isPrimary()) {
+      await this.importLegacyFailedEvents();
+    }
+
+    const run = async () => {
+      await this.processPendingFailedEvents();
+      if (this.failedEventTimer) {
+        this.failedEventTimer = setTimeout(run, this.failedEventRetryInterval);
+      }
+    };
+    this.failedEventTimer = setTimeout(run, 0);
+  }
+
+  stopFailedEventRetries() {
+    if (this.failedEventTimer) {
+      clearTimeout(this.failedEventTimer);
+      this.failedEventTimer = null;
+    }
+  }
+
+  // Poll receipts of relayed transactions while this instance indexes events
+  startRelayTracking() {
+    if (this.relayTrackingTimer) {
+      return;
+    }
+
+    const run = async () => {
+      await this.checkRelayedTransactions();
+      if (this.relayTrackingTimer) {
+        this.relayTrackingTimer = setTimeout(run, this.relayTrackingInterval);
+      }
+    };
+    this.relayTrackingTimer = setTimeout(run, 0);
+  }
+
+  stopRelayTracking() {
+    if (this.relayTrackingTimer) {
+      clearTimeout(this.relayTrackingTimer);
+      this.relayTrackingTimer = null;
+    }
+  }
+
+  /**
+   * Move relayed transactions through submitted -> pending -> confirmed from
+   * their receipts. Reverted ones fail, ones never mined are dropped, and a
+   * pending one whose block was reorged out goes back to submitted.
+   * @returns {Promise<Object>} Number of transactions per new status
+   */
+  async checkRelayedTransactions() {
+    const results = {
+      checked: 0,
+      pending: 0,
+      confirmed: 0,
+      failed: 0,
+      dropped: 0,
+    };
+
+    try {
+      const relays = await RelayedTransaction.find({
+        status: { $in: ["submitted", "pending"] },
+      }).limit(100);
+      if (relays.length === 0) {
+        return results;
+      }
+
+      const provider = this.provider || this.getContract()?.runner?.provider;
+      const head = await provider.getBlockNumber();
+
+      for (const relay of relays) {
+        results.checked++;
+        try {
+          const receipt = await provider.getTransactionReceipt(relay.txHash);
+
+          if (!receipt) {
+            if (relay.status === "pending") {
+              // Mined, then reorged out: wait for it to be mined again
+              relay.status = "submitted";
+              relay.blockNumber = null;
+              relay.blockHash = null;
+              relay.confirmations = 0;
+              await relay.save();
+              console.log(
+                `🔄 Relayed transaction reorged out: ${relay.txHash}`
+              );
+            } else if (
+              Date.now() - (relay.submittedAt || relay.createdAt).getTime() >
+                this.relayDropTimeout &&
+              !(await provider.getTransaction(relay.txHash))
+            ) {
+              relay.status = "dropped";
+              relay.nonceLocked = false;
+              relay.error = "Transaction was never mined";
+              await relay.save();
+              results.dropped++;
+              this.emit("relayDropped", relay);
+            }
+            continue;
+          }
+
+          relay.blockNumber = receipt.blockNumber;
+          relay.blockHash = receipt.blockHash;
+          relay.gasUsed = receipt.gasUsed.toString();
+          relay.gasCost = receipt.fee.toString();
+          relay.confirmations = Math.max(head - receipt.blockNumber + 1, 0);
+
+          if (receipt.status !== 1) {
+            relay.status = "failed";
+            relay.nonceLocked = false;
+            relay.error = "Transaction reverted";
+            results.failed++;
+            this.emit("relayFailed", relay);
+          } else if (relay.confirmations >= this.blockConfirmations) {
+            relay.status = "confirmed";
+            relay.confirmedAt = new Date();
+            results.confirmed++;
+            this.emit("relayConfirmed", relay);
+          } else {
+            relay.status = "pending";
+            results.pending++;
+          }
+          await relay.save();
+        } catch (error) {
+          console.error(
+            `❌ Relay check failed for ${relay.txHash}:`,
+            error.message
+          );
+        }
+      }
+
+      if (results.confirmed || results.failed || results.dropped) {
+        console.log(
+          `📨 Relays: ${results.confirmed} confirmed, ${results.failed} failed, ${results.dropped} dropped`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Error checking relayed transactions:", error);
+    }
+    return results;
+  }
+
+  // Move events queued in data/failed-events.json by earlier versions
+  async importLegacyFailedEvents() {
+    if (!fs.existsSync(this.legacyFailedEventsFile)) {
+      return;
+    }
+
+    try {
+      const legacyEvents = JSON.parse(
+        fs.readFileSync(this.legacyFailedEventsFile, "utf8")
+      );
+
+      await FailedEvent.insertMany(
+        legacyEvents.map((legacyEvent) => ({
+          eventType: legacyEvent.eventType,
+          txHash: legacyEvent.eventData?.event?.transactionHash,
+          blockNumber: legacyEvent.eventData?.event?.blockNumber,
+          blockHash: legacyEvent.eventData?.event?.blockHash,
+          // The legacy file predates multi-network indexing: all primary events
+          chainId: this.chainId,
+          eventData: legacyEvent.eventData,
+          lastError: {
+            message: legacyEvent.error?.message,
+            stack: legacyEvent.error?.stack,
+            at: legacyEvent.timestamp,
+          },
+          nextRetryAt: new Date(),
+        }))
+      );
+
+      fs.renameSync(
+        this.legacyFailedEventsFile,
+        `${this.legacyFailedEventsFile}.imported`
+      );
+      console.log(
+        `📥 Imported ${legacyEvents.length} failed events from ${this.legacyFailedEventsFile}`
+      );
+    } catch (error) {
+      console.error("❌ Failed to import legacy failed events:", error);
+    }
+  }
+
+  // Error handlers
+  async handleProviderError(error) {
+    console.log("🔄 Attempting to reconnect provider...");
+
+    if (this.reconnectAttempts < this.maxReconnectAttempts) {
+      this.reconnectAttempts++;
+      setTimeout(async () => {
+        try {
+          // Restart the indexer on the new provider; it resumes from its checkpoints
+          this.indexer?.stop();
+          this.indexer = null;
+          this.reorgService?.stop();
+          this.reorgService = null;
+          this.earningsReconciliation?.stop();
+          this.earningsReconciliation = null;
+          this.stopFailedEventRetries();
+          this.stopRelayTracking();
+          this.provider?.removeAllListeners();
+          this.isListening = false;
+          await this.initialize();
+        } catch (initError) {
+          console.error("❌ Reconnection failed:", initError);
+        }
+      }, this.reconnectDelay * this.reconnectAttempts);
+    } else {
+      console.error(
+        "❌ Max reconnection attempts reached, blockchain service offline"
+      );
+      this.isListening = false;
+    }
+  }
+
+  async handleContractError(error) {
+    console.log("⚠️ Contract error detected, may need manual intervention");
+    this.emit("contractError", error);
+
+    // Log contract errors for analysis
+    const errorLog = {
+      timestamp: new Date().toISOString(),
+      error: error.message,
+      stack: error.stack,
+      contract: this.contract?.address,
+    };
+
+    console.log("📝 Contract error logged:", errorLog);
+  }
+
+  // Contract for read-only calls, available even before initialize() has run
+  getContract() {
+    if (this.contract) {
+      return this.contract;
+    }
+    if (!this.enabled || !isBlockchainAvailable()) {
+      return null;
+    }
+    return this.requestedChainId
+      ? this.getNetwork()?.contract || null
+      : getMusicStoreContract();
+  }
+
+  // MusicEditions contract, or null when it has not been deployed
+  getEditionsContract() {
+    if (this.editionsContract) {
+      return this.editionsContract;
+    }
+    if (!this.enabled || !isBlockchainAvailable()) {
+      return null;
+    }
+    // Editions are only deployed to the primary network
+    return this.requestedChainId ? null : getEditionsContract() || null;
+  }
+
+  // Provider, wallet and contracts of this instance's network
+  getNetwork() {
+    return getNetworkConfig(this.requestedChainId);
+  }
+
+  isPrimary() {
+    return !!this.getNetwork()?.primary;
+  }
+
+  /**
+   * Chain ID records of this network are tagged with, asked from the provider
+   * once when NETWORK_ID is not set
+   * @returns {Promise<string|null>} Chain ID, null without a contract
+   */
+  async getChainId() {
+    if (this.chainId) {
+      return this.chainId;
+    }
+
+    const network = this.getNetwork();
+    if (network?.chainId) {
+      this.chainId = network.chainId;
+      return this.chainId;
+    }
+
+    const contract = this.getContract();
+    if (!contract) {
+      return null;
+    }
+    const { chainId } = await contract.runner.provider.getNetwork();
+    this.chainId = chainId.toString();
+    if (network?.primary) {
+      setPrimaryChainId(this.chainId);
+    }
+    return this.chainId;
+  }
+
+  // Transactions built here target this network's contract only
+  async assertListedHere(track) {
+    const listedOn = track.blockchain?.chainId;
+    if (listedOn && listedOn !== (await this.getChainId())) {
+      throw new Error("Track is listed on another network");
+    }
+  }
+
+  // Records indexed before networks were tagged belong to the primary network
+  async backfillChainIds() {
+    // null matches missing fields too
+    const untagged = { chainId: null };
+
+    try {
+      const results = await Promise.all([
+        Track.updateMany(
+          {
+            "blockchain.contractId": { $nin: [null, ""] },
+            "blockchain.chainId": null,
+          },
+          { $set: { "blockchain.chainId": this.chainId } }
+        ),
+        Purchase.updateMany(untagged, { $set: { chainId: this.chainId } }),
+        Withdrawal.updateMany(untagged, { $set: { chainId: this.chainId } }),
+        FailedEvent.updateMany(untagged, { $set: { chainId: this.chainId } }),
+        ProcessedEvent.updateMany(untagged, {
+          $set: { chainId: this.chainId },
+        }),
+      ]);
+
+      const tagged = results.reduce(
+        (total, result) => total + (result.modifiedCount || 0),
+        0
+      );
+      if (tagged > 0) {
+        console.log(`🏷️ Tagged ${tagged} records with chain ${this.chainId}`);
+      }
+    } catch (error) {
+      console.error("❌ Failed to tag records with their chain:", error);
+    }
+  }
+
+  // List a track with the platform wallet (contract owner), paying the gas
+  async addTrack(artistAddress, title, price, metadataHash, paymentToken = null) {
+    try {
+      const contract = this.getContract();
+      if (!contract) {
+        throw new Error("Contract not available");
+      }
+      if (!this.wallet && !getWallet()) {
+        throw new Error("Wallet not available for transactions");
+      }
+
+      console.log(`🎵 Adding track to blockchain: ${title}`);
+
+      const currency = this.getCurrency(paymentToken);
+      const tx = currency.address
+        ? await contract.addTokenTrack(
+            ethers.parseUnits(price.toString(), currency.decimals),
+            artistAddress,
+            metadataHash,
+            currency.address
+          )
+        : await contract.addTrack(
+            ethers.parseEther(price.toString()),
+            artistAddress,
+            metadataHash
+          );
+      const receipt = await tx.wait();
+
+      const added = receipt.logs
+        .map((log) => {
+          try {
+            return contract.interface.parseLog(log);
+          } catch (error) {
+            return null;
+          }
+        })
+        .find((log) => log && log.name === "TrackAdded");
+
+      if (!added) {
+        throw new Error("TrackAdded event not found in transaction");
+      }
+
+      console.log(`✅ Track added on-chain with ID ${added.args.trackId}`);
+
+      return {
+        contractId: added.args.trackId.toString(),
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        owner: added.args.artist,
+      };
+    } catch (error) {
+      console.error("❌ Add track error:", error.message);
+      throw error;
+    }
+  }
+
+  // Switch a track's currency (ETH or an allow-listed token) and price (platform wallet)
+  async setTrackPaymentToken(trackId, paymentToken, price) {
+    try {
+      const contract = this.getContract();
+      if (!contract) {
+        throw new Error("Contract not available");
+      }
+      if (!this.wallet && !getWallet()) {
+        throw new Error("Wallet not available for transactions");
+      }
+
+      const currency = this.getCurrency(paymentToken);
+      const tx = await contract.setTrackPaymentToken(
+        trackId,
+        currency.address || ethers.ZeroAddress,
+        ethers.parseUnits(price.toString(), currency.decimals)
+      );
+      const receipt = await tx.wait();
+
+      console.log(`💱 Track ${trackId} now priced in ${currency.symbol}`);
+
+      return {
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        currency: currency.symbol,
+      };
+    } catch (error) {
+      console.error("❌ Set track payment token error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Payment Currency Methods (ETH and allow-listed ERC-20 tokens)
+   */
+
+  // Configured currency by symbol or token address; throws for unknown ones
+  getCurrency(symbolOrAddress) {
+    const currency = getPaymentToken(symbolOrAddress);
+    if (!currency) {
+      throw new Error(`Unsupported currency: ${symbolOrAddress}`);
+    }
+    return currency;
+  }
+
+  // Currency of an on-chain token address, read from the token when not configured
+  async resolveCurrency(tokenAddress) {
+    const configured = getPaymentToken(tokenAddress);
+    if (configured) {
+      return configured;
+    }
+
+    const address = tokenAddress.toLowerCase();
+    if (!this.currencyCache.has(address)) {
+      const token = new ethers.Contract(
+        address,
+        ERC20_ABI,
+        this.getContract()?.runner || this.provider || getProvider()
+      );
+      const [symbol, decimals] = await Promise.all([
+        token.symbol(),
+        token.decimals(),
+      ]);
+      this.currencyCache.set(address, {
+        symbol: symbol.toUpperCase(),
+        address,
+        decimals: Number(decimals),
+      });
+    }
+    return this.currencyCache.get(address);
+  }
+
+  // Configured currencies with their on-chain allow-list status
+  async getPaymentTokens() {
+    const contract = this.getContract();
+
+    return await Promise.all(
+      getPaymentTokens().map(async (currency) => ({
+        ...currency,
+        allowed:
+          !currency.address ||
+          (contract ? await contract.allowedTokens(currency.address) : false),
+      }))
+    );
+  }
+
+  // Allow or disallow an ERC-20 on the contract (platform wallet)
+  async setPaymentTokenAllowed(tokenAddress, allowed) {
+    try {
+      const contract = this.getContract();
+      if (!contract) {
+        throw new Error("Contract not available");
+      }
+      if (!this.wallet && !getWallet()) {
+        throw new Error("Wallet not available for transactions");
+      }
+
+      const tx = await contract.setPaymentToken(tokenAddress, allowed);
+      const receipt = await tx.wait();
+
+      return {
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+      };
+    } catch (error) {
+      console.error("❌ Set payment token error:", error.message);
+      throw error;
+    }
+  }
+
+  // Unsigned transactions buying a token-priced track: an approve when the
+  // allowance is short, then purchaseTrackWithToken (purchaseTrackForWithToken for gifts)
+  async buildTokenPurchaseTransaction(trackId, payerAddress, recipientAddress = null) {
+    const contract = this.getContract();
+    if (!contract) {
+      throw new Error("Contract not available");
+    }
+
+    const [trackInfo, tokenAddress] = await Promise.all([
+      contract.tracks(trackId),
+      contract.trackTokens(trackId),
+    ]);
+    if (tokenAddress === ethers.ZeroAddress) {
+      throw new Error("Track is priced in ETH");
+    }
+
+    const currency = await this.resolveCurrency(tokenAddress);
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, contract.runner);
+    const storeAddress = await contract.getAddress();
+    const allowance = await token.allowance(payerAddress, storeAddress);
+
+    const approval =
+      allowance < trackInfo.price
+        ? await this.buildContractTransaction(
+            token,
+            "approve",
+            [storeAddress, trackInfo.price],
+            payerAddress
+          )
+        : null;
+
+    return {
+      currency: currency.symbol,
+      paymentToken: currency.address,
+      price: ethers.formatUnits(trackInfo.price, currency.decimals),
+      approval,
+      transaction: recipientAddress
+        ? await this.buildContractTransaction(
+            contract,
+            "purchaseTrackForWithToken",
+            [trackId, recipientAddress],
+            payerAddress
+          )
+        : await this.buildContractTransaction(
+            contract,
+            "purchaseTrackWithToken",
+            [trackId],
+            payerAddress
+          ),
+    };
+  }
+
+  /**
+   * Listing Voucher Methods (artist self-listing and lazy listing)
+   */
+
+  // Platform wallet and EIP-712 domain for signing vouchers and coupons
+  async getSigningContext() {
+    const contract = this.getContract();
+    const wallet = this.wallet || getWallet();
+    if (!contract) {
+      throw new Error("Contract not available");
+    }
+    if (!wallet) {
+      throw new Error("Wallet not available for signing");
+    }
+
+    const voucherSigner = await contract.voucherSigner();
+    if (voucherSigner.toLowerCase() !== wallet.address.toLowerCase()) {
+      throw new Error(
+        `Platform wallet is not the voucher signer (${voucherSigner})`
+      );
+    }
+
+    const network = await contract.runner.provider.getNetwork();
+
+    return {
+      wallet,
+      domain: {
+        name: "MusicStore",
+        version: "1",
+        chainId: network.chainId,
+        verifyingContract: await contract.getAddress(),
+      },
+    };
+  }
+
+  // Sign an EIP-712 listing voucher with the platform wallet (the contract's
+  // voucherSigner); lazy vouchers are only redeemable with purchaseWithVoucher
+  async signListingVoucher({
+    price,
+    artist,
+    metadataHash,
+    expiresAt,
+    lazy = false,
+  }) {
+    try {
+      const { wallet, domain } = await this.getSigningContext();
+
+      const voucher = {
+        price: ethers.parseEther(price.toString()),
+        artist: ethers.getAddress(artist),
+        metadataHash,
+        expiry: BigInt(Math.floor(expiresAt.getTime() / 1000)),
+        nonce: BigInt(ethers.hexlify(ethers.randomBytes(16))),
+      };
+
+      const signature = await wallet.signTypedData(
+        domain,
+        lazy ? LAZY_LISTING_VOUCHER_TYPES : LISTING_VOUCHER_TYPES,
+        voucher
+      );
+
+      console.log(`✍️ ${lazy ? "Lazy listing" : "Listing"} voucher signed for ${artist} (nonce ${voucher.nonce})`);
+
+      return {
+        voucher: {
+          price: voucher.price.toString(),
+          artist: voucher.artist,
+          metadataHash,
+          expiry: voucher.expiry.toString(),
+          nonce: voucher.nonce.toString(),
+        },
+        signature,
+        signer: wallet.address,
+      };
+    } catch (error) {
+      console.error("❌ Sign listing voucher error:", error.message);
+      throw error;
+    }
+  }
+
+  // Unsigned addTrackWithVoucher transaction for the artist to sign
+  async buildVoucherListingTransaction(voucher, signature) {
+    const contract = this.getContract();
+    if (!contract) {
+      throw new Error("Contract not available");
+    }
+
+    return await this.buildContractTransaction(
+      contract,
+      "addTrackWithVoucher",
+      [this.toVoucherTuple(voucher), signature],
+      voucher.artist
+    );
+  }
+
+  // Unsigned purchaseWithVoucher transaction: lists the track and buys it in one call
+  async buildVoucherPurchaseTransaction(voucher, signature, buyerAddress) {
+    const contract = this.getContract();
+    if (!contract) {
+      throw new Error("Contract not available");
+    }
+
+    return await this.buildContractTransaction(
+      contract,
+      "purchaseWithVoucher",
+      [this.toVoucherTuple(voucher), signature],
+      buyerAddress,
+      BigInt(voucher.price)
+    );
+  }
+
+  // Revoke an unredeemed voucher nonce (platform wallet)
+  async cancelVoucher(nonce) {
+    try {
+      const contract = this.getContract();
+      if (!contract) {
+        throw new Error("Contract not available");
+      }
+      if (!this.wallet && !getWallet()) {
+        throw new Error("Wallet not available for transactions");
+      }
+
+      const tx = await contract.cancelVoucher(nonce);
+      const receipt = await tx.wait();
+
+      console.log(`🚫 Listing voucher ${nonce} cancelled`);
+
+      return {
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+      };
+    } catch (error) {
+      console.error("❌ Cancel voucher error:", error.message);
+      throw error;
+    }
+  }
+
+  // Sign an EIP-712 discount coupon bound to one buyer and track
+  async signCoupon({ trackId, buyer, price, campaignId, expiresAt }) {
+    try {
+      const { wallet, domain } = await this.getSigningContext();
+
+      const coupon = {
+        trackId: BigInt(trackId),
+        buyer: ethers.getAddress(buyer),
+        price: BigInt(price),
+        campaignId,
+        expiry: BigInt(Math.floor(expiresAt.getTime() / 1000)),
+        nonce: BigInt(ethers.hexlify(ethers.randomBytes(16))),
+      };
+
+      const signature = await wallet.signTypedData(
+        domain,
+        COUPON_TYPES,
+        coupon
+      );
+
+      return {
+        coupon: {
+          trackId: coupon.trackId.toString(),
+          buyer: coupon.buyer,
+          price: coupon.price.toString(),
+          campaignId,
+          expiry: coupon.expiry.toString(),
+          nonce: coupon.nonce.toString(),
+        },
+        signature,
+      };
+    } catch (error) {
+      console.error("❌ Sign coupon error:", error.message);
+      throw error;
+    }
+  }
+
+  // Unsigned purchaseWithCoupon transaction for the buyer to sign
+  async buildCouponPurchaseTransaction(coupon, signature) {
+    const contract = this.getContract();
+    if (!contract) {
+      throw new Error("Contract not available");
+    }
+
+    return await this.buildContractTransaction(
+      contract,
+      "purchaseWithCoupon",
+      [
+        [
+          coupon.trackId,
+          coupon.buyer,
+          coupon.price,
+          coupon.campaignId,
+          coupon.expiry,
+          coupon.nonce,
+        ],
+        signature,
+      ],
+      coupon.buyer,
+      BigInt(coupon.price)
+    );
+  }
+
+  // Unsigned purchaseTrackFor transaction: payer buys the track for recipient
+  async buildGiftPurchaseTransaction(trackId, recipientAddress, payerAddress) {
+    const contract = this.getContract();
+    if (!contract) {
+      throw new Error("Contract not available");
+    }
+
+    const track = await this.getTrack(trackId);
+
+    if (track.paymentToken) {
+      return {
+        track,
+        ...(await this.buildTokenPurchaseTransaction(
+          trackId,
+          payerAddress,
+          recipientAddress
+        )),
+      };
+    }
+
+    return {
+      track,
+      transaction: await this.buildContractTransaction(
+        contract,
+        "purchaseTrackFor",
+        [trackId, recipientAddress],
+        payerAddress,
+        ethers.parseEther(track.price)
+      ),
+    };
+  }
+
+  toVoucherTuple(voucher) {
+    return [
+      voucher.price,
+      voucher.artist,
+      voucher.metadataHash,
+      voucher.expiry,
+      voucher.nonce,
+    ];
+  }
+
+  /**
+   * Edition NFT Methods
+   */
+
+  // Get an edition's configuration and supply
+  async getEdition(editionId) {
+    try {
+      const contract = this.getEditionsContract();
+      if (!contract) {
+        throw new Error("Editions contract not available");
+      }
+
+      const nextEditionId = await contract.nextEditionId();
+      if (BigInt(editionId) <= 0n || BigInt(editionId) >= nextEditionId) {
+        throw new Error("Edition not found");
+      }
+
+      const edition = await contract.editions(editionId);
+
+      return {
+        tokenId: editionId.toString(),
+        contractAddress: await contract.getAddress(),
+        trackId: edition.trackId.toString(),
+        artist: edition.artist,
+        price: ethers.formatEther(edition.price),
+        priceWei: edition.price.toString(),
+        maxSupply: Number(edition.maxSupply),
+        minted: Number(edition.minted),
+        remaining: Number(edition.maxSupply - edition.minted),
+        isActive: edition.isActive,
+        metadataHash: edition.metadataHash,
+        uri: `ipfs://${edition.metadataHash}`,
+      };
+    } catch (error) {
+      console.error("❌ Get edition error:", error.message);
+      throw error;
+    }
+  }
+
+  // Create an edition for a listed track (platform wallet is the contract owner)
+  async createEdition({ trackId, artist, price, maxSupply, metadataHash }) {
+    try {
+      const contract = this.getEditionsContract();
+      if (!contract) {
+        throw new Error("Editions contract not available");
+      }
+      if (!this.wallet && !getWallet()) {
+        throw new Error("Wallet not available for transactions");
+      }
+
+      console.log(`🎟️ Creating edition for track ${trackId} (${maxSupply} copies)`);
+
+      const tx = await contract.createEdition(
+        trackId,
+        artist,
+        ethers.parseEther(price.toString()),
+        maxSupply,
+        metadataHash
+      );
+      const receipt = await tx.wait();
+
+      const created = receipt.logs
+        .map((log) => {
+          try {
+            return contract.interface.parseLog(log);
+          } catch (error) {
+            return null;
+          }
+        })
+        .find((log) => log && log.name === "EditionCreated");
+
+      if (!created) {
+        throw new Error("EditionCreated event not found in transaction");
+      }
+
+      return {
+        tokenId: created.args.editionId.toString(),
+        contractAddress: await contract.getAddress(),
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+      };
+    } catch (error) {
+      console.error("❌ Create edition error:", error.message);
+      throw error;
+    }
+  }
+
+  // Unsigned mint transaction for the buyer's wallet to sign
+  async buildMintTransaction(editionId, amount, buyerAddress) {
+    const edition = await this.getEdition(editionId);
+
+    if (!edition.isActive) {
+      throw new Error("Edition not available");
+    }
+    if (amount > edition.remaining) {
+      throw new Error("Exceeds max supply");
+    }
+
+    const value = BigInt(edition.priceWei) * BigInt(amount);
+
+    return {
+      edition,
+      transaction: await this.buildContractTransaction(
+        this.getEditionsContract(),
+        "mint",
+        [editionId, amount],
+        buyerAddress,
+        value
+      ),
+    };
+  }
+
+  // Unsigned safeTransferFrom for the current holder to sign
+  async buildTransferTransaction(fromAddress, toAddress, editionId, amount) {
+    const contract = this.getEditionsContract();
+    if (!contract) {
+      throw new Error("Editions contract not available");
+    }
+
+    await this.getEdition(editionId);
+
+    const balance = await contract.balanceOf(fromAddress, editionId);
+    if (balance < BigInt(amount)) {
+      throw new Error("Insufficient edition balance");
+    }
+
+    return {
+      transaction: await this.buildContractTransaction(
+        contract,
+        "safeTransferFrom",
+        [fromAddress, toAddress, editionId, amount, "0x"],
+        fromAddress
+      ),
+    };
+  }
+
+  // Unsigned transaction calling `method` on `contract`, for a wallet to sign
+  async buildContractTransaction(contract, method, args, from, value = 0n) {
+    const network = await contract.runner.provider.getNetwork();
+
+    return {
+      from,
+      to: await contract.getAddress(),
+      data: contract.interface.encodeFunctionData(method, args),
+      value: value.toString(),
+      chainId: network.chainId.toString(),
+    };
+  }
+
+  // Gas estimate (limit with 20% headroom) and EIP-1559 fee suggestions for an
+  // unsigned transaction; a call that would revert fails here, before signing
+  async withGasEstimate(transaction) {
+    const provider = this.getContract().runner.provider;
+
+    let gasEstimate;
+    try {
+      gasEstimate = await provider.estimateGas({
+        from: transaction.from,
+        to: transaction.to,
+        data: transaction.data,
+        value: BigInt(transaction.value),
+      });
+    } catch (error) {
+      if (error.code === "CALL_EXCEPTION") {
+        throw new Error(
+          `Transaction would revert: ${error.reason || error.shortMessage}`
+        );
+      }
+      throw error;
+    }
+
+    const feeData = await provider.getFeeData();
+    const eip1559 = feeData.maxFeePerGas !== null;
+
+    return {
+      ...transaction,
+      type: eip1559 ? 2 : 0,
+      gasEstimate: gasEstimate.toString(),
+      gasLimit: ((gasEstimate * 120n) / 100n).toString(),
+      maxFeePerGas: eip1559 ? feeData.maxFeePerGas.toString() : null,
+      maxPriorityFeePerGas: eip1559
+        ? feeData.maxPriorityFeePerGas.toString()
+        : null,
+      gasPrice: eip1559 ? null : feeData.gasPrice?.toString() ?? null,
+    };
+  }
+
+  // Unsigned purchaseTrack transaction for an ETH-priced track, after checking
+  // that the purchase can go through
+  async buildPurchaseTransaction(trackId, buyerAddress) {
+    const contract = this.getContract();
+    if (!contract) {
+      throw new Error("Contract not available");
+    }
+
+    const details = await this.calculatePurchaseDetails(trackId, buyerAddress);
+    if (details.paymentToken) {
+      throw new Error("Track is priced in a token");
+    }
+    this.assertPurchasable(details);
+
+    return {
+      details,
+      transaction: await this.withGasEstimate(
+        await this.buildContractTransaction(
+          contract,
+          "purchaseTrack",
+          [trackId],
+          buyerAddress,
+          BigInt(details.priceRaw)
+        )
+      ),
+    };
+  }
+
+  // Reason a purchase from calculatePurchaseDetails cannot go through
+  assertPurchasable(details) {
+    if (details.paused) {
+      throw new Error("Purchases are paused");
+    }
+    if (!details.isActive) {
+      throw new Error("Track is not available for purchase");
+    }
+    if (details.isArtist) {
+      throw new Error("Artists cannot purchase own tracks");
+    }
+    if (details.alreadyPurchased) {
+      throw new Error("Track already purchased");
+    }
+  }
+
+  /**
+   * Unsigned withdrawal of a payee's balance
+   * @param {string} payeeAddress - Artist, collaborator or reseller wallet
+   * @param {Object} options - { kind: "earnings" | "resale", currency } (resale proceeds are ETH)
+   * @returns {Promise<Object>} { kind, currency, paymentToken, amount, transaction }
+   */
+  async buildWithdrawalTransaction(payeeAddress, options = {}) {
+    const contract = this.getContract();
+    if (!contract) {
+      throw new Error("Contract not available");
+    }
+
+    const kind = options.kind || "earnings";
+    const currency = this.getCurrency(options.currency);
+    if (kind === "resale" && currency.address) {
+      throw new Error("Resale proceeds are paid in ETH");
     }
 
-    try {
-      const data = fs.readFileSync(this.failedEventsFile, "utf8");
-      const failedEvents = JSON.parse(data);
-
-      if (failedEvents.length === 0) {
-        return;
-      }
-
-      console.log(`🔄 Processing ${failedEvents.length} failed events...`);
-
-      const stillFailed = [];
+    const [balance, paused] = await Promise.all([
+      kind === "resale"
+        ? contract.sellerBalances(payeeAddress)
+        : this.getPayeeBalanceRaw(payeeAddress, currency.address),
+      contract.paused(),
+    ]);
+    if (balance === 0n) {
+      throw new Error("No balance to withdraw");
+    }
+    if (paused) {
+      throw new Error("Withdrawals are paused");
+    }
 
-      for (const failedEvent of failedEvents) {
-        if (failedEvent.retryCount >= failedEvent.maxRetries) {
-          console.log(
-            `⚠️ Skipping event after max retries: ${failedEvent.eventData.event.transactionHash}`
-          );
-          continue;
-        }
+    const [method, args] =
+      kind === "resale"
+        ? ["withdrawSellerBalance", []]
+        : currency.address
+          ? ["withdrawTokenBalance", [currency.address]]
+          : ["withdrawArtistBalance", []];
+
+    return {
+      kind,
+      currency: currency.symbol,
+      paymentToken: currency.address,
+      amount: ethers.formatUnits(balance, currency.decimals),
+      transaction: await this.withGasEstimate(
+        await this.buildContractTransaction(contract, method, args, payeeAddress)
+      ),
+    };
+  }
 
-        try {
-          failedEvent.retryCount++;
-
-          if (failedEvent.eventType === "TrackAdded") {
-            await this.processTrackAdded(
-              failedEvent.eventData.trackId,
-              failedEvent.eventData.artist,
-              failedEvent.eventData.price,
-              failedEvent.eventData.event
-            );
-          } else if (failedEvent.eventType === "TrackPurchased") {
-            await this.processTrackPurchased(
-              failedEvent.eventData.trackId,
-              failedEvent.eventData.buyer,
-              failedEvent.eventData.price,
-              failedEvent.eventData.event
-            );
-          }
+  /**
+   * Unsigned updateTrackPrice transaction, for the track's artist (the
+   * owner and operators may also update prices)
+   * @param {string|number} trackId - On-chain track ID
+   * @param {string} price - New price in the track's currency, e.g. "0.02"
+   * @param {string} fromAddress - Wallet that will sign
+   * @returns {Promise<Object>} { trackId, currency, oldPrice, price, transaction }
+   */
+  async buildPriceUpdateTransaction(trackId, price, fromAddress) {
+    const contract = this.getContract();
+    if (!contract) {
+      throw new Error("Contract not available");
+    }
 
-          console.log(
-            `✅ Successfully processed failed ${failedEvent.eventType} event`
-          );
-        } catch (error) {
-          console.error(`❌ Failed event still failing:`, error.message);
-          stillFailed.push(failedEvent);
-        }
-      }
+    const [trackInfo, tokenAddress, owner, isOperator] = await Promise.all([
+      contract.tracks(trackId),
+      contract.trackTokens(trackId),
+      contract.owner(),
+      contract.authorizedOperators(fromAddress),
+    ]);
+    if (trackInfo.artist === ethers.ZeroAddress) {
+      throw new Error("Track not found on blockchain");
+    }
 
-      // Update failed events file
-      fs.writeFileSync(
-        this.failedEventsFile,
-        JSON.stringify(stillFailed, null, 2)
-      );
+    const from = fromAddress.toLowerCase();
+    if (
+      from !== trackInfo.artist.toLowerCase() &&
+      from !== owner.toLowerCase() &&
+      !isOperator
+    ) {
+      throw new Error("Only the track's artist can update its price");
+    }
 
-      if (stillFailed.length > 0) {
-        console.log(
-          `⚠️ ${stillFailed.length} events still failing, will retry later`
-        );
-      }
+    const currency = await this.resolveCurrency(tokenAddress);
+    let newPrice;
+    try {
+      newPrice = ethers.parseUnits(price.toString(), currency.decimals);
     } catch (error) {
-      console.error("❌ Error processing failed events:", error);
+      throw new Error("Invalid price");
     }
-  }
-
-  // Error handlers
-  async handleProviderError(error) {
-    console.log("🔄 Attempting to reconnect provider...");
 
-    if (this.reconnectAttempts < this.maxReconnectAttempts) {
-      this.reconnectAttempts++;
-      setTimeout(async () => {
-        try {
-          await this.initialize();
-        } catch (initError) {
-          console.error("❌ Reconnection failed:", initError);
-        }
-      }, this.reconnectDelay * this.reconnectAttempts);
-    } else {
-      console.error(
-        "❌ Max reconnection attempts reached, blockchain service offline"
+    // MusicStore._checkTrackPrice
+    if (
+      currency.address
+        ? newPrice <= 0n
+        : newPrice < ethers.parseEther("0.001") ||
+          newPrice > ethers.parseEther("100")
+    ) {
+      throw new Error(
+        currency.address
+          ? "Invalid price"
+          : "Track price must be between 0.001 and 100 ETH"
       );
-      this.isListening = false;
     }
+
+    return {
+      trackId: trackId.toString(),
+      currency: currency.symbol,
+      paymentToken: currency.address,
+      oldPrice: ethers.formatUnits(trackInfo.price, currency.decimals),
+      price: ethers.formatUnits(newPrice, currency.decimals),
+      transaction: await this.withGasEstimate(
+        await this.buildContractTransaction(
+          contract,
+          "updateTrackPrice",
+          [trackId, newPrice],
+          fromAddress
+        )
+      ),
+    };
   }
 
-  async handleContractError(error) {
-    console.log("⚠️ Contract error detected, may need manual intervention");
-    this.emit("contractError", error);
+  /**
+   * First block holding MusicStore logs: its deployment block, else the block
+   * its indexer checkpoint started at
+   * @param {Object} checkpoint - MusicStore IndexerCheckpoint, looked up when omitted
+   * @returns {Promise<number>}
+   */
+  async getLogStartBlock(checkpoint) {
+    const contract = this.getContract();
+    if (!contract) {
+      throw new Error("Contract not available");
+    }
 
-    // Log contract errors for analysis
-    const errorLog = {
-      timestamp: new Date().toISOString(),
-      error: error.message,
-      stack: error.stack,
-      contract: this.contract?.address,
-    };
+    const chainId = await this.getChainId();
+    const address = await contract.getAddress();
+    const deployment = getDeployment(chainId);
+    if (
+      deployment?.address?.toLowerCase() === address.toLowerCase() &&
+      Number.isInteger(deployment.blockNumber)
+    ) {
+      return deployment.blockNumber;
+    }
 
-    console.log("📝 Contract error logged:", errorLog);
+    if (checkpoint === undefined) {
+      checkpoint = await IndexerCheckpoint.findOne({
+        name: "MusicStore",
+        chainId,
+        contractAddress: address.toLowerCase(),
+      });
+    }
+    if (Number.isInteger(checkpoint?.startBlock)) {
+      return checkpoint.startBlock;
+    }
+    throw new Error(
+      `No deployment block or indexer checkpoint for MusicStore ${address} on chain ${chainId}`
+    );
+  }
+
+  // MusicStore logs of a filter between two blocks, queried logBlockRange
+  // blocks at a time as public RPCs cap the range of one query
+  async queryLogs(filter, fromBlock, toBlock) {
+    const contract = this.getContract();
+    const logs = [];
+    for (let start = fromBlock; start <= toBlock; start += this.logBlockRange) {
+      const end = Math.min(start + this.logBlockRange - 1, toBlock);
+      logs.push(...(await contract.queryFilter(filter, start, end)));
+    }
+    return logs;
   }
 
   /**
@@ -594,12 +2631,14 @@ class BlockchainService extends EventEmitter {
       }
 
       // Get current block for confirmations
+      // The transaction's own block counts as the first confirmation
       const currentBlock = await this.provider.getBlockNumber();
-      const confirmations = currentBlock - receipt.blockNumber;
+      const confirmations = currentBlock - receipt.blockNumber + 1;
 
       // Extract event data
       const eventArgs = matchingEvent.args;
       const block = await this.provider.getBlock(receipt.blockNumber);
+      const currency = await this.resolveCurrency(eventArgs.token);
 
       return {
         success: true,
@@ -610,9 +2649,12 @@ class BlockchainService extends EventEmitter {
           trackId: eventArgs.trackId.toString(),
           buyer: eventArgs.buyer,
           artistAddress: eventArgs.artist || null,
-          amount: ethers.formatEther(eventArgs.price),
-          platformFee: eventArgs.platformFee ? ethers.formatEther(eventArgs.platformFee) : null,
-          artistPayment: eventArgs.artistPayment ? ethers.formatEther(eventArgs.artistPayment) : null,
+          payer: eventArgs.payer || eventArgs.buyer,
+          currency: currency.symbol,
+          paymentToken: currency.address,
+          amount: ethers.formatUnits(eventArgs.price, currency.decimals),
+          platformFee: eventArgs.platformFee ? ethers.formatUnits(eventArgs.platformFee, currency.decimals) : null,
+          artistPayment: eventArgs.artistPayment ? ethers.formatUnits(eventArgs.artistPayment, currency.decimals) : null,
           confirmations: confirmations,
           timestamp: block.timestamp,
           eventData: {
@@ -639,14 +2681,15 @@ class BlockchainService extends EventEmitter {
   // Check if user has purchased a track
   async hasPurchased(userAddress, trackId) {
     try {
-      if (!this.contract) {
+      const contract = this.getContract();
+      if (!contract) {
         throw new Error("Contract not available");
       }
 
       console.log(`🔍 Checking purchase: user ${userAddress}, track ${trackId}`);
 
       // Call contract method to check purchase status
-      const hasPurchased = await this.contract.hasPurchased(userAddress, trackId);
+      const hasPurchased = await contract.hasPurchased(userAddress, trackId);
       return hasPurchased;
 
     } catch (error) {
@@ -674,22 +2717,25 @@ class BlockchainService extends EventEmitter {
       // Get events
       const events = await this.contract.queryFilter(filter, fromBlock);
 
-      return events.map(event => {
+      return await Promise.all(events.map(async (event) => {
         const args = event.args;
+        const currency = await this.resolveCurrency(args.token);
         return {
           transactionHash: event.transactionHash,
           blockNumber: event.blockNumber,
           blockHash: event.blockHash,
           trackId: args.trackId.toString(),
           buyer: args.buyer,
+          payer: args.payer || args.buyer,
           artist: args.artist || null,
-          price: ethers.formatEther(args.price),
-          platformFee: args.platformFee ? ethers.formatEther(args.platformFee) : null,
-          artistPayment: args.artistPayment ? ethers.formatEther(args.artistPayment) : null,
+          currency: currency.symbol,
+          price: ethers.formatUnits(args.price, currency.decimals),
+          platformFee: args.platformFee ? ethers.formatUnits(args.platformFee, currency.decimals) : null,
+          artistPayment: args.artistPayment ? ethers.formatUnits(args.artistPayment, currency.decimals) : null,
           timestamp: event.timestamp || null,
           eventIndex: event.logIndex,
         };
-      });
+      }));
 
     } catch (error) {
       console.error("❌ Get purchase events error:", error);
@@ -697,45 +2743,358 @@ class BlockchainService extends EventEmitter {
     }
   }
 
-  // Calculate purchase details (price breakdown)
-  async calculatePurchaseDetails(trackId) {
+  // Get a track from the contract
+  async getTrack(trackId) {
     try {
-      if (!this.contract) {
+      const contract = this.getContract();
+      if (!contract) {
         throw new Error("Contract not available");
       }
 
-      // Get track info from contract
-      const trackInfo = await this.contract.tracks(trackId);
-      
-      if (!trackInfo || trackInfo.artist === ethers.ZeroAddress) {
-        throw new Error("Track not found on blockchain");
+      const [track, tokenAddress] = await Promise.all([
+        contract.getTrack(trackId),
+        contract.trackTokens(trackId),
+      ]);
+      const currency = await this.resolveCurrency(tokenAddress);
+
+      return {
+        trackId: trackId.toString(),
+        price: ethers.formatUnits(track.price, currency.decimals),
+        currency: currency.symbol,
+        paymentToken: currency.address,
+        artist: track.artist,
+        isActive: track.isActive,
+        totalSales: Number(track.totalSales),
+        createdAt: new Date(Number(track.createdAt) * 1000),
+        metadataHash: track.metadataHash,
+      };
+    } catch (error) {
+      console.error("❌ Get track error:", error.message);
+      throw error;
+    }
+  }
+
+  // Get every track listed on the contract
+  async getAllTracks() {
+    const contract = this.getContract();
+    if (!contract) {
+      throw new Error("Contract not available");
+    }
+
+    const nextTrackId = Number(await contract.nextTrackId());
+    const trackIds = Array.from({ length: nextTrackId - 1 }, (_, i) => i + 1);
+
+    return await Promise.all(trackIds.map((trackId) => this.getTrack(trackId)));
+  }
+
+  // Get an artist's (or collaborator's) on-chain balance and totals
+  async getArtistBalance(artistAddress) {
+    try {
+      const contract = this.getContract();
+      if (!contract) {
+        throw new Error("Contract not available");
       }
 
-      const price = ethers.formatEther(trackInfo.price);
-      
-      // Get platform fee percentage (assuming it's stored in contract)
-      let platformFeePercent = 5; // Default 5%
-      try {
-        platformFeePercent = await this.contract.platformFeePercent();
-      } catch (error) {
-        console.warn("Could not get platform fee from contract, using default 5%");
+      const info = await contract.getArtistInfo(artistAddress);
+
+      // Earnings in configured ERC-20s, withdrawn with withdrawTokenBalance(token)
+      const tokenBalances = await Promise.all(
+        getPaymentTokens()
+          .filter((currency) => currency.address)
+          .map(async (currency) => ({
+            currency: currency.symbol,
+            paymentToken: currency.address,
+            balance: ethers.formatUnits(
+              await contract.tokenBalances(currency.address, artistAddress),
+              currency.decimals
+            ),
+          }))
+      );
+
+      return {
+        balance: ethers.formatEther(info.currentBalance),
+        totalEarnings: ethers.formatEther(info.totalEarnings),
+        totalTracks: Number(info.totalTracks),
+        isVerified: info.isVerified,
+        tokenBalances,
+      };
+    } catch (error) {
+      console.error("❌ Get artist balance error:", error.message);
+      throw error;
+    }
+  }
+
+  // Unwithdrawn earnings of a payee in base units (artistBalances, or tokenBalances for a token)
+  async getPayeeBalanceRaw(payeeAddress, tokenAddress = null) {
+    const contract = this.getContract();
+    if (!contract) {
+      throw new Error("Contract not available");
+    }
+
+    return tokenAddress
+      ? await contract.tokenBalances(tokenAddress, payeeAddress)
+      : await contract.artistBalances(payeeAddress);
+  }
+
+  // Get the collaborator splits of a track (empty when 100% goes to the artist)
+  async getTrackSplits(trackId) {
+    const contract = this.getContract();
+    if (!contract) {
+      throw new Error("Contract not available");
+    }
+
+    const [payees, shares] = await contract.getTrackSplits(trackId);
+    return payees.map((payee, index) => ({
+      address: payee.toLowerCase(),
+      shares: Number(shares[index]),
+    }));
+  }
+
+  // Set collaborator splits with the platform wallet (contract owner)
+  async setTrackSplits(trackId, payees, shares) {
+    try {
+      const contract = this.getContract();
+      if (!contract) {
+        throw new Error("Contract not available");
+      }
+      if (!this.wallet && !getWallet()) {
+        throw new Error("Wallet not available for transactions");
       }
 
-      const platformFee = (parseFloat(price) * platformFeePercent) / 100;
-      const artistPayment = parseFloat(price) - platformFee;
+      console.log(`🤝 Setting ${payees.length} splits for track ${trackId}`);
+
+      const tx = await contract.setTrackSplits(trackId, payees, shares);
+      const receipt = await tx.wait();
 
       return {
-        trackId: trackId,
-        price: price,
-        platformFeePercent: platformFeePercent,
-        platformFee: platformFee.toString(),
-        artistPayment: artistPayment.toString(),
-        artist: trackInfo.artist,
-        isActive: trackInfo.isActive || true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+      };
+    } catch (error) {
+      console.error("❌ Set track splits error:", error.message);
+      throw error;
+    }
+  }
+
+  // Create a bundle with the platform wallet (contract owner)
+  async createBundle(contractTrackIds, price) {
+    try {
+      const contract = this.getContract();
+      if (!contract) {
+        throw new Error("Contract not available");
+      }
+      if (!this.wallet && !getWallet()) {
+        throw new Error("Wallet not available for transactions");
+      }
+
+      console.log(`💿 Creating bundle of ${contractTrackIds.length} tracks`);
+
+      const tx = await contract.createBundle(
+        contractTrackIds,
+        ethers.parseEther(price.toString())
+      );
+      const receipt = await tx.wait();
+
+      const created = receipt.logs
+        .map((log) => {
+          try {
+            return contract.interface.parseLog(log);
+          } catch (error) {
+            return null;
+          }
+        })
+        .find((log) => log && log.name === "BundleCreated");
+
+      if (!created) {
+        throw new Error("BundleCreated event not found in transaction");
+      }
+
+      return {
+        contractId: created.args.bundleId.toString(),
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+      };
+    } catch (error) {
+      console.error("❌ Create bundle error:", error.message);
+      throw error;
+    }
+  }
+
+  // Update bundle price and availability (platform wallet)
+  async updateBundle(bundleId, price, isActive) {
+    try {
+      const contract = this.getContract();
+      if (!contract) {
+        throw new Error("Contract not available");
+      }
+      if (!this.wallet && !getWallet()) {
+        throw new Error("Wallet not available for transactions");
+      }
+
+      const tx = await contract.updateBundle(
+        bundleId,
+        ethers.parseEther(price.toString()),
+        isActive
+      );
+      const receipt = await tx.wait();
+
+      return {
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+      };
+    } catch (error) {
+      console.error("❌ Update bundle error:", error.message);
+      throw error;
+    }
+  }
+
+  // Read a bundle from the contract
+  async getBundle(bundleId) {
+    try {
+      const contract = this.getContract();
+      if (!contract) {
+        throw new Error("Contract not available");
+      }
+
+      const bundle = await contract.getBundle(bundleId);
+
+      return {
+        bundleId: bundleId.toString(),
+        price: ethers.formatEther(bundle.price),
+        priceWei: bundle.price.toString(),
+        isActive: bundle.isActive,
+        totalSales: Number(bundle.totalSales),
+        trackIds: bundle.trackIds.map((id) => id.toString()),
       };
+    } catch (error) {
+      console.error("❌ Get bundle error:", error.message);
+      throw error;
+    }
+  }
+
+  // Unsigned purchaseBundle transaction at the on-chain bundle price
+  async buildBundlePurchaseTransaction(bundleId, buyerAddress) {
+    const contract = this.getContract();
+    if (!contract) {
+      throw new Error("Contract not available");
+    }
+
+    const bundle = await this.getBundle(bundleId);
+    if (!bundle.isActive) {
+      throw new Error("Bundle not available");
+    }
+
+    return {
+      bundle,
+      transaction: await this.buildContractTransaction(
+        contract,
+        "purchaseBundle",
+        [bundleId],
+        buyerAddress,
+        BigInt(bundle.priceWei)
+      ),
+    };
+  }
+
+  // Earnings credited to a payee, one entry per sale or resale royalty
+  async getEarningsCredits(payeeAddress) {
+    try {
+      const contract = this.getContract();
+      if (!contract) {
+        throw new Error("Contract not available");
+      }
+
+      const [fromBlock, toBlock] = await Promise.all([
+        this.getLogStartBlock(),
+        contract.runner.provider.getBlockNumber(),
+      ]);
+      const events = await this.queryLogs(
+        contract.filters.EarningsCredited(null, payeeAddress),
+        fromBlock,
+        toBlock
+      );
+
+      return await Promise.all(
+        events.map(async (event) => {
+          const currency = await this.resolveCurrency(event.args.token);
+
+          return {
+            trackId: event.args.trackId.toString(),
+            payee: event.args.payee,
+            currency: currency.symbol,
+            paymentToken: currency.address,
+            amount: ethers.formatUnits(event.args.amount, currency.decimals),
+            amountRaw: event.args.amount.toString(),
+            shares: Number(event.args.shares),
+            timestamp: Number(event.args.timestamp),
+            transactionHash: event.transactionHash,
+            blockNumber: event.blockNumber,
+          };
+        })
+      );
+    } catch (error) {
+      console.error("❌ Get earnings credits error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Price breakdown of a purchase and whether it can go through
+   * @param {string|number} trackId - On-chain track ID
+   * @param {string} buyerAddress - Optional, also checks the buyer's ownership
+   * @returns {Promise<Object>} Price and fee split in the track's currency,
+   * isActive, paused, alreadyPurchased and purchasable
+   */
+  async calculatePurchaseDetails(trackId, buyerAddress = null) {
+    try {
+      const contract = this.getContract();
+      if (!contract) {
+        throw new Error("Contract not available");
+      }
+
+      const [trackInfo, tokenAddress, platformFeeBps, paused] = await Promise.all([
+        contract.tracks(trackId),
+        contract.trackTokens(trackId),
+        contract.platformFee(),
+        contract.paused(),
+      ]);
+
+      if (trackInfo.artist === ethers.ZeroAddress) {
+        throw new Error("Track not found on blockchain");
+      }
+
+      const currency = await this.resolveCurrency(tokenAddress);
+
+      // Same rounding as MusicStore._recordPurchase
+      const platformFee = (trackInfo.price * platformFeeBps) / 10000n;
+      const artistPayment = trackInfo.price - platformFee;
 
+      const isArtist =
+        !!buyerAddress &&
+        buyerAddress.toLowerCase() === trackInfo.artist.toLowerCase();
+      const alreadyPurchased = buyerAddress
+        ? await contract.hasPurchased(buyerAddress, trackId)
+        : null;
+
+      return {
+        trackId: trackId.toString(),
+        artist: trackInfo.artist,
+        currency: currency.symbol,
+        paymentToken: currency.address,
+        price: ethers.formatUnits(trackInfo.price, currency.decimals),
+        priceRaw: trackInfo.price.toString(),
+        platformFeePercent: Number(platformFeeBps) / 100,
+        platformFee: ethers.formatUnits(platformFee, currency.decimals),
+        artistPayment: ethers.formatUnits(artistPayment, currency.decimals),
+        isActive: trackInfo.isActive,
+        paused,
+        isArtist,
+        alreadyPurchased,
+        purchasable:
+          trackInfo.isActive && !paused && !isArtist && alreadyPurchased !== true,
+      };
     } catch (error) {
-      console.error("❌ Calculate purchase details error:", error);
+      console.error("❌ Calculate purchase details error:", error.message);
       throw error;
     }
   }
@@ -751,7 +3110,8 @@ class BlockchainService extends EventEmitter {
         };
       }
 
-      if (!this.contract) {
+      const contract = this.getContract();
+      if (!contract) {
         return {
           available: false,
           listening: false,
@@ -761,7 +3121,9 @@ class BlockchainService extends EventEmitter {
       }
 
       // Test connection
-      const connectionTest = await testBlockchainConnection();
+      const connectionTest = await testBlockchainConnection(
+        this.provider || this.getNetwork()?.provider
+      );
 
       if (!connectionTest.connected) {
         return {
@@ -774,13 +3136,9 @@ class BlockchainService extends EventEmitter {
         };
       }
 
-      // Check for pending failed events
-      let failedEventsCount = 0;
-      if (fs.existsSync(this.failedEventsFile)) {
-        const data = fs.readFileSync(this.failedEventsFile, "utf8");
-        const failedEvents = JSON.parse(data);
-        failedEventsCount = failedEvents.length;
-      }
+      // Dead-letter queue backlog
+      const failedEvents = await FailedEvent.getCounts();
+      const relayedTransactions = await RelayedTransaction.getCounts();
 
       return {
         available: true,
@@ -789,15 +3147,33 @@ class BlockchainService extends EventEmitter {
         network: connectionTest.network,
         blockNumber: connectionTest.blockNumber,
         contract: {
-          address: this.contract.address,
+          address: contract.target,
         },
+        // Indexed networks; each has its checkpoints under indexer.contracts
+        networks: getNetworks().map((network) => ({
+          chainId: network.chainId,
+          name: network.name,
+          primary: network.primary,
+          contractAddress: network.contract?.target || null,
+        })),
         wallet: this.wallet
           ? {
               address: this.wallet.address,
             }
           : null,
-        failedEventsCount,
+        failedEventsCount:
+          failedEvents.pending + failedEvents.processing + failedEvents.failed,
+        failedEvents,
+        relayedTransactions,
         reconnectAttempts: this.reconnectAttempts,
+        indexer: await this.getIndexerStatus(connectionTest.blockNumber),
+        confirmations: this.reorgService?.getStatus() || {
+          running: false,
+          depth: this.blockConfirmations,
+        },
+        earningsReconciliation: this.earningsReconciliation?.getStatus() || {
+          running: false,
+        },
       };
     } catch (error) {
       return {
@@ -809,28 +3185,119 @@ class BlockchainService extends EventEmitter {
     }
   }
 
+  // Indexer checkpoints with their lag behind the current head. Read from
+  // Mongo, so any instance reports the lag of the one running the indexer.
+  async getIndexerStatus(headBlock = null) {
+    try {
+      const checkpoints = await EventIndexer.getCheckpoints();
+
+      const contracts = checkpoints.map((checkpoint) => {
+        const head = Math.max(headBlock ?? 0, checkpoint.headBlock ?? 0);
+        return {
+          ...checkpoint,
+          headBlock: head || checkpoint.headBlock,
+          lag: head ? Math.max(head - checkpoint.lastProcessedBlock, 0) : null,
+        };
+      });
+
+      return {
+        running: !!this.indexer?.running,
+        lag: contracts.length
+          ? Math.max(...contracts.map((contract) => contract.lag ?? 0))
+          : null,
+        contracts,
+      };
+    } catch (error) {
+      return { running: !!this.indexer?.running, error: error.message };
+    }
+  }
+
   async stop() {
     if (this.contract && this.isListening) {
-      console.log("🛑 Stopping blockchain event listeners...");
-      this.contract.removeAllListeners();
+      console.log("🛑 Stopping blockchain event indexer...");
+      this.indexer?.stop();
+      this.indexer = null;
+      this.reorgService?.stop();
+      this.reorgService = null;
+      this.earningsReconciliation?.stop();
+      this.earningsReconciliation = null;
+      this.stopFailedEventRetries();
+      this.stopRelayTracking();
       this.provider?.removeAllListeners();
       this.isListening = false;
       console.log("✅ Blockchain service stopped");
     }
   }
 
-  // Manual retry of failed events
+  /**
+   * Retry one queued event now, even if permanently failed
+   * @param {string} id - FailedEvent ID
+   * @returns {Promise<Object>} The event after the retry
+   */
+  async retryFailedEvent(id) {
+    const failedEvent = await FailedEvent.claim(id);
+    if (!failedEvent) {
+      const exists = await FailedEvent.exists({ _id: id });
+      throw new Error(
+        exists ? "Failed event is not retryable" : "Failed event not found"
+      );
+    }
+
+    return await this.processFailedEvent(failedEvent);
+  }
+
+  /**
+   * Retry every pending and permanently failed event now
+   * @returns {Promise<Object>} { retried, resolved, pending, failed }
+   */
   async retryFailedEvents() {
     console.log("🔄 Manually retrying failed events...");
-    await this.processPendingFailedEvents();
+
+    const ids = await FailedEvent.find(
+      { status: { $in: ["pending", "failed"] } },
+      "_id"
+    )
+      .sort({ createdAt: 1 })
+      .limit(500);
+
+    const results = { retried: 0, resolved: 0, pending: 0, failed: 0 };
+    for (const { _id } of ids) {
+      // Claimed by the background retry meanwhile
+      const failedEvent = await FailedEvent.claim(_id);
+      if (!failedEvent) {
+        continue;
+      }
+
+      await this.processFailedEvent(failedEvent);
+      results.retried++;
+      results[failedEvent.status]++;
+    }
+    return results;
   }
 
-  // Clear failed events (for admin use)
-  async clearFailedEvents() {
-    if (fs.existsSync(this.failedEventsFile)) {
-      fs.writeFileSync(this.failedEventsFile, JSON.stringify([], null, 2));
-      console.log("🗑️ Cleared all failed events");
+  /**
+   * Drop a queued event without processing it
+   * @param {string} id - FailedEvent ID
+   * @returns {Promise<Object>} The discarded event
+   */
+  async discardFailedEvent(id) {
+    const failedEvent = await FailedEvent.findOneAndUpdate(
+      { _id: id, status: { $in: ["pending", "failed"] } },
+      { $set: { status: "discarded", discardedAt: new Date(), nextRetryAt: null } },
+      { new: true }
+    );
+
+    if (!failedEvent) {
+      const exists = await FailedEvent.exists({ _id: id });
+      throw new Error(
+        exists ? "Failed event is not discardable" : "Failed event not found"
+      );
     }
+
+    console.log(
+      `🗑️ Discarded failed ${failedEvent.eventType} event: ${failedEvent.txHash}`
+    );
+    return failedEvent;
   }
 }
 
@@ -0,0 +1,351 @@
+import Bundle from "../models/Bundle.js";
+import BundlePurchase from "../models/BundlePurchase.js";
+import Track from "../models/Track.js";
+import BlockchainService from "./BlockchainService.js";
+
+// Bundle fields admins can set
+const BUNDLE_FIELDS = [
+  "title",
+  "type",
+  "artist",
+  "artistAddress",
+  "description",
+  "tracks",
+  "coverArt",
+  "releaseDate",
+  "price",
+  "isActive",
+  "isPublic",
+];
+
+// Same bounds as MusicStore's validPrice
+const MIN_PRICE = 0.001;
+const MAX_PRICE = 100;
+
+/**
+ * Bundle Service
+ * Albums and bundles sold in one MusicStore.purchaseBundle transaction.
+ * The contract splits the bundle price across the tracks and emits one
+ * TrackPurchased per track, so each track is indexed as a regular purchase.
+ */
+class BundleService {
+  constructor() {
+    this.blockchainService = new BlockchainService();
+  }
+
+  /**
+   * Create a bundle (off-chain until added to the blockchain)
+   * @param {Object} data - Bundle fields
+   * @returns {Promise<Object>} Created bundle
+   */
+  async createBundle(data) {
+    try {
+      const fields = this.pickBundleFields(data);
+      this.validatePrice(fields.price);
+      await this.validateTracks(fields.tracks);
+
+      const bundle = new Bundle(fields);
+      await bundle.save();
+
+      console.log(`💿 Bundle created: ${bundle.title}`);
+      return bundle;
+    } catch (error) {
+      console.error("BundleService.createBundle error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a bundle; price and availability changes are mirrored on-chain
+   * @param {string} bundleId - Bundle ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Updated bundle
+   */
+  async updateBundle(bundleId, data) {
+    try {
+      const bundle = await Bundle.findById(bundleId);
+      if (!bundle) {
+        throw new Error("Bundle not found");
+      }
+
+      const fields = this.pickBundleFields(data);
+      const onChain = bundle.blockchain?.status === "confirmed";
+
+      if (fields.tracks !== undefined) {
+        if (onChain) {
+          throw new Error("Tracks of an on-chain bundle cannot be changed");
+        }
+        await this.validateTracks(fields.tracks);
+      }
+      if (fields.price !== undefined) {
+        this.validatePrice(fields.price);
+      }
+
+      const chainChanged =
+        onChain &&
+        ((fields.price !== undefined && fields.price !== bundle.price) ||
+          (fields.isActive !== undefined &&
+            fields.isActive !== bundle.isActive));
+
+      bundle.set(fields);
+      await bundle.validate();
+
+      if (chainChanged) {
+        await this.blockchainService.updateBundle(
+          bundle.blockchain.contractId,
+          bundle.price,
+          bundle.isActive
+        );
+      }
+
+      await bundle.save();
+      return bundle;
+    } catch (error) {
+      console.error("BundleService.updateBundle error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * List bundles
+   * @param {Object} options - { includeInactive, artist, type }
+   * @returns {Promise<Array>} Bundles, newest release first
+   */
+  async getBundles(options = {}) {
+    try {
+      const filter = {};
+      if (options.artist) {
+        filter.artist = { $regex: options.artist, $options: "i" };
+      }
+      if (options.type) {
+        filter.type = options.type;
+      }
+
+      const query = options.includeInactive
+        ? Bundle.find(filter)
+        : Bundle.findPublic(filter);
+
+      return await query
+        .populate("tracks", "title artist duration price blockchain.contractId")
+        .sort({ releaseDate: -1, createdAt: -1 });
+    } catch (error) {
+      console.error("BundleService.getBundles error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Bundle with its tracks in play order
+   * @param {string} bundleId - Bundle ID
+   * @param {Object} options - { includeInactive }
+   * @returns {Promise<Object>} Bundle
+   */
+  async getBundle(bundleId, options = {}) {
+    try {
+      const bundle = await Bundle.findById(bundleId).populate(
+        "tracks",
+        "title artist duration genre price coverArt blockchain.contractId"
+      );
+
+      if (
+        !bundle ||
+        (!options.includeInactive && (!bundle.isActive || !bundle.isPublic))
+      ) {
+        throw new Error("Bundle not found");
+      }
+
+      return bundle;
+    } catch (error) {
+      console.error("BundleService.getBundle error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deactivate a bundle (and disable it on-chain when listed)
+   * @param {string} bundleId - Bundle ID
+   * @returns {Promise<Object>} Updated bundle
+   */
+  async deactivateBundle(bundleId) {
+    return this.updateBundle(bundleId, { isActive: false });
+  }
+
+  /**
+   * Create the bundle on-chain; every track must already be listed
+   * @param {string} bundleId - Bundle ID
+   * @returns {Promise<Object>} Updated bundle
+   */
+  async addToBlockchain(bundleId) {
+    try {
+      const bundle = await Bundle.findById(bundleId).populate("tracks");
+      if (!bundle) {
+        throw new Error("Bundle not found");
+      }
+
+      if (bundle.blockchain?.status === "confirmed") {
+        throw new Error("Bundle is already on the blockchain");
+      }
+
+      const unlisted = bundle.tracks.filter(
+        (track) =>
+          track.blockchain?.status !== "confirmed" ||
+          !track.blockchain?.contractId
+      );
+      if (unlisted.length > 0) {
+        throw new Error(
+          `Tracks not listed on-chain: ${unlisted.map((t) => t.title).join(", ")}`
+        );
+      }
+
+      if (bundle.tracks.some((track) => track.paymentToken)) {
+        throw new Error("Bundle tracks must be ETH-priced");
+      }
+
+      bundle.blockchain = { status: "pending" };
+      await bundle.save();
+
+      try {
+        const result = await this.blockchainService.createBundle(
+          bundle.tracks.map((track) => track.blockchain.contractId),
+          bundle.price
+        );
+
+        bundle.blockchain = {
+          contractId: result.contractId,
+          txHash: result.txHash,
+          blockNumber: result.blockNumber,
+          addedAt: new Date(),
+          status: "confirmed",
+        };
+        await bundle.save();
+      } catch (error) {
+        bundle.blockchain = { status: "failed", error: error.message };
+        await bundle.save();
+        throw error;
+      }
+
+      // The contract creates bundles active
+      if (!bundle.isActive) {
+        await this.blockchainService.updateBundle(
+          bundle.blockchain.contractId,
+          bundle.price,
+          false
+        );
+      }
+
+      console.log(
+        `💿 Bundle ${bundle.title} on-chain as #${bundle.blockchain.contractId}`
+      );
+      return bundle;
+    } catch (error) {
+      console.error("BundleService.addToBlockchain error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unsigned purchaseBundle transaction for a buyer
+   * @param {string} bundleId - Bundle ID
+   * @param {string} buyerAddress - Buyer wallet
+   * @returns {Promise<Object>} { bundle, price, transaction }
+   */
+  async buildPurchaseTransaction(bundleId, buyerAddress) {
+    try {
+      const bundle = await this.getBundle(bundleId);
+
+      if (bundle.blockchain?.status !== "confirmed") {
+        throw new Error("Bundle is not listed on-chain");
+      }
+
+      // The contract reverts the whole bundle if any track fails its checks
+      const buyer = buyerAddress.toLowerCase();
+      for (const track of bundle.tracks) {
+        const contractTrackId = track.blockchain.contractId;
+        const onChainTrack =
+          await this.blockchainService.getTrack(contractTrackId);
+
+        if (onChainTrack.artist.toLowerCase() === buyer) {
+          throw new Error("Artists cannot purchase own tracks");
+        }
+        if (await this.blockchainService.hasPurchased(buyer, contractTrackId)) {
+          throw new Error(`Track already purchased: ${track.title}`);
+        }
+      }
+
+      const { bundle: onChainBundle, transaction } =
+        await this.blockchainService.buildBundlePurchaseTransaction(
+          bundle.blockchain.contractId,
+          buyerAddress
+        );
+
+      return {
+        bundle,
+        price: onChainBundle.price,
+        transaction,
+      };
+    } catch (error) {
+      console.error("BundleService.buildPurchaseTransaction error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Bundle purchases of a wallet
+   * @param {string} buyerAddress - Buyer wallet
+   * @returns {Promise<Array>} Bundle purchases with their track purchases
+   */
+  async getBuyerPurchases(buyerAddress) {
+    try {
+      return await BundlePurchase.findByBuyer(buyerAddress);
+    } catch (error) {
+      console.error("BundleService.getBuyerPurchases error:", error);
+      throw error;
+    }
+  }
+
+  async validateTracks(trackIds) {
+    if (!Array.isArray(trackIds)) {
+      throw new Error("Bundle tracks must be a list of track IDs");
+    }
+
+    const unique = new Set(trackIds.map(String));
+    if (unique.size !== trackIds.length) {
+      throw new Error("Bundle tracks must be unique");
+    }
+
+    const tracks = await Track.find({ _id: { $in: [...unique] } }, "currency");
+    if (tracks.length !== unique.size) {
+      throw new Error("Bundle track not found");
+    }
+
+    // purchaseBundle only takes ETH
+    if (tracks.some((track) => track.currency && track.currency !== "ETH")) {
+      throw new Error("Bundle tracks must be ETH-priced");
+    }
+  }
+
+  validatePrice(price) {
+    const value = parseFloat(price);
+    if (isNaN(value) || value < MIN_PRICE || value > MAX_PRICE) {
+      throw new Error(
+        `Bundle price must be between ${MIN_PRICE} and ${MAX_PRICE} ETH`
+      );
+    }
+  }
+
+  pickBundleFields(data) {
+    const fields = Object.fromEntries(
+      BUNDLE_FIELDS.filter((field) => data[field] !== undefined).map(
+        (field) => [field, data[field]]
+      )
+    );
+    if (fields.price !== undefined) {
+      fields.price = fields.price.toString();
+    }
+    return fields;
+  }
+}
+
+export default BundleService;
+
+console.log("✅ BundleService loaded");
@@ -0,0 +1,709 @@
+import { ethers } from "ethers";
+import Purchase from "../models/Purchase.js";
+import Track from "../models/Track.js";
+import Withdrawal from "../models/Withdrawal.js";
+import IndexerCheckpoint from "../models/IndexerCheckpoint.js";
+import EarningsDiscrepancy from "../models/EarningsDiscrepancy.js";
+
+const DEFAULT_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Purchases that still pay the artist; reorged and failed ones never did
+const LIVE_PURCHASE_STATUSES = ["pending", "confirmed", "transferred"];
+
+// Events whose processing creates the purchase record of a credit
+const SALE_EVENTS = new Set([
+  "TrackPurchased",
+  "VoucherTrackPurchased",
+  "PurchaseResold",
+]);
+
+const saleKey = (txHash, trackId) =>
+  `${txHash.toLowerCase()}:${trackId.toString()}`;
+
+// ETH amounts are stored as decimal strings, some summed as floats
+const toWei = (value) => {
+  if (value === null || value === undefined || value === "") {
+    return 0n;
+  }
+  try {
+    return ethers.parseEther(String(value));
+  } catch (error) {
+    const number = Number(value);
+    return Number.isFinite(number) ? ethers.parseEther(number.toFixed(18)) : 0n;
+  }
+};
+
+const format = (wei) => ethers.formatEther(wei);
+
+// On-chain artist of a track, else the wallet it was uploaded with
+const getTrackOwner = (track) =>
+  (
+    track.blockchain?.artist ||
+    track.blockchain?.artistAddress ||
+    track.artistAddress ||
+    ""
+  ).toLowerCase();
+
+/**
+ * Earnings Reconciliation Service
+ * Periodically compares each payee's ETH earnings in Mongo (their share of
+ * Purchase.artistPayment, Track.totalEarnings and Track.royalties, indexed
+ * withdrawals) with MusicStore: getArtistInfo and the EarningsCredited logs.
+ * Both sides are read at the block the indexer has processed up to, so events
+ * not indexed yet do not show up as drift. Diverging payees are written to
+ * EarningsDiscrepancy, and an admin can rewrite their records from the chain.
+ * One instance per indexed network.
+ */
+class EarningsReconciliationService {
+  /**
+   * @param {BlockchainService} blockchainService - Service of the network to
+   * reconcile, whose contract is read and whose event handlers replay sales
+   * @param {Object} options - { intervalMs }, 0 disables the schedule
+   */
+  constructor(blockchainService, options = {}) {
+    this.blockchainService = blockchainService;
+    const configured = parseInt(
+      process.env.EARNINGS_RECONCILIATION_INTERVAL_MS
+    );
+    this.intervalMs =
+      options.intervalMs ??
+      (isNaN(configured) ? DEFAULT_INTERVAL_MS : configured);
+
+    this.running = false;
+    this.reconciling = false;
+    this.timer = null;
+    this.lastRun = null;
+  }
+
+  // The first run waits one interval, so it does not compete with a backfill
+  start() {
+    if (this.running || this.intervalMs <= 0) {
+      return;
+    }
+
+    this.running = true;
+    console.log(
+      `🧾 Earnings reconciliation scheduled every ${Math.round(
+        this.intervalMs / 60000
+      )} minutes`
+    );
+    this.timer = setTimeout(() => this.run(), this.intervalMs);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async run() {
+    if (this.reconciling || !this.running) {
+      return;
+    }
+
+    try {
+      await this.reconcile();
+    } catch (error) {
+      console.error("❌ Earnings reconciliation failed:", error.message);
+    } finally {
+      if (this.running) {
+        this.timer = setTimeout(() => this.run(), this.intervalMs);
+      }
+    }
+  }
+
+  /**
+   * Check every payee of the network and update the discrepancy report
+   * @returns {Promise<Object>} { at, chainId, blockNumber, checked, diverged, resolved, failed }
+   */
+  async reconcile() {
+    if (this.reconciling) {
+      throw new Error("Earnings reconciliation already running");
+    }
+    this.reconciling = true;
+
+    try {
+      const state = await this.loadState();
+      const result = {
+        at: new Date(),
+        chainId: state.chainId,
+        blockNumber: state.blockNumber,
+        checked: 0,
+        diverged: 0,
+        resolved: 0,
+        failed: [],
+      };
+
+      // One payee at a time: each check is an RPC call
+      for (const address of state.payees) {
+        try {
+          const report = await this.checkPayee(address, state);
+          const discrepancy = await this.saveReport(report, state.chainId);
+
+          result.checked++;
+          if (!report.reconciled) {
+            result.diverged++;
+          } else if (discrepancy) {
+            result.resolved++;
+          }
+        } catch (error) {
+          result.failed.push({ address, error: error.message });
+        }
+      }
+
+      console.log(
+        `🧾 Earnings reconciliation on chain ${state.chainId} at block ${state.blockNumber}: ${result.checked} payees, ${result.diverged} diverged, ${result.resolved} resolved, ${result.failed.length} failed`
+      );
+      this.lastRun = result;
+      return result;
+    } catch (error) {
+      console.error("EarningsReconciliationService.reconcile error:", error);
+      throw error;
+    } finally {
+      this.reconciling = false;
+    }
+  }
+
+  /**
+   * Rewrite a payee's earnings records from the chain: replay the sale events
+   * of credits without a purchase, set Purchase.artistPayment to the amount
+   * credited, and rebuild Track.totalEarnings and Track.royalties of the
+   * payee's tracks from EarningsCredited. Purchases the chain never credited
+   * are left for review.
+   * @param {string} discrepancyId - EarningsDiscrepancy to repair
+   * @param {Object} admin - { adminId } recorded with the repair
+   * @returns {Promise<Object>} { discrepancy, repair }
+   */
+  async repairFromChain(discrepancyId, admin = {}) {
+    try {
+      const discrepancy = await EarningsDiscrepancy.findById(discrepancyId);
+      if (!discrepancy) {
+        throw new Error("Discrepancy not found");
+      }
+      if (discrepancy.status !== "open") {
+        throw new Error(`Discrepancy is already ${discrepancy.status}`);
+      }
+
+      // Repaired with the service of the network the records belong to
+      const service = await this.blockchainService.getServiceForChain(
+        discrepancy.chainId
+      );
+      const reconciler =
+        service === this.blockchainService
+          ? this
+          : new EarningsReconciliationService(service, { intervalMs: 0 });
+
+      return await reconciler.repairPayee(discrepancy, admin);
+    } catch (error) {
+      console.error(
+        "EarningsReconciliationService.repairFromChain error:",
+        error
+      );
+      throw error;
+    }
+  }
+
+  async repairPayee(discrepancy, admin) {
+    const address = discrepancy.address;
+    let state = await this.loadState();
+
+    // Credits without a purchase: process their sale events again
+    const missing = this.getPayeeRecords(address, state).missingPurchases;
+    const eventsReplayed = await this.replaySales(missing);
+    if (eventsReplayed > 0) {
+      state = await this.loadState();
+    }
+
+    // Purchases credited with another amount than recorded
+    let purchasesUpdated = 0;
+    const keys = new Set(
+      (state.creditsByPayee.get(address) || []).map((credit) => credit.key)
+    );
+    for (const key of keys) {
+      const sale = state.creditsByKey.get(key);
+      const purchase = state.purchasesByKey.get(key);
+      if (!purchase || toWei(purchase.artistPayment) === sale.total) {
+        continue;
+      }
+
+      const amount = format(sale.total);
+      await Purchase.updateOne(
+        { _id: purchase._id },
+        {
+          $set:
+            purchase.source === "resale"
+              ? { artistPayment: amount, royaltyAmount: amount }
+              : { artistPayment: amount },
+        }
+      );
+      purchasesUpdated++;
+    }
+
+    // Track totals of the payee's tracks, from every payee's credits
+    let tracksUpdated = 0;
+    for (const track of state.tracksByOwner.get(address) || []) {
+      const credited = state.trackCredits.get(track.blockchain.contractId);
+      const total = credited?.total || 0n;
+      const royalties = credited?.royalties || [];
+
+      if (
+        toWei(track.totalEarnings) === total &&
+        this.sumRoyalties(track) ===
+          royalties.reduce((sum, credit) => sum + credit.amount, 0n)
+      ) {
+        continue;
+      }
+
+      await Track.updateOne(
+        { _id: track._id },
+        {
+          $set: {
+            totalEarnings: format(total),
+            royalties: royalties.map((credit) => ({
+              artist: credit.payee,
+              amount: format(credit.amount),
+              txHash: credit.txHash,
+              blockNumber: credit.blockNumber,
+              timestamp: new Date(credit.timestamp * 1000),
+            })),
+          },
+        }
+      );
+      tracksUpdated++;
+    }
+
+    const report = await this.checkPayee(address, await this.loadState());
+    const repair = {
+      at: new Date(),
+      adminId: admin.adminId || null,
+      purchasesUpdated,
+      tracksUpdated,
+      eventsReplayed,
+      reconciled: report.reconciled,
+    };
+
+    this.applyReport(discrepancy, report);
+    discrepancy.status = report.reconciled ? "repaired" : "open";
+    discrepancy.repairs.push(repair);
+    await discrepancy.save();
+
+    console.log(
+      `🔧 Earnings of ${address} repaired from chain ${discrepancy.chainId}: ${purchasesUpdated} purchases, ${tracksUpdated} tracks, ${eventsReplayed} events replayed${
+        report.reconciled ? "" : " (still diverges)"
+      }`
+    );
+    return { discrepancy, repair };
+  }
+
+  // Process the sale events of credited purchases Mongo has no record of
+  async replaySales(missingPurchases) {
+    const contract = this.blockchainService.getContract();
+    const blocks = new Map();
+    for (const missing of missingPurchases) {
+      if (!blocks.has(missing.blockNumber)) {
+        blocks.set(missing.blockNumber, new Set());
+      }
+      blocks.get(missing.blockNumber).add(missing.txHash.toLowerCase());
+    }
+
+    let replayed = 0;
+    for (const [blockNumber, txHashes] of blocks) {
+      const logs = await contract.queryFilter("*", blockNumber, blockNumber);
+      for (const log of logs) {
+        if (
+          SALE_EVENTS.has(log.eventName) &&
+          txHashes.has(log.transactionHash.toLowerCase())
+        ) {
+          if (await this.blockchainService.handleContractEvent(log)) {
+            replayed++;
+          }
+        }
+      }
+    }
+    return replayed;
+  }
+
+  /**
+   * Credits, purchases, tracks and withdrawals of the network, all as of the
+   * last block the indexer processed
+   */
+  async loadState() {
+    const contract = this.blockchainService.getContract();
+    if (!contract) {
+      throw new Error("Contract not available");
+    }
+
+    const chainId = await this.blockchainService.getChainId();
+    const address = await contract.getAddress();
+    const [checkpoint, head] = await Promise.all([
+      IndexerCheckpoint.findOne({
+        name: "MusicStore",
+        chainId,
+        contractAddress: address.toLowerCase(),
+      }),
+      contract.runner.provider.getBlockNumber(),
+    ]);
+    const blockNumber = checkpoint
+      ? Math.min(checkpoint.lastProcessedBlock, head)
+      : head;
+    const fromBlock = await this.blockchainService.getLogStartBlock(checkpoint);
+
+    const [creditLogs, resaleLogs, purchases, tracks, withdrawals] =
+      await Promise.all([
+        this.blockchainService.queryLogs(
+          contract.filters.EarningsCredited(),
+          fromBlock,
+          blockNumber
+        ),
+        this.blockchainService.queryLogs(
+          contract.filters.PurchaseResold(),
+          fromBlock,
+          blockNumber
+        ),
+        Purchase.find(
+          {
+            chainId,
+            currency: { $in: ["ETH", null] },
+            status: { $in: LIVE_PURCHASE_STATUSES },
+            $or: [
+              { blockNumber: { $lte: blockNumber } },
+              { blockNumber: null },
+            ],
+          },
+          "txHash contractTrackId artistAddress artistPayment source"
+        ).lean(),
+        Track.find(
+          {
+            "blockchain.chainId": chainId,
+            "blockchain.contractId": { $nin: [null, ""] },
+          },
+          "title artistAddress blockchain.contractId blockchain.artist blockchain.artistAddress splits totalEarnings royalties"
+        ).lean(),
+        Withdrawal.find(
+          {
+            chainId,
+            kind: "earnings",
+            currency: "ETH",
+            blockNumber: { $lte: blockNumber },
+          },
+          "payee amountRaw"
+        ).lean(),
+      ]);
+
+    const state = {
+      chainId,
+      blockNumber,
+      creditsByKey: new Map(),
+      creditsByPayee: new Map(),
+      trackCredits: new Map(),
+      purchasesByKey: new Map(),
+      sharesByPayee: new Map(),
+      tracksById: new Map(),
+      tracksByOwner: new Map(),
+      withdrawnByPayee: new Map(),
+    };
+    const push = (map, key, value) => {
+      if (!map.has(key)) {
+        map.set(key, []);
+      }
+      map.get(key).push(value);
+    };
+
+    // Resale credits are the artist's royalty
+    const resales = new Set(
+      resaleLogs.map((log) => saleKey(log.transactionHash, log.args.trackId))
+    );
+
+    for (const log of creditLogs) {
+      if (log.args.token !== ethers.ZeroAddress) {
+        continue; // artists[].totalEarnings only counts ETH
+      }
+
+      const credit = {
+        key: saleKey(log.transactionHash, log.args.trackId),
+        trackId: log.args.trackId.toString(),
+        payee: log.args.payee.toLowerCase(),
+        amount: log.args.amount,
+        txHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        timestamp: Number(log.args.timestamp),
+      };
+
+      const sale = state.creditsByKey.get(credit.key) || {
+        total: 0n,
+        credits: [],
+      };
+      sale.total += credit.amount;
+      sale.credits.push(credit);
+      state.creditsByKey.set(credit.key, sale);
+      push(state.creditsByPayee, credit.payee, credit);
+
+      const track = state.trackCredits.get(credit.trackId) || {
+        total: 0n,
+        royalties: [],
+      };
+      track.total += credit.amount;
+      if (resales.has(credit.key)) {
+        track.royalties.push(credit);
+      }
+      state.trackCredits.set(credit.trackId, track);
+    }
+
+    for (const track of tracks) {
+      state.tracksById.set(track.blockchain.contractId, track);
+      const owner = getTrackOwner(track);
+      if (owner) {
+        push(state.tracksByOwner, owner, track);
+      }
+    }
+
+    // Each purchase's artist payment, split between payees like the chain did
+    for (const purchase of purchases) {
+      const key = saleKey(purchase.txHash, purchase.contractTrackId);
+      state.purchasesByKey.set(key, purchase);
+
+      const amount = toWei(purchase.artistPayment);
+      const sale = state.creditsByKey.get(key);
+      const shares = sale?.total
+        ? sale.credits.map((credit) => ({
+            payee: credit.payee,
+            amount: (amount * credit.amount) / sale.total,
+          }))
+        : this.splitPayment(
+            state.tracksById.get(purchase.contractTrackId),
+            purchase,
+            amount
+          );
+
+      for (const share of shares) {
+        push(state.sharesByPayee, share.payee, {
+          purchase,
+          key,
+          amount: share.amount,
+          credited: !!sale,
+        });
+      }
+    }
+
+    for (const withdrawal of withdrawals) {
+      const payee = withdrawal.payee.toLowerCase();
+      state.withdrawnByPayee.set(
+        payee,
+        (state.withdrawnByPayee.get(payee) || 0n) + BigInt(withdrawal.amountRaw)
+      );
+    }
+
+    state.payees = [
+      ...new Set([
+        ...state.creditsByPayee.keys(),
+        ...state.sharesByPayee.keys(),
+        ...state.tracksByOwner.keys(),
+      ]),
+    ].filter((payee) => ethers.isAddress(payee));
+
+    return state;
+  }
+
+  // Payees of an uncredited purchase by the track's current splits, with
+  // MusicStore's rounding (the last payee gets the remainder)
+  splitPayment(track, purchase, amount) {
+    const splits = track?.splits || [];
+    if (splits.length === 0) {
+      const payee = (
+        purchase.artistAddress || (track ? getTrackOwner(track) : "")
+      ).toLowerCase();
+      return payee ? [{ payee, amount }] : [];
+    }
+
+    let remaining = amount;
+    return splits.map((split, index) => {
+      const share =
+        index === splits.length - 1
+          ? remaining
+          : (amount * BigInt(split.shares)) / 10000n;
+      remaining -= share;
+      return { payee: split.address.toLowerCase(), amount: share };
+    });
+  }
+
+  sumRoyalties(track) {
+    return (track.royalties || []).reduce(
+      (sum, royalty) => sum + toWei(royalty.amount),
+      0n
+    );
+  }
+
+  // Sales the payee was credited for without a purchase, and the reverse
+  getPayeeRecords(address, state) {
+    const missingPurchases = (state.creditsByPayee.get(address) || [])
+      .filter((credit) => !state.purchasesByKey.has(credit.key))
+      .map((credit) => ({
+        txHash: credit.txHash,
+        trackId: credit.trackId,
+        blockNumber: credit.blockNumber,
+        amount: format(credit.amount),
+      }));
+
+    const unbackedPurchases = (state.sharesByPayee.get(address) || [])
+      .filter((share) => !share.credited && share.amount > 0n)
+      .map((share) => ({
+        purchase: share.purchase._id,
+        txHash: share.purchase.txHash,
+        trackId: share.purchase.contractTrackId,
+        artistPayment: share.purchase.artistPayment,
+      }));
+
+    return { missingPurchases, unbackedPurchases };
+  }
+
+  /**
+   * Compare one payee's Mongo records with the chain
+   * @returns {Promise<Object>} { address, chain, mongo, differences, missingPurchases, unbackedPurchases, reconciled }
+   */
+  async checkPayee(address, state) {
+    const info = await this.blockchainService
+      .getContract()
+      .getArtistInfo(address, { blockTag: state.blockNumber });
+
+    const credited = (state.creditsByPayee.get(address) || []).reduce(
+      (sum, credit) => sum + credit.amount,
+      0n
+    );
+    const purchaseEarnings = (state.sharesByPayee.get(address) || []).reduce(
+      (sum, share) => sum + share.amount,
+      0n
+    );
+    const withdrawn = state.withdrawnByPayee.get(address) || 0n;
+    const expectedBalance = info.totalEarnings - withdrawn;
+
+    const differences = [];
+    const compare = (field, mongo, chain, trackId = undefined) => {
+      if (mongo !== chain) {
+        differences.push({
+          field,
+          trackId,
+          mongo: format(mongo),
+          chain: format(chain),
+          difference: format(chain - mongo),
+        });
+      }
+    };
+
+    compare("totalEarnings", purchaseEarnings, info.totalEarnings);
+    compare("balance", expectedBalance, info.currentBalance);
+
+    for (const track of state.tracksByOwner.get(address) || []) {
+      const trackId = track.blockchain.contractId;
+      const chainTrack = state.trackCredits.get(trackId);
+      compare(
+        "track.totalEarnings",
+        toWei(track.totalEarnings),
+        chainTrack?.total || 0n,
+        trackId
+      );
+      compare(
+        "track.royalties",
+        this.sumRoyalties(track),
+        (chainTrack?.royalties || []).reduce(
+          (sum, credit) => sum + credit.amount,
+          0n
+        ),
+        trackId
+      );
+    }
+
+    const { missingPurchases, unbackedPurchases } = this.getPayeeRecords(
+      address,
+      state
+    );
+
+    return {
+      address,
+      chain: {
+        totalEarnings: format(info.totalEarnings),
+        balance: format(info.currentBalance),
+        credited: format(credited),
+      },
+      mongo: {
+        purchaseEarnings: format(purchaseEarnings),
+        withdrawn: format(withdrawn),
+        expectedBalance: format(expectedBalance),
+      },
+      differences,
+      missingPurchases,
+      unbackedPurchases,
+      reconciled:
+        differences.length === 0 &&
+        missingPurchases.length === 0 &&
+        unbackedPurchases.length === 0,
+    };
+  }
+
+  applyReport(discrepancy, report) {
+    discrepancy.set({
+      chain: report.chain,
+      mongo: report.mongo,
+      differences: report.differences,
+      missingPurchases: report.missingPurchases,
+      unbackedPurchases: report.unbackedPurchases,
+      lastCheckedAt: new Date(),
+    });
+  }
+
+  // Open or refresh the payee's discrepancy; a reconciled payee resolves an
+  // open one, which is returned
+  async saveReport(report, chainId) {
+    const existing = await EarningsDiscrepancy.findOne({
+      chainId,
+      address: report.address,
+    });
+
+    if (report.reconciled) {
+      if (!existing || existing.status !== "open") {
+        return null;
+      }
+      this.applyReport(existing, report);
+      existing.status = "resolved";
+      existing.resolvedAt = new Date();
+      return await existing.save();
+    }
+
+    const detected = !existing || existing.status !== "open";
+    const discrepancy =
+      existing || new EarningsDiscrepancy({ chainId, address: report.address });
+    if (detected) {
+      discrepancy.status = "open";
+      discrepancy.firstDetectedAt = new Date();
+      discrepancy.resolvedAt = undefined;
+    }
+    this.applyReport(discrepancy, report);
+
+    if (detected) {
+      console.warn(
+        `⚠️ Earnings of ${report.address} diverge from chain ${chainId}:`,
+        report.differences.map(
+          (difference) =>
+            `${difference.field}${
+              difference.trackId ? ` #${difference.trackId}` : ""
+            } ${difference.difference} ETH`
+        )
+      );
+    }
+    return await discrepancy.save();
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      reconciling: this.reconciling,
+      intervalMs: this.intervalMs,
+      lastRun: this.lastRun,
+    };
+  }
+}
+
+export default EarningsReconciliationService;
+
+console.log("✅ EarningsReconciliationService loaded");
@@ -0,0 +1,314 @@
+import { getDeployment } from "../config/deployments.js";
+import IndexerCheckpoint from "../models/IndexerCheckpoint.js";
+import ProcessedEvent from "../models/ProcessedEvent.js";
+
+/**
+ * Event Indexer
+ * Polls contract logs with queryFilter in bounded block ranges and hands each
+ * event to a handler, persisting progress in IndexerCheckpoint. On startup it
+ * resumes from the checkpoint, or backfills from the contract's deployment
+ * block in the deployment registry, so events emitted while the server was
+ * down are not lost.
+ */
+class EventIndexer {
+  /**
+   * @param {Function} handleEvent - async (eventLog) => boolean, false when the
+   * handler stored the event for retry instead of processing it
+   * @param {Object} options - { pollIntervalMs, blockRange, startBlock }
+   */
+  constructor(handleEvent, options = {}) {
+    this.handleEvent = handleEvent;
+    this.pollIntervalMs =
+      options.pollIntervalMs ||
+      parseInt(process.env.INDEXER_POLL_INTERVAL_MS) ||
+      15000;
+    this.blockRange =
+      options.blockRange || parseInt(process.env.INDEXER_BLOCK_RANGE) || 2000;
+    this.startBlock =
+      options.startBlock ??
+      (process.env.INDEXER_START_BLOCK
+        ? parseInt(process.env.INDEXER_START_BLOCK)
+        : null);
+
+    this.sources = [];
+    this.running = false;
+    this.polling = false;
+    this.timer = null;
+  }
+
+  /**
+   * Start indexing; the first poll (and any backfill) runs in the background
+   * @param {Array} contracts - [{ name, contract }] ethers contracts to index
+   */
+  async start(contracts) {
+    if (this.running) {
+      return;
+    }
+
+    this.sources = [];
+    for (const { name, contract } of contracts) {
+      this.sources.push(await this.loadSource(name, contract));
+    }
+
+    this.running = true;
+    console.log(
+      `📚 Event indexer started: ${this.sources
+        .map((source) => `${source.name} from block ${source.nextBlock}`)
+        .join(", ")}`
+    );
+
+    this.poll();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Process blocks again from blockNumber on, after a reorg replaced them
+   * @param {number} blockNumber - First block to re-read
+   */
+  async rewind(blockNumber) {
+    for (const source of this.sources) {
+      if (source.nextBlock > blockNumber) {
+        source.nextBlock = blockNumber;
+        source.rewound = true;
+      }
+    }
+
+    await IndexerCheckpoint.updateMany(
+      {
+        key: { $in: this.sources.map((source) => source.key) },
+        lastProcessedBlock: { $gte: blockNumber },
+      },
+      { $set: { lastProcessedBlock: blockNumber - 1 } }
+    );
+    console.log(`⏪ Event indexer rewound to block ${blockNumber}`);
+  }
+
+  // Checkpoint of a contract, created at its start block on first run
+  async loadSource(name, contract) {
+    const provider = contract.runner.provider || contract.runner;
+    const [network, address] = await Promise.all([
+      provider.getNetwork(),
+      contract.getAddress(),
+    ]);
+    const chainId = network.chainId.toString();
+    const key = `${name}:${chainId}:${address.toLowerCase()}`;
+
+    let checkpoint = await IndexerCheckpoint.findOne({ key });
+    if (!checkpoint) {
+      const startBlock = await this.getStartBlock(
+        name,
+        chainId,
+        address,
+        provider
+      );
+      checkpoint = await IndexerCheckpoint.create({
+        key,
+        name,
+        chainId,
+        contractAddress: address,
+        startBlock,
+        lastProcessedBlock: startBlock - 1,
+      });
+      console.log(`📚 New ${name} checkpoint, backfilling from ${startBlock}`);
+    }
+
+    return {
+      key,
+      name,
+      chainId,
+      contract,
+      provider,
+      nextBlock: checkpoint.lastProcessedBlock + 1,
+    };
+  }
+
+  // INDEXER_START_BLOCK, else the deployment block, else the current head
+  async getStartBlock(name, chainId, address, provider) {
+    if (this.startBlock !== null && !isNaN(this.startBlock)) {
+      return this.startBlock;
+    }
+
+    const deployment = this.readDeployment(name, chainId, address);
+    if (Number.isInteger(deployment?.blockNumber)) {
+      return deployment.blockNumber;
+    }
+    if (deployment?.transactionHash) {
+      const receipt = await provider.getTransactionReceipt(
+        deployment.transactionHash
+      );
+      if (receipt) {
+        return receipt.blockNumber;
+      }
+    }
+
+    const head = await provider.getBlockNumber();
+    console.warn(
+      `⚠️ No deployment block for ${name} ${address}; indexing from head ${head} (set INDEXER_START_BLOCK to backfill)`
+    );
+    return head;
+  }
+
+  // Deployment of a contract from the registry, if it is the one indexed
+  readDeployment(name, chainId, address) {
+    const deployment = getDeployment(chainId, name);
+    if (deployment?.address?.toLowerCase() !== address.toLowerCase()) {
+      return null;
+    }
+    return deployment;
+  }
+
+  async poll() {
+    if (this.polling || !this.running) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      for (const source of this.sources) {
+        await this.syncSource(source);
+      }
+    } catch (error) {
+      console.error("❌ Event indexer poll failed:", error.message);
+    } finally {
+      this.polling = false;
+      if (this.running) {
+        this.timer = setTimeout(() => this.poll(), this.pollIntervalMs);
+      }
+    }
+  }
+
+  // Process every block from the checkpoint to the head, one range at a time
+  async syncSource(source) {
+    try {
+      source.rewound = false;
+      const head = await source.provider.getBlockNumber();
+
+      while (this.running && source.nextBlock <= head) {
+        const fromBlock = source.nextBlock;
+        const toBlock = Math.min(fromBlock + this.blockRange - 1, head);
+
+        const events = await source.contract.queryFilter(
+          "*",
+          fromBlock,
+          toBlock
+        );
+        events.sort(
+          (a, b) => a.blockNumber - b.blockNumber || a.index - b.index
+        );
+
+        let processed = 0;
+        for (const event of events) {
+          if (await this.processEvent(event, source)) {
+            processed++;
+          }
+        }
+
+        // Rewound mid-range: keep the rewound position, not this range's end
+        if (source.rewound) {
+          source.rewound = false;
+          continue;
+        }
+
+        await IndexerCheckpoint.updateOne(
+          { key: source.key },
+          {
+            $set: {
+              lastProcessedBlock: toBlock,
+              headBlock: head,
+              lastSyncedAt: new Date(),
+            },
+            $inc: { eventsProcessed: processed },
+            $unset: { lastError: "" },
+          }
+        );
+        source.nextBlock = toBlock + 1;
+
+        if (events.length > 0) {
+          console.log(
+            `📚 ${source.name} blocks ${fromBlock}-${toBlock}: ${processed}/${events.length} events processed`
+          );
+        }
+      }
+
+      // Nothing new: still record the head so lag stays accurate
+      await IndexerCheckpoint.updateOne(
+        { key: source.key },
+        {
+          $set: { headBlock: head, lastSyncedAt: new Date() },
+          $unset: { lastError: "" },
+        }
+      );
+    } catch (error) {
+      console.error(`❌ ${source.name} indexing failed:`, error.message);
+      await IndexerCheckpoint.updateOne(
+        { key: source.key },
+        { $set: { lastError: { message: error.message, at: new Date() } } }
+      ).catch(() => {});
+    }
+  }
+
+  // Handle a log once; returns false for logs skipped as already processed
+  async processEvent(event, source) {
+    // Logs the ABI does not describe come back without an eventName
+    if (!event.eventName) {
+      return false;
+    }
+
+    const key = { txHash: event.transactionHash, logIndex: event.index };
+    if (await ProcessedEvent.exists(key)) {
+      return false;
+    }
+
+    const handled = await this.handleEvent(event);
+
+    try {
+      await ProcessedEvent.create({
+        ...key,
+        chainId: source.chainId,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        contractAddress: event.address,
+        eventName: event.eventName,
+        status: handled === false ? "failed" : "processed",
+      });
+    } catch (error) {
+      // Duplicate key: processed concurrently by another poll
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Checkpoints with their lag behind the chain head
+   * @returns {Promise<Array>} One entry per indexed contract
+   */
+  static async getCheckpoints() {
+    const checkpoints = await IndexerCheckpoint.find().sort({ name: 1 });
+
+    return checkpoints.map((checkpoint) => ({
+      name: checkpoint.name,
+      chainId: checkpoint.chainId,
+      contractAddress: checkpoint.contractAddress,
+      startBlock: checkpoint.startBlock,
+      lastProcessedBlock: checkpoint.lastProcessedBlock,
+      headBlock: checkpoint.headBlock,
+      lag: checkpoint.lag,
+      eventsProcessed: checkpoint.eventsProcessed,
+      lastSyncedAt: checkpoint.lastSyncedAt,
+      lastError: checkpoint.lastError?.message ? checkpoint.lastError : null,
+    }));
+  }
+}
+
+export default EventIndexer;
+
+console.log("✅ EventIndexer loaded");
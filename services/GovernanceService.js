@@ -0,0 +1,323 @@
+import { ethers } from "ethers";
+import { getWallet } from "../config/blockchain.js";
+import GovernanceAuditLog from "../models/GovernanceAuditLog.js";
+import BlockchainService from "./BlockchainService.js";
+
+// Owner-only MusicStore functions exposed to admins, with their parameters in
+// call order. Each action calls the contract function of the same name.
+const GOVERNANCE_ACTIONS = {
+  updatePlatformFee: {
+    params: [{ name: "fee", type: "basisPoints" }],
+    description: "Set the platform fee in basis points (at most 1000)",
+  },
+  addOperator: {
+    params: [{ name: "operator", type: "address" }],
+    description: "Authorize an operator for platform operations",
+  },
+  removeOperator: {
+    params: [{ name: "operator", type: "address" }],
+    description: "Revoke an operator",
+  },
+  verifyArtist: {
+    params: [{ name: "artist", type: "address" }],
+    description: "Mark an artist as verified",
+  },
+  pause: {
+    params: [],
+    description: "Pause purchases, listings and withdrawals",
+  },
+  unpause: {
+    params: [],
+    description: "Resume a paused contract",
+  },
+  withdrawPlatformFees: {
+    params: [],
+    description: "Send accumulated ETH platform fees to the owner",
+  },
+  emergencyWithdraw: {
+    params: [{ name: "to", type: "address" }],
+    description:
+      "Send the whole ETH balance, artist earnings included, to an address (paused only)",
+  },
+};
+
+/**
+ * Governance Service
+ * Builds owner-only MusicStore transactions for the platform wallet,
+ * simulates them with eth_call and estimateGas, and sends them unless the
+ * call is a dry run. Every call is recorded in GovernanceAuditLog.
+ */
+class GovernanceService {
+  constructor() {
+    this.blockchainService = new BlockchainService();
+    // GOVERNANCE_DRY_RUN=true never sends, whatever the request asks
+    this.forceDryRun = process.env.GOVERNANCE_DRY_RUN === "true";
+  }
+
+  // Available actions with their parameters
+  getActions() {
+    return Object.entries(GOVERNANCE_ACTIONS).map(([action, definition]) => ({
+      action,
+      params: definition.params,
+      description: definition.description,
+    }));
+  }
+
+  /**
+   * Governance state of the contract and whether the wallet can change it
+   * @returns {Promise<Object>} Owner, fees, pause state and platform wallet
+   */
+  async getState() {
+    try {
+      const contract = this.blockchainService.getContract();
+      if (!contract) {
+        throw new Error("Contract not available");
+      }
+
+      const provider = contract.runner.provider;
+      const contractAddress = await contract.getAddress();
+      const wallet = this.blockchainService.wallet || getWallet();
+
+      const [
+        network,
+        owner,
+        platformFee,
+        maxPlatformFee,
+        paused,
+        totalPlatformFees,
+        balance,
+      ] = await Promise.all([
+        provider.getNetwork(),
+        contract.owner(),
+        contract.platformFee(),
+        contract.MAX_PLATFORM_FEE(),
+        contract.paused(),
+        contract.totalPlatformFees(),
+        provider.getBalance(contractAddress),
+      ]);
+
+      return {
+        contractAddress,
+        chainId: network.chainId.toString(),
+        owner,
+        wallet: wallet?.address || null,
+        walletIsOwner:
+          !!wallet && wallet.address.toLowerCase() === owner.toLowerCase(),
+        platformFee: Number(platformFee),
+        maxPlatformFee: Number(maxPlatformFee),
+        paused,
+        totalPlatformFees: ethers.formatEther(totalPlatformFees),
+        contractBalance: ethers.formatEther(balance),
+        forceDryRun: this.forceDryRun,
+      };
+    } catch (error) {
+      console.error("GovernanceService.getState error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build, simulate and (unless a dry run) send a governance transaction
+   * @param {string} action - Key of GOVERNANCE_ACTIONS
+   * @param {Object} params - Action parameters by name
+   * @param {Object} options - { dryRun, admin: { adminId, tokenId, ip } }
+   * @returns {Promise<Document>} The audit log entry of the call
+   */
+  async execute(action, params = {}, options = {}) {
+    // Sending has to be asked for explicitly
+    const dryRun = this.forceDryRun || options.dryRun !== false;
+
+    const entry = new GovernanceAuditLog({
+      action,
+      params,
+      dryRun,
+      status: "rejected",
+      admin: options.admin,
+    });
+
+    try {
+      const definition = Object.hasOwn(GOVERNANCE_ACTIONS, action)
+        ? GOVERNANCE_ACTIONS[action]
+        : null;
+      if (!definition) {
+        throw new Error(`Unknown governance action: ${action}`);
+      }
+      const args = this.parseParams(definition, params);
+
+      const contract = this.blockchainService.getContract();
+      if (!contract) {
+        throw new Error("Contract not available");
+      }
+      const wallet = this.blockchainService.wallet || getWallet();
+      if (!wallet) {
+        throw new Error("Wallet not available for transactions");
+      }
+
+      entry.transaction = await this.blockchainService.buildContractTransaction(
+        contract,
+        action,
+        args,
+        wallet.address
+      );
+      entry.simulation = await this.simulate(contract, entry.transaction);
+
+      if (!entry.simulation.success) {
+        entry.status = "reverted";
+      } else if (dryRun) {
+        entry.status = "simulated";
+      } else {
+        await this.send(wallet, entry);
+      }
+
+      await entry.save();
+      console.log(
+        `🏛️ Governance ${action} ${entry.status}${entry.txHash ? `: ${entry.txHash}` : ""}`
+      );
+      return entry;
+    } catch (error) {
+      console.error("GovernanceService.execute error:", error);
+      entry.error = error.message;
+      if (entry.status === "submitted" || entry.simulation?.success) {
+        entry.status = "failed";
+      }
+      await entry
+        .save()
+        .catch((saveError) =>
+          console.error("❌ Governance audit log failed:", saveError.message)
+        );
+      throw error;
+    }
+  }
+
+  // Contract arguments from named parameters, in call order
+  parseParams(definition, params) {
+    return definition.params.map(({ name, type }) => {
+      const value = params[name];
+      if (value === undefined || value === null || value === "") {
+        throw new Error(`Invalid ${name}: required`);
+      }
+
+      if (type === "address") {
+        if (typeof value !== "string" || !ethers.isAddress(value)) {
+          throw new Error(`Invalid ${name}: must be an address`);
+        }
+        return ethers.getAddress(value);
+      }
+
+      const basisPoints = Number(value);
+      if (!Number.isInteger(basisPoints) || basisPoints < 0) {
+        throw new Error(
+          `Invalid ${name}: must be a whole number of basis points`
+        );
+      }
+      return basisPoints;
+    });
+  }
+
+  /**
+   * eth_call and estimateGas from the platform wallet
+   * @returns {Promise<Object>} { success, gasEstimate } or { success, revertReason }
+   */
+  async simulate(contract, transaction) {
+    const provider = contract.runner.provider;
+    const request = {
+      from: transaction.from,
+      to: transaction.to,
+      data: transaction.data,
+    };
+
+    try {
+      await provider.call(request);
+      const gasEstimate = await provider.estimateGas(request);
+      return { success: true, gasEstimate: gasEstimate.toString() };
+    } catch (error) {
+      // Anything but a revert (RPC down, rate limited) is not a simulation result
+      if (error.code !== "CALL_EXCEPTION") {
+        throw error;
+      }
+      return {
+        success: false,
+        revertReason: this.decodeRevert(contract, error),
+      };
+    }
+  }
+
+  // require() message, or the contract's custom error (OwnableUnauthorizedAccount, EnforcedPause)
+  decodeRevert(contract, error) {
+    if (error.reason) {
+      return error.reason;
+    }
+
+    if (error.data && error.data !== "0x") {
+      try {
+        const parsed = contract.interface.parseError(error.data);
+        if (parsed) {
+          return parsed.args.length > 0
+            ? `${parsed.name}(${parsed.args.join(", ")})`
+            : parsed.name;
+        }
+      } catch (parseError) {
+        // Not an error of this contract
+      }
+    }
+
+    return error.shortMessage || error.message;
+  }
+
+  // Send with 20% gas headroom over the estimate and wait for the receipt
+  async send(wallet, entry) {
+    const gasEstimate = BigInt(entry.simulation.gasEstimate);
+    const tx = await wallet.sendTransaction({
+      to: entry.transaction.to,
+      data: entry.transaction.data,
+      gasLimit: (gasEstimate * 120n) / 100n,
+    });
+
+    // Recorded before waiting, so a crash leaves the hash behind
+    entry.txHash = tx.hash;
+    entry.status = "submitted";
+    await entry.save();
+
+    let receipt;
+    try {
+      receipt = await tx.wait();
+    } catch (error) {
+      // Reverted on-chain: ethers throws with the receipt attached
+      receipt = error.receipt;
+      if (!receipt) {
+        throw error;
+      }
+    }
+
+    entry.blockNumber = receipt.blockNumber;
+    entry.gasUsed = receipt.gasUsed.toString();
+    entry.status = receipt.status === 1 ? "confirmed" : "failed";
+    if (receipt.status !== 1) {
+      entry.error = "Transaction reverted";
+    }
+  }
+
+  /**
+   * Audit log entries, newest first
+   * @param {Object} filters - { action, status, adminId, limit }
+   */
+  async getAuditLog(filters = {}) {
+    try {
+      const query = {};
+      if (filters.action) query.action = filters.action;
+      if (filters.status) query.status = filters.status;
+      if (filters.adminId) query["admin.adminId"] = filters.adminId;
+
+      return await GovernanceAuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(parseInt(filters.limit) || 100, 1000));
+    } catch (error) {
+      console.error("GovernanceService.getAuditLog error:", error);
+      throw error;
+    }
+  }
+}
+
+export default GovernanceService;
+
+console.log("✅ GovernanceService loaded");
@@ -0,0 +1,171 @@
+import { ethers } from "ethers";
+import Purchase from "../models/Purchase.js";
+import Track from "../models/Track.js";
+import Withdrawal from "../models/Withdrawal.js";
+import BlockchainService from "./BlockchainService.js";
+
+/**
+ * Ledger Service
+ * Per-payee earnings ledger: sales, platform fees, credits (EarningsCredited,
+ * which covers collaborator splits and resale royalties), indexed withdrawals
+ * and the unwithdrawn balance held by MusicStore. Credits minus withdrawals
+ * should equal the on-chain balance; anything else means the withdrawal index
+ * missed (or has not yet seen) an event.
+ */
+class LedgerService {
+  constructor() {
+    this.blockchainService = new BlockchainService();
+  }
+
+  /**
+   * Ledger of an artist or collaborator, per currency
+   * @param {string} payeeAddress - Artist or collaborator wallet
+   * @returns {Promise<Object>} { address, currencies, withdrawals, reconciliation }
+   */
+  async getArtistLedger(payeeAddress) {
+    try {
+      const address = payeeAddress.toLowerCase();
+
+      const [credits, withdrawals, sales] = await Promise.all([
+        this.blockchainService.getEarningsCredits(payeeAddress),
+        Withdrawal.findByPayee(address, "earnings"),
+        Purchase.getRevenueByCurrency({ artistAddress: address }),
+      ]);
+
+      // ETH always, plus every currency the payee was credited or paid in
+      const currencies = new Map([["ETH", null]]);
+      for (const entry of [...credits, ...withdrawals]) {
+        currencies.set(entry.currency, entry.paymentToken || null);
+      }
+
+      const ledger = [];
+      for (const [symbol, paymentToken] of currencies) {
+        const currency = paymentToken
+          ? await this.blockchainService.resolveCurrency(paymentToken)
+          : this.blockchainService.getCurrency("ETH");
+
+        const credited = credits
+          .filter((credit) => credit.currency === symbol)
+          .reduce((sum, credit) => sum + BigInt(credit.amountRaw), 0n);
+        const withdrawn = withdrawals
+          .filter((withdrawal) => withdrawal.currency === symbol)
+          .reduce((sum, withdrawal) => sum + BigInt(withdrawal.amountRaw), 0n);
+        const onChain = await this.blockchainService.getPayeeBalanceRaw(
+          payeeAddress,
+          paymentToken
+        );
+
+        const expected = credited - withdrawn;
+        const format = (value) => ethers.formatUnits(value, currency.decimals);
+
+        ledger.push({
+          currency: symbol,
+          paymentToken,
+          sales: sales.find((entry) => entry.currency === symbol) || {
+            currency: symbol,
+            sales: 0,
+            revenue: "0",
+            platformFees: "0",
+            artistPayments: "0",
+          },
+          credited: format(credited),
+          credits: credits.filter((credit) => credit.currency === symbol)
+            .length,
+          withdrawn: format(withdrawn),
+          withdrawals: withdrawals.filter(
+            (withdrawal) => withdrawal.currency === symbol
+          ).length,
+          expectedBalance: format(expected),
+          onChainBalance: format(onChain),
+          difference: format(onChain - expected),
+          reconciled: onChain === expected,
+        });
+      }
+
+      const discrepancies = ledger.filter((entry) => !entry.reconciled);
+      if (discrepancies.length > 0) {
+        console.warn(
+          `⚠️ Ledger diverges from chain for ${address}:`,
+          discrepancies.map((entry) => `${entry.difference} ${entry.currency}`)
+        );
+      }
+
+      return {
+        address,
+        currencies: ledger,
+        withdrawals,
+        reconciliation: {
+          status: discrepancies.length > 0 ? "diverged" : "reconciled",
+          discrepancies: discrepancies.map((entry) => ({
+            currency: entry.currency,
+            expectedBalance: entry.expectedBalance,
+            onChainBalance: entry.onChainBalance,
+            difference: entry.difference,
+          })),
+          checkedAt: new Date(),
+        },
+      };
+    } catch (error) {
+      console.error("LedgerService.getArtistLedger error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reconcile every known artist and collaborator against the chain
+   * @returns {Promise<Object>} { checked, diverged, failed }
+   */
+  async reconcileAll() {
+    try {
+      const addresses = await this.getPayeeAddresses();
+      const diverged = [];
+      const failed = [];
+
+      // One payee at a time: each check is several RPC calls
+      for (const address of addresses) {
+        try {
+          const { reconciliation } = await this.getArtistLedger(address);
+          if (reconciliation.status === "diverged") {
+            diverged.push({
+              address,
+              discrepancies: reconciliation.discrepancies,
+            });
+          }
+        } catch (error) {
+          failed.push({ address, error: error.message });
+        }
+      }
+
+      console.log(
+        `🧮 Ledger reconciliation: ${addresses.length} payees, ${diverged.length} diverged, ${failed.length} failed`
+      );
+      return { checked: addresses.length, diverged, failed };
+    } catch (error) {
+      console.error("LedgerService.reconcileAll error:", error);
+      throw error;
+    }
+  }
+
+  // Artist and collaborator wallets of listed tracks
+  async getPayeeAddresses() {
+    const [artists, listedArtists, collaborators] = await Promise.all([
+      Track.distinct("artistAddress", { "blockchain.status": "confirmed" }),
+      Track.distinct("blockchain.artistAddress", {
+        "blockchain.status": "confirmed",
+      }),
+      Track.distinct("splits.address", { "blockchain.status": "confirmed" }),
+    ]);
+
+    return [
+      ...new Set(
+        [...artists, ...listedArtists, ...collaborators]
+          .filter((address) => address && ethers.isAddress(address))
+          .map((address) => address.toLowerCase())
+      ),
+    ];
+  }
+}
+
+export default LedgerService;
+
+console.log("✅ LedgerService loaded");
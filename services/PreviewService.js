@@ -0,0 +1,389 @@
+import { spawn } from "child_process";
+import fs from "fs";
+import path from "path";
+
+// MPEG audio lookup tables (kbps), indexed by [version][layer][bitrateIndex]
+const MPEG_BITRATES = {
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+};
+
+const MPEG_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000],
+};
+
+/**
+ * Preview Service
+ * Cuts short, freely streamable preview clips from uploaded audio.
+ * MP3 and PCM WAV are cut natively; other formats need ffmpeg (FFMPEG_PATH).
+ */
+class PreviewService {
+  constructor() {
+    this.startSeconds = parseFloat(process.env.PREVIEW_START_SECONDS) || 0;
+    this.lengthSeconds = parseFloat(process.env.PREVIEW_LENGTH_SECONDS) || 30;
+    this.ffmpegPath = process.env.FFMPEG_PATH || null;
+    // Native cutting holds the whole file in memory; larger files need ffmpeg
+    this.maxNativeSize =
+      parseInt(process.env.PREVIEW_MAX_NATIVE_SIZE) || 100 * 1024 * 1024;
+  }
+
+  /**
+   * Create a preview clip from audio
+   * @param {Buffer|string} source - Original audio, or the path of the file holding it
+   * @param {Object} options - { mimetype, filename, startSeconds, lengthSeconds }
+   * @returns {Promise<Object|null>} Clip { buffer, mimetype, extension, startSeconds, durationSeconds } or null if unsupported
+   */
+  async createPreview(source, options = {}) {
+    const {
+      mimetype = "",
+      filename = "",
+      startSeconds = this.startSeconds,
+      lengthSeconds = this.lengthSeconds,
+    } = options;
+
+    const fromFile = typeof source === "string";
+    const head = fromFile ? await this.readHead(source) : source;
+    const size = fromFile
+      ? (await fs.promises.stat(source)).size
+      : source.length;
+
+    const format = this.detectFormat(head, mimetype, filename);
+    console.log(
+      `🎧 Creating ${lengthSeconds}s preview (${format || "unknown format"})`
+    );
+
+    if ((format === "mp3" || format === "wav") && size <= this.maxNativeSize) {
+      const buffer = fromFile ? await fs.promises.readFile(source) : source;
+
+      if (format === "mp3") {
+        return this.sliceMp3(buffer, startSeconds, lengthSeconds);
+      }
+
+      const clip = this.sliceWav(buffer, startSeconds, lengthSeconds);
+      if (clip) {
+        return clip;
+      }
+    }
+
+    if (this.ffmpegPath) {
+      return await this.sliceWithFfmpeg(source, startSeconds, lengthSeconds);
+    }
+
+    if (size > this.maxNativeSize) {
+      throw new Error(
+        `Files over ${this.maxNativeSize} bytes need FFMPEG_PATH for previews`
+      );
+    }
+
+    return null;
+  }
+
+  // First bytes of a file, enough for detectFormat
+  async readHead(filePath) {
+    const handle = await fs.promises.open(filePath, "r");
+    try {
+      const { buffer, bytesRead } = await handle.read({
+        buffer: Buffer.alloc(12),
+        position: 0,
+      });
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Identify the container from magic bytes, falling back to the file name
+  detectFormat(buffer, mimetype, filename) {
+    if (buffer.length >= 12) {
+      if (
+        buffer.toString("ascii", 0, 4) === "RIFF" &&
+        buffer.toString("ascii", 8, 12) === "WAVE"
+      ) {
+        return "wav";
+      }
+      if (buffer.toString("ascii", 0, 3) === "ID3") {
+        return "mp3";
+      }
+      if (buffer[0] === 0xff && (buffer[1] & 0xe6) === 0xe2) {
+        return "mp3";
+      }
+    }
+
+    const ext = path.extname(filename).toLowerCase();
+    if (
+      ext === ".mp3" ||
+      mimetype === "audio/mpeg" ||
+      mimetype === "audio/mp3"
+    ) {
+      return "mp3";
+    }
+    return ext ? ext.slice(1) : null;
+  }
+
+  // Parse an MPEG audio frame header at offset, or return null
+  parseMp3FrameHeader(buffer, offset) {
+    if (offset + 4 > buffer.length) {
+      return null;
+    }
+
+    const b1 = buffer[offset + 1];
+    const b2 = buffer[offset + 2];
+    if (buffer[offset] !== 0xff || (b1 & 0xe0) !== 0xe0) {
+      return null;
+    }
+
+    const versionBits = (b1 >> 3) & 0x03;
+    const layerBits = (b1 >> 1) & 0x03;
+    const bitrateIndex = (b2 >> 4) & 0x0f;
+    const sampleRateIndex = (b2 >> 2) & 0x03;
+    const padding = (b2 >> 1) & 0x01;
+
+    if (
+      versionBits === 1 ||
+      layerBits === 0 ||
+      bitrateIndex === 0 ||
+      bitrateIndex === 15 ||
+      sampleRateIndex === 3
+    ) {
+      return null;
+    }
+
+    const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+    const layer = 4 - layerBits;
+    const bitrate =
+      MPEG_BITRATES[version === 1 ? 1 : 2][layer][bitrateIndex] * 1000;
+    const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+
+    let samples;
+    let length;
+    if (layer === 1) {
+      samples = 384;
+      length = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+    } else {
+      samples = layer === 3 && version !== 1 ? 576 : 1152;
+      length = Math.floor(((samples / 8) * bitrate) / sampleRate) + padding;
+    }
+
+    return { length, duration: samples / sampleRate, sampleRate };
+  }
+
+  // Cut whole MP3 frames covering the requested window
+  sliceMp3(buffer, startSeconds, lengthSeconds) {
+    let offset = 0;
+
+    // Skip ID3v2 tag (syncsafe size)
+    if (buffer.toString("ascii", 0, 3) === "ID3" && buffer.length >= 10) {
+      const tagSize =
+        (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+      const hasFooter = (buffer[5] & 0x10) !== 0;
+      offset = 10 + tagSize + (hasFooter ? 10 : 0);
+    }
+
+    const frames = [];
+    let totalDuration = 0;
+
+    while (offset < buffer.length) {
+      const header = this.parseMp3FrameHeader(buffer, offset);
+      if (!header || offset + header.length > buffer.length) {
+        // Resynchronise on the next possible frame header
+        offset++;
+        continue;
+      }
+
+      frames.push({ offset, length: header.length, time: totalDuration });
+      totalDuration += header.duration;
+      offset += header.length;
+    }
+
+    if (frames.length === 0) {
+      throw new Error("No MPEG audio frames found");
+    }
+
+    // Drop a leading Xing/Info/VBRI header frame; its frame count would be wrong
+    const firstFrameStart = buffer.toString(
+      "latin1",
+      frames[0].offset,
+      frames[0].offset + Math.min(frames[0].length, 48)
+    );
+    if (/Xing|Info|VBRI/.test(firstFrameStart)) {
+      const headerDuration = frames[1] ? frames[1].time : totalDuration;
+      frames.shift();
+      frames.forEach((frame) => {
+        frame.time -= headerDuration;
+      });
+      totalDuration -= headerDuration;
+    }
+
+    const start = this.clampStart(startSeconds, lengthSeconds, totalDuration);
+    const selected = frames.filter(
+      (frame) => frame.time >= start && frame.time < start + lengthSeconds
+    );
+
+    if (selected.length === 0) {
+      throw new Error("Preview window contains no audio frames");
+    }
+
+    const clip = Buffer.concat(
+      selected.map((frame) =>
+        buffer.subarray(frame.offset, frame.offset + frame.length)
+      )
+    );
+
+    const last = selected[selected.length - 1];
+    const next = frames[frames.indexOf(last) + 1];
+    const end = next ? next.time : totalDuration;
+
+    return {
+      buffer: clip,
+      mimetype: "audio/mpeg",
+      extension: ".mp3",
+      startSeconds: selected[0].time,
+      durationSeconds: end - selected[0].time,
+    };
+  }
+
+  // Cut a PCM window out of a RIFF/WAVE file
+  sliceWav(buffer, startSeconds, lengthSeconds) {
+    let offset = 12;
+    let fmtChunk = null;
+    let dataOffset = null;
+    let dataSize = 0;
+
+    while (offset + 8 <= buffer.length) {
+      const id = buffer.toString("ascii", offset, offset + 4);
+      const size = buffer.readUInt32LE(offset + 4);
+
+      if (id === "fmt ") {
+        fmtChunk = buffer.subarray(offset + 8, offset + 8 + size);
+      } else if (id === "data") {
+        dataOffset = offset + 8;
+        dataSize = Math.min(size, buffer.length - dataOffset);
+        break;
+      }
+
+      // Chunks are word aligned
+      offset += 8 + size + (size % 2);
+    }
+
+    if (!fmtChunk || dataOffset === null) {
+      throw new Error("Malformed WAV file");
+    }
+
+    const audioFormat = fmtChunk.readUInt16LE(0);
+    const byteRate = fmtChunk.readUInt32LE(8);
+    const blockAlign = fmtChunk.readUInt16LE(12);
+
+    // Only uncompressed PCM/float (or extensible) can be cut on block boundaries
+    if (![1, 3, 0xfffe].includes(audioFormat) || !blockAlign || !byteRate) {
+      return null;
+    }
+
+    const totalDuration = dataSize / byteRate;
+    const start = this.clampStart(startSeconds, lengthSeconds, totalDuration);
+
+    const startByte = Math.floor((start * byteRate) / blockAlign) * blockAlign;
+    const lengthBytes = Math.min(
+      Math.floor((lengthSeconds * byteRate) / blockAlign) * blockAlign,
+      dataSize - startByte
+    );
+
+    const data = buffer.subarray(
+      dataOffset + startByte,
+      dataOffset + startByte + lengthBytes
+    );
+
+    const header = Buffer.alloc(12 + 8 + fmtChunk.length + 8);
+    header.write("RIFF", 0, "ascii");
+    header.writeUInt32LE(header.length - 8 + data.length, 4);
+    header.write("WAVE", 8, "ascii");
+    header.write("fmt ", 12, "ascii");
+    header.writeUInt32LE(fmtChunk.length, 16);
+    fmtChunk.copy(header, 20);
+    header.write("data", 20 + fmtChunk.length, "ascii");
+    header.writeUInt32LE(data.length, 24 + fmtChunk.length);
+
+    return {
+      buffer: Buffer.concat([header, data]),
+      mimetype: "audio/wav",
+      extension: ".wav",
+      startSeconds: startByte / byteRate,
+      durationSeconds: data.length / byteRate,
+    };
+  }
+
+  // Transcode the window to MP3 with ffmpeg, reading files from disk itself
+  sliceWithFfmpeg(source, startSeconds, lengthSeconds) {
+    const fromFile = typeof source === "string";
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(this.ffmpegPath, [
+        "-hide_banner",
+        "-loglevel",
+        "error",
+        "-ss",
+        String(startSeconds),
+        "-i",
+        fromFile ? source : "pipe:0",
+        "-t",
+        String(lengthSeconds),
+        "-vn",
+        "-codec:a",
+        "libmp3lame",
+        "-b:a",
+        "128k",
+        "-f",
+        "mp3",
+        "pipe:1",
+      ]);
+
+      const chunks = [];
+      let stderr = "";
+
+      ffmpeg.stdout.on("data", (chunk) => chunks.push(chunk));
+      ffmpeg.stderr.on("data", (chunk) => (stderr += chunk.toString()));
+      ffmpeg.on("error", reject);
+
+      // ffmpeg may stop reading stdin before the whole input is written
+      ffmpeg.stdin.on("error", () => {});
+      ffmpeg.stdin.end(fromFile ? undefined : source);
+
+      ffmpeg.on("close", (code) => {
+        const output = Buffer.concat(chunks);
+        if (code !== 0 || output.length === 0) {
+          return reject(
+            new Error(`ffmpeg preview failed: ${stderr.trim() || code}`)
+          );
+        }
+        resolve({
+          buffer: output,
+          mimetype: "audio/mpeg",
+          extension: ".mp3",
+          startSeconds,
+          durationSeconds: lengthSeconds,
+        });
+      });
+    });
+  }
+
+  // Keep the window inside short tracks
+  clampStart(startSeconds, lengthSeconds, totalDuration) {
+    if (startSeconds + lengthSeconds <= totalDuration) {
+      return startSeconds;
+    }
+    return Math.max(totalDuration - lengthSeconds, 0);
+  }
+}
+
+export default PreviewService;
+
+console.log("✅ PreviewService loaded");
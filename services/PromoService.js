@@ -0,0 +1,302 @@
+import PromoCampaign from "../models/PromoCampaign.js";
+import Coupon from "../models/Coupon.js";
+import Purchase from "../models/Purchase.js";
+import Track from "../models/Track.js";
+import BlockchainService from "./BlockchainService.js";
+import { ethers } from "ethers";
+
+// Minutes a buyer has to redeem an issued coupon
+const COUPON_TTL_MINUTES = parseInt(process.env.COUPON_TTL_MINUTES) || 30;
+
+// Campaign fields admins can set
+const CAMPAIGN_FIELDS = [
+  "name",
+  "code",
+  "description",
+  "discountType",
+  "discountValue",
+  "tracks",
+  "maxRedemptions",
+  "startsAt",
+  "expiresAt",
+  "isActive",
+];
+
+/**
+ * Promo Service
+ * Promo campaigns and the signed coupons MusicStore.purchaseWithCoupon redeems.
+ * Coupons are bound to one buyer and track; redemptions are counted from
+ * CouponRedeemed events.
+ */
+class PromoService {
+  constructor() {
+    this.blockchainService = new BlockchainService();
+  }
+
+  /**
+   * Create a promo campaign
+   * @param {Object} data - Campaign fields
+   * @param {string} createdBy - Admin ID
+   * @returns {Promise<Object>} Created campaign
+   */
+  async createCampaign(data, createdBy = null) {
+    try {
+      const campaign = new PromoCampaign({
+        ...this.pickCampaignFields(data),
+        createdBy,
+      });
+      await campaign.save();
+
+      console.log(`🏷️ Promo campaign created: ${campaign.code}`);
+      return campaign;
+    } catch (error) {
+      console.error("PromoService.createCampaign error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a promo campaign (issued coupons keep their price)
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Updated campaign
+   */
+  async updateCampaign(campaignId, data) {
+    try {
+      const campaign = await PromoCampaign.findById(campaignId);
+      if (!campaign) {
+        throw new Error("Campaign not found");
+      }
+
+      campaign.set(this.pickCampaignFields(data));
+      await campaign.save();
+
+      return campaign;
+    } catch (error) {
+      console.error("PromoService.updateCampaign error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * List campaigns
+   * @param {Object} options - { active }
+   * @returns {Promise<Array>} Campaigns, newest first
+   */
+  async getCampaigns(options = {}) {
+    try {
+      const filter = {};
+      if (options.active !== undefined) {
+        filter.isActive = options.active;
+      }
+
+      return await PromoCampaign.find(filter).sort({ createdAt: -1 });
+    } catch (error) {
+      console.error("PromoService.getCampaigns error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Campaign with its redemptions
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} { campaign, outstandingCoupons, totalDiscount, purchases }
+   */
+  async getCampaign(campaignId) {
+    try {
+      const campaign = await PromoCampaign.findById(campaignId).populate(
+        "tracks",
+        "title artist price"
+      );
+      if (!campaign) {
+        throw new Error("Campaign not found");
+      }
+
+      const [outstandingCoupons, purchases] = await Promise.all([
+        Coupon.countOutstanding(campaign._id),
+        Purchase.find({ "coupon.campaign": campaign._id })
+          .select(
+            "txHash buyerAddress contractTrackId amount coupon purchaseDate trackInfo"
+          )
+          .sort({ purchaseDate: -1 }),
+      ]);
+
+      const totalDiscount = purchases.reduce(
+        (total, purchase) =>
+          total + ethers.parseEther(purchase.coupon.discount || "0"),
+        0n
+      );
+
+      return {
+        campaign,
+        outstandingCoupons,
+        totalDiscount: ethers.formatEther(totalDiscount),
+        purchases,
+      };
+    } catch (error) {
+      console.error("PromoService.getCampaign error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop issuing coupons for a campaign (issued coupons stay valid until they expire)
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} Updated campaign
+   */
+  async deactivateCampaign(campaignId) {
+    return this.updateCampaign(campaignId, { isActive: false });
+  }
+
+  /**
+   * Exchange a promo code for a coupon signed for one buyer and track
+   * @param {string} code - Promo code
+   * @param {string} trackId - Track ID
+   * @param {string} buyerAddress - Buyer wallet
+   * @returns {Promise<Object>} { coupon, signature, pricing, transaction }
+   */
+  async issueCoupon(code, trackId, buyerAddress) {
+    try {
+      const campaign = await PromoCampaign.findByCode(code);
+      if (!campaign || !campaign.isRunning()) {
+        throw new Error("Invalid or expired promo code");
+      }
+
+      const track = await Track.findById(trackId);
+      if (!track || !track.isActive) {
+        throw new Error("Track not found");
+      }
+
+      if (!campaign.appliesTo(track._id)) {
+        throw new Error("Promo code does not apply to this track");
+      }
+
+      if (track.blockchain?.status !== "confirmed") {
+        throw new Error("Track is not listed on-chain");
+      }
+
+      // purchaseTrackWithCoupon only takes ETH
+      if (track.paymentToken) {
+        throw new Error("Promo codes apply to ETH-priced tracks only");
+      }
+
+      // The contract caps coupon prices at the on-chain price
+      const contractTrackId = track.blockchain.contractId;
+      const onChainTrack =
+        await this.blockchainService.getTrack(contractTrackId);
+      const originalPrice = ethers.parseEther(onChainTrack.price);
+
+      const buyer = buyerAddress.toLowerCase();
+      if (buyer === onChainTrack.artist.toLowerCase()) {
+        throw new Error("Artists cannot purchase own tracks");
+      }
+
+      // Asking again returns the buyer's unexpired coupon
+      let coupon = await Coupon.findOne({
+        campaign: campaign._id,
+        buyer,
+        track: track._id,
+        originalPrice: originalPrice.toString(),
+        redeemedAt: null,
+        expiresAt: { $gt: new Date() },
+      });
+
+      if (!coupon) {
+        if (campaign.maxRedemptions) {
+          const outstanding = await Coupon.countOutstanding(campaign._id);
+          if (campaign.redemptions + outstanding >= campaign.maxRedemptions) {
+            throw new Error("Promo code redemption limit reached");
+          }
+        }
+
+        const price = this.getDiscountedPrice(campaign, originalPrice);
+        const { coupon: signed, signature } =
+          await this.blockchainService.signCoupon({
+            trackId: contractTrackId,
+            buyer,
+            price,
+            campaignId: campaign.campaignId,
+            expiresAt: new Date(Date.now() + COUPON_TTL_MINUTES * 60 * 1000),
+          });
+
+        coupon = new Coupon({
+          campaign: campaign._id,
+          code: campaign.code,
+          nonce: signed.nonce,
+          buyer,
+          track: track._id,
+          contractTrackId,
+          originalPrice: originalPrice.toString(),
+          price: signed.price,
+          expiresAt: new Date(Number(signed.expiry) * 1000),
+          signature,
+        });
+        await coupon.save();
+
+        console.log(
+          `🏷️ Coupon ${campaign.code} issued to ${buyer} for track ${contractTrackId}`
+        );
+      }
+
+      const couponStruct = {
+        trackId: contractTrackId,
+        buyer: ethers.getAddress(buyer),
+        price: coupon.price,
+        campaignId: campaign.campaignId,
+        expiry: Math.floor(coupon.expiresAt.getTime() / 1000).toString(),
+        nonce: coupon.nonce,
+      };
+
+      return {
+        coupon: couponStruct,
+        signature: coupon.signature,
+        pricing: {
+          code: campaign.code,
+          originalPrice: ethers.formatEther(coupon.originalPrice),
+          price: ethers.formatEther(coupon.price),
+          discount: ethers.formatEther(
+            BigInt(coupon.originalPrice) - BigInt(coupon.price)
+          ),
+          expiresAt: coupon.expiresAt,
+        },
+        transaction:
+          await this.blockchainService.buildCouponPurchaseTransaction(
+            couponStruct,
+            coupon.signature
+          ),
+      };
+    } catch (error) {
+      console.error("PromoService.issueCoupon error:", error);
+      throw error;
+    }
+  }
+
+  // Discounted price in wei, never below zero
+  getDiscountedPrice(campaign, priceWei) {
+    if (campaign.discountType === "percentage") {
+      const basisPoints = BigInt(Math.round(campaign.discountValue * 100));
+      return priceWei - (priceWei * basisPoints) / 10000n;
+    }
+
+    // Plain decimal notation; toString() would give "1e-7" for tiny values
+    const discount = ethers.parseEther(
+      campaign.discountValue.toLocaleString("en-US", {
+        useGrouping: false,
+        maximumFractionDigits: 18,
+      })
+    );
+    return discount >= priceWei ? 0n : priceWei - discount;
+  }
+
+  pickCampaignFields(data) {
+    return Object.fromEntries(
+      CAMPAIGN_FIELDS.filter((field) => data[field] !== undefined).map(
+        (field) => [field, data[field]]
+      )
+    );
+  }
+}
+
+export default PromoService;
+
+console.log("✅ PromoService loaded");
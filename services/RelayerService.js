@@ -0,0 +1,481 @@
+import { ethers } from "ethers";
+import {
+  getForwarderContract,
+  getRelayerWallet,
+} from "../config/blockchain.js";
+import Track from "../models/Track.js";
+import RelayedTransaction from "../models/RelayedTransaction.js";
+import BlockchainService from "./BlockchainService.js";
+
+// EIP-712 type of ERC2771Forwarder requests
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" },
+  ],
+};
+
+// EIP-712 type of ERC-2612 permits
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const PERMIT_TOKEN_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+];
+
+// MusicStore functions the relayer pays gas for (token payments only: the
+// relayer never sends ETH on a buyer's behalf)
+const RELAYABLE_METHODS = ["purchaseTrackWithToken", "purchaseTrackWithPermit"];
+
+// Gas a signed request may reserve, so one request cannot drain the relayer
+const MAX_REQUEST_GAS = 500000n;
+
+/**
+ * Relayer Service
+ * Gasless purchases of token-priced tracks. The buyer signs an ERC-2771
+ * ForwardRequest (and, without an allowance, an ERC-2612 permit); the relayer
+ * validates it and submits it through MusicForwarder from its own funded
+ * wallet, within a per-wallet daily quota. BlockchainService then follows
+ * the transaction until it is confirmed.
+ */
+class RelayerService {
+  constructor() {
+    this.blockchainService = new BlockchainService();
+    this.dailyQuota = parseInt(process.env.RELAYER_DAILY_QUOTA ?? 5);
+    this.requestTtlSeconds =
+      parseInt(process.env.RELAYER_REQUEST_TTL_SECONDS) || 600;
+    this.minBalance = ethers.parseEther(
+      process.env.RELAYER_MIN_BALANCE || "0.05"
+    );
+  }
+
+  // Forwarder connected to the relayer wallet
+  getForwarder() {
+    const forwarder = getForwarderContract();
+    if (!forwarder || !this.getRelayer()) {
+      throw new Error("Relayer not available");
+    }
+    return forwarder;
+  }
+
+  getRelayer() {
+    return getRelayerWallet();
+  }
+
+  /**
+   * What the buyer signs for a gasless purchase. Without an allowance the
+   * first call returns a permit to sign; calling again with its signature
+   * returns the ForwardRequest for purchaseTrackWithPermit.
+   * @param {string} trackId - Track ID
+   * @param {string} buyerAddress - Buyer wallet
+   * @param {Object} permit - Optional { signature, deadline, value } signed by the buyer
+   * @returns {Promise<Object>} { step: "permit" | "request", track, details, typedData }
+   */
+  async preparePurchase(trackId, buyerAddress, permit = null) {
+    try {
+      const forwarder = this.getForwarder();
+      const { track, details } = await this.getRelayablePurchase(
+        trackId,
+        buyerAddress
+      );
+
+      const contract = this.blockchainService.getContract();
+      const storeAddress = await contract.getAddress();
+      const token = new ethers.Contract(
+        details.paymentToken,
+        PERMIT_TOKEN_ABI,
+        contract.runner
+      );
+      const price = BigInt(details.priceRaw);
+
+      const [balance, allowance] = await Promise.all([
+        token.balanceOf(buyerAddress),
+        token.allowance(buyerAddress, storeAddress),
+      ]);
+      if (balance < price) {
+        throw new Error("Insufficient token balance");
+      }
+
+      const deadline = Math.floor(Date.now() / 1000) + this.requestTtlSeconds;
+      let data;
+
+      if (allowance >= price) {
+        data = contract.interface.encodeFunctionData("purchaseTrackWithToken", [
+          details.trackId,
+        ]);
+      } else if (!permit) {
+        return {
+          step: "permit",
+          track,
+          details,
+          typedData: await this.buildPermit(
+            token,
+            buyerAddress,
+            storeAddress,
+            price,
+            deadline
+          ),
+        };
+      } else {
+        const { v, r, s } = ethers.Signature.from(permit.signature);
+        data = contract.interface.encodeFunctionData(
+          "purchaseTrackWithPermit",
+          [details.trackId, permit.value ?? price, permit.deadline, v, r, s]
+        );
+      }
+
+      // Simulated as the buyer calling directly, which is what the forwarder does
+      const { gasLimit } = await this.blockchainService.withGasEstimate({
+        from: buyerAddress,
+        to: storeAddress,
+        data,
+        value: "0",
+      });
+
+      const [domain, nonce] = await Promise.all([
+        this.getDomain(forwarder),
+        forwarder.nonces(buyerAddress),
+      ]);
+
+      return {
+        step: "request",
+        track,
+        details,
+        typedData: {
+          domain,
+          types: FORWARD_REQUEST_TYPES,
+          primaryType: "ForwardRequest",
+          message: {
+            from: ethers.getAddress(buyerAddress),
+            to: storeAddress,
+            value: "0",
+            gas: gasLimit,
+            nonce: nonce.toString(),
+            deadline,
+            data,
+          },
+        },
+      };
+    } catch (error) {
+      console.error("RelayerService.preparePurchase error:", error);
+      throw error;
+    }
+  }
+
+  // Permit typed data, for tokens exposing their EIP-712 domain (ERC-5267)
+  async buildPermit(token, owner, spender, value, deadline) {
+    let domain;
+    let nonce;
+    try {
+      [domain, nonce] = await Promise.all([
+        this.getDomain(token),
+        token.nonces(owner),
+      ]);
+    } catch (error) {
+      throw new Error(
+        "Payment token does not support permits; approve the store first"
+      );
+    }
+
+    return {
+      domain,
+      types: PERMIT_TYPES,
+      primaryType: "Permit",
+      message: {
+        owner: ethers.getAddress(owner),
+        spender,
+        value: value.toString(),
+        nonce: nonce.toString(),
+        deadline,
+      },
+    };
+  }
+
+  async getDomain(contract) {
+    const domain = await contract.eip712Domain();
+    return {
+      name: domain.name,
+      version: domain.version,
+      chainId: domain.chainId.toString(),
+      verifyingContract: domain.verifyingContract,
+    };
+  }
+
+  // Listed, token-priced track the buyer can purchase
+  async getRelayablePurchase(trackId, buyerAddress) {
+    const track = await Track.findById(trackId);
+    if (!track || !track.isActive) {
+      throw new Error("Track not found");
+    }
+    if (track.blockchain?.status !== "confirmed") {
+      throw new Error("Track is not listed on-chain");
+    }
+    await this.blockchainService.assertListedHere(track);
+
+    const details = await this.blockchainService.calculatePurchaseDetails(
+      track.blockchain.contractId,
+      buyerAddress
+    );
+    if (!details.paymentToken) {
+      throw new Error("Only token-priced tracks can be relayed");
+    }
+    this.blockchainService.assertPurchasable(details);
+
+    return {
+      track: {
+        id: track._id,
+        title: track.title,
+        artist: track.artist,
+        contractTrackId: track.blockchain.contractId,
+      },
+      details,
+    };
+  }
+
+  /**
+   * Validate a signed ForwardRequest and submit it from the relayer wallet
+   * @param {Object} request - { from, to, value, gas, nonce, deadline, data } as signed
+   * @param {string} signature - Buyer's EIP-712 signature of the request
+   * @param {string} walletAddress - Signed-in wallet, which must be the signer
+   * @returns {Promise<Document>} The RelayedTransaction, submitted
+   */
+  async relay(request, signature, walletAddress) {
+    try {
+      const forwarder = this.getForwarder();
+      const relayer = this.getRelayer();
+      const contract = this.blockchainService.getContract();
+
+      if (request.from?.toLowerCase() !== walletAddress.toLowerCase()) {
+        throw new Error("Request signed for another wallet");
+      }
+
+      // Only token purchases on MusicStore, never ETH
+      const storeAddress = await contract.getAddress();
+      let call;
+      try {
+        call = contract.interface.parseTransaction({ data: request.data });
+      } catch (error) {
+        call = null;
+      }
+      if (
+        request.to?.toLowerCase() !== storeAddress.toLowerCase() ||
+        BigInt(request.value ?? 0) !== 0n ||
+        !RELAYABLE_METHODS.includes(call?.name)
+      ) {
+        throw new Error("Only MusicStore token purchases can be relayed");
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      const deadline = Number(request.deadline);
+      if (!(deadline > now)) {
+        throw new Error("Relay request expired");
+      }
+      if (deadline > now + this.requestTtlSeconds + 60) {
+        throw new Error("Relay request deadline is too far out");
+      }
+      if (BigInt(request.gas) > MAX_REQUEST_GAS) {
+        throw new Error("Relay request gas is too high");
+      }
+
+      const nonce = await forwarder.nonces(request.from);
+      if (BigInt(request.nonce) !== nonce) {
+        throw new Error("Invalid relay nonce");
+      }
+
+      // Price and balance: the track must still be purchasable at what the buyer agreed to
+      const [trackId] = call.args;
+      const details = await this.blockchainService.calculatePurchaseDetails(
+        trackId,
+        request.from
+      );
+      if (!details.paymentToken) {
+        throw new Error("Only token-priced tracks can be relayed");
+      }
+      this.blockchainService.assertPurchasable(details);
+
+      const price = BigInt(details.priceRaw);
+      const token = new ethers.Contract(
+        details.paymentToken,
+        PERMIT_TOKEN_ABI,
+        contract.runner
+      );
+      const [balance, allowance] = await Promise.all([
+        token.balanceOf(request.from),
+        token.allowance(request.from, storeAddress),
+      ]);
+      if (balance < price) {
+        throw new Error("Insufficient token balance");
+      }
+      if (call.name === "purchaseTrackWithPermit" && call.args[1] < price) {
+        throw new Error("Permit is below the track price");
+      }
+      if (call.name === "purchaseTrackWithToken" && allowance < price) {
+        throw new Error("Insufficient token allowance");
+      }
+
+      const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      if (
+        (await RelayedTransaction.countForQuota(request.from, since)) >=
+        this.dailyQuota
+      ) {
+        throw new Error("Relay quota exceeded");
+      }
+
+      const relayerBalance = await relayer.provider.getBalance(relayer.address);
+      if (relayerBalance < this.minBalance) {
+        console.warn(
+          `⚠️ Relayer balance low: ${ethers.formatEther(relayerBalance)} ETH`
+        );
+        throw new Error("Relayer balance too low");
+      }
+
+      const requestData = {
+        from: request.from,
+        to: request.to,
+        value: 0n,
+        gas: BigInt(request.gas),
+        deadline,
+        data: request.data,
+        signature,
+      };
+      if (!(await forwarder.verify(requestData))) {
+        throw new Error("Invalid relay signature");
+      }
+
+      // The buyer's call first, for its revert reason, then the forwarded one
+      await this.blockchainService.withGasEstimate({
+        from: request.from,
+        to: storeAddress,
+        data: request.data,
+        value: "0",
+      });
+      const gasEstimate = await forwarder.execute.estimateGas(requestData);
+
+      const track = await Track.findOne(
+        Track.byContractId(trackId, await this.blockchainService.getChainId()),
+        "_id"
+      );
+
+      // Reserved before sending: a concurrent relay of the same request fails here
+      let relayed;
+      try {
+        relayed = await RelayedTransaction.create({
+          from: request.from,
+          track: track?._id,
+          trackId: trackId.toString(),
+          method: call.name,
+          request: {
+            to: request.to,
+            value: "0",
+            gas: request.gas.toString(),
+            nonce: request.nonce.toString(),
+            deadline,
+            data: request.data,
+          },
+          signature,
+          relayer: relayer.address,
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new Error("Relay request already submitted");
+        }
+        throw error;
+      }
+
+      try {
+        const tx = await forwarder.execute(requestData, {
+          gasLimit: (gasEstimate * 120n) / 100n,
+        });
+        relayed.txHash = tx.hash;
+        relayed.status = "submitted";
+        relayed.submittedAt = new Date();
+        await relayed.save();
+      } catch (error) {
+        relayed.status = "failed";
+        relayed.nonceLocked = false;
+        relayed.error = error.shortMessage || error.message;
+        await relayed.save();
+        throw error;
+      }
+
+      console.log(
+        `📨 Relayed ${call.name} for ${request.from}: ${relayed.txHash}`
+      );
+      return relayed;
+    } catch (error) {
+      console.error("RelayerService.relay error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * A wallet's relayed purchases and remaining quota
+   * @param {string} walletAddress - Buyer wallet
+   * @returns {Promise<Object>} { quota, used, remaining, transactions }
+   */
+  async getWalletRelays(walletAddress) {
+    try {
+      const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      const [used, transactions] = await Promise.all([
+        RelayedTransaction.countForQuota(walletAddress, since),
+        RelayedTransaction.find(
+          { from: walletAddress.toLowerCase() },
+          "-signature"
+        )
+          .sort({ createdAt: -1 })
+          .limit(50),
+      ]);
+
+      return {
+        quota: this.dailyQuota,
+        used,
+        remaining: Math.max(this.dailyQuota - used, 0),
+        transactions,
+      };
+    } catch (error) {
+      console.error("RelayerService.getWalletRelays error:", error);
+      throw error;
+    }
+  }
+
+  // Relayer wallet, forwarder and balance, for monitoring
+  async getStatus() {
+    let forwarder;
+    try {
+      forwarder = this.getForwarder();
+    } catch (error) {
+      return { available: false };
+    }
+    const relayer = this.getRelayer();
+
+    const balance = await relayer.provider.getBalance(relayer.address);
+    return {
+      available: true,
+      forwarder: await forwarder.getAddress(),
+      relayer: relayer.address,
+      balance: ethers.formatEther(balance),
+      minBalance: ethers.formatEther(this.minBalance),
+      lowBalance: balance < this.minBalance,
+      dailyQuota: this.dailyQuota,
+    };
+  }
+}
+
+export default RelayerService;
+
+console.log("✅ RelayerService loaded");
@@ -0,0 +1,409 @@
+import Purchase from "../models/Purchase.js";
+import Track from "../models/Track.js";
+import Coupon from "../models/Coupon.js";
+import PromoCampaign from "../models/PromoCampaign.js";
+import BundlePurchase from "../models/BundlePurchase.js";
+import Withdrawal from "../models/Withdrawal.js";
+import ProcessedEvent from "../models/ProcessedEvent.js";
+import { getConfirmationDepth } from "../config/blockchain.js";
+
+/**
+ * Reorg Service
+ * Confirms pending purchases and track listings once their block is
+ * CONFIRMATION_DEPTH deep, and re-checks the block hashes of recent records
+ * against the chain. When a reorg replaced a block, records whose transaction
+ * was re-mined move to its new block and wait for confirmations again; records
+ * whose transaction was dropped are rolled back and lose access. The indexer
+ * then re-reads the replaced blocks. One instance per indexed network, checking
+ * only the records of that network.
+ */
+class ReorgService {
+  /**
+   * @param {BlockchainService} blockchainService - Initialized service whose
+   * provider and event indexer are used
+   * @param {Object} options - { depth, intervalMs, windowBlocks }
+   */
+  constructor(blockchainService, options = {}) {
+    this.blockchainService = blockchainService;
+    this.depth = options.depth || getConfirmationDepth();
+    this.intervalMs =
+      options.intervalMs ||
+      parseInt(process.env.REORG_CHECK_INTERVAL_MS) ||
+      30000;
+    this.windowBlocks =
+      options.windowBlocks ||
+      parseInt(process.env.REORG_CHECK_WINDOW_BLOCKS) ||
+      128;
+
+    this.running = false;
+    this.checking = false;
+    this.timer = null;
+    this.reorgsDetected = 0;
+    this.lastCheck = null;
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    console.log(
+      `🧱 Confirmation tracking started: depth ${this.depth}, re-checking the last ${this.windowBlocks} blocks`
+    );
+    this.run();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async run() {
+    if (this.checking || !this.running) {
+      return;
+    }
+    this.checking = true;
+
+    try {
+      await this.check();
+    } catch (error) {
+      console.error("❌ Reorg check failed:", error.message);
+    } finally {
+      this.checking = false;
+      if (this.running) {
+        this.timer = setTimeout(() => this.run(), this.intervalMs);
+      }
+    }
+  }
+
+  /**
+   * Confirm what is deep enough and roll back what a reorg replaced
+   * @returns {Promise<Object>} { at, headBlock, confirmed, moved, rolledBack, reorgBlock }
+   */
+  async check() {
+    const provider = this.blockchainService.provider;
+    const chainId = await this.blockchainService.getChainId();
+    const head = await provider.getBlockNumber();
+    const recent = { $gte: Math.max(head - this.windowBlocks + 1, 0) };
+
+    // Pending records at any depth (a backfill can be far behind), settled
+    // ones only while a reorg can still reach them
+    const [purchases, tracks, events, withdrawals] = await Promise.all([
+      Purchase.find({
+        chainId,
+        blockNumber: { $ne: null },
+        $or: [
+          { status: "pending" },
+          {
+            status: { $in: ["confirmed", "transferred"] },
+            blockNumber: recent,
+          },
+        ],
+      }),
+      Track.find({
+        "blockchain.chainId": chainId,
+        "blockchain.contractId": { $nin: [null, ""] },
+        "blockchain.blockNumber": { $ne: null },
+        $or: [
+          { "blockchain.status": "pending" },
+          {
+            "blockchain.status": "confirmed",
+            "blockchain.blockNumber": recent,
+          },
+        ],
+      }),
+      ProcessedEvent.find(
+        { chainId, blockNumber: recent },
+        "blockNumber blockHash"
+      ),
+      Withdrawal.find(
+        { chainId, blockNumber: recent },
+        "blockNumber blockHash"
+      ),
+    ]);
+
+    // Canonical hash per block, fetched once per check
+    const blockHashes = new Map();
+    const isReplaced = async (blockNumber, blockHash) => {
+      if (!blockHash) {
+        return false;
+      }
+      if (!blockHashes.has(blockNumber)) {
+        const block = await provider.getBlock(blockNumber);
+        blockHashes.set(blockNumber, block?.hash ?? null);
+      }
+      return blockHashes.get(blockNumber) !== blockHash;
+    };
+
+    const result = { confirmed: 0, moved: 0, rolledBack: 0 };
+    let reorgBlock = null;
+    const markReplaced = (blockNumber) => {
+      reorgBlock =
+        reorgBlock === null ? blockNumber : Math.min(reorgBlock, blockNumber);
+    };
+
+    for (const purchase of purchases) {
+      try {
+        if (await isReplaced(purchase.blockNumber, purchase.blockHash)) {
+          markReplaced(purchase.blockNumber);
+          result[await this.handleReplacedPurchase(purchase)]++;
+        } else if (purchase.status === "pending") {
+          if (await this.confirmPurchase(purchase, head)) {
+            result.confirmed++;
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Reorg check of purchase ${purchase.id}:`, error);
+      }
+    }
+
+    for (const track of tracks) {
+      const { blockNumber, blockHash } = track.blockchain;
+      try {
+        if (await isReplaced(blockNumber, blockHash)) {
+          markReplaced(blockNumber);
+          result[await this.handleReplacedListing(track)]++;
+        } else if (track.blockchain.status === "pending") {
+          if (await this.confirmListing(track, head)) {
+            result.confirmed++;
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Reorg check of track ${track._id}:`, error);
+      }
+    }
+
+    // Logs from replaced blocks are forgotten so the indexer reads them again
+    const staleEvents = [];
+    for (const event of events) {
+      if (await isReplaced(event.blockNumber, event.blockHash)) {
+        markReplaced(event.blockNumber);
+        staleEvents.push(event._id);
+      }
+    }
+    const staleWithdrawals = [];
+    for (const withdrawal of withdrawals) {
+      if (await isReplaced(withdrawal.blockNumber, withdrawal.blockHash)) {
+        markReplaced(withdrawal.blockNumber);
+        staleWithdrawals.push(withdrawal._id);
+      }
+    }
+
+    if (reorgBlock !== null) {
+      this.reorgsDetected++;
+      await Promise.all([
+        ProcessedEvent.deleteMany({ _id: { $in: staleEvents } }),
+        Withdrawal.deleteMany({ _id: { $in: staleWithdrawals } }),
+      ]);
+      await this.blockchainService.indexer?.rewind(reorgBlock);
+
+      console.warn(
+        `⚠️ Chain reorganization from block ${reorgBlock}: ${result.moved} moved, ${result.rolledBack} rolled back, ${staleEvents.length} events re-indexed`
+      );
+      this.blockchainService.emit("reorg", {
+        fromBlock: reorgBlock,
+        ...result,
+      });
+    }
+
+    this.lastCheck = {
+      at: new Date(),
+      headBlock: head,
+      ...result,
+      reorgBlock,
+    };
+    return this.lastCheck;
+  }
+
+  // Grant access once the purchase is deep enough
+  async confirmPurchase(purchase, head) {
+    const confirmations = head - purchase.blockNumber + 1;
+    if (confirmations < this.depth) {
+      if (purchase.confirmations !== confirmations) {
+        purchase.confirmations = confirmations;
+        await purchase.save();
+      }
+      return false;
+    }
+
+    purchase.confirmations = confirmations;
+    purchase.accessGranted = true;
+    await purchase.markAsVerified();
+
+    console.log(
+      `✅ Purchase confirmed after ${confirmations} blocks: ${purchase.id}`
+    );
+    this.blockchainService.emit("purchaseConfirmed", { purchase });
+    return true;
+  }
+
+  async confirmListing(track, head) {
+    const confirmations = head - track.blockchain.blockNumber + 1;
+    if (confirmations < this.depth) {
+      return false;
+    }
+
+    track.blockchain.status = "confirmed";
+    await track.save();
+
+    console.log(
+      `✅ Listing confirmed after ${confirmations} blocks: ${track.title}`
+    );
+    return true;
+  }
+
+  // Re-mined purchases move to their new block; dropped ones are rolled back
+  async handleReplacedPurchase(purchase) {
+    const receipt = await this.blockchainService.provider.getTransactionReceipt(
+      purchase.txHash
+    );
+
+    if (receipt?.status === 1) {
+      purchase.set({
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        confirmations: 0,
+      });
+      // Access waits for the new block to be deep enough
+      if (purchase.status === "confirmed") {
+        purchase.status = "pending";
+        purchase.accessGranted = false;
+      }
+      await purchase.save();
+
+      console.log(
+        `🔀 Purchase ${purchase.txHash} re-mined in block ${receipt.blockNumber}`
+      );
+      return "moved";
+    }
+
+    await this.rollbackPurchase(purchase);
+    return "rolledBack";
+  }
+
+  // Revoke access and undo what recording the purchase changed
+  async rollbackPurchase(purchase) {
+    await purchase.markAsReorged();
+
+    if (purchase.trackId && purchase.source !== "resale") {
+      await Track.updateOne(
+        { _id: purchase.trackId, downloads: { $gt: 0 } },
+        { $inc: { downloads: -1 } }
+      );
+    }
+
+    // Without the resale the seller still holds the purchase right
+    if (purchase.source === "resale" && purchase.previousPurchase) {
+      const sellerPurchase = await Purchase.findById(purchase.previousPurchase);
+      if (
+        sellerPurchase?.status === "transferred" &&
+        sellerPurchase.transfer?.txHash === purchase.txHash
+      ) {
+        sellerPurchase.status = "confirmed";
+        sellerPurchase.accessGranted = true;
+        sellerPurchase.transfer = undefined;
+        // buyResale consumed the listing, which is live again
+        sellerPurchase.listing.isActive =
+          !!sellerPurchase.listing.listedAt &&
+          !sellerPurchase.listing.cancelledAt;
+        await sellerPurchase.save();
+      }
+    }
+
+    if (purchase.coupon?.nonce) {
+      const coupon = await Coupon.findOneAndUpdate(
+        { nonce: purchase.coupon.nonce, txHash: purchase.txHash },
+        { redeemedAt: null, txHash: null }
+      );
+      if (coupon) {
+        await PromoCampaign.updateOne(
+          { _id: coupon.campaign, redemptions: { $gt: 0 } },
+          { $inc: { redemptions: -1 } }
+        );
+      }
+    }
+
+    if (purchase.bundlePurchase) {
+      await BundlePurchase.deleteOne({ _id: purchase.bundlePurchase });
+    }
+
+    console.warn(
+      `⏪ Purchase rolled back by reorg: ${purchase.txHash} (${purchase.buyerAddress})`
+    );
+    this.blockchainService.emit("purchaseReorged", { purchase });
+  }
+
+  // Re-mined listings move to their new block; dropped ones fail for a retry,
+  // except lazy listings, whose voucher is on sale again
+  async handleReplacedListing(track) {
+    const receipt = await this.blockchainService.provider.getTransactionReceipt(
+      track.blockchain.txHash
+    );
+
+    if (receipt?.status === 1) {
+      // Reordered transactions can get different track IDs
+      const contract = this.blockchainService.getContract();
+      const added = receipt.logs
+        .map((log) => {
+          try {
+            return contract.interface.parseLog(log);
+          } catch (error) {
+            return null;
+          }
+        })
+        .find((log) => log?.name === "TrackAdded");
+
+      track.set({
+        "blockchain.blockNumber": receipt.blockNumber,
+        "blockchain.blockHash": receipt.blockHash,
+        "blockchain.status": "pending",
+      });
+      if (added) {
+        track.blockchain.contractId = added.args.trackId.toString();
+      }
+      await track.save();
+
+      console.log(
+        `🔀 Listing of ${track.title} re-mined in block ${receipt.blockNumber}`
+      );
+      return "moved";
+    }
+
+    // txHash stays so the listing is relinked if the transaction is mined again
+    const lazy = !!track.blockchain.voucher?.lazy;
+    track.set({
+      "blockchain.status": lazy ? "voucher" : "failed",
+      "blockchain.error": lazy
+        ? undefined
+        : "Listing transaction dropped by a chain reorganization",
+      "blockchain.contractId": undefined,
+      "blockchain.blockNumber": undefined,
+      "blockchain.blockHash": undefined,
+    });
+    if (track.blockchain.voucher?.redeemedAt) {
+      track.blockchain.voucher.redeemedAt = undefined;
+    }
+    await track.save();
+
+    console.warn(`⏪ Listing rolled back by reorg: ${track.title}`);
+    return "rolledBack";
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      depth: this.depth,
+      windowBlocks: this.windowBlocks,
+      reorgsDetected: this.reorgsDetected,
+      lastCheck: this.lastCheck,
+    };
+  }
+}
+
+export default ReorgService;
+
+console.log("✅ ReorgService loaded");
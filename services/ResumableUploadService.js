@@ -0,0 +1,405 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import UploadSession from "../models/UploadSession.js";
+import { checkAudioFileType } from "../middleware/upload.js";
+
+// Checksum algorithms clients may use to verify an assembled upload
+const CHECKSUM_ALGORITHMS = ["sha256", "sha1", "md5"];
+
+// Track fields a session may carry through to createTrack
+const TRACK_FIELDS = [
+  "title",
+  "artist",
+  "artistAddress",
+  "genre",
+  "album",
+  "price",
+  "description",
+];
+
+// Error carrying the HTTP status the route should answer with
+const uploadError = (message, status) =>
+  Object.assign(new Error(message), { status });
+
+/**
+ * Resumable Upload Service
+ * tus-style chunked uploads assembled on disk outside the public uploads folder.
+ */
+class ResumableUploadService {
+  constructor() {
+    this.uploadDir =
+      process.env.RESUMABLE_UPLOAD_DIR ||
+      path.join(process.cwd(), "data", "resumable-uploads");
+    this.maxSize =
+      parseInt(process.env.RESUMABLE_UPLOAD_MAX_SIZE) || 2 * 1024 * 1024 * 1024; // 2GB
+    this.sessionTtl =
+      (parseInt(process.env.RESUMABLE_UPLOAD_TTL_HOURS) || 24) * 3600 * 1000;
+    this.lockTimeout = 5 * 60 * 1000; // A stalled chunk releases after 5 minutes
+
+    if (!fs.existsSync(this.uploadDir)) {
+      fs.mkdirSync(this.uploadDir, { recursive: true });
+      console.log("📁 Created resumable uploads directory");
+    }
+  }
+
+  /**
+   * Create an upload session
+   * @param {Object} data - { filename, mimetype, size, checksum, ...track fields }
+   * @param {string} createdBy - Admin ID
+   * @returns {Promise<Object>} Upload session
+   */
+  async createSession(data, createdBy = null) {
+    const { filename, mimetype } = data;
+    const size = Number(data.size);
+
+    if (!filename || !mimetype) {
+      throw uploadError("filename and mimetype are required", 400);
+    }
+
+    if (!Number.isInteger(size) || size <= 0) {
+      throw uploadError("size must be a positive integer", 400);
+    }
+
+    if (size > this.maxSize) {
+      throw uploadError(
+        `Upload exceeds maximum size of ${this.maxSize} bytes`,
+        413
+      );
+    }
+
+    const checks = checkAudioFileType(filename, mimetype);
+    const failedChecks = Object.keys(checks).filter((key) => !checks[key]);
+    if (failedChecks.length > 0) {
+      throw uploadError(
+        `Security check failed: ${failedChecks.join(", ")}`,
+        400
+      );
+    }
+
+    const checksum = data.checksum ? this.parseChecksum(data.checksum) : null;
+
+    const metadata = {};
+    for (const field of TRACK_FIELDS) {
+      if (typeof data[field] === "string" && data[field].trim()) {
+        metadata[field] = data[field].trim();
+      }
+    }
+
+    // Opportunistically clean up abandoned sessions
+    this.purgeExpiredSessions().catch((error) =>
+      console.warn("⚠️ Failed to purge expired uploads:", error.message)
+    );
+
+    const uploadId = crypto.randomBytes(16).toString("hex");
+    const tempPath = path.join(this.uploadDir, `${uploadId}.part`);
+    fs.writeFileSync(tempPath, Buffer.alloc(0));
+
+    const session = await UploadSession.create({
+      uploadId,
+      filename: path.basename(filename),
+      mimetype,
+      size,
+      checksum,
+      tempPath,
+      metadata,
+      createdBy,
+      expiresAt: new Date(Date.now() + this.sessionTtl),
+    });
+
+    console.log(`📤 Resumable upload created: ${uploadId} (${size} bytes)`);
+    return session;
+  }
+
+  /**
+   * Get an active upload session
+   * @param {string} uploadId - Upload ID
+   * @returns {Promise<Object>} Upload session
+   */
+  async getSession(uploadId) {
+    const session = await UploadSession.findOne({ uploadId });
+
+    if (!session || session.status === "aborted") {
+      throw uploadError("Upload not found", 404);
+    }
+
+    if (session.expiresAt < new Date() && session.status !== "finalized") {
+      throw uploadError("Upload session expired", 410);
+    }
+
+    return session;
+  }
+
+  /**
+   * Append a chunk at the given offset
+   * @param {string} uploadId - Upload ID
+   * @param {number} offset - Client's Upload-Offset
+   * @param {Readable} stream - Chunk body
+   * @returns {Promise<Object>} Updated upload session
+   */
+  async appendChunk(uploadId, offset, stream) {
+    const current = await this.getSession(uploadId);
+
+    if (current.status !== "uploading") {
+      throw uploadError("Upload is already complete", 409);
+    }
+
+    // Take the session lock so concurrent PATCHes cannot interleave bytes
+    const session = await UploadSession.findOneAndUpdate(
+      {
+        uploadId,
+        status: "uploading",
+        $or: [
+          { lockedAt: null },
+          { lockedAt: { $lt: new Date(Date.now() - this.lockTimeout) } },
+        ],
+      },
+      { lockedAt: new Date() },
+      { new: true }
+    );
+
+    if (!session) {
+      throw uploadError("Another chunk is being written to this upload", 409);
+    }
+
+    try {
+      // The file on disk is the source of truth after interrupted chunks
+      session.offset = this.getBytesOnDisk(session);
+
+      if (offset !== session.offset) {
+        throw uploadError(
+          `Upload-Offset mismatch: expected ${session.offset}`,
+          409
+        );
+      }
+
+      let written = 0;
+      const remaining = session.size - session.offset;
+      const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+          written += chunk.length;
+          if (written > remaining) {
+            return callback(
+              uploadError("Chunk exceeds declared upload length", 413)
+            );
+          }
+          callback(null, chunk);
+        },
+      });
+
+      await pipeline(
+        stream,
+        limiter,
+        fs.createWriteStream(session.tempPath, { flags: "a" })
+      );
+    } finally {
+      session.offset = this.getBytesOnDisk(session);
+      if (session.offset === session.size) {
+        session.status = "complete";
+      }
+      session.lockedAt = null;
+      await session.save();
+    }
+
+    return session;
+  }
+
+  /**
+   * Verify the assembled file and hand it over as a multer-style file object
+   * The session stays locked until settleSession records whether the track was created.
+   * @param {string} uploadId - Upload ID
+   * @param {string} checksum - "<algorithm>:<hex>" (falls back to the one declared at creation)
+   * @returns {Promise<Object>} { session, file }
+   */
+  async completeSession(uploadId, checksum) {
+    const current = await this.getSession(uploadId);
+
+    if (current.status === "finalized") {
+      throw uploadError("Upload has already been finalized", 409);
+    }
+
+    // Take the session lock so a concurrent finalize cannot create a second track
+    const session = await UploadSession.findOneAndUpdate(
+      {
+        uploadId,
+        status: { $in: ["uploading", "complete"] },
+        $or: [
+          { lockedAt: null },
+          { lockedAt: { $lt: new Date(Date.now() - this.lockTimeout) } },
+        ],
+      },
+      { lockedAt: new Date() },
+      { new: true }
+    );
+
+    if (!session) {
+      throw uploadError("Upload is busy, retry shortly", 409);
+    }
+
+    try {
+      session.offset = this.getBytesOnDisk(session);
+      if (session.offset !== session.size) {
+        throw uploadError(
+          `Upload incomplete: ${session.offset} of ${session.size} bytes received`,
+          409
+        );
+      }
+
+      const expected = checksum
+        ? this.parseChecksum(checksum)
+        : session.checksum;
+
+      if (!expected?.value) {
+        throw uploadError("A checksum is required to finalize the upload", 400);
+      }
+
+      const actual = await this.hashFile(session.tempPath, expected.algorithm);
+      if (actual !== expected.value) {
+        throw uploadError(
+          `Checksum mismatch (${expected.algorithm}): file is corrupt`,
+          422
+        );
+      }
+
+      session.status = "complete";
+      session.checksum = expected;
+      await session.save();
+    } catch (error) {
+      await this.releaseSession(session);
+      throw error;
+    }
+
+    console.log(`✅ Resumable upload assembled: ${uploadId}`);
+
+    return {
+      session,
+      file: {
+        fieldname: "file",
+        originalname: session.filename,
+        mimetype: session.mimetype,
+        size: session.size,
+        filename: path.basename(session.tempPath),
+        path: session.tempPath,
+        keepTempFile: true, // Deleted once the track exists, kept for retries
+      },
+    };
+  }
+
+  /**
+   * Finish a completed session once track creation succeeded or failed
+   * Failed sessions are unlocked with their file intact so the client can finalize again.
+   * @param {Object} session - Session returned by completeSession
+   * @param {boolean} trackCreated - Whether the track was created
+   * @returns {Promise<Object>} Updated upload session
+   */
+  async settleSession(session, trackCreated) {
+    if (!trackCreated) {
+      return this.releaseSession(session);
+    }
+
+    session.status = "finalized";
+    session.lockedAt = null;
+    await session.save();
+    this.removeTempFile(session);
+
+    console.log(`✅ Resumable upload finalized: ${session.uploadId}`);
+    return session;
+  }
+
+  // Unlock a session without changing its status
+  async releaseSession(session) {
+    session.lockedAt = null;
+    await session.save();
+    return session;
+  }
+
+  /**
+   * Abort an upload and delete its data
+   * @param {string} uploadId - Upload ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async abortSession(uploadId) {
+    const session = await this.getSession(uploadId);
+
+    if (session.status === "finalized") {
+      throw uploadError("Upload has already been finalized", 409);
+    }
+
+    this.removeTempFile(session);
+    session.status = "aborted";
+    await session.save();
+
+    console.log(`🗑️ Resumable upload aborted: ${uploadId}`);
+    return true;
+  }
+
+  // Delete the temp files of expired sessions
+  async purgeExpiredSessions() {
+    const expired = await UploadSession.findExpired();
+
+    for (const session of expired) {
+      this.removeTempFile(session);
+      session.status = "aborted";
+      await session.save();
+    }
+
+    if (expired.length > 0) {
+      console.log(`🧹 Purged ${expired.length} expired resumable uploads`);
+    }
+
+    return expired.length;
+  }
+
+  // Parse "<algorithm>:<hex>" or a tus "<algorithm> <base64>" checksum
+  parseChecksum(checksum) {
+    const match = /^([a-z0-9]+)([: ])(\S+)$/i.exec(String(checksum).trim());
+    if (!match) {
+      throw uploadError("Invalid checksum format, use <algorithm>:<hex>", 400);
+    }
+
+    const algorithm = match[1].toLowerCase();
+    if (!CHECKSUM_ALGORITHMS.includes(algorithm)) {
+      throw uploadError(
+        `Unsupported checksum algorithm, use one of: ${CHECKSUM_ALGORITHMS.join(
+          ", "
+        )}`,
+        400
+      );
+    }
+
+    const value =
+      match[2] === ":"
+        ? match[3].toLowerCase()
+        : Buffer.from(match[3], "base64").toString("hex");
+
+    return { algorithm, value };
+  }
+
+  hashFile(filePath, algorithm) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash(algorithm);
+      fs.createReadStream(filePath)
+        .on("data", (chunk) => hash.update(chunk))
+        .on("end", () => resolve(hash.digest("hex")))
+        .on("error", reject);
+    });
+  }
+
+  getBytesOnDisk(session) {
+    return fs.existsSync(session.tempPath)
+      ? fs.statSync(session.tempPath).size
+      : 0;
+  }
+
+  removeTempFile(session) {
+    if (fs.existsSync(session.tempPath)) {
+      fs.unlinkSync(session.tempPath);
+    }
+  }
+}
+
+export default ResumableUploadService;
+
+console.log("✅ ResumableUploadService loaded");
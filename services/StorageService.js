@@ -96,16 +96,16 @@ class StorageService {
     let uploadData;
 
     if (file.path && fs.existsSync(file.path)) {
-      // File uploaded by multer to disk
-      const buffer = fs.readFileSync(file.path);
+      // File uploaded by multer to disk; streamed, not read into memory
       uploadData = {
-        buffer,
+        filePath: file.path,
         filename:
           metadata.filename || file.originalname || `file-${Date.now()}`,
         mimetype: file.mimetype || "application/octet-stream",
-        size: file.size || buffer.length,
+        size: file.size || fs.statSync(file.path).size,
         metadata,
-        tempPath: file.path, // Store temp path for cleanup
+        // Store temp path for cleanup unless the caller still needs the file
+        tempPath: file.keepTempFile ? undefined : file.path,
       };
     } else if (file.buffer) {
       // File in memory
@@ -143,17 +143,26 @@ class StorageService {
         throw new Error(`Upload not implemented for: ${this.provider}`);
     }
 
-    // Clean up temp file if it exists
-    if (uploadData.tempPath && fs.existsSync(uploadData.tempPath)) {
+    if (uploadData.tempPath) {
+      this.cleanupTempFile(uploadData.tempPath);
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove an uploaded temp file, if it still exists
+   * @param {string} tempPath - Path of the temp file
+   */
+  cleanupTempFile(tempPath) {
+    if (fs.existsSync(tempPath)) {
       try {
-        fs.unlinkSync(uploadData.tempPath);
+        fs.unlinkSync(tempPath);
         console.log("🧹 Cleaned up temp file");
       } catch (error) {
         console.warn("⚠️ Failed to clean up temp file:", error.message);
       }
     }
-
-    return result;
   }
 
   /**
@@ -229,7 +238,11 @@ class StorageService {
       const filePath = path.join(this.config.uploadsDir, uniqueFilename);
 
       // Write file to uploads directory
-      fs.writeFileSync(filePath, uploadData.buffer);
+      if (uploadData.filePath) {
+        await fs.promises.copyFile(uploadData.filePath, filePath);
+      } else {
+        await fs.promises.writeFile(filePath, uploadData.buffer);
+      }
 
       // Get file stats
       const stats = fs.statSync(filePath);
@@ -326,7 +339,7 @@ class StorageService {
     try {
       // Create FormData for IPFS API
       const formData = new FormData();
-      const blob = new Blob([uploadData.buffer], { type: uploadData.mimetype });
+      const blob = await this.toBlob(uploadData);
       formData.append("file", blob, uploadData.filename);
 
       const response = await fetch(`${this.config.apiUrl}/api/v0/add`, {
@@ -384,7 +397,8 @@ class StorageService {
   async uploadToWeb3Storage(uploadData) {
     try {
       // Web3.Storage expects File objects
-      const file = new File([uploadData.buffer], uploadData.filename, {
+      const blob = await this.toBlob(uploadData);
+      const file = new File([blob], uploadData.filename, {
         type: uploadData.mimetype,
       });
 
@@ -425,7 +439,7 @@ class StorageService {
   async uploadToPinata(uploadData) {
     try {
       const formData = new FormData();
-      const blob = new Blob([uploadData.buffer], { type: uploadData.mimetype });
+      const blob = await this.toBlob(uploadData);
       formData.append("file", blob, uploadData.filename);
 
       const metadata = JSON.stringify({
@@ -472,6 +486,17 @@ class StorageService {
 
   // ===== UTILITY METHODS =====
 
+  // File contents as a Blob; files on disk are read as the request body is sent
+  async toBlob(uploadData) {
+    const options = { type: uploadData.mimetype };
+    if (!uploadData.filePath) {
+      return new Blob([uploadData.buffer], options);
+    }
+    return fs.openAsBlob
+      ? await fs.openAsBlob(uploadData.filePath, options)
+      : new Blob([await fs.promises.readFile(uploadData.filePath)], options); // Node < 19.8
+  }
+
   sanitizeFilename(filename) {
     return filename
       .replace(/[^a-zA-Z0-9.-]/g, "_")
@@ -1,12 +1,35 @@
 import Track from "../models/Track.js";
+import Purchase from "../models/Purchase.js";
 import BlockchainService from "./BlockchainService.js";
 import StorageService from "./StorageService.js";
+import PreviewService from "./PreviewService.js";
+import AudioMetadataService from "./AudioMetadataService.js";
+import WaveformService from "./WaveformService.js";
+import Waveform from "../models/Waveform.js";
 import { ethers } from "ethers";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+
+// Hours an artist has to redeem a listing voucher
+const LISTING_VOUCHER_TTL_HOURS =
+  parseInt(process.env.LISTING_VOUCHER_TTL_HOURS) || 72;
+
+// Collaborator roles accepted on Track.splits
+const SPLIT_ROLES = Track.schema.path("splits").schema.path("role").enumValues;
 
 class TrackService {
   constructor() {
     this.blockchainService = new BlockchainService();
-    this.storageService = new StorageService();
+    // StorageService is exported as a shared instance
+    this.storageService = StorageService;
+    this.previewService = new PreviewService();
+    this.audioMetadataService = new AudioMetadataService();
+    this.waveformService = new WaveformService();
+    this.waveformBackfillRunning = false;
+    this.lazyListing = process.env.LAZY_LISTING_ENABLED === "true";
   }
 
   /**
@@ -18,6 +41,25 @@ class TrackService {
    */
   async createTrack(data, file = null, options = {}) {
     try {
+      // Tags and previews read multer's temp file from disk, not into memory
+      const source = file
+        ? file.buffer ||
+          (file.path && fs.existsSync(file.path) ? file.path : null)
+        : null;
+
+      // Pre-fill missing fields from embedded tags
+      let audio;
+      if (source) {
+        const extracted = await this.extractAudioMetadata(source, {
+          mimetype: file.mimetype,
+          filename: file.originalname,
+        });
+        if (extracted) {
+          data = this.audioMetadataService.applyTags(data, extracted.tags);
+          audio = extracted.audio;
+        }
+      }
+
       // Validate required fields
       if (!data.title || !data.artist) {
         throw new Error("Title and artist are required");
@@ -36,23 +78,49 @@ class TrackService {
         throw new Error("Invalid Ethereum address format");
       }
 
+      if (data.currency) {
+        data = { ...data, ...this.resolvePaymentCurrency(data.currency) };
+      }
+
       // Handle file upload if provided
       let storageData = {};
+      let preview;
       if (file) {
-        storageData = await this.storageService.uploadFile(file, {
-          provider: options.storageProvider || "local",
-          metadata: {
-            title: data.title,
-            artist: data.artist,
-            genre: data.genre,
-          },
-        });
+        try {
+          // Keep the temp file until the preview has been cut from it
+          storageData = await this.storageService.uploadFile(
+            { ...file, keepTempFile: true },
+            {
+              provider: options.storageProvider || "local",
+              metadata: {
+                title: data.title,
+                artist: data.artist,
+                genre: data.genre,
+              },
+            }
+          );
+
+          if (source) {
+            preview = await this.generatePreview(source, {
+              mimetype: file.mimetype,
+              filename: file.originalname,
+              title: data.title,
+              artist: data.artist,
+            });
+          }
+        } finally {
+          if (file.path && !file.keepTempFile) {
+            this.storageService.cleanupTempFile(file.path);
+          }
+        }
       }
 
       // Create track document
       const trackData = {
         ...data,
         storage: storageData,
+        audio,
+        preview,
         // Set blockchain status based on whether we have an artist address
         blockchain: {
           status: data.artistAddress ? "pending" : "disabled",
@@ -65,9 +133,20 @@ class TrackService {
       const track = new Track(trackData);
       await track.save();
 
-      // Add to blockchain if artist address is provided and blockchain is enabled
+      // Waveform peaks take a full decode; compute them in the background,
+      // from the stored copy once the temp file is gone
+      if (source) {
+        this.generateWaveform(track._id, file.buffer).catch(() => {});
+      }
+
+      // Add to blockchain if artist address is provided and blockchain is enabled.
+      // In lazy mode the track only gets a signed voucher until its first sale
+      // (vouchers are ETH-only, so token-priced tracks are listed directly).
       if (data.artistAddress && options.addToBlockchain !== false) {
         try {
+          if (this.lazyListing && !track.paymentToken) {
+            return await this.createLazyListing(track._id);
+          }
           await this.addToBlockchain(track._id);
         } catch (error) {
           console.error("Failed to add track to blockchain:", error);
@@ -86,6 +165,238 @@ class TrackService {
     }
   }
 
+  /**
+   * Extract embedded tags and technical metadata from uploaded audio
+   * Unparseable files yield null rather than failing the upload.
+   * @param {Buffer|string} source - Original audio, or its file path
+   * @param {Object} options - { mimetype, filename }
+   * @returns {Promise<Object|null>} { tags, audio }
+   */
+  async extractAudioMetadata(source, options = {}) {
+    try {
+      return await this.audioMetadataService.extract(source, options);
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not read audio metadata from ${options.filename}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Generate and store a preview clip for an uploaded track
+   * Failures are recorded on the result rather than thrown, so uploads never fail on previews.
+   * @param {Buffer|string} source - Original audio, or its file path
+   * @param {Object} options - { mimetype, filename, title, artist }
+   * @returns {Promise<Object>} Track preview data
+   */
+  async generatePreview(source, options = {}) {
+    try {
+      const clip = await this.previewService.createPreview(source, {
+        mimetype: options.mimetype,
+        filename: options.filename,
+      });
+
+      if (!clip) {
+        console.log(`⚠️ No preview generator for ${options.filename}`);
+        return { status: "unsupported" };
+      }
+
+      const baseName = path.basename(
+        options.filename || "track",
+        path.extname(options.filename || "")
+      );
+
+      const stored = await this.storageService.uploadFile(
+        {
+          buffer: clip.buffer,
+          originalname: `${baseName}-preview${clip.extension}`,
+          mimetype: clip.mimetype,
+          size: clip.buffer.length,
+        },
+        {
+          title: options.title,
+          artist: options.artist,
+          preview: true,
+        }
+      );
+
+      return {
+        status: "ready",
+        provider: stored.provider,
+        cid: stored.cid,
+        url: stored.url,
+        filename: stored.filename,
+        path: stored.path,
+        mimeType: clip.mimetype,
+        startSeconds: clip.startSeconds,
+        durationSeconds: clip.durationSeconds,
+        generatedAt: new Date(),
+      };
+    } catch (error) {
+      console.error("TrackService.generatePreview error:", error);
+      return { status: "failed", error: error.message };
+    }
+  }
+
+  /**
+   * Compute and store waveform peaks for a track
+   * @param {string} trackId - Track ID
+   * @param {Buffer} source - Original audio in memory (read from storage when omitted)
+   * @returns {Promise<Array>} Stored waveforms (without peak data)
+   */
+  async generateWaveform(trackId, source = null) {
+    try {
+      const track = await Track.findById(trackId);
+      if (!track) {
+        throw new Error("Track not found");
+      }
+
+      const audio = source ? null : await this.readTrackAudio(track);
+      let waveforms;
+      try {
+        waveforms = await this.waveformService.generate(source || audio.path);
+      } finally {
+        if (audio?.temporary) {
+          this.storageService.cleanupTempFile(audio.path);
+        }
+      }
+
+      await Waveform.deleteMany({ track: track._id });
+      await Waveform.insertMany(
+        waveforms.map((waveform) => ({ ...waveform, track: track._id }))
+      );
+
+      await Track.findByIdAndUpdate(track._id, {
+        waveform: {
+          status: "ready",
+          resolutions: waveforms.map((waveform) => waveform.length),
+          generatedAt: new Date(),
+        },
+      });
+
+      console.log(`✅ Waveform generated for track ${track._id}`);
+      return await Waveform.findForTrack(track._id);
+    } catch (error) {
+      console.error("TrackService.generateWaveform error:", error);
+
+      if (error.message !== "Track not found") {
+        await Track.findByIdAndUpdate(trackId, {
+          waveform: { status: "failed", error: error.message },
+        });
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Regenerate waveforms of existing tracks, one at a time in the background
+   * @param {Object} options - { force } also redo tracks that already have peaks
+   * @returns {Promise<number>} Number of tracks queued
+   */
+  async regenerateWaveforms(options = {}) {
+    if (this.waveformBackfillRunning) {
+      throw new Error("Waveform regeneration already running");
+    }
+
+    const query = options.force ? {} : { "waveform.status": { $ne: "ready" } };
+    const tracks = await Track.find(query).select("_id");
+
+    this.waveformBackfillRunning = true;
+    (async () => {
+      let generated = 0;
+      for (const track of tracks) {
+        try {
+          await this.generateWaveform(track._id);
+          generated++;
+        } catch (error) {
+          // Recorded on the track by generateWaveform
+        }
+      }
+      this.waveformBackfillRunning = false;
+      console.log(
+        `✅ Waveform regeneration finished: ${generated}/${tracks.length} tracks`
+      );
+    })();
+
+    return tracks.length;
+  }
+
+  /**
+   * Get waveform peaks of a track at the resolution closest to `buckets`
+   * @param {string} trackId - Track ID
+   * @param {number} buckets - Requested number of min/max pairs
+   * @returns {Promise<Object>} Waveform document
+   */
+  async getWaveform(trackId, buckets = null) {
+    try {
+      const track = await this.getTrackById(trackId);
+
+      const available = await Waveform.findForTrack(track._id);
+      if (available.length === 0) {
+        throw new Error("Waveform not available");
+      }
+
+      const target = buckets || available[0].length;
+      const closest = available.reduce((best, waveform) =>
+        Math.abs(waveform.length - target) < Math.abs(best.length - target)
+          ? waveform
+          : best
+      );
+
+      return await Waveform.findById(closest._id);
+    } catch (error) {
+      console.error("TrackService.getWaveform error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Locate the original audio of a track on disk, downloading remote copies to a temp file
+   * @param {Object} track - Track document
+   * @returns {Promise<Object>} { path, temporary } where temporary files are the caller's to remove
+   */
+  async readTrackAudio(track) {
+    if (track.storage?.provider === "local" && track.storage.filename) {
+      const filePath = path.join(
+        process.cwd(),
+        "uploads",
+        path.basename(track.storage.filename)
+      );
+      if (!fs.existsSync(filePath)) {
+        throw new Error("Track file not found on server");
+      }
+      return { path: filePath, temporary: false };
+    }
+
+    const url = track.storage?.url || track.ipfs?.url;
+    if (!url) {
+      throw new Error("Track file not available");
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch track file: HTTP ${response.status}`);
+    }
+
+    const tempPath = path.join(
+      os.tmpdir(),
+      `track-${track._id}-${Date.now()}.audio`
+    );
+    try {
+      await pipeline(
+        Readable.fromWeb(response.body),
+        fs.createWriteStream(tempPath)
+      );
+    } catch (error) {
+      this.storageService.cleanupTempFile(tempPath);
+      throw error;
+    }
+    return { path: tempPath, temporary: true };
+  }
+
   /**
    * Add track to blockchain
    * @param {string} trackId - Track ID
@@ -107,6 +418,16 @@ class TrackService {
       const artistAddress =
         track.artistAddress || track.blockchain.artistAddress;
 
+      // A live lazy-listing voucher would register the track a second time
+      if (
+        track.blockchain.status === "voucher" &&
+        track.blockchain.voucher.expiresAt > new Date()
+      ) {
+        await this.blockchainService.cancelVoucher(
+          track.blockchain.voucher.nonce
+        );
+      }
+
       // Update status to pending
       track.blockchain.status = "pending";
       track.blockchain.pendingTxHash = null;
@@ -119,15 +440,18 @@ class TrackService {
         track.title,
         track.price,
         track.storage.url || track.storage.cid || "",
-        track._id.toString()
+        track.paymentToken
       );
 
       // Update track with blockchain data
+      track.blockchain.chainId = await this.blockchainService.getChainId();
       track.blockchain.contractId = result.contractId;
       track.blockchain.txHash = result.txHash;
       track.blockchain.blockNumber = result.blockNumber;
+      track.blockchain.blockHash = result.blockHash;
       track.blockchain.owner = result.owner;
-      track.blockchain.status = "confirmed";
+      // Mined; ReorgService confirms it once CONFIRMATION_DEPTH blocks deep
+      track.blockchain.status = "pending";
       track.blockchain.addedAt = new Date();
       track.blockchain.pendingTxHash = null;
       track.blockchain.error = null;
@@ -150,6 +474,628 @@ class TrackService {
     }
   }
 
+  /**
+   * Approve an artist self-listing: sign an EIP-712 voucher the artist redeems on-chain
+   * @param {string} trackId - Track ID
+   * @param {Object} options - { expiresInHours, approvedBy }
+   * @returns {Promise<Object>} { voucher, signature, transaction }
+   */
+  async approveListing(trackId, options = {}) {
+    try {
+      const { expiresInHours = LISTING_VOUCHER_TTL_HOURS, approvedBy } =
+        options;
+
+      const track = await Track.findById(trackId);
+      if (!track) {
+        throw new Error("Track not found");
+      }
+
+      if (track.blockchain?.contractId) {
+        throw new Error("Track is already on the blockchain");
+      }
+
+      await this.issueListingVoucher(track, {
+        status: "pending",
+        expiresInHours,
+        approvedBy,
+      });
+
+      console.log(`✅ Listing approved for ${track.title}, voucher issued`);
+      return this.getListingVoucher(track);
+    } catch (error) {
+      console.error("TrackService.approveListing error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lazy-list a track: sign a voucher the first buyer redeems with purchaseWithVoucher,
+   * so the track only reaches the chain (and costs gas) when it sells
+   * @param {string} trackId - Track ID
+   * @param {Object} options - { approvedBy }
+   * @returns {Promise<Object>} Updated track (blockchain.status "voucher")
+   */
+  async createLazyListing(trackId, options = {}) {
+    try {
+      const track = await Track.findById(trackId);
+      if (!track) {
+        throw new Error("Track not found");
+      }
+
+      if (track.blockchain?.contractId) {
+        throw new Error("Track is already on the blockchain");
+      }
+
+      await this.issueListingVoucher(track, {
+        status: "voucher",
+        approvedBy: options.approvedBy,
+      });
+
+      console.log(`🎟️ Track lazy-listed: ${track.title}`);
+      return track;
+    } catch (error) {
+      console.error("TrackService.createLazyListing error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the purchase voucher of a lazy-listed track with the buyer's transaction.
+   * Expired vouchers are re-signed; after a price change the old nonce is revoked first.
+   * @param {string} trackId - Track ID
+   * @param {string} buyerAddress - Buyer wallet
+   * @returns {Promise<Object>} { voucher, signature, expiresAt, transaction }
+   */
+  async getPurchaseVoucher(trackId, buyerAddress) {
+    try {
+      const track = await Track.findById(trackId);
+      if (!track || !track.isActive) {
+        throw new Error("Track not found");
+      }
+
+      if (track.blockchain?.status !== "voucher") {
+        throw new Error("Track is not lazy-listed");
+      }
+
+      const stored = track.blockchain.voucher;
+      if (stored.artist === buyerAddress.toLowerCase()) {
+        throw new Error("Artists cannot purchase own tracks");
+      }
+
+      const expired = stored.expiresAt < new Date();
+      const repriced =
+        stored.price !== ethers.parseEther(track.price).toString();
+
+      if (expired || repriced) {
+        // An unexpired voucher at the old price stays redeemable until revoked
+        if (!expired) {
+          await this.blockchainService.cancelVoucher(stored.nonce);
+        }
+        await this.issueListingVoucher(track, {
+          status: "voucher",
+          approvedBy: stored.approvedBy,
+        });
+      }
+
+      const voucher = this.getStoredVoucher(track);
+
+      return {
+        voucher,
+        signature: track.blockchain.voucher.signature,
+        expiresAt: track.blockchain.voucher.expiresAt,
+        transaction:
+          await this.blockchainService.buildVoucherPurchaseTransaction(
+            voucher,
+            track.blockchain.voucher.signature,
+            buyerAddress
+          ),
+      };
+    } catch (error) {
+      console.error("TrackService.getPurchaseVoucher error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unsigned transaction that buys a track as a gift for another wallet
+   * @param {string} trackId - Track ID
+   * @param {string} payerAddress - Wallet paying for the gift
+   * @param {string} recipientAddress - Wallet receiving the track
+   * @returns {Promise<Object>} { track, price, recipient, transaction }
+   */
+  async getGiftTransaction(trackId, payerAddress, recipientAddress) {
+    try {
+      const track = await Track.findById(trackId);
+      if (!track || !track.isActive) {
+        throw new Error("Track not found");
+      }
+
+      if (track.blockchain?.status !== "confirmed") {
+        throw new Error("Track is not listed on-chain");
+      }
+      await this.blockchainService.assertListedHere(track);
+
+      const recipient = recipientAddress.toLowerCase();
+      if (recipient === payerAddress.toLowerCase()) {
+        throw new Error("Gift recipient must be another wallet");
+      }
+
+      const contractTrackId = track.blockchain.contractId;
+      const [onChainTrack, owned] = await Promise.all([
+        this.blockchainService.getTrack(contractTrackId),
+        this.blockchainService.hasPurchased(recipient, contractTrackId),
+      ]);
+
+      if (onChainTrack.artist.toLowerCase() === recipient) {
+        throw new Error("Tracks cannot be gifted to their artist");
+      }
+      if (owned) {
+        throw new Error("Recipient already owns this track");
+      }
+
+      const { approval = null, transaction } =
+        await this.blockchainService.buildGiftPurchaseTransaction(
+          contractTrackId,
+          ethers.getAddress(recipient),
+          payerAddress
+        );
+
+      return {
+        track: {
+          id: track._id,
+          title: track.title,
+          artist: track.artist,
+          contractTrackId,
+        },
+        price: onChainTrack.price,
+        currency: onChainTrack.currency,
+        recipient: ethers.getAddress(recipient),
+        approval,
+        transaction,
+      };
+    } catch (error) {
+      console.error("TrackService.getGiftTransaction error:", error);
+      throw error;
+    }
+  }
+
+  // Currency fields for a payment currency symbol (ETH or a PAYMENT_TOKENS entry)
+  resolvePaymentCurrency(symbol) {
+    const currency = this.blockchainService.getCurrency(symbol);
+    return { currency: currency.symbol, paymentToken: currency.address };
+  }
+
+  /**
+   * Unsigned transactions buying a token-priced track: an ERC-20 approve when
+   * the buyer's allowance is short, then purchaseTrackWithToken
+   * @param {string} trackId - Track ID
+   * @param {string} buyerAddress - Buyer wallet
+   * @returns {Promise<Object>} { track, price, currency, approval, transaction }
+   */
+  async getTokenPurchaseTransaction(trackId, buyerAddress) {
+    try {
+      const track = await Track.findById(trackId);
+      if (!track || !track.isActive) {
+        throw new Error("Track not found");
+      }
+
+      if (track.blockchain?.status !== "confirmed") {
+        throw new Error("Track is not listed on-chain");
+      }
+      await this.blockchainService.assertListedHere(track);
+
+      const buyer = buyerAddress.toLowerCase();
+      const contractTrackId = track.blockchain.contractId;
+      const [onChainTrack, owned] = await Promise.all([
+        this.blockchainService.getTrack(contractTrackId),
+        this.blockchainService.hasPurchased(buyer, contractTrackId),
+      ]);
+
+      if (!onChainTrack.paymentToken) {
+        throw new Error("Track is priced in ETH");
+      }
+      if (onChainTrack.artist.toLowerCase() === buyer) {
+        throw new Error("Artists cannot purchase own tracks");
+      }
+      if (owned) {
+        throw new Error("Track already purchased");
+      }
+
+      const { currency, paymentToken, price, approval, transaction } =
+        await this.blockchainService.buildTokenPurchaseTransaction(
+          contractTrackId,
+          buyerAddress
+        );
+
+      return {
+        track: {
+          id: track._id,
+          title: track.title,
+          artist: track.artist,
+          contractTrackId,
+        },
+        price,
+        currency,
+        paymentToken,
+        approval,
+        transaction,
+      };
+    } catch (error) {
+      console.error("TrackService.getTokenPurchaseTransaction error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ready-to-sign purchase of a listed track, with gas estimate and fee
+   * suggestions. Token-priced tracks get an approve first when the allowance
+   * is short; the purchase is then only estimated once the approval is mined.
+   * @param {string} trackId - Track ID
+   * @param {string} buyerAddress - Buyer wallet
+   * @returns {Promise<Object>} { track, details, approval, transaction }
+   */
+  async getPurchaseTransaction(trackId, buyerAddress) {
+    try {
+      const track = await this.getListedTrack(trackId);
+      const contractTrackId = track.blockchain.contractId;
+
+      const details = await this.blockchainService.calculatePurchaseDetails(
+        contractTrackId,
+        buyerAddress
+      );
+
+      let approval = null;
+      let transaction;
+      if (details.paymentToken) {
+        this.blockchainService.assertPurchasable(details);
+
+        const built =
+          await this.blockchainService.buildTokenPurchaseTransaction(
+            contractTrackId,
+            buyerAddress
+          );
+        approval =
+          built.approval &&
+          (await this.blockchainService.withGasEstimate(built.approval));
+        transaction = approval
+          ? built.transaction
+          : await this.blockchainService.withGasEstimate(built.transaction);
+      } else {
+        ({ transaction } =
+          await this.blockchainService.buildPurchaseTransaction(
+            contractTrackId,
+            buyerAddress
+          ));
+      }
+
+      return {
+        track: {
+          id: track._id,
+          title: track.title,
+          artist: track.artist,
+          contractTrackId,
+        },
+        details,
+        approval,
+        transaction,
+      };
+    } catch (error) {
+      console.error("TrackService.getPurchaseTransaction error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ready-to-sign updateTrackPrice transaction for the track's artist. The
+   * stored price follows once the TrackUpdated event is indexed.
+   * @param {string} trackId - Track ID
+   * @param {string} walletAddress - Artist wallet that will sign
+   * @param {string} price - New price in the track's currency
+   * @returns {Promise<Object>} { track, currency, oldPrice, price, transaction }
+   */
+  async getPriceUpdateTransaction(trackId, walletAddress, price) {
+    try {
+      const track = await this.getListedTrack(trackId);
+      const contractTrackId = track.blockchain.contractId;
+
+      const update = await this.blockchainService.buildPriceUpdateTransaction(
+        contractTrackId,
+        price,
+        walletAddress
+      );
+
+      return {
+        track: {
+          id: track._id,
+          title: track.title,
+          artist: track.artist,
+          contractTrackId,
+        },
+        currency: update.currency,
+        paymentToken: update.paymentToken,
+        oldPrice: update.oldPrice,
+        price: update.price,
+        transaction: update.transaction,
+      };
+    } catch (error) {
+      console.error("TrackService.getPriceUpdateTransaction error:", error);
+      throw error;
+    }
+  }
+
+  // Active track whose listing is confirmed on-chain
+  async getListedTrack(trackId) {
+    const track = await Track.findById(trackId);
+    if (!track || !track.isActive) {
+      throw new Error("Track not found");
+    }
+    if (track.blockchain?.status !== "confirmed") {
+      throw new Error("Track is not listed on-chain");
+    }
+    await this.blockchainService.assertListedHere(track);
+    return track;
+  }
+
+  // Sign a fresh listing voucher for the track and store it
+  async issueListingVoucher(track, options) {
+    const {
+      status,
+      expiresInHours = LISTING_VOUCHER_TTL_HOURS,
+      approvedBy,
+    } = options;
+
+    const artistAddress =
+      track.artistAddress || track.blockchain?.artistAddress;
+    const metadataHash = this.getMetadataHash(track);
+
+    if (!artistAddress || !metadataHash) {
+      throw new Error("Track has no artist address or stored metadata");
+    }
+
+    // purchaseWithVoucher only takes ETH
+    if (track.paymentToken) {
+      throw new Error(
+        "Listing vouchers are only available for ETH-priced tracks"
+      );
+    }
+
+    const price = parseFloat(track.price);
+    if (!(price >= 0.001 && price <= 100)) {
+      throw new Error("Track price must be between 0.001 and 100 ETH");
+    }
+
+    const { voucher, signature, signer } =
+      await this.blockchainService.signListingVoucher({
+        price: track.price,
+        artist: artistAddress,
+        metadataHash,
+        expiresAt: new Date(Date.now() + expiresInHours * 3600 * 1000),
+        lazy: status === "voucher",
+      });
+
+    track.set({
+      "blockchain.status": status,
+      "blockchain.artistAddress": artistAddress,
+      "blockchain.error": undefined,
+      "blockchain.voucher": {
+        nonce: voucher.nonce,
+        artist: voucher.artist,
+        price: voucher.price,
+        metadataHash,
+        expiresAt: new Date(Number(voucher.expiry) * 1000),
+        signature,
+        signer,
+        approvedBy,
+        issuedAt: new Date(),
+        lazy: status === "voucher",
+      },
+    });
+    await track.save();
+
+    return track;
+  }
+
+  // Voucher struct as signed, rebuilt from Track.blockchain.voucher
+  getStoredVoucher(track) {
+    const stored = track.blockchain.voucher;
+
+    return {
+      price: stored.price,
+      artist: ethers.getAddress(stored.artist),
+      metadataHash: stored.metadataHash,
+      expiry: Math.floor(stored.expiresAt.getTime() / 1000).toString(),
+      nonce: stored.nonce,
+    };
+  }
+
+  /**
+   * Get a track's listing voucher with the transaction the artist signs
+   * @param {Object|string} trackOrId - Track document or ID
+   * @param {string} artistAddress - Requesting wallet (must be the voucher's artist)
+   * @returns {Promise<Object>} { voucher, signature, expiresAt, transaction }
+   */
+  async getListingVoucher(trackOrId, artistAddress = null) {
+    try {
+      const track =
+        trackOrId instanceof Track
+          ? trackOrId
+          : await Track.findById(trackOrId);
+      if (!track) {
+        throw new Error("Track not found");
+      }
+
+      const stored = track.blockchain?.voucher;
+      if (!stored?.nonce) {
+        throw new Error("Listing voucher not found");
+      }
+
+      if (artistAddress && stored.artist !== artistAddress.toLowerCase()) {
+        throw new Error("Listing voucher issued to another artist");
+      }
+
+      if (stored.redeemedAt || track.blockchain.contractId) {
+        throw new Error("Listing voucher already redeemed");
+      }
+
+      if (stored.expiresAt < new Date()) {
+        throw new Error("Listing voucher expired");
+      }
+
+      const voucher = this.getStoredVoucher(track);
+
+      return {
+        voucher,
+        signature: stored.signature,
+        expiresAt: stored.expiresAt,
+        transaction:
+          await this.blockchainService.buildVoucherListingTransaction(
+            voucher,
+            stored.signature
+          ),
+      };
+    } catch (error) {
+      console.error("TrackService.getListingVoucher error:", error);
+      throw error;
+    }
+  }
+
+  // Hash stored on-chain as the track's metadata reference
+  getMetadataHash(track) {
+    return track.storage?.cid || track.ipfs?.cid || track.storage?.url;
+  }
+
+  /**
+   * Set collaborator revenue splits on-chain and on the track
+   * @param {string} trackId - Track ID
+   * @param {Array} splits - [{ address, shares (basis points), role, name }], empty for 100% to the artist
+   * @returns {Promise<Object>} Updated track
+   */
+  async setSplits(trackId, splits) {
+    try {
+      const track = await Track.findById(trackId);
+      if (!track) {
+        throw new Error("Track not found");
+      }
+
+      this.validateSplits(splits);
+
+      if (!track.blockchain?.contractId) {
+        throw new Error("Track must be added to the blockchain first");
+      }
+      await this.blockchainService.assertListedHere(track);
+
+      const result = await this.blockchainService.setTrackSplits(
+        track.blockchain.contractId,
+        splits.map((split) => split.address),
+        splits.map((split) => split.shares)
+      );
+
+      track.splits = splits.map((split) => ({
+        address: split.address.toLowerCase(),
+        shares: split.shares,
+        role: split.role,
+        name: split.name,
+      }));
+      track.splitsUpdatedAt = new Date();
+      await track.save();
+
+      console.log(`🤝 Splits updated for ${track.title} (${result.txHash})`);
+      return track;
+    } catch (error) {
+      console.error("TrackService.setSplits error:", error);
+      throw error;
+    }
+  }
+
+  // Splits must mirror the contract rules: up to 10 unique payees summing to 10000
+  validateSplits(splits) {
+    if (!Array.isArray(splits) || splits.length > 10) {
+      throw new Error("Invalid splits: expected an array of at most 10 payees");
+    }
+
+    const addresses = new Set();
+    let totalShares = 0;
+
+    for (const split of splits) {
+      if (!ethers.isAddress(split.address)) {
+        throw new Error(`Invalid splits: bad address ${split.address}`);
+      }
+      if (!Number.isInteger(split.shares) || split.shares < 1) {
+        throw new Error("Invalid splits: shares must be positive integers");
+      }
+      if (split.role && !SPLIT_ROLES.includes(split.role)) {
+        throw new Error(`Invalid splits: role must be one of ${SPLIT_ROLES}`);
+      }
+      if (addresses.has(split.address.toLowerCase())) {
+        throw new Error(`Invalid splits: duplicate payee ${split.address}`);
+      }
+      addresses.add(split.address.toLowerCase());
+      totalShares += split.shares;
+    }
+
+    if (splits.length > 0 && totalShares !== 10000) {
+      throw new Error("Invalid splits: shares must sum to 10000");
+    }
+  }
+
+  /**
+   * Create a limited ERC-1155 edition for a track listed on the blockchain
+   * @param {string} trackId - Track ID
+   * @param {Object} options - { maxSupply, price } (price defaults to the track price)
+   * @returns {Promise<Object>} Track edition data
+   */
+  async createEdition(trackId, options = {}) {
+    try {
+      const track = await Track.findById(trackId);
+      if (!track) {
+        throw new Error("Track not found");
+      }
+
+      if (!track.blockchain?.contractId) {
+        throw new Error("Track must be added to the blockchain first");
+      }
+      await this.blockchainService.assertListedHere(track);
+
+      if (track.edition?.tokenId) {
+        throw new Error("Track already has an edition");
+      }
+
+      const artistAddress =
+        track.artistAddress || track.blockchain.artistAddress;
+      const metadataHash = this.getMetadataHash(track);
+
+      if (!artistAddress || !metadataHash) {
+        throw new Error("Track has no artist address or stored metadata");
+      }
+
+      const price = options.price ?? track.price;
+      const result = await this.blockchainService.createEdition({
+        trackId: track.blockchain.contractId,
+        artist: artistAddress,
+        price,
+        maxSupply: options.maxSupply,
+        metadataHash,
+      });
+
+      track.edition = {
+        tokenId: result.tokenId,
+        contractAddress: result.contractAddress.toLowerCase(),
+        price: price.toString(),
+        maxSupply: options.maxSupply,
+        metadataHash,
+        txHash: result.txHash,
+        createdAt: new Date(),
+      };
+      await track.save();
+
+      console.log(`🎟️ Edition ${result.tokenId} created for ${track.title}`);
+      return track.edition;
+    } catch (error) {
+      console.error("TrackService.createEdition error:", error);
+      throw error;
+    }
+  }
+
   /**
    * Get track by ID with optional population
    * @param {string} trackId - Track ID
@@ -339,8 +1285,42 @@ class TrackService {
         throw new Error("Invalid Ethereum address format");
       }
 
+      if (updates.currency) {
+        updates = {
+          ...updates,
+          ...this.resolvePaymentCurrency(updates.currency),
+        };
+      }
+      const currencyChanged =
+        updates.currency !== undefined &&
+        updates.currency !== (track.currency || "ETH");
+
+      if (currencyChanged && track.blockchain.status === "voucher") {
+        throw new Error("Lazy-listed tracks must stay ETH-priced");
+      }
+
+      // A mined listing can still be reorged; it changes once confirmed
+      if (
+        currencyChanged &&
+        track.blockchain.status === "pending" &&
+        track.blockchain.contractId
+      ) {
+        throw new Error("Track listing is awaiting confirmations");
+      }
+
       // Apply updates
       Object.assign(track, updates);
+      await track.validate();
+
+      // A listed track switches currency on-chain before the change is saved
+      if (currencyChanged && track.blockchain.status === "confirmed") {
+        await this.blockchainService.setTrackPaymentToken(
+          track.blockchain.contractId,
+          track.paymentToken,
+          track.price
+        );
+      }
+
       await track.save();
 
       // Update blockchain if needed
@@ -470,6 +1450,66 @@ class TrackService {
     }
   }
 
+  /**
+   * Check whether a wallet may stream the full audio of a track
+   * @param {Object} track - Track document
+   * @param {string} walletAddress - Listener wallet address (optional)
+   * @returns {Promise<Object>} { granted, reason }
+   */
+  async checkStreamAccess(track, walletAddress = null) {
+    try {
+      // Free tracks are open to everyone
+      if (!(parseFloat(track.price) > 0)) {
+        return { granted: true, reason: "free" };
+      }
+
+      if (!walletAddress) {
+        return { granted: false, reason: "wallet_required" };
+      }
+
+      const address = walletAddress.toLowerCase();
+      const artistAddresses = [
+        track.artistAddress,
+        track.blockchain?.artistAddress,
+      ]
+        .filter(Boolean)
+        .map((a) => a.toLowerCase());
+
+      if (artistAddresses.includes(address)) {
+        return { granted: true, reason: "artist" };
+      }
+
+      const purchase = await Purchase.hasUserPurchased(address, track._id);
+      if (purchase && purchase.accessGranted) {
+        return { granted: true, reason: "purchase" };
+      }
+
+      // Fall back to the contract for purchases not yet recorded in the database
+      const contractId = track.blockchain?.contractId;
+      if (contractId !== undefined && contractId !== null) {
+        try {
+          const owned = await this.blockchainService.hasPurchased(
+            address,
+            contractId
+          );
+          if (owned) {
+            return { granted: true, reason: "blockchain" };
+          }
+        } catch (error) {
+          console.warn(
+            `⚠️ On-chain purchase check failed for track ${track._id}:`,
+            error.message
+          );
+        }
+      }
+
+      return { granted: false, reason: "not_purchased" };
+    } catch (error) {
+      console.error("TrackService.checkStreamAccess error:", error);
+      throw error;
+    }
+  }
+
   /**
    * Get track analytics
    * @param {string} trackId - Track ID
@@ -0,0 +1,319 @@
+import decode from "audio-decode";
+import { spawn } from "child_process";
+import fs from "fs";
+
+// Sample rate requested from ffmpeg when it does the decoding
+const FFMPEG_SAMPLE_RATE = 44100;
+
+// Samples per min/max pair kept while streaming from ffmpeg; resolutions are merged from these
+const FFMPEG_BASE_SAMPLES_PER_PIXEL = 256;
+
+/**
+ * Waveform Service
+ * Decodes audio and reduces it to min/max peak pairs (audiowaveform format).
+ * MP3, WAV, FLAC, Ogg Vorbis and Opus up to WAVEFORM_MAX_DECODE_SIZE decode
+ * in-process; other formats and larger files are streamed through ffmpeg
+ * (FFMPEG_PATH).
+ */
+class WaveformService {
+  constructor() {
+    this.resolutions = (process.env.WAVEFORM_RESOLUTIONS || "800,1600")
+      .split(",")
+      .map((value) => parseInt(value.trim()))
+      .filter((value) => value > 0);
+    this.ffmpegPath = process.env.FFMPEG_PATH || null;
+    // In-process decoding holds every sample in memory, several times the file size
+    this.maxDecodeSize =
+      parseInt(process.env.WAVEFORM_MAX_DECODE_SIZE) || 20 * 1024 * 1024;
+  }
+
+  /**
+   * Compute peaks for every configured resolution
+   * @param {Buffer|string} source - Encoded audio, or the path of the file holding it
+   * @param {Object} options - { resolutions }
+   * @returns {Promise<Array>} Waveforms { length, sampleRate, samplesPerPixel, bits, channels, durationSeconds, data }
+   */
+  async generate(source, options = {}) {
+    const { resolutions = this.resolutions } = options;
+    const fromFile = typeof source === "string";
+    const size = fromFile
+      ? (await fs.promises.stat(source)).size
+      : source.length;
+
+    if (size > this.maxDecodeSize) {
+      if (!this.ffmpegPath) {
+        throw new Error(
+          `Files over ${this.maxDecodeSize} bytes need FFMPEG_PATH for waveforms`
+        );
+      }
+      return await this.generateWithFfmpeg(source, resolutions);
+    }
+
+    let decoded;
+    try {
+      decoded = await this.decodeMono(
+        fromFile ? await fs.promises.readFile(source) : source
+      );
+    } catch (error) {
+      if (!this.ffmpegPath) {
+        throw new Error(`Unsupported audio format: ${error.message}`);
+      }
+      return await this.generateWithFfmpeg(source, resolutions);
+    }
+
+    const { samples, sampleRate } = decoded;
+    if (samples.length === 0) {
+      throw new Error("Decoded audio contains no samples");
+    }
+
+    console.log(
+      `〰️ Computing waveform peaks (${samples.length} samples @ ${sampleRate}Hz)`
+    );
+
+    return resolutions.map((buckets) =>
+      this.computePeaks(samples, sampleRate, buckets)
+    );
+  }
+
+  // Decode to a single mixed-down channel
+  async decodeMono(buffer) {
+    const audioBuffer = await decode(buffer);
+
+    const { numberOfChannels, length, sampleRate } = audioBuffer;
+    if (numberOfChannels === 1) {
+      return { samples: audioBuffer.getChannelData(0), sampleRate };
+    }
+
+    // Average the channels, as audiowaveform does
+    const samples = new Float32Array(length);
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      const data = audioBuffer.getChannelData(channel);
+      for (let i = 0; i < length; i++) {
+        samples[i] += data[i] / numberOfChannels;
+      }
+    }
+
+    return { samples, sampleRate };
+  }
+
+  // Decode with ffmpeg, reducing its output to peaks as it arrives
+  async generateWithFfmpeg(source, resolutions) {
+    const base = await this.streamFfmpegPeaks(source);
+
+    if (base.sampleCount === 0) {
+      throw new Error("Decoded audio contains no samples");
+    }
+
+    console.log(
+      `〰️ Computing waveform peaks (${base.sampleCount} samples @ ${FFMPEG_SAMPLE_RATE}Hz, via ffmpeg)`
+    );
+
+    return resolutions.map((buckets) => this.mergePeaks(base, buckets));
+  }
+
+  // Min/max of every FFMPEG_BASE_SAMPLES_PER_PIXEL mono samples ffmpeg decodes
+  streamFfmpegPeaks(source) {
+    const fromFile = typeof source === "string";
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(this.ffmpegPath, [
+        "-hide_banner",
+        "-loglevel",
+        "error",
+        "-i",
+        fromFile ? source : "pipe:0",
+        "-vn",
+        "-ac",
+        "1",
+        "-ar",
+        String(FFMPEG_SAMPLE_RATE),
+        "-f",
+        "f32le",
+        "pipe:1",
+      ]);
+
+      let mins = new Float32Array(4096);
+      let maxs = new Float32Array(4096);
+      let length = 0;
+      let sampleCount = 0;
+      let inPixel = 0;
+      let min = 1;
+      let max = -1;
+      // Bytes of a sample split across two chunks
+      let partial = Buffer.alloc(0);
+      let stderr = "";
+
+      const closePixel = () => {
+        if (length === mins.length) {
+          const grownMins = new Float32Array(length * 2);
+          const grownMaxs = new Float32Array(length * 2);
+          grownMins.set(mins);
+          grownMaxs.set(maxs);
+          mins = grownMins;
+          maxs = grownMaxs;
+        }
+        mins[length] = min;
+        maxs[length] = max;
+        length++;
+        inPixel = 0;
+        min = 1;
+        max = -1;
+      };
+
+      ffmpeg.stdout.on("data", (chunk) => {
+        const data = partial.length ? Buffer.concat([partial, chunk]) : chunk;
+        const usable = data.length - (data.length % 4);
+
+        for (let offset = 0; offset < usable; offset += 4) {
+          const sample = data.readFloatLE(offset);
+          if (sample < min) min = sample;
+          if (sample > max) max = sample;
+          if (++inPixel === FFMPEG_BASE_SAMPLES_PER_PIXEL) {
+            closePixel();
+          }
+        }
+
+        sampleCount += usable / 4;
+        partial = Buffer.from(data.subarray(usable));
+      });
+      ffmpeg.stderr.on("data", (chunk) => (stderr += chunk.toString()));
+      ffmpeg.on("error", reject);
+      ffmpeg.stdin.on("error", () => {});
+      ffmpeg.stdin.end(fromFile ? undefined : source);
+
+      ffmpeg.on("close", (code) => {
+        if (code !== 0) {
+          return reject(
+            new Error(`ffmpeg decode failed: ${stderr.trim() || code}`)
+          );
+        }
+        if (inPixel > 0) {
+          closePixel();
+        }
+        resolve({
+          mins: mins.subarray(0, length),
+          maxs: maxs.subarray(0, length),
+          length,
+          sampleCount,
+        });
+      });
+    });
+  }
+
+  // Merge streamed base peaks into at most `buckets` 8-bit min/max pairs
+  mergePeaks(base, buckets) {
+    const pixelsPerBucket = Math.max(Math.ceil(base.length / buckets), 1);
+    const length = Math.ceil(base.length / pixelsPerBucket);
+    const data = new Array(length * 2);
+
+    for (let pixel = 0; pixel < length; pixel++) {
+      const start = pixel * pixelsPerBucket;
+      const end = Math.min(start + pixelsPerBucket, base.length);
+      let min = 1;
+      let max = -1;
+
+      for (let i = start; i < end; i++) {
+        if (base.mins[i] < min) min = base.mins[i];
+        if (base.maxs[i] > max) max = base.maxs[i];
+      }
+
+      data[pixel * 2] = this.toInt8(min);
+      data[pixel * 2 + 1] = this.toInt8(max);
+    }
+
+    return {
+      length,
+      sampleRate: FFMPEG_SAMPLE_RATE,
+      samplesPerPixel: pixelsPerBucket * FFMPEG_BASE_SAMPLES_PER_PIXEL,
+      bits: 8,
+      channels: 1,
+      durationSeconds: base.sampleCount / FFMPEG_SAMPLE_RATE,
+      data,
+    };
+  }
+
+  // Reduce samples to at most `buckets` 8-bit min/max pairs
+  computePeaks(samples, sampleRate, buckets) {
+    const samplesPerPixel = Math.max(Math.ceil(samples.length / buckets), 1);
+    const length = Math.ceil(samples.length / samplesPerPixel);
+    const data = new Array(length * 2);
+
+    for (let pixel = 0; pixel < length; pixel++) {
+      const start = pixel * samplesPerPixel;
+      const end = Math.min(start + samplesPerPixel, samples.length);
+      let min = 1;
+      let max = -1;
+
+      for (let i = start; i < end; i++) {
+        if (samples[i] < min) min = samples[i];
+        if (samples[i] > max) max = samples[i];
+      }
+
+      data[pixel * 2] = this.toInt8(min);
+      data[pixel * 2 + 1] = this.toInt8(max);
+    }
+
+    return {
+      length,
+      sampleRate,
+      samplesPerPixel,
+      bits: 8,
+      channels: 1,
+      durationSeconds: samples.length / sampleRate,
+      data,
+    };
+  }
+
+  toInt8(value) {
+    return Math.max(-128, Math.min(127, Math.round(value * 127)));
+  }
+
+  /**
+   * Serialize a waveform as audiowaveform JSON
+   * @param {Object} waveform - Waveform document
+   * @returns {Object} audiowaveform JSON (version 2)
+   */
+  toJson(waveform) {
+    return {
+      version: 2,
+      channels: waveform.channels,
+      sample_rate: waveform.sampleRate,
+      samples_per_pixel: waveform.samplesPerPixel,
+      bits: waveform.bits,
+      length: waveform.length,
+      data: waveform.data,
+    };
+  }
+
+  /**
+   * Serialize a waveform as an audiowaveform binary .dat file (version 2)
+   * @param {Object} waveform - Waveform document
+   * @returns {Buffer} .dat contents
+   */
+  toDat(waveform) {
+    const bytesPerValue = waveform.bits === 8 ? 1 : 2;
+    const header = Buffer.alloc(24);
+
+    header.writeInt32LE(2, 0); // version
+    header.writeUInt32LE(waveform.bits === 8 ? 1 : 0, 4); // flags: 1 = 8-bit
+    header.writeInt32LE(waveform.sampleRate, 8);
+    header.writeInt32LE(waveform.samplesPerPixel, 12);
+    header.writeUInt32LE(waveform.length, 16);
+    header.writeInt32LE(waveform.channels, 20);
+
+    const body = Buffer.alloc(waveform.data.length * bytesPerValue);
+    waveform.data.forEach((value, index) => {
+      if (bytesPerValue === 1) {
+        body.writeInt8(value, index);
+      } else {
+        body.writeInt16LE(value, index * 2);
+      }
+    });
+
+    return Buffer.concat([header, body]);
+  }
+}
+
+export default WaveformService;
+
+console.log("✅ WaveformService loaded");
@@ -0,0 +1,181 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { anyUint } from "@nomicfoundation/hardhat-chai-matchers/withArgs.js";
+import { splitSale } from "./fixtures.js";
+const { ethers } = hre;
+
+describe("MusicEditions", function () {
+    // Edition 1: five copies of MusicStore track 1 by `artist` at 0.02 ETH each
+    async function deployEditionsFixture() {
+        const [owner, artist, buyer, other] = await ethers.getSigners();
+
+        const editions = await ethers.deployContract("MusicEditions", [owner.address]);
+        const price = ethers.parseEther("0.02");
+        const maxSupply = 5n;
+        await editions.createEdition(1, artist.address, price, maxSupply, "QmEdition1");
+
+        return { editions, owner, artist, buyer, other, price, maxSupply };
+    }
+
+    describe("createEdition", function () {
+        it("creates an edition with its metadata", async function () {
+            const { editions, artist, price } = await loadFixture(deployEditionsFixture);
+
+            await expect(editions.createEdition(7, artist.address, price, 10, "QmEdition2"))
+                .to.emit(editions, "EditionCreated")
+                .withArgs(2, 7, artist.address, price, 10, "QmEdition2", anyUint);
+
+            const edition = await editions.editions(2);
+            expect(edition.trackId).to.equal(7);
+            expect(edition.minted).to.equal(0);
+            expect(edition.isActive).to.equal(true);
+            expect(await editions.uri(2)).to.equal("ipfs://QmEdition2");
+            expect(await editions.remainingSupply(2)).to.equal(10);
+        });
+
+        it("rejects invalid editions", async function () {
+            const { editions, artist, price } = await loadFixture(deployEditionsFixture);
+            const maxEditionSupply = await editions.MAX_EDITION_SUPPLY();
+
+            await expect(editions.createEdition(1, artist.address, price, 0, "QmEdition2"))
+                .to.be.revertedWith("Invalid max supply");
+            await expect(editions.createEdition(1, artist.address, price, maxEditionSupply + 1n, "QmEdition2"))
+                .to.be.revertedWith("Invalid max supply");
+            await expect(editions.createEdition(1, ethers.ZeroAddress, price, 10, "QmEdition2"))
+                .to.be.revertedWith("Invalid artist address");
+            await expect(editions.createEdition(1, artist.address, price, 10, ""))
+                .to.be.revertedWith("Metadata hash required");
+        });
+
+        it("is restricted to the owner", async function () {
+            const { editions, artist, price } = await loadFixture(deployEditionsFixture);
+
+            await expect(editions.connect(artist).createEdition(1, artist.address, price, 10, "QmEdition2"))
+                .to.be.revertedWithCustomError(editions, "OwnableUnauthorizedAccount")
+                .withArgs(artist.address);
+        });
+    });
+
+    describe("mint", function () {
+        it("mints copies and splits the payment between artist and platform", async function () {
+            const { editions, artist, buyer, price } = await loadFixture(deployEditionsFixture);
+            const totalPrice = price * 2n;
+            const { fee, artistPayment } = splitSale(totalPrice);
+
+            await expect(editions.connect(buyer).mint(1, 2, { value: totalPrice }))
+                .to.emit(editions, "EditionMinted")
+                .withArgs(1, buyer.address, artist.address, 2, totalPrice, artistPayment, fee, anyUint);
+
+            expect(await editions.balanceOf(buyer.address, 1)).to.equal(2);
+            expect(await editions.artistBalances(artist.address)).to.equal(artistPayment);
+            expect(await editions.totalPlatformFees()).to.equal(fee);
+            expect(await editions.remainingSupply(1)).to.equal(3);
+        });
+
+        it("refunds overpayment", async function () {
+            const { editions, buyer, price } = await loadFixture(deployEditionsFixture);
+
+            await expect(editions.connect(buyer).mint(1, 1, { value: price + ethers.parseEther("1") }))
+                .to.changeEtherBalances([buyer, editions], [-price, price]);
+        });
+
+        it("rejects underpayment", async function () {
+            const { editions, buyer, price } = await loadFixture(deployEditionsFixture);
+
+            await expect(editions.connect(buyer).mint(1, 2, { value: price * 2n - 1n }))
+                .to.be.revertedWith("Insufficient payment");
+        });
+
+        it("stops at the edition's max supply", async function () {
+            const { editions, buyer, other, price, maxSupply } = await loadFixture(deployEditionsFixture);
+
+            await expect(editions.connect(buyer).mint(1, maxSupply + 1n, { value: price * (maxSupply + 1n) }))
+                .to.be.revertedWith("Exceeds max supply");
+
+            await editions.connect(buyer).mint(1, maxSupply - 1n, { value: price * (maxSupply - 1n) });
+            await editions.connect(other).mint(1, 1, { value: price });
+            expect(await editions.remainingSupply(1)).to.equal(0);
+
+            await expect(editions.connect(other).mint(1, 1, { value: price }))
+                .to.be.revertedWith("Exceeds max supply");
+        });
+
+        it("rejects zero amounts and unknown editions", async function () {
+            const { editions, buyer, price } = await loadFixture(deployEditionsFixture);
+
+            await expect(editions.connect(buyer).mint(1, 0)).to.be.revertedWith("Amount must be positive");
+            await expect(editions.connect(buyer).mint(2, 1, { value: price }))
+                .to.be.revertedWith("Invalid edition ID");
+        });
+
+        it("rejects an edition its artist deactivated", async function () {
+            const { editions, artist, buyer, other, price } = await loadFixture(deployEditionsFixture);
+
+            await expect(editions.connect(other).updateEdition(1, price, false))
+                .to.be.revertedWith("Not authorized");
+            await expect(editions.connect(artist).updateEdition(1, price, false))
+                .to.emit(editions, "EditionUpdated")
+                .withArgs(1, price, false, anyUint);
+
+            await expect(editions.connect(buyer).mint(1, 1, { value: price }))
+                .to.be.revertedWith("Edition not available");
+        });
+
+        it("applies a changed platform fee to later mints", async function () {
+            const { editions, artist, buyer, price } = await loadFixture(deployEditionsFixture);
+
+            await expect(editions.updatePlatformFee(1001)).to.be.revertedWith("Fee exceeds maximum");
+            await editions.updatePlatformFee(1000);
+            await editions.connect(buyer).mint(1, 1, { value: price });
+
+            expect(await editions.totalPlatformFees()).to.equal(price / 10n);
+            expect(await editions.artistBalances(artist.address)).to.equal(price - price / 10n);
+        });
+
+        it("blocks minting and transfers while paused", async function () {
+            const { editions, buyer, other, price } = await loadFixture(deployEditionsFixture);
+
+            await editions.connect(buyer).mint(1, 1, { value: price });
+            await editions.pause();
+
+            await expect(editions.connect(buyer).mint(1, 1, { value: price }))
+                .to.be.revertedWithCustomError(editions, "EnforcedPause");
+            await expect(
+                editions.connect(buyer).safeTransferFrom(buyer.address, other.address, 1, 1, "0x")
+            ).to.be.revertedWithCustomError(editions, "EnforcedPause");
+        });
+    });
+
+    describe("withdrawals", function () {
+        it("pays the artist their balance once", async function () {
+            const { editions, artist, buyer, price } = await loadFixture(deployEditionsFixture);
+            const { artistPayment } = splitSale(price * 3n);
+
+            await editions.connect(buyer).mint(1, 3, { value: price * 3n });
+
+            const tx = editions.connect(artist).withdrawArtistBalance();
+            await expect(tx)
+                .to.emit(editions, "Withdrawal")
+                .withArgs(artist.address, artistPayment, anyUint);
+            await expect(tx).to.changeEtherBalances([artist, editions], [artistPayment, -artistPayment]);
+
+            expect(await editions.artistBalances(artist.address)).to.equal(0);
+            await expect(editions.connect(artist).withdrawArtistBalance())
+                .to.be.revertedWith("No balance to withdraw");
+        });
+
+        it("pays platform fees to the owner only", async function () {
+            const { editions, owner, buyer, other, price } = await loadFixture(deployEditionsFixture);
+            const { fee } = splitSale(price);
+
+            await editions.connect(buyer).mint(1, 1, { value: price });
+
+            await expect(editions.connect(other).withdrawPlatformFees())
+                .to.be.revertedWithCustomError(editions, "OwnableUnauthorizedAccount");
+            await expect(editions.withdrawPlatformFees())
+                .to.changeEtherBalances([owner, editions], [fee, -fee]);
+            expect(await editions.totalPlatformFees()).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,103 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { anyUint } from "@nomicfoundation/hardhat-chai-matchers/withArgs.js";
+import { deployStoreFixture, splitSale } from "./fixtures.js";
+const { ethers } = hre;
+
+describe("MusicStore bundles", function () {
+    // Three 0.01 ETH tracks (two by `artist`, one by `collaborator`) sold together for 0.02 ETH
+    async function bundleFixture() {
+        const fixture = await deployStoreFixture();
+        const { store, artist, collaborator, price } = fixture;
+        const bundlePrice = ethers.parseEther("0.02");
+
+        await store.addTrack(price, artist.address, "QmTrack2");
+        await store.addTrack(price, collaborator.address, "QmTrack3");
+        await store.createBundle([1, 2, 3], bundlePrice);
+
+        return { ...fixture, bundlePrice };
+    }
+
+    it("grants every track of the bundle", async function () {
+        const { store, buyer, bundlePrice } = await loadFixture(bundleFixture);
+
+        await expect(store.connect(buyer).purchaseBundle(1, { value: bundlePrice }))
+            .to.emit(store, "BundlePurchased")
+            .withArgs(1, buyer.address, bundlePrice, 3, anyUint);
+
+        for (const trackId of [1, 2, 3]) {
+            expect(await store.purchases(buyer.address, trackId)).to.equal(true);
+        }
+        const [, , totalSales] = await store.getBundle(1);
+        expect(totalSales).to.equal(1);
+    });
+
+    it("shares the bundle price by track price, the last track taking the remainder", async function () {
+        const { store, artist, collaborator, buyer, bundlePrice } = await loadFixture(bundleFixture);
+
+        const share = bundlePrice / 3n;
+        const lastShare = bundlePrice - 2n * share;
+        expect(lastShare).to.not.equal(share);
+
+        await expect(store.connect(buyer).purchaseBundle(1, { value: bundlePrice }))
+            .to.emit(store, "TrackPurchased")
+            .withArgs(3, buyer.address, collaborator.address, lastShare, splitSale(lastShare).artistPayment,
+                splitSale(lastShare).fee, anyUint, buyer.address, ethers.ZeroAddress);
+
+        expect(await store.artistBalances(artist.address)).to.equal(2n * splitSale(share).artistPayment);
+        expect(await store.artistBalances(collaborator.address)).to.equal(splitSale(lastShare).artistPayment);
+        expect(await store.totalPlatformFees()).to.equal(2n * splitSale(share).fee + splitSale(lastShare).fee);
+    });
+
+    it("gives pricier tracks a larger share", async function () {
+        const { store, artist, collaborator, buyer, bundlePrice } = await loadFixture(bundleFixture);
+
+        // 0.01 + 0.02 + 0.01 list total: 25%, 50% and 25% of the bundle price
+        await store.updateTrackPrice(2, ethers.parseEther("0.02"));
+        await store.connect(buyer).purchaseBundle(1, { value: bundlePrice });
+
+        const quarter = bundlePrice / 4n;
+        expect(await store.artistBalances(artist.address))
+            .to.equal(splitSale(quarter).artistPayment + splitSale(2n * quarter).artistPayment);
+        expect(await store.artistBalances(collaborator.address)).to.equal(splitSale(quarter).artistPayment);
+    });
+
+    it("refunds overpayment", async function () {
+        const { store, buyer, bundlePrice } = await loadFixture(bundleFixture);
+
+        await expect(
+            store.connect(buyer).purchaseBundle(1, { value: bundlePrice + ethers.parseEther("1") })
+        ).to.changeEtherBalances([buyer, store], [-bundlePrice, bundlePrice]);
+    });
+
+    it("rejects underpayment", async function () {
+        const { store, buyer, bundlePrice } = await loadFixture(bundleFixture);
+
+        await expect(store.connect(buyer).purchaseBundle(1, { value: bundlePrice - 1n }))
+            .to.be.revertedWith("Insufficient payment");
+    });
+
+    it("rejects a buyer who already owns one of the tracks", async function () {
+        const { store, buyer, price, bundlePrice } = await loadFixture(bundleFixture);
+
+        await store.connect(buyer).purchaseTrack(2, { value: price });
+        await expect(store.connect(buyer).purchaseBundle(1, { value: bundlePrice }))
+            .to.be.revertedWith("Already purchased");
+    });
+
+    it("rejects an inactive bundle", async function () {
+        const { store, buyer, bundlePrice } = await loadFixture(bundleFixture);
+
+        await store.updateBundle(1, bundlePrice, false);
+        await expect(store.connect(buyer).purchaseBundle(1, { value: bundlePrice }))
+            .to.be.revertedWith("Bundle not available");
+    });
+
+    it("rejects bundles of one track or with duplicates", async function () {
+        const { store, bundlePrice } = await loadFixture(bundleFixture);
+
+        await expect(store.createBundle([1], bundlePrice)).to.be.revertedWith("Invalid bundle size");
+        await expect(store.createBundle([1, 2, 1], bundlePrice)).to.be.revertedWith("Duplicate track");
+    });
+});
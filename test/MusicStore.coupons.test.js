@@ -0,0 +1,128 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { anyUint } from "@nomicfoundation/hardhat-chai-matchers/withArgs.js";
+import { deployStoreFixture, storeDomain, secondsFromNow, splitSale } from "./fixtures.js";
+const { ethers } = hre;
+
+// Same type as services/BlockchainService.js signs
+const COUPON_TYPES = {
+    Coupon: [
+        { name: "trackId", type: "uint256" },
+        { name: "buyer", type: "address" },
+        { name: "price", type: "uint256" },
+        { name: "campaignId", type: "bytes32" },
+        { name: "expiry", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+    ]
+};
+
+describe("MusicStore coupons", function () {
+    // A 50% coupon for track 1, signed for `buyer`
+    async function couponFixture() {
+        const fixture = await deployStoreFixture();
+        const { store, owner, buyer, price } = fixture;
+        const domain = await storeDomain(store);
+
+        const coupon = {
+            trackId: 1n,
+            buyer: buyer.address,
+            price: price / 2n,
+            campaignId: ethers.id("LAUNCH50"),
+            expiry: await secondsFromNow(900),
+            nonce: 7n
+        };
+        const sign = (fields = {}, signer = owner) =>
+            signer.signTypedData(domain, COUPON_TYPES, { ...coupon, ...fields });
+
+        return { ...fixture, coupon, sign };
+    }
+
+    it("sells the track at the coupon price", async function () {
+        const { store, artist, buyer, price, coupon, sign } = await loadFixture(couponFixture);
+        const signature = await sign();
+
+        await expect(store.connect(buyer).purchaseWithCoupon(coupon, signature, { value: coupon.price }))
+            .to.emit(store, "CouponRedeemed")
+            .withArgs(1, buyer.address, coupon.campaignId, coupon.nonce, price, coupon.price, anyUint);
+
+        expect(await store.purchases(buyer.address, 1)).to.equal(true);
+        expect(await store.artistBalances(artist.address)).to.equal(splitSale(coupon.price).artistPayment);
+        expect(await store.usedVoucherNonces(coupon.nonce)).to.equal(true);
+    });
+
+    it("rejects a replayed coupon", async function () {
+        const { store, artist, buyer, coupon, sign } = await loadFixture(couponFixture);
+        const signature = await sign();
+
+        await store.connect(buyer).purchaseWithCoupon(coupon, signature, { value: coupon.price });
+
+        // Even for another track the buyer has not bought yet
+        await store.addTrack(ethers.parseEther("0.01"), artist.address, "QmTrack2");
+        const second = { ...coupon, trackId: 2n };
+        await expect(
+            store.connect(buyer).purchaseWithCoupon(second, await sign(second), { value: coupon.price })
+        ).to.be.revertedWith("Coupon already used");
+    });
+
+    it("rejects an expired coupon", async function () {
+        const { store, buyer, coupon, sign } = await loadFixture(couponFixture);
+        const signature = await sign();
+
+        await time.increaseTo(coupon.expiry + 1n);
+        await expect(store.connect(buyer).purchaseWithCoupon(coupon, signature, { value: coupon.price }))
+            .to.be.revertedWith("Coupon expired");
+    });
+
+    it("accepts a coupon in its last second", async function () {
+        const { store, buyer, coupon, sign } = await loadFixture(couponFixture);
+        const signature = await sign();
+
+        await time.setNextBlockTimestamp(coupon.expiry);
+        await expect(store.connect(buyer).purchaseWithCoupon(coupon, signature, { value: coupon.price }))
+            .to.emit(store, "CouponRedeemed");
+    });
+
+    it("rejects a coupon used by another wallet", async function () {
+        const { store, other, coupon, sign } = await loadFixture(couponFixture);
+        const signature = await sign();
+
+        await expect(store.connect(other).purchaseWithCoupon(coupon, signature, { value: coupon.price }))
+            .to.be.revertedWith("Coupon issued to another buyer");
+    });
+
+    it("rejects a coupon with a lowered price", async function () {
+        const { store, buyer, coupon, sign } = await loadFixture(couponFixture);
+        const signature = await sign();
+        const cheaper = { ...coupon, price: coupon.price / 2n };
+
+        await expect(store.connect(buyer).purchaseWithCoupon(cheaper, signature, { value: cheaper.price }))
+            .to.be.revertedWith("Invalid coupon signature");
+    });
+
+    it("rejects a coupon not signed by the voucher signer", async function () {
+        const { store, buyer, other, coupon, sign } = await loadFixture(couponFixture);
+        const signature = await sign({}, other);
+
+        await expect(store.connect(buyer).purchaseWithCoupon(coupon, signature, { value: coupon.price }))
+            .to.be.revertedWith("Invalid coupon signature");
+    });
+
+    it("rejects a coupon priced above the track", async function () {
+        const { store, buyer, price, coupon, sign } = await loadFixture(couponFixture);
+        const pricier = { ...coupon, price: price + 1n };
+
+        await expect(
+            store.connect(buyer).purchaseWithCoupon(pricier, await sign(pricier), { value: pricier.price })
+        ).to.be.revertedWith("Coupon price above track price");
+    });
+
+    it("rejects a coupon revoked by the owner", async function () {
+        const { store, buyer, coupon, sign } = await loadFixture(couponFixture);
+        const signature = await sign();
+
+        await store.cancelVoucher(coupon.nonce);
+        await expect(store.connect(buyer).purchaseWithCoupon(coupon, signature, { value: coupon.price }))
+            .to.be.revertedWith("Coupon already used");
+    });
+});
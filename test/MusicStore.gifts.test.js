@@ -0,0 +1,68 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { anyUint } from "@nomicfoundation/hardhat-chai-matchers/withArgs.js";
+import { deployStoreFixture, deployTokenStoreFixture, splitSale } from "./fixtures.js";
+const { ethers } = hre;
+
+describe("MusicStore gifts", function () {
+    it("credits the recipient, not the payer", async function () {
+        const { store, artist, buyer, other, price } = await loadFixture(deployStoreFixture);
+        const { fee, artistPayment } = splitSale(price);
+
+        await expect(store.connect(buyer).purchaseTrackFor(1, other.address, { value: price }))
+            .to.emit(store, "TrackPurchased")
+            .withArgs(1, other.address, artist.address, price, artistPayment, fee, anyUint,
+                buyer.address, ethers.ZeroAddress);
+
+        expect(await store.purchases(other.address, 1)).to.equal(true);
+        expect(await store.purchases(buyer.address, 1)).to.equal(false);
+        expect(await store.artistBalances(artist.address)).to.equal(artistPayment);
+    });
+
+    it("charges the payer and refunds their overpayment", async function () {
+        const { store, buyer, other, price } = await loadFixture(deployStoreFixture);
+
+        await expect(
+            store.connect(buyer).purchaseTrackFor(1, other.address, { value: price + ethers.parseEther("1") })
+        ).to.changeEtherBalances([buyer, other, store], [-price, 0, price]);
+    });
+
+    it("lets the payer still buy the track for themselves", async function () {
+        const { store, buyer, other, price } = await loadFixture(deployStoreFixture);
+
+        await store.connect(buyer).purchaseTrackFor(1, other.address, { value: price });
+        await store.connect(buyer).purchaseTrack(1, { value: price });
+
+        expect(await store.purchases(buyer.address, 1)).to.equal(true);
+    });
+
+    it("rejects a recipient who owns the track, the artist or the zero address", async function () {
+        const { store, artist, buyer, other, price } = await loadFixture(deployStoreFixture);
+
+        await store.connect(other).purchaseTrack(1, { value: price });
+        await expect(store.connect(buyer).purchaseTrackFor(1, other.address, { value: price }))
+            .to.be.revertedWith("Already purchased");
+        await expect(store.connect(buyer).purchaseTrackFor(1, artist.address, { value: price }))
+            .to.be.revertedWith("Artists cannot purchase own tracks");
+        await expect(store.connect(buyer).purchaseTrackFor(1, ethers.ZeroAddress, { value: price }))
+            .to.be.revertedWith("Invalid recipient");
+    });
+
+    it("pulls a token gift from the payer", async function () {
+        const { store, token, tokenAddress, tokenPrice, artist, buyer, other } =
+            await loadFixture(deployTokenStoreFixture);
+        const { fee, artistPayment } = splitSale(tokenPrice);
+
+        await token.connect(buyer).approve(await store.getAddress(), tokenPrice);
+        const tx = store.connect(buyer).purchaseTrackForWithToken(2, other.address);
+        await expect(tx)
+            .to.emit(store, "TrackPurchased")
+            .withArgs(2, other.address, artist.address, tokenPrice, artistPayment, fee, anyUint,
+                buyer.address, tokenAddress);
+        await expect(tx).to.changeTokenBalances(token, [buyer, other, store], [-tokenPrice, 0, tokenPrice]);
+
+        expect(await store.purchases(other.address, 2)).to.equal(true);
+        expect(await store.purchases(buyer.address, 2)).to.equal(false);
+    });
+});
@@ -0,0 +1,104 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { anyUint } from "@nomicfoundation/hardhat-chai-matchers/withArgs.js";
+import { deployStoreFixture, splitSale, FEE_BPS, DEFAULT_ROYALTY_BPS } from "./fixtures.js";
+const { ethers } = hre;
+
+describe("MusicStore resale", function () {
+    // Track 1 bought by `buyer` and listed at `listPrice`
+    async function listedFixture() {
+        const fixture = await deployStoreFixture();
+        const { store, buyer, price } = fixture;
+        const listPrice = ethers.parseEther("0.02");
+
+        await store.connect(buyer).purchaseTrack(1, { value: price });
+        await store.connect(buyer).listPurchase(1, listPrice);
+
+        return { ...fixture, listPrice };
+    }
+
+    it("pays the royalty to the artist, the fee to the platform and the rest to the seller", async function () {
+        const { store, artist, buyer, other, price, listPrice } = await loadFixture(listedFixture);
+
+        const royalty = (listPrice * DEFAULT_ROYALTY_BPS) / 10000n;
+        const fee = (listPrice * FEE_BPS) / 10000n;
+        const proceeds = listPrice - royalty - fee;
+
+        await expect(store.connect(other).buyResale(1, buyer.address, { value: listPrice }))
+            .to.emit(store, "PurchaseResold")
+            .withArgs(1, buyer.address, other.address, listPrice, royalty, fee, proceeds, anyUint);
+
+        expect(royalty).to.equal(ethers.parseEther("0.002"));
+        expect(proceeds).to.equal(ethers.parseEther("0.0175"));
+        expect(await store.sellerBalances(buyer.address)).to.equal(proceeds);
+        expect(await store.artistBalances(artist.address)).to.equal(splitSale(price).artistPayment + royalty);
+        expect(await store.totalPlatformFees()).to.equal(splitSale(price).fee + fee);
+    });
+
+    it("moves the purchase right to the resale buyer", async function () {
+        const { store, buyer, other, listPrice } = await loadFixture(listedFixture);
+
+        await store.connect(other).buyResale(1, buyer.address, { value: listPrice });
+
+        expect(await store.purchases(buyer.address, 1)).to.equal(false);
+        expect(await store.purchases(other.address, 1)).to.equal(true);
+        expect((await store.listings(1, buyer.address)).isActive).to.equal(false);
+        await expect(store.connect(other).buyResale(1, buyer.address, { value: listPrice }))
+            .to.be.revertedWith("Not listed");
+    });
+
+    it("refunds overpayment to the resale buyer", async function () {
+        const { store, buyer, other, listPrice } = await loadFixture(listedFixture);
+
+        await expect(
+            store.connect(other).buyResale(1, buyer.address, { value: listPrice * 2n })
+        ).to.changeEtherBalances([other, store], [-listPrice, listPrice]);
+    });
+
+    it("rounds the royalty and fee down, leaving the remainder to the seller", async function () {
+        const { store, artist, buyer, other } = await loadFixture(listedFixture);
+        const listPrice = ethers.parseEther("0.001") + 7n;
+
+        await store.connect(artist).setTrackRoyalty(1, 333);
+        await store.connect(buyer).listPurchase(1, listPrice);
+
+        const royalty = (listPrice * 333n) / 10000n;
+        const fee = (listPrice * FEE_BPS) / 10000n;
+        const [, royaltyInfo] = await store.royaltyInfo(1, listPrice);
+        expect(royaltyInfo).to.equal(royalty);
+
+        await store.connect(other).buyResale(1, buyer.address, { value: listPrice });
+
+        expect(await store.sellerBalances(buyer.address)).to.equal(listPrice - royalty - fee);
+    });
+
+    it("splits the royalty between collaborators", async function () {
+        const { store, artist, buyer, other, collaborator, price, listPrice } = await loadFixture(listedFixture);
+
+        await store.connect(artist).setTrackSplits(1, [artist.address, collaborator.address], [7000, 3000]);
+        await store.connect(other).buyResale(1, buyer.address, { value: listPrice });
+
+        const royalty = (listPrice * DEFAULT_ROYALTY_BPS) / 10000n;
+        const artistShare = (royalty * 7000n) / 10000n;
+        expect(await store.artistBalances(artist.address))
+            .to.equal(splitSale(price).artistPayment + artistShare);
+        expect(await store.artistBalances(collaborator.address)).to.equal(royalty - artistShare);
+    });
+
+    it("pays the seller everything but the fee on a royalty-free track", async function () {
+        const { store, artist, buyer, other, listPrice } = await loadFixture(listedFixture);
+
+        await store.connect(artist).setTrackRoyalty(1, 0);
+        await store.connect(other).buyResale(1, buyer.address, { value: listPrice });
+
+        const fee = (listPrice * FEE_BPS) / 10000n;
+        expect(await store.sellerBalances(buyer.address)).to.equal(listPrice - fee);
+    });
+
+    it("rejects royalties above the maximum", async function () {
+        const { store, artist } = await loadFixture(listedFixture);
+
+        await expect(store.connect(artist).setTrackRoyalty(1, 2001)).to.be.revertedWith("Royalty exceeds maximum");
+    });
+});
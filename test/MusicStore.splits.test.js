@@ -0,0 +1,84 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { anyUint } from "@nomicfoundation/hardhat-chai-matchers/withArgs.js";
+import { deployStoreFixture, splitSale } from "./fixtures.js";
+const { ethers } = hre;
+
+describe("MusicStore splits", function () {
+    it("credits each payee their share of the artist payment", async function () {
+        const { store, artist, buyer, collaborator, price } = await loadFixture(deployStoreFixture);
+        const { artistPayment } = splitSale(price);
+
+        await store.connect(artist).setTrackSplits(1, [artist.address, collaborator.address], [6000, 4000]);
+
+        await expect(store.connect(buyer).purchaseTrack(1, { value: price }))
+            .to.emit(store, "EarningsCredited")
+            .withArgs(1, artist.address, (artistPayment * 6000n) / 10000n, 6000, anyUint, ethers.ZeroAddress)
+            .and.to.emit(store, "EarningsCredited")
+            .withArgs(1, collaborator.address, (artistPayment * 4000n) / 10000n, 4000, anyUint, ethers.ZeroAddress);
+
+        expect(await store.artistBalances(artist.address)).to.equal((artistPayment * 6000n) / 10000n);
+        expect(await store.artistBalances(collaborator.address)).to.equal((artistPayment * 4000n) / 10000n);
+    });
+
+    it("gives the rounding remainder to the last payee", async function () {
+        const { store, owner, artist, buyer, collaborator } = await loadFixture(deployStoreFixture);
+        // 3333/3333/3334 bps of an odd wei amount cannot divide evenly
+        const price = ethers.parseEther("0.001") + 1n;
+        await store.addTrack(price, artist.address, "QmTrack2");
+        await store.connect(artist).setTrackSplits(
+            2,
+            [artist.address, collaborator.address, owner.address],
+            [3333, 3333, 3334]
+        );
+
+        await store.connect(buyer).purchaseTrack(2, { value: price });
+
+        const { artistPayment } = splitSale(price);
+        const first = (artistPayment * 3333n) / 10000n;
+        const last = artistPayment - 2n * first;
+        expect(await store.artistBalances(artist.address)).to.equal(first);
+        expect(await store.artistBalances(collaborator.address)).to.equal(first);
+        expect(await store.artistBalances(owner.address)).to.equal(last);
+        expect(last).to.be.greaterThan((artistPayment * 3334n) / 10000n);
+    });
+
+    it("pays the artist in full without splits", async function () {
+        const { store, artist, buyer, price } = await loadFixture(deployStoreFixture);
+
+        await expect(store.connect(buyer).purchaseTrack(1, { value: price }))
+            .to.emit(store, "EarningsCredited")
+            .withArgs(1, artist.address, splitSale(price).artistPayment, 10000, anyUint, ethers.ZeroAddress);
+    });
+
+    it("returns the splits in order", async function () {
+        const { store, artist, collaborator } = await loadFixture(deployStoreFixture);
+
+        await store.connect(artist).setTrackSplits(1, [collaborator.address, artist.address], [2500, 7500]);
+
+        const [payees, shares] = await store.getTrackSplits(1);
+        expect(payees).to.deep.equal([collaborator.address, artist.address]);
+        expect(shares).to.deep.equal([2500n, 7500n]);
+    });
+
+    it("rejects shares that do not sum to 10000", async function () {
+        const { store, artist, collaborator } = await loadFixture(deployStoreFixture);
+
+        await expect(
+            store.connect(artist).setTrackSplits(1, [artist.address, collaborator.address], [5000, 4999])
+        ).to.be.revertedWith("Shares must sum to 10000");
+        await expect(
+            store.connect(artist).setTrackSplits(1, [artist.address, collaborator.address], [10000, 0])
+        ).to.be.revertedWith("Shares must be positive");
+    });
+
+    it("only lets the artist or the owner set splits", async function () {
+        const { store, artist, other } = await loadFixture(deployStoreFixture);
+
+        await expect(
+            store.connect(other).setTrackSplits(1, [other.address], [10000])
+        ).to.be.revertedWith("Not authorized");
+        await expect(store.setTrackSplits(1, [artist.address], [10000])).to.not.be.reverted;
+    });
+});
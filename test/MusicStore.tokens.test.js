@@ -0,0 +1,103 @@
+import { expect } from "chai";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { anyUint } from "@nomicfoundation/hardhat-chai-matchers/withArgs.js";
+import { deployTokenStoreFixture as tokenFixture, splitSale, secondsFromNow } from "./fixtures.js";
+
+describe("MusicStore ERC-20 payments", function () {
+    describe("purchaseTrackWithPermit", function () {
+        it("pulls the price with a permit and credits the artist in the token", async function () {
+            const { store, token, tokenAddress, tokenPrice, artist, buyer, signPermit } = await loadFixture(tokenFixture);
+            const deadline = await secondsFromNow(3600);
+            const { v, r, s } = await signPermit(buyer, tokenPrice, deadline);
+            const { fee, artistPayment } = splitSale(tokenPrice);
+
+            const tx = store.connect(buyer).purchaseTrackWithPermit(2, tokenPrice, deadline, v, r, s);
+            await expect(tx)
+                .to.emit(store, "TrackPurchased")
+                .withArgs(2, buyer.address, artist.address, tokenPrice, artistPayment, fee, anyUint,
+                    buyer.address, tokenAddress);
+            await expect(tx).to.changeTokenBalances(token, [buyer, store], [-tokenPrice, tokenPrice]);
+
+            expect(await store.purchases(buyer.address, 2)).to.equal(true);
+            expect(await store.tokenBalances(tokenAddress, artist.address)).to.equal(artistPayment);
+            expect(await store.tokenPlatformFees(tokenAddress)).to.equal(fee);
+            // Token earnings stay out of the ETH balances
+            expect(await store.artistBalances(artist.address)).to.equal(0);
+            expect(await token.allowance(buyer.address, await store.getAddress())).to.equal(0);
+        });
+
+        it("still succeeds when the permit was front-run", async function () {
+            const { store, token, tokenPrice, buyer, other, signPermit } = await loadFixture(tokenFixture);
+            const deadline = await secondsFromNow(3600);
+            const { v, r, s } = await signPermit(buyer, tokenPrice, deadline);
+
+            // Someone submits the permit from the mempool first
+            await token.connect(other).permit(buyer.address, await store.getAddress(), tokenPrice, deadline, v, r, s);
+
+            await expect(store.connect(buyer).purchaseTrackWithPermit(2, tokenPrice, deadline, v, r, s))
+                .to.emit(store, "TrackPurchased");
+        });
+
+        it("fails without an allowance when the permit expired", async function () {
+            const { store, token, tokenPrice, buyer, signPermit } = await loadFixture(tokenFixture);
+            const deadline = await secondsFromNow(60);
+            const { v, r, s } = await signPermit(buyer, tokenPrice, deadline);
+
+            await time.increaseTo(deadline + 1n);
+            await expect(store.connect(buyer).purchaseTrackWithPermit(2, tokenPrice, deadline, v, r, s))
+                .to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+        });
+
+        it("fails when the permitted value is below the price", async function () {
+            const { store, token, tokenPrice, buyer, signPermit } = await loadFixture(tokenFixture);
+            const deadline = await secondsFromNow(3600);
+            const { v, r, s } = await signPermit(buyer, tokenPrice - 1n, deadline);
+
+            await expect(store.connect(buyer).purchaseTrackWithPermit(2, tokenPrice - 1n, deadline, v, r, s))
+                .to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+        });
+
+        it("rejects an ETH-priced track", async function () {
+            const { store, tokenPrice, buyer, signPermit } = await loadFixture(tokenFixture);
+            const deadline = await secondsFromNow(3600);
+            const { v, r, s } = await signPermit(buyer, tokenPrice, deadline);
+
+            await expect(store.connect(buyer).purchaseTrackWithPermit(1, tokenPrice, deadline, v, r, s))
+                .to.be.revertedWith("Track priced in ETH");
+        });
+    });
+
+    it("sells a token track after an approve", async function () {
+        const { store, token, tokenAddress, tokenPrice, buyer } = await loadFixture(tokenFixture);
+
+        await token.connect(buyer).approve(await store.getAddress(), tokenPrice);
+        await expect(store.connect(buyer).purchaseTrackWithToken(2))
+            .to.changeTokenBalances(token, [buyer, store], [-tokenPrice, tokenPrice]);
+        expect(await store.tokenPlatformFees(tokenAddress)).to.equal(splitSale(tokenPrice).fee);
+    });
+
+    it("lets the artist withdraw token earnings", async function () {
+        const { store, token, tokenAddress, tokenPrice, artist, buyer } = await loadFixture(tokenFixture);
+        const { artistPayment } = splitSale(tokenPrice);
+
+        await token.connect(buyer).approve(await store.getAddress(), tokenPrice);
+        await store.connect(buyer).purchaseTrackWithToken(2);
+
+        await expect(store.connect(artist).withdrawTokenBalance(tokenAddress))
+            .to.changeTokenBalances(token, [artist, store], [artistPayment, -artistPayment]);
+        expect(await store.tokenBalances(tokenAddress, artist.address)).to.equal(0);
+    });
+
+    it("keeps ETH and token purchases apart", async function () {
+        const { store, tokenAddress, buyer, price } = await loadFixture(tokenFixture);
+
+        await expect(store.connect(buyer).purchaseTrack(2, { value: price }))
+            .to.be.revertedWith("Track priced in a token");
+        await expect(store.connect(buyer).purchaseTrackWithToken(1))
+            .to.be.revertedWith("Track priced in ETH");
+
+        await store.setPaymentToken(tokenAddress, false);
+        await expect(store.connect(buyer).purchaseTrackWithToken(2))
+            .to.be.revertedWith("Payment token not allowed");
+    });
+});
@@ -0,0 +1,235 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { deployStoreFixture, storeDomain, secondsFromNow, splitSale } from "./fixtures.js";
+import Track from "../models/Track.js";
+import Purchase from "../models/Purchase.js";
+import Coupon from "../models/Coupon.js";
+import BundlePurchase from "../models/BundlePurchase.js";
+import { syncPurchaseFromEvent } from "../controllers/purchaseController.js";
+const { ethers } = hre;
+
+// Same fields as services/BlockchainService.js signs
+const VOUCHER_FIELDS = [
+    { name: "price", type: "uint256" },
+    { name: "artist", type: "address" },
+    { name: "metadataHash", type: "string" },
+    { name: "expiry", type: "uint256" },
+    { name: "nonce", type: "uint256" }
+];
+const LISTING_VOUCHER_TYPES = { ListingVoucher: VOUCHER_FIELDS };
+const LAZY_LISTING_VOUCHER_TYPES = { LazyListingVoucher: VOUCHER_FIELDS };
+
+describe("MusicStore listing vouchers", function () {
+    async function voucherFixture() {
+        const fixture = await deployStoreFixture();
+        const { store, owner, artist } = fixture;
+        const domain = await storeDomain(store);
+
+        const voucher = {
+            price: ethers.parseEther("0.05"),
+            artist: artist.address,
+            metadataHash: "QmVoucherTrack",
+            expiry: await secondsFromNow(3600),
+            nonce: 42n
+        };
+        const sign = (types, fields = {}) => owner.signTypedData(domain, types, { ...voucher, ...fields });
+
+        return { ...fixture, voucher, sign };
+    }
+
+    describe("self-listing (addTrackWithVoucher)", function () {
+        it("lists the track for the artist", async function () {
+            const { store, artist, voucher, sign } = await loadFixture(voucherFixture);
+            const signature = await sign(LISTING_VOUCHER_TYPES);
+
+            await expect(store.connect(artist).addTrackWithVoucher(voucher, signature))
+                .to.emit(store, "TrackAdded");
+
+            const track = await store.tracks(2);
+            expect(track.artist).to.equal(artist.address);
+            expect(track.price).to.equal(voucher.price);
+            expect(await store.usedVoucherNonces(voucher.nonce)).to.equal(true);
+        });
+
+        it("rejects a replayed voucher", async function () {
+            const { store, artist, voucher, sign } = await loadFixture(voucherFixture);
+            const signature = await sign(LISTING_VOUCHER_TYPES);
+
+            await store.connect(artist).addTrackWithVoucher(voucher, signature);
+            await expect(store.connect(artist).addTrackWithVoucher(voucher, signature))
+                .to.be.revertedWith("Voucher already used");
+        });
+
+        it("rejects an expired voucher", async function () {
+            const { store, artist, voucher, sign } = await loadFixture(voucherFixture);
+            const signature = await sign(LISTING_VOUCHER_TYPES);
+
+            await time.increaseTo(voucher.expiry + 1n);
+            await expect(store.connect(artist).addTrackWithVoucher(voucher, signature))
+                .to.be.revertedWith("Voucher expired");
+        });
+
+        it("rejects a voucher sent by another wallet", async function () {
+            const { store, other, voucher, sign } = await loadFixture(voucherFixture);
+            const signature = await sign(LISTING_VOUCHER_TYPES);
+
+            await expect(store.connect(other).addTrackWithVoucher(voucher, signature))
+                .to.be.revertedWith("Voucher issued to another artist");
+        });
+
+        it("rejects a voucher with altered fields", async function () {
+            const { store, artist, voucher, sign } = await loadFixture(voucherFixture);
+            const signature = await sign(LISTING_VOUCHER_TYPES);
+
+            await expect(
+                store.connect(artist).addTrackWithVoucher({ ...voucher, price: voucher.price / 2n }, signature)
+            ).to.be.revertedWith("Invalid voucher signature");
+        });
+
+        it("rejects a voucher revoked by the owner", async function () {
+            const { store, artist, voucher, sign } = await loadFixture(voucherFixture);
+            const signature = await sign(LISTING_VOUCHER_TYPES);
+
+            await expect(store.cancelVoucher(voucher.nonce)).to.emit(store, "VoucherCancelled");
+            await expect(store.connect(artist).addTrackWithVoucher(voucher, signature))
+                .to.be.revertedWith("Voucher already used");
+        });
+
+        it("rejects a lazy listing voucher", async function () {
+            const { store, artist, voucher, sign } = await loadFixture(voucherFixture);
+            const signature = await sign(LAZY_LISTING_VOUCHER_TYPES);
+
+            await expect(store.connect(artist).addTrackWithVoucher(voucher, signature))
+                .to.be.revertedWith("Invalid voucher signature");
+        });
+    });
+
+    describe("lazy listing (purchaseWithVoucher)", function () {
+        it("registers the track and sells it to the first buyer", async function () {
+            const { store, artist, buyer, voucher, sign } = await loadFixture(voucherFixture);
+            const signature = await sign(LAZY_LISTING_VOUCHER_TYPES);
+            const { artistPayment } = splitSale(voucher.price);
+
+            await expect(store.connect(buyer).purchaseWithVoucher(voucher, signature, { value: voucher.price }))
+                .to.emit(store, "VoucherTrackPurchased")
+                .and.to.emit(store, "TrackPurchased");
+
+            expect((await store.tracks(2)).artist).to.equal(artist.address);
+            expect(await store.purchases(buyer.address, 2)).to.equal(true);
+            expect(await store.artistBalances(artist.address)).to.equal(artistPayment);
+        });
+
+        describe("indexing", function () {
+            const STUBBED = [[Track, "findOne"], [Track.prototype, "save"], [Purchase, "findOne"],
+                [Purchase.prototype, "save"], [Coupon, "findOne"], [BundlePurchase, "findOne"]];
+
+            // In-memory Track and Purchase collections in place of MongoDB
+            let track;
+            let purchases;
+
+            beforeEach(function () {
+                track = new Track({ title: "Voucher Track", artist: "Artist", downloads: 0 });
+                purchases = [];
+
+                const matches = (doc, conditions) =>
+                    Object.entries(conditions).every(([key, value]) => String(doc.get(key)) === String(value));
+
+                Track.findOne = async (query) => (query.$or.some((conditions) => matches(track, conditions)) ? track : null);
+                Track.prototype.save = async function () { return this; };
+                Purchase.findOne = async (query) => purchases.find((purchase) => matches(purchase, query)) || null;
+                Purchase.prototype.save = async function () {
+                    if (!purchases.includes(this)) purchases.push(this);
+                    return this;
+                };
+                Coupon.findOne = async () => null;
+                BundlePurchase.findOne = async () => null;
+            });
+
+            afterEach(function () {
+                for (const [target, method] of STUBBED) delete target[method];
+            });
+
+            it("counts the first sale once its track is linked", async function () {
+                const { store, buyer, voucher, sign } = await loadFixture(voucherFixture);
+                const signature = await sign(LAZY_LISTING_VOUCHER_TYPES);
+                const { chainId } = await ethers.provider.getNetwork();
+
+                const tx = await store.connect(buyer).purchaseWithVoucher(voucher, signature, { value: voucher.price });
+                const receipt = await tx.wait();
+                const event = receipt.logs
+                    .map((log) => store.interface.parseLog(log))
+                    .find((parsed) => parsed?.name === "TrackPurchased");
+                const eventData = {
+                    transactionHash: receipt.hash,
+                    blockNumber: receipt.blockNumber,
+                    blockHash: receipt.blockHash,
+                    chainId: chainId.toString(),
+                    trackId: event.args.trackId.toString(),
+                    buyer: event.args.buyer,
+                    payer: event.args.payer,
+                    artist: event.args.artist,
+                    price: ethers.formatEther(event.args.price),
+                    timestamp: Number(event.args.timestamp)
+                };
+
+                // TrackPurchased is logged before VoucherTrackPurchased links the listing
+                const purchase = await syncPurchaseFromEvent(eventData);
+                expect(purchase.trackId).to.equal(null);
+                expect(track.downloads).to.equal(0);
+
+                track.set({ "blockchain.chainId": eventData.chainId, "blockchain.contractId": eventData.trackId });
+                await syncPurchaseFromEvent(eventData);
+                expect(purchase.trackId).to.deep.equal(track._id);
+                expect(track.downloads).to.equal(1);
+
+                // Replays of either event do not count it again
+                await syncPurchaseFromEvent(eventData);
+                expect(purchases).to.have.length(1);
+                expect(track.downloads).to.equal(1);
+            });
+        });
+
+        it("rejects a replayed voucher", async function () {
+            const { store, buyer, other, voucher, sign } = await loadFixture(voucherFixture);
+            const signature = await sign(LAZY_LISTING_VOUCHER_TYPES);
+
+            await store.connect(buyer).purchaseWithVoucher(voucher, signature, { value: voucher.price });
+            await expect(
+                store.connect(other).purchaseWithVoucher(voucher, signature, { value: voucher.price })
+            ).to.be.revertedWith("Voucher already used");
+        });
+
+        it("rejects an expired voucher", async function () {
+            const { store, buyer, voucher, sign } = await loadFixture(voucherFixture);
+            const signature = await sign(LAZY_LISTING_VOUCHER_TYPES);
+
+            await time.increaseTo(voucher.expiry + 1n);
+            await expect(
+                store.connect(buyer).purchaseWithVoucher(voucher, signature, { value: voucher.price })
+            ).to.be.revertedWith("Voucher expired");
+        });
+
+        it("rejects underpayment", async function () {
+            const { store, buyer, voucher, sign } = await loadFixture(voucherFixture);
+            const signature = await sign(LAZY_LISTING_VOUCHER_TYPES);
+
+            await expect(
+                store.connect(buyer).purchaseWithVoucher(voucher, signature, { value: voucher.price - 1n })
+            ).to.be.revertedWith("Insufficient payment");
+        });
+
+        it("cannot front-run an artist's self-listing voucher", async function () {
+            const { store, artist, other, voucher, sign } = await loadFixture(voucherFixture);
+            const signature = await sign(LISTING_VOUCHER_TYPES);
+
+            // A watcher copies the artist's pending addTrackWithVoucher call
+            await expect(
+                store.connect(other).purchaseWithVoucher(voucher, signature, { value: voucher.price })
+            ).to.be.revertedWith("Invalid voucher signature");
+
+            await expect(store.connect(artist).addTrackWithVoucher(voucher, signature))
+                .to.emit(store, "TrackAdded");
+        });
+    });
+});
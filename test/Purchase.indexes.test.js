@@ -0,0 +1,85 @@
+import { expect } from "chai";
+import Purchase from "../models/Purchase.js";
+
+/**
+ * Stand-in for a MongoDB collection: keeps index definitions and enforces
+ * unique ones on insert, like the server does
+ */
+class IndexedCollection {
+    constructor(indexes) {
+        this.indexDefinitions = [{ name: "_id_", key: { _id: 1 } }, ...indexes];
+        this.documents = [];
+    }
+
+    async indexes() {
+        return this.indexDefinitions.map((index) => ({ v: 2, ...index }));
+    }
+
+    async dropIndex(name) {
+        if (!this.indexDefinitions.some((index) => index.name === name)) {
+            throw Object.assign(new Error(`index not found with name [${name}]`), { codeName: "IndexNotFound" });
+        }
+        this.indexDefinitions = this.indexDefinitions.filter((index) => index.name !== name);
+    }
+
+    async insertOne(document) {
+        for (const index of this.indexDefinitions.filter((definition) => definition.unique)) {
+            const fields = Object.keys(index.key);
+            if (this.documents.some((existing) => fields.every((field) => existing[field] === document[field]))) {
+                throw Object.assign(new Error(`E11000 duplicate key error index: ${index.name}`), { code: 11000 });
+            }
+        }
+        this.documents.push(document);
+    }
+}
+
+describe("Purchase indexes", function () {
+    const OLD_INDEX = { name: "txHash_1", key: { txHash: 1 }, unique: true };
+    const COMPOUND_INDEX = { name: "txHash_1_contractTrackId_1", key: { txHash: 1, contractTrackId: 1 }, unique: true };
+
+    // One TrackPurchased row per track of a bundle bought in a single transaction
+    const bundleRows = [1, 2, 3].map((contractTrackId) => ({ txHash: "0xbundle", contractTrackId }));
+
+    it("declares txHash unique only together with the track", function () {
+        const txHashIndexes = Purchase.schema.indexes().filter(([key]) => "txHash" in key);
+
+        expect(txHashIndexes).to.deep.equal([[{ txHash: 1, contractTrackId: 1 }, { unique: true, background: true }]]);
+        expect(Purchase.schema.path("txHash").options.unique).to.not.equal(true);
+    });
+
+    it("drops the old unique txHash index so every bundle track can be stored", async function () {
+        const collection = new IndexedCollection([OLD_INDEX, COMPOUND_INDEX]);
+
+        // The old index rejects the second track of the bundle
+        await collection.insertOne(bundleRows[0]);
+        await expect(collection.insertOne(bundleRows[1])).to.be.rejectedWith(/E11000.*txHash_1$/);
+
+        expect(await Purchase.dropLegacyIndexes(collection)).to.deep.equal(["txHash_1"]);
+
+        for (const row of bundleRows.slice(1)) {
+            await collection.insertOne(row);
+        }
+        expect(collection.documents).to.have.length(3);
+
+        // The same track of the same transaction is still a duplicate
+        await expect(collection.insertOne(bundleRows[0])).to.be.rejectedWith(/E11000.*contractTrackId_1/);
+    });
+
+    it("leaves an up-to-date collection alone", async function () {
+        const collection = new IndexedCollection([COMPOUND_INDEX, { name: "txHash_1", key: { txHash: 1 } }]);
+
+        expect(await Purchase.dropLegacyIndexes(collection)).to.deep.equal([]);
+        expect((await collection.indexes()).map((index) => index.name))
+            .to.deep.equal(["_id_", "txHash_1_contractTrackId_1", "txHash_1"]);
+    });
+
+    it("does nothing before the collection exists", async function () {
+        const collection = {
+            indexes: async () => {
+                throw Object.assign(new Error("ns does not exist"), { codeName: "NamespaceNotFound" });
+            }
+        };
+
+        expect(await Purchase.dropLegacyIndexes(collection)).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,182 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { anyUint } from "@nomicfoundation/hardhat-chai-matchers/withArgs.js";
+import { deployTokenStoreFixture, secondsFromNow, splitSale } from "./fixtures.js";
+import Track from "../models/Track.js";
+import RelayedTransaction from "../models/RelayedTransaction.js";
+import RelayerService from "../services/RelayerService.js";
+const { ethers } = hre;
+
+// Same type as services/RelayerService.js asks buyers to sign
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint48" },
+        { name: "data", type: "bytes" }
+    ]
+};
+
+describe("RelayerService", function () {
+    const STUBBED = [[Track, "findOne"], [RelayedTransaction, "countForQuota"], [RelayedTransaction, "create"],
+        [RelayedTransaction.prototype, "save"]];
+
+    // RelayedTransaction documents the service stored, in place of MongoDB
+    let relayed;
+
+    beforeEach(function () {
+        relayed = [];
+        Track.findOne = async () => null;
+        RelayedTransaction.countForQuota = async () => 0;
+        RelayedTransaction.create = async (data) => {
+            const document = new RelayedTransaction(data);
+            relayed.push(document);
+            return document;
+        };
+        RelayedTransaction.prototype.save = async function () { return this; };
+    });
+
+    afterEach(function () {
+        for (const [target, method] of STUBBED) delete target[method];
+    });
+
+    // The token store behind a RelayerService whose relayer wallet is `other`
+    async function relayerFixture() {
+        const fixture = await deployTokenStoreFixture();
+        const { store, forwarder, buyer, other } = fixture;
+        const { chainId } = await ethers.provider.getNetwork();
+
+        const service = new RelayerService();
+        service.getRelayer = () => other;
+        service.getForwarder = () => forwarder.connect(other);
+        service.blockchainService.contract = store;
+        service.blockchainService.chainId = chainId.toString();
+
+        // ForwardRequest for a MusicStore call, signed by `signer`
+        const signRequest = async (data, fields = {}, signer = buyer) => {
+            const request = {
+                from: signer.address,
+                to: await store.getAddress(),
+                value: 0n,
+                gas: 300000n,
+                nonce: await forwarder.nonces(signer.address),
+                deadline: Number(await secondsFromNow(300)),
+                data,
+                ...fields
+            };
+            const domain = {
+                name: "MusicForwarder",
+                version: "1",
+                chainId,
+                verifyingContract: await forwarder.getAddress()
+            };
+            return { request, signature: await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, request) };
+        };
+
+        return { ...fixture, service, signRequest };
+    }
+
+    it("relays purchaseTrackWithToken through the forwarder for the signer", async function () {
+        const { store, token, tokenAddress, tokenPrice, artist, buyer, other, service, signRequest } =
+            await loadFixture(relayerFixture);
+        const { fee, artistPayment } = splitSale(tokenPrice);
+
+        await token.connect(buyer).approve(await store.getAddress(), tokenPrice);
+        const { request, signature } = await signRequest(store.interface.encodeFunctionData("purchaseTrackWithToken", [2]));
+
+        const relayerBalance = await ethers.provider.getBalance(other.address);
+        const buyerBalance = await ethers.provider.getBalance(buyer.address);
+        const relay = await service.relay(request, signature, buyer.address);
+        const receipt = await ethers.provider.getTransactionReceipt(relay.txHash);
+
+        expect(relay.status).to.equal("submitted");
+        expect(relay.method).to.equal("purchaseTrackWithToken");
+        expect(receipt.from).to.equal(other.address);
+        expect(relayed).to.have.length(1);
+
+        // ERC-2771: the store sees the buyer, who pays the tokens but no gas
+        await expect(relay.txHash)
+            .to.emit(store, "TrackPurchased")
+            .withArgs(2, buyer.address, artist.address, tokenPrice, artistPayment, fee, anyUint,
+                buyer.address, tokenAddress);
+        expect(await store.purchases(buyer.address, 2)).to.equal(true);
+        expect(await token.balanceOf(buyer.address)).to.equal(ethers.parseUnits("100", 6) - tokenPrice);
+        expect(await ethers.provider.getBalance(buyer.address)).to.equal(buyerBalance);
+        expect(await ethers.provider.getBalance(other.address)).to.be.below(relayerBalance);
+    });
+
+    it("relays purchaseTrackWithPermit without a prior approve", async function () {
+        const { store, tokenPrice, buyer, service, signRequest, signPermit } = await loadFixture(relayerFixture);
+        const permitDeadline = await secondsFromNow(3600);
+        const { v, r, s } = await signPermit(buyer, tokenPrice, permitDeadline);
+        const { request, signature } = await signRequest(
+            store.interface.encodeFunctionData("purchaseTrackWithPermit", [2, tokenPrice, permitDeadline, v, r, s])
+        );
+
+        const relay = await service.relay(request, signature, buyer.address);
+
+        await expect(relay.txHash).to.emit(store, "TrackPurchased");
+        expect(await store.purchases(buyer.address, 2)).to.equal(true);
+    });
+
+    it("rejects requests that send ETH", async function () {
+        const { store, token, tokenPrice, buyer, service, signRequest } = await loadFixture(relayerFixture);
+
+        await token.connect(buyer).approve(await store.getAddress(), tokenPrice);
+        const { request, signature } = await signRequest(
+            store.interface.encodeFunctionData("purchaseTrackWithToken", [2]),
+            { value: 1n }
+        );
+
+        await expect(service.relay(request, signature, buyer.address))
+            .to.be.rejectedWith("Only MusicStore token purchases can be relayed");
+    });
+
+    it("rejects MusicStore methods outside the allowlist", async function () {
+        const { store, buyer, service, signRequest } = await loadFixture(relayerFixture);
+
+        for (const data of [
+            store.interface.encodeFunctionData("purchaseTrack", [1]),
+            store.interface.encodeFunctionData("withdrawArtistBalance")
+        ]) {
+            const { request, signature } = await signRequest(data);
+            await expect(service.relay(request, signature, buyer.address))
+                .to.be.rejectedWith("Only MusicStore token purchases can be relayed");
+        }
+        expect(relayed).to.have.length(0);
+    });
+
+    it("rejects a token purchase without enough allowance", async function () {
+        const { store, token, tokenPrice, buyer, service, signRequest } = await loadFixture(relayerFixture);
+
+        await token.connect(buyer).approve(await store.getAddress(), tokenPrice - 1n);
+        const { request, signature } = await signRequest(store.interface.encodeFunctionData("purchaseTrackWithToken", [2]));
+
+        await expect(service.relay(request, signature, buyer.address))
+            .to.be.rejectedWith("Insufficient token allowance");
+    });
+
+    it("rejects a permit below the track price", async function () {
+        const { store, tokenPrice, buyer, service, signRequest, signPermit } = await loadFixture(relayerFixture);
+        const permitDeadline = await secondsFromNow(3600);
+        const { v, r, s } = await signPermit(buyer, tokenPrice - 1n, permitDeadline);
+        const { request, signature } = await signRequest(
+            store.interface.encodeFunctionData("purchaseTrackWithPermit", [2, tokenPrice - 1n, permitDeadline, v, r, s])
+        );
+
+        await expect(service.relay(request, signature, buyer.address))
+            .to.be.rejectedWith("Permit is below the track price");
+    });
+
+    it("rejects a request relayed for another wallet", async function () {
+        const { store, buyer, other, service, signRequest } = await loadFixture(relayerFixture);
+        const { request, signature } = await signRequest(store.interface.encodeFunctionData("purchaseTrackWithToken", [2]));
+
+        await expect(service.relay(request, signature, other.address))
+            .to.be.rejectedWith("Request signed for another wallet");
+    });
+});
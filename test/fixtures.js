@@ -0,0 +1,90 @@
+import hre from "hardhat";
+const { ethers } = hre;
+
+export const FEE_BPS = 250n; // MusicStore.platformFee default
+export const DEFAULT_ROYALTY_BPS = 1000n; // MusicStore.defaultRoyalty
+
+/**
+ * MusicStore behind its forwarder, owned by (and signing vouchers with) the
+ * first account, with one 0.01 ETH track by `artist`
+ */
+export async function deployStoreFixture() {
+    const [owner, artist, buyer, other, collaborator] = await ethers.getSigners();
+
+    const forwarder = await ethers.deployContract("MusicForwarder");
+    const store = await ethers.deployContract("MusicStore", [
+        owner.address,
+        await forwarder.getAddress()
+    ]);
+
+    const price = ethers.parseEther("0.01");
+    await store.addTrack(price, artist.address, "QmTrack1");
+
+    return { store, forwarder, owner, artist, buyer, other, collaborator, price };
+}
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+/**
+ * deployStoreFixture plus track 2 priced at 5 mUSD (an EIP-2612 token with 6
+ * decimals) by `artist`; `buyer` holds 100 mUSD
+ */
+export async function deployTokenStoreFixture() {
+    const fixture = await deployStoreFixture();
+    const { store, artist, buyer } = fixture;
+
+    const token = await ethers.deployContract("MockERC20", ["Mock USD", "mUSD", 6]);
+    const tokenAddress = await token.getAddress();
+    const tokenPrice = ethers.parseUnits("5", 6);
+
+    await store.setPaymentToken(tokenAddress, true);
+    await store.addTokenTrack(tokenPrice, artist.address, "QmTokenTrack", tokenAddress);
+    await token.mint(buyer.address, ethers.parseUnits("100", 6));
+
+    // EIP-2612 permit letting the store pull `value` from `signer`
+    const signPermit = async (signer, value, deadline) => {
+        const { chainId } = await ethers.provider.getNetwork();
+        const domain = { name: "Mock USD", version: "1", chainId, verifyingContract: tokenAddress };
+        const signature = await signer.signTypedData(domain, PERMIT_TYPES, {
+            owner: signer.address,
+            spender: await store.getAddress(),
+            value,
+            nonce: await token.nonces(signer.address),
+            deadline
+        });
+        return ethers.Signature.from(signature);
+    };
+
+    return { ...fixture, token, tokenAddress, tokenPrice, signPermit };
+}
+
+// Fee and artist payment of a primary sale at `price`
+export const splitSale = (price) => {
+    const fee = (price * FEE_BPS) / 10000n;
+    return { fee, artistPayment: price - fee };
+};
+
+// EIP-712 domain of a deployed MusicStore
+export async function storeDomain(store) {
+    const { chainId } = await ethers.provider.getNetwork();
+    return {
+        name: "MusicStore",
+        version: "1",
+        chainId,
+        verifyingContract: await store.getAddress()
+    };
+}
+
+// Latest block timestamp plus `seconds`
+export async function secondsFromNow(seconds) {
+    const block = await ethers.provider.getBlock("latest");
+    return BigInt(block.timestamp + seconds);
+}
@@ -48,6 +48,47 @@ export const validateAdminKey = (providedKey, expectedKey) => {
   );
 };
 
+// Secret used to sign stream URLs (falls back to the JWT secret)
+const getStreamSecret = () => {
+  const secret = process.env.STREAM_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("STREAM_URL_SECRET not configured");
+  }
+  return secret;
+};
+
+// Sign a stream grant for a track and wallet, valid until `expires` (unix seconds)
+export const signStreamToken = (trackId, address, expires) => {
+  return crypto
+    .createHmac("sha256", getStreamSecret())
+    .update(`${trackId}:${address.toLowerCase()}:${expires}`)
+    .digest("hex");
+};
+
+// Verify a stream grant signature and its expiry
+export const verifyStreamToken = (trackId, address, expires, signature) => {
+  if (!address || !expires || !signature) {
+    return false;
+  }
+
+  const expiresAt = Number(expires);
+  if (
+    !Number.isInteger(expiresAt) ||
+    expiresAt < Math.floor(Date.now() / 1000)
+  ) {
+    return false;
+  }
+
+  const expected = Buffer.from(signStreamToken(trackId, address, expiresAt));
+  const provided = Buffer.from(String(signature));
+
+  // Use timing-safe comparison to prevent timing attacks
+  return (
+    expected.length === provided.length &&
+    crypto.timingSafeEqual(expected, provided)
+  );
+};
+
 // Generate CSRF tokens
 export const generateCSRFToken = () => {
   return crypto.randomBytes(32).toString("hex");
@@ -0,0 +1,196 @@
+import { ethers } from "ethers";
+
+/**
+ * Sign-In with Ethereum (EIP-4361) message helpers
+ */
+
+const HEADER_SUFFIX = " wants you to sign in with your Ethereum account:";
+
+// Optional fields in the order mandated by the spec
+const OPTIONAL_FIELDS = [
+  ["Expiration Time", "expirationTime"],
+  ["Not Before", "notBefore"],
+  ["Request ID", "requestId"],
+];
+
+// Build a SIWE message from its fields
+export const buildSiweMessage = ({
+  domain,
+  address,
+  statement,
+  uri,
+  version = "1",
+  chainId,
+  nonce,
+  issuedAt,
+  expirationTime,
+  notBefore,
+  requestId,
+  resources = [],
+}) => {
+  const lines = [`${domain}${HEADER_SUFFIX}`, address, ""];
+
+  if (statement) {
+    lines.push(statement);
+  }
+  lines.push("");
+
+  lines.push(
+    `URI: ${uri}`,
+    `Version: ${version}`,
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  );
+
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+  if (notBefore) lines.push(`Not Before: ${notBefore}`);
+  if (requestId) lines.push(`Request ID: ${requestId}`);
+
+  if (resources.length > 0) {
+    lines.push("Resources:");
+    resources.forEach((resource) => lines.push(`- ${resource}`));
+  }
+
+  return lines.join("\n");
+};
+
+// Parse a SIWE message into its fields (throws on malformed input)
+export const parseSiweMessage = (message) => {
+  if (typeof message !== "string" || message.length === 0) {
+    throw new Error("Invalid SIWE message: empty message");
+  }
+
+  const lines = message.replace(/\r\n/g, "\n").split("\n");
+  let index = 0;
+
+  const header = lines[index++].match(
+    /^(?:([a-zA-Z][a-zA-Z0-9+\-.]*):\/\/)?(\S+) wants you to sign in with your Ethereum account:$/
+  );
+  if (!header) {
+    throw new Error("Invalid SIWE message: malformed header");
+  }
+
+  const address = lines[index++];
+  if (!ethers.isAddress(address) || ethers.getAddress(address) !== address) {
+    throw new Error("Invalid SIWE message: address must be EIP-55 checksummed");
+  }
+
+  if (lines[index++] !== "") {
+    throw new Error("Invalid SIWE message: expected blank line after address");
+  }
+
+  let statement = null;
+  if (lines[index] !== "") {
+    statement = lines[index++];
+  }
+  if (lines[index++] !== "") {
+    throw new Error(
+      "Invalid SIWE message: expected blank line after statement"
+    );
+  }
+
+  const readField = (label, required = true) => {
+    const prefix = `${label}: `;
+    if (lines[index] && lines[index].startsWith(prefix)) {
+      return lines[index++].slice(prefix.length);
+    }
+    if (required) {
+      throw new Error(`Invalid SIWE message: missing "${label}"`);
+    }
+    return null;
+  };
+
+  const fields = {
+    scheme: header[1] || null,
+    domain: header[2],
+    address,
+    statement,
+    uri: readField("URI"),
+    version: readField("Version"),
+    chainId: Number(readField("Chain ID")),
+    nonce: readField("Nonce"),
+    issuedAt: readField("Issued At"),
+  };
+
+  for (const [label, key] of OPTIONAL_FIELDS) {
+    fields[key] = readField(label, false);
+  }
+
+  fields.resources = [];
+  if (lines[index] === "Resources:") {
+    index++;
+    while (index < lines.length && lines[index].startsWith("- ")) {
+      fields.resources.push(lines[index++].slice(2));
+    }
+  }
+
+  if (index < lines.length) {
+    throw new Error("Invalid SIWE message: unexpected trailing content");
+  }
+
+  if (fields.version !== "1") {
+    throw new Error("Invalid SIWE message: unsupported version");
+  }
+  if (!Number.isInteger(fields.chainId) || fields.chainId <= 0) {
+    throw new Error("Invalid SIWE message: invalid chain ID");
+  }
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+    throw new Error(
+      "Invalid SIWE message: nonce must be at least 8 alphanumeric characters"
+    );
+  }
+  for (const key of ["issuedAt", "expirationTime", "notBefore"]) {
+    if (fields[key] && isNaN(Date.parse(fields[key]))) {
+      throw new Error(`Invalid SIWE message: ${key} is not a valid timestamp`);
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Verify a signed SIWE message.
+ * Checks the signature, domain binding, chain and validity window; nonce
+ * consumption is left to the caller since it requires storage.
+ * @param {string} message - Raw EIP-4361 message
+ * @param {string} signature - personal_sign signature
+ * @param {Object} options - { domains, chainId, now }
+ * @returns {Object} Parsed message fields
+ */
+export const verifySiweMessage = (message, signature, options = {}) => {
+  const { domains = [], chainId = null, now = new Date() } = options;
+
+  const fields = parseSiweMessage(message);
+
+  if (domains.length > 0 && !domains.includes(fields.domain)) {
+    throw new Error(`SIWE domain not allowed: ${fields.domain}`);
+  }
+
+  if (chainId && fields.chainId !== Number(chainId)) {
+    throw new Error(`SIWE chain ID mismatch: expected ${chainId}`);
+  }
+
+  if (fields.expirationTime && new Date(fields.expirationTime) <= now) {
+    throw new Error("SIWE message expired");
+  }
+
+  if (fields.notBefore && new Date(fields.notBefore) > now) {
+    throw new Error("SIWE message not yet valid");
+  }
+
+  let recovered;
+  try {
+    recovered = ethers.verifyMessage(message, signature);
+  } catch (error) {
+    throw new Error("Invalid SIWE signature");
+  }
+
+  if (recovered !== fields.address) {
+    throw new Error("SIWE signature does not match address");
+  }
+
+  return fields;
+};
+
+console.log("✅ SIWE utilities loaded");